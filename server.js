@@ -1,5 +1,9 @@
 // server.js 
 import app from './src/app.js';
+import { iniciarJobRecorrencias } from './src/jobs/recorrenciaJob.js';
+import { iniciarJobExclusaoContas } from './src/jobs/exclusaoContaJob.js';
+import { iniciarJobEmprestimos } from './src/jobs/emprestimoJob.js';
+import { iniciarJobSalarios } from './src/jobs/salarioJob.js';
 
 const PORT = process.env.PORT || 3000;
 
@@ -7,4 +11,10 @@ app.listen(PORT, () => {
     console.log(`🚀 Servidor Grana Zen rodando na porta ${PORT}`);
     console.log(`📍 Ambiente: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+
+    // Jobs agendados
+    iniciarJobRecorrencias();
+    iniciarJobExclusaoContas();
+    iniciarJobEmprestimos();
+    iniciarJobSalarios();
 });
\ No newline at end of file
@@ -5,12 +5,20 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/authRoutes.js';
 import accountRoutes from './routes/accountRoutes.js';
 import financeRoutes from './routes/financeRoutes.js';
+import notificacaoRoutes from './routes/notificacaoRoutes.js';
+import grupoRoutes from './routes/grupoRoutes.js';
+import { rateLimit, somenteEscrita } from './middleware/rateLimitMiddleware.js';
 
 // Carrega variáveis de ambiente
 dotenv.config();
 
 const app = express();
 
+// Atrás de proxy/load balancer, req.ip precisa vir do X-Forwarded-For para o rate limiting
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middlewares globais
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
@@ -30,10 +38,52 @@ if (process.env.NODE_ENV === 'development') {
     });
 }
 
+// Rate limiting: geral por IP, mais restrito em escritas e nas rotas de autenticação
+const MINUTO = 60 * 1000;
+
+app.use('/api', rateLimit({
+    nome: 'api',
+    janelaMs: 15 * MINUTO,
+    maximo: 600
+}));
+
+app.use('/api', somenteEscrita(rateLimit({
+    nome: 'escrita',
+    janelaMs: MINUTO,
+    maximo: 60
+})));
+
+const rotasAutenticacao = ['/api/auth/login', '/api/auth/login/2fa', '/api/auth/register'];
+
+app.use(rotasAutenticacao, rateLimit({
+    nome: 'auth-ip',
+    janelaMs: 15 * MINUTO,
+    maximo: 20,
+    mensagem: 'Muitas tentativas de acesso. Tente novamente mais tarde'
+}));
+
+// Por conta: limita tentativas contra o mesmo e-mail vindas de IPs diferentes
+app.use('/api/auth/login', rateLimit({
+    nome: 'auth-conta',
+    janelaMs: 15 * MINUTO,
+    maximo: 10,
+    chave: (req) => typeof req.body?.email === 'string' ? req.body.email.toLowerCase() : null,
+    mensagem: 'Muitas tentativas de acesso. Tente novamente mais tarde'
+}));
+
+app.use(['/api/auth/esqueci-senha', '/api/auth/verificar-email/reenviar'], rateLimit({
+    nome: 'auth-email',
+    janelaMs: 60 * MINUTO,
+    maximo: 5,
+    mensagem: 'Muitas solicitações de e-mail. Tente novamente mais tarde'
+}));
+
 // Rotas
 app.use('/api/auth', authRoutes);
 app.use('/api/accounts', accountRoutes);
 app.use('/api/finance', financeRoutes);
+app.use('/api/notificacoes', notificacaoRoutes);
+app.use('/api/grupos', grupoRoutes);
 
 // Rota de health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,56 @@
+// mailer.js
+// Envio de e-mails com transporte plugável. Um transporte é um objeto com
+// `enviar({ para, assunto, texto, html })`. Por padrão (MAIL_TRANSPORT):
+//   - console: imprime o e-mail no log (desenvolvimento)
+//   - file: grava cada e-mail como .json em MAIL_DIR (desenvolvimento/testes)
+// Em produção, registre o transporte real com definirTransporte().
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const transporteConsole = {
+    async enviar(mensagem) {
+        console.log(`📧 E-mail para ${mensagem.para}: ${mensagem.assunto}\n${mensagem.texto}`);
+    }
+};
+
+const transporteArquivo = {
+    async enviar(mensagem) {
+        const diretorio = process.env.MAIL_DIR || 'tmp/emails';
+        await fs.mkdir(diretorio, { recursive: true });
+
+        const arquivo = path.join(diretorio, `${Date.now()}-${mensagem.para.replace(/[^a-z0-9@._-]/gi, '_')}.json`);
+        await fs.writeFile(arquivo, JSON.stringify({ ...mensagem, enviado_em: new Date().toISOString() }, null, 2));
+    }
+};
+
+const TRANSPORTES = {
+    console: transporteConsole,
+    file: transporteArquivo
+};
+
+let transporte = TRANSPORTES[process.env.MAIL_TRANSPORT] || transporteConsole;
+
+/**
+ * Substitui o transporte de e-mail (ex.: SMTP ou API de e-mail em produção)
+ * @param {Object} novoTransporte - Objeto com o método enviar(mensagem)
+ */
+export const definirTransporte = (novoTransporte) => {
+    if (!novoTransporte || typeof novoTransporte.enviar !== 'function') {
+        throw new Error('Transporte de e-mail deve implementar enviar(mensagem)');
+    }
+    transporte = novoTransporte;
+};
+
+/**
+ * Envia um e-mail pelo transporte configurado
+ * @param {Object} mensagem - para, assunto, texto e html (opcional)
+ */
+export const enviarEmail = async (mensagem) => {
+    await transporte.enviar({
+        de: process.env.MAIL_FROM || 'Grana Zen <nao-responda@granazen.app>',
+        ...mensagem
+    });
+};
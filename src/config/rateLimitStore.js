@@ -0,0 +1,73 @@
+// rateLimitStore.js
+// Armazenamento dos contadores de rate limiting e bloqueio de login.
+// Um store implementa (todos assíncronos):
+//   incrementar(chave, janelaMs) -> { total, expira_em }  (cria a janela se não existir)
+//   consultar(chave)             -> { total, expira_em } ou null
+//   resetar(chave)
+// O padrão é em memória (uma instância); com várias instâncias, registre um
+// store compartilhado (ex.: Redis) com definirStore().
+
+const INTERVALO_LIMPEZA_MS = 60 * 1000;
+
+export const criarStoreMemoria = () => {
+    const contadores = new Map();
+
+    const ativo = (chave) => {
+        const registro = contadores.get(chave);
+        if (registro && registro.expira_em <= Date.now()) {
+            contadores.delete(chave);
+            return null;
+        }
+        return registro || null;
+    };
+
+    // Remove janelas vencidas periodicamente para não crescer sem limite
+    const limpeza = setInterval(() => {
+        const agora = Date.now();
+        for (const [chave, registro] of contadores) {
+            if (registro.expira_em <= agora) {
+                contadores.delete(chave);
+            }
+        }
+    }, INTERVALO_LIMPEZA_MS);
+    limpeza.unref();
+
+    return {
+        async incrementar(chave, janelaMs) {
+            const registro = ativo(chave) || { total: 0, expira_em: Date.now() + janelaMs };
+            registro.total++;
+            contadores.set(chave, registro);
+            return { ...registro };
+        },
+
+        async consultar(chave) {
+            const registro = ativo(chave);
+            return registro ? { ...registro } : null;
+        },
+
+        async resetar(chave) {
+            contadores.delete(chave);
+        }
+    };
+};
+
+let store = criarStoreMemoria();
+
+/**
+ * Substitui o store dos contadores (ex.: store compartilhado entre instâncias)
+ * @param {Object} novoStore - Objeto com incrementar, consultar e resetar
+ */
+export const definirStore = (novoStore) => {
+    for (const metodo of ['incrementar', 'consultar', 'resetar']) {
+        if (!novoStore || typeof novoStore[metodo] !== 'function') {
+            throw new Error(`Store de rate limiting deve implementar ${metodo}()`);
+        }
+    }
+    store = novoStore;
+};
+
+/**
+ * Retorna o store em uso
+ * @returns {Object} Store atual
+ */
+export const getStore = () => store;
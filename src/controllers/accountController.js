@@ -3,6 +3,8 @@ import {
     contaCorrenteSchema, 
     cartaoCreditoSchema, 
     dinheiroVivoSchema, 
+    investimentoSchema,
+    emprestimoSchema,
     updateAccountSchema 
 } from '../utils/accountValidators.js';
 
@@ -28,10 +30,16 @@ export class AccountController {
                 case 'dinheiro_vivo':
                     validatedData = dinheiroVivoSchema.parse(req.body);
                     break;
+                case 'investimento':
+                    validatedData = investimentoSchema.parse(req.body);
+                    break;
+                case 'emprestimo':
+                    validatedData = emprestimoSchema.parse(req.body);
+                    break;
                 default:
                     return res.status(400).json({
                         success: false,
-                        message: 'Tipo de conta inválido. Tipos aceitos: conta_corrente, cartao_credito, dinheiro_vivo'
+                        message: 'Tipo de conta inválido. Tipos aceitos: conta_corrente, cartao_credito, dinheiro_vivo, investimento, emprestimo'
                     });
             }
 
@@ -137,7 +145,7 @@ export class AccountController {
             const { id } = req.params;
             
             // Busca a conta para validar se existe e pegar o tipo
-            const existingAccount = await Account.findById(id, req.user.id);
+            const existingAccount = await Account.findById(id, req.user.id, { escrita: true });
             if (!existingAccount) {
                 return res.status(404).json({
                     success: false,
@@ -147,7 +155,15 @@ export class AccountController {
 
             // Valida saldo baseado no tipo de conta (se está sendo atualizado)
             if (req.body.saldo_atual !== undefined) {
-                if (existingAccount.tipo_conta === 'conta_corrente' || existingAccount.tipo_conta === 'dinheiro_vivo') {
+                // A dívida do empréstimo segue a tabela de amortização
+                if (existingAccount.tipo_conta === 'emprestimo') {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'O saldo do empréstimo é calculado pela tabela de amortização; registre uma amortização'
+                    });
+                }
+
+                if (['conta_corrente', 'dinheiro_vivo', 'investimento'].includes(existingAccount.tipo_conta)) {
                     if (req.body.saldo_atual < 0) {
                         return res.status(400).json({
                             success: false,
@@ -261,7 +277,7 @@ export class AccountController {
         try {
             const { tipo } = req.params;
             
-            if (!['conta_corrente', 'cartao_credito', 'dinheiro_vivo'].includes(tipo)) {
+            if (!['conta_corrente', 'cartao_credito', 'dinheiro_vivo', 'investimento', 'emprestimo'].includes(tipo)) {
                 return res.status(400).json({
                     success: false,
                     message: 'Tipo de conta inválido'
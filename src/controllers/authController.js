@@ -1,8 +1,195 @@
 // authController.js 
-import jwt from 'jsonwebtoken';
+import { setTimeout as esperar } from 'timers/promises';
 import { User } from '../models/User.js';
 import { Profile } from '../models/Profile.js';
-import { registerSchema, loginSchema, updateProfileSchema } from '../utils/validators.js';
+import { FinanceData } from '../models/FinanceData.js';
+import { Sessao } from '../models/Sessao.js';
+import { TokenUsuario } from '../models/TokenUsuario.js';
+import { DoisFatores } from '../models/DoisFatores.js';
+import { DadosPessoais, CARENCIA_EXCLUSAO_DIAS } from '../models/DadosPessoais.js';
+import { hoje } from '../utils/dateUtils.js';
+import { gerarDesafio2fa, verificarDesafio2fa } from '../utils/tokenUtils.js';
+import {
+    chaveLogin,
+    segundosBloqueio,
+    registrarFalha,
+    registrarFalhaAtraso,
+    atrasoFalhas,
+    limparFalhas
+} from '../utils/bloqueioLogin.js';
+import { enviarEmail } from '../config/mailer.js';
+import { emailRedefinicaoSenha, emailVerificacao } from '../utils/emails.js';
+import {
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    esqueciSenhaSchema,
+    redefinirSenhaSchema,
+    alterarSenhaSchema,
+    login2faSchema,
+    codigo2faSchema,
+    desativar2faSchema,
+    meusDadosSchema,
+    excluirContaSchema,
+    updateProfileSchema
+} from '../utils/validators.js';
+
+// Validade do link de redefinição de senha
+const REDEFINICAO_SENHA_MINUTOS = parseInt(process.env.RESET_SENHA_VALIDADE_MINUTOS || '60', 10);
+
+// Validade do link de verificação de e-mail
+const VERIFICACAO_EMAIL_HORAS = parseInt(process.env.VERIFICACAO_EMAIL_VALIDADE_HORAS || '24', 10);
+
+/**
+ * Emite um novo token de verificação e envia o e-mail de confirmação
+ * @param {Object} user - Usuário (id, nome, email)
+ */
+const enviarVerificacaoEmail = async (user) => {
+    const token = await TokenUsuario.criar(user.id, 'verificacao_email', VERIFICACAO_EMAIL_HORAS * 60);
+    await enviarEmail(emailVerificacao(user, token, VERIFICACAO_EMAIL_HORAS));
+};
+
+/**
+ * Identifica o dispositivo que abriu/renovou a sessão
+ * @param {Object} req - Request object
+ * @returns {Object} user_agent e ip
+ */
+const dispositivoDe = (req) => ({
+    user_agent: req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 255) : null,
+    ip: req.ip || null
+});
+
+/**
+ * Responde que a conta está temporariamente bloqueada por excesso de falhas
+ * @param {Object} res - Response object
+ * @param {number} segundos - Segundos restantes de bloqueio
+ */
+const responderBloqueio = (res, segundos) => {
+    res.setHeader('Retry-After', segundos);
+    return res.status(429).json({
+        success: false,
+        message: `Muitas tentativas incorretas. Tente novamente em ${Math.ceil(segundos / 60)} minuto(s)`
+    });
+};
+
+/**
+ * Confere de novo a senha do usuário autenticado antes de uma ação sensível,
+ * com o mesmo bloqueio progressivo do login (as falhas contam para o login
+ * do mesmo IP)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} user - Usuário com o hash da senha (ou null)
+ * @param {string} senha - Senha informada
+ * @param {string} mensagem - Mensagem de erro para senha incorreta
+ * @returns {boolean} True se confirmada; se não, a resposta de erro já foi enviada
+ */
+const confirmarSenha = async (req, res, user, senha, mensagem) => {
+    const { bloqueio: conta } = chaveLogin(user.email, req.ip);
+    
+    const bloqueio = await segundosBloqueio(conta);
+    if (bloqueio > 0) {
+        responderBloqueio(res, bloqueio);
+        return false;
+    }
+    
+    if (!(await User.comparePassword(senha, user.senha))) {
+        const bloqueioAplicado = await registrarFalha(conta);
+        if (bloqueioAplicado > 0) {
+            responderBloqueio(res, bloqueioAplicado);
+        } else {
+            res.status(401).json({
+                success: false,
+                message: mensagem
+            });
+        }
+        return false;
+    }
+    
+    await limparFalhas(conta);
+    return true;
+};
+
+/**
+ * Confere um código 2FA (ou de recuperação) do usuário autenticado antes de uma
+ * ação sensível, com o mesmo bloqueio progressivo do login em dois fatores
+ * @param {Object} res - Response object
+ * @param {string} userId - ID do usuário
+ * @param {string} codigo - Código informado
+ * @param {string} mensagem - Mensagem de erro para código inválido
+ * @returns {boolean} True se confirmado; se não, a resposta de erro já foi enviada
+ */
+const confirmarCodigo2fa = async (res, userId, codigo, mensagem) => {
+    const conta = `2fa:${userId}`;
+    
+    const bloqueio = await segundosBloqueio(conta);
+    if (bloqueio > 0) {
+        responderBloqueio(res, bloqueio);
+        return false;
+    }
+    
+    if (!codigo || !(await DoisFatores.verificar(userId, codigo))) {
+        const bloqueioAplicado = await registrarFalha(conta);
+        if (bloqueioAplicado > 0) {
+            responderBloqueio(res, bloqueioAplicado);
+        } else {
+            res.status(401).json({
+                success: false,
+                message: mensagem
+            });
+        }
+        return false;
+    }
+    
+    await limparFalhas(conta);
+    return true;
+};
+
+/**
+ * Abre a sessão do usuário autenticado e responde com usuário, perfil e tokens
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} user - Usuário autenticado
+ */
+const concluirLogin = async (req, res, user) => {
+    // Busca o perfil
+    const profile = await Profile.findByUserId(user.id);
+    
+    // Abre a sessão do dispositivo (access token + refresh token)
+    const { tokens, error: sessaoError } = await Sessao.criar(user.id, dispositivoDe(req));
+    
+    if (sessaoError) {
+        return res.status(500).json({
+            success: false,
+            message: 'Erro ao iniciar sessão'
+        });
+    }
+    
+    return res.status(200).json({
+        success: true,
+        message: 'Login realizado com sucesso',
+        data: {
+            user: {
+                id: user.id,
+                nome: user.nome,
+                email: user.email,
+                email_verificado: Boolean(user.email_verificado_em),
+                exclusao_agendada_para: user.exclusao_agendada_para || null
+            },
+            profile: profile ? {
+                id: profile.id,
+                nome: profile.nome,
+                avatar_url: profile.avatar_url,
+                salario: profile.salario,
+                metodo_pagamento: profile.metodo_pagamento,
+                subsalario: profile.subsalario,
+                conta_salario_id: profile.conta_salario_id,
+                category_salario_id: profile.category_salario_id,
+                active: profile.active
+            } : null,
+            ...tokens
+        }
+    });
+};
 
 export class AuthController {
     /**
@@ -45,12 +232,22 @@ export class AuthController {
                 });
             }
             
-            // Gera token JWT
-            const token = jwt.sign(
-                { userId: user.id },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+            // Envia a confirmação do e-mail; uma falha aqui não impede o cadastro (há reenvio)
+            try {
+                await enviarVerificacaoEmail(user);
+            } catch (emailError) {
+                console.error('Erro ao enviar verificação de e-mail:', emailError);
+            }
+            
+            // Abre a sessão do dispositivo (access token + refresh token)
+            const { tokens, error: sessaoError } = await Sessao.criar(user.id, dispositivoDe(req));
+            
+            if (sessaoError) {
+                return res.status(500).json({
+                    success: false,
+                    message: 'Erro ao iniciar sessão'
+                });
+            }
             
             return res.status(201).json({
                 success: true,
@@ -59,7 +256,8 @@ export class AuthController {
                     user: {
                         id: user.id,
                         nome: user.nome,
-                        email: user.email
+                        email: user.email,
+                        email_verificado: Boolean(user.email_verificado_em)
                     },
                     profile: {
                         id: profile.id,
@@ -68,9 +266,11 @@ export class AuthController {
                         salario: profile.salario,
                         metodo_pagamento: profile.metodo_pagamento,
                         subsalario: profile.subsalario,
+                        conta_salario_id: profile.conta_salario_id,
+                        category_salario_id: profile.category_salario_id,
                         active: profile.active
                     },
-                    token
+                    ...tokens
                 }
             });
             
@@ -100,55 +300,206 @@ export class AuthController {
             // Valida os dados de entrada
             const validatedData = loginSchema.parse(req.body);
             const { email, senha } = validatedData;
+            const { bloqueio: conta, atraso: contaEmail } = chaveLogin(email, req.ip);
+            
+            // E-mail bloqueado para este IP por falhas seguidas
+            const bloqueio = await segundosBloqueio(conta);
+            if (bloqueio > 0) {
+                return responderBloqueio(res, bloqueio);
+            }
+            
+            // Falhas do e-mail vindas de outros IPs só atrasam a resposta
+            const atraso = await atrasoFalhas(contaEmail);
+            if (atraso > 0) {
+                await esperar(atraso);
+            }
             
-            // Busca o usuário
+            // Busca o usuário e verifica a senha
             const user = await User.findByEmail(email);
-            if (!user) {
+            const isPasswordValid = Boolean(user) && await User.comparePassword(senha, user.senha);
+            if (!isPasswordValid) {
+                await registrarFalhaAtraso(contaEmail);
+                const bloqueioAplicado = await registrarFalha(conta);
+                if (bloqueioAplicado > 0) {
+                    return responderBloqueio(res, bloqueioAplicado);
+                }
+                
                 return res.status(401).json({
                     success: false,
                     message: 'Email ou senha incorretos'
                 });
             }
             
-            // Verifica a senha
-            const isPasswordValid = await User.comparePassword(senha, user.senha);
-            if (!isPasswordValid) {
+            await limparFalhas(conta);
+            await limparFalhas(contaEmail);
+            
+            // Com 2FA ativo, a sessão só é aberta depois do segundo fator
+            if (user.totp_ativado_em) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Informe o código de autenticação em dois fatores',
+                    data: {
+                        requer_2fa: true,
+                        desafio_token: gerarDesafio2fa(user.id)
+                    }
+                });
+            }
+            
+            return await concluirLogin(req, res, user);
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+            
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Conclui o login com o código do app autenticador ou um código de recuperação
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async login2fa(req, res) {
+        try {
+            const { desafio_token, codigo } = login2faSchema.parse(req.body);
+            
+            const userId = verificarDesafio2fa(desafio_token);
+            
+            if (!userId) {
                 return res.status(401).json({
                     success: false,
-                    message: 'Email ou senha incorretos'
+                    message: 'Desafio inválido ou expirado; faça login novamente'
+                });
+            }
+            
+            const conta = `2fa:${userId}`;
+            
+            const bloqueio = await segundosBloqueio(conta);
+            if (bloqueio > 0) {
+                return responderBloqueio(res, bloqueio);
+            }
+            
+            const codigoValido = await DoisFatores.verificar(userId, codigo);
+            
+            if (!codigoValido) {
+                const bloqueioAplicado = await registrarFalha(conta);
+                if (bloqueioAplicado > 0) {
+                    return responderBloqueio(res, bloqueioAplicado);
+                }
+                
+                return res.status(401).json({
+                    success: false,
+                    message: 'Código inválido'
+                });
+            }
+            
+            await limparFalhas(conta);
+            
+            const user = await User.findById(userId);
+            
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+            
+            return await concluirLogin(req, res, user);
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
                 });
             }
             
-            // Busca o perfil
-            const profile = await Profile.findByUserId(user.id);
+            console.error('Erro no controller login2fa:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Inicia o cadastro do 2FA, retornando o segredo e a URI otpauth para o QR code
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async iniciar2fa(req, res) {
+        try {
+            const { cadastro, error } = await DoisFatores.iniciarCadastro(req.user);
             
-            // Gera token JWT
-            const token = jwt.sign(
-                { userId: user.id },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
             
             return res.status(200).json({
                 success: true,
-                message: 'Login realizado com sucesso',
-                data: {
-                    user: {
-                        id: user.id,
-                        nome: user.nome,
-                        email: user.email
-                    },
-                    profile: profile ? {
-                        id: profile.id,
-                        nome: profile.nome,
-                        avatar_url: profile.avatar_url,
-                        salario: profile.salario,
-                        metodo_pagamento: profile.metodo_pagamento,
-                        subsalario: profile.subsalario,
-                        active: profile.active
-                    } : null,
-                    token
+                message: 'Escaneie o QR code no app autenticador e confirme com o primeiro código',
+                data: cadastro
+            });
+            
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Confirma o cadastro do 2FA com o primeiro código e retorna os códigos de recuperação
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async confirmar2fa(req, res) {
+        try {
+            const { codigo } = codigo2faSchema.parse(req.body);
+            const conta = `2fa:${req.user.id}`;
+            
+            // Mesmo bloqueio progressivo do login em dois fatores
+            const bloqueio = await segundosBloqueio(conta);
+            if (bloqueio > 0) {
+                return responderBloqueio(res, bloqueio);
+            }
+            
+            const { codigos, error, codigoInvalido } = await DoisFatores.confirmarCadastro(req.user.id, codigo);
+            
+            if (codigoInvalido) {
+                const bloqueioAplicado = await registrarFalha(conta);
+                if (bloqueioAplicado > 0) {
+                    return responderBloqueio(res, bloqueioAplicado);
                 }
+            }
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            await limparFalhas(conta);
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Autenticação em dois fatores ativada. Guarde os códigos de recuperação em local seguro',
+                data: { codigos_recuperacao: codigos }
             });
             
         } catch (error) {
@@ -168,44 +519,65 @@ export class AuthController {
     }
     
     /**
-     * Retorna o perfil do usuário autenticado
+     * Gera novos códigos de recuperação (os anteriores deixam de valer)
      * @param {Object} req - Request object
      * @param {Object} res - Response object
      */
-    static async getProfile(req, res) {
+    static async regerarCodigosRecuperacao(req, res) {
         try {
-            // Busca o perfil do usuário
-            const profile = await Profile.findByUserId(req.user.id);
+            const { codigo } = codigo2faSchema.parse(req.body);
             
-            if (!profile) {
-                return res.status(404).json({
+            if (!(await confirmarCodigo2fa(res, req.user.id, codigo, 'Código inválido'))) {
+                return;
+            }
+            
+            const codigos = await DoisFatores.gerarCodigosRecuperacao(req.user.id);
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Novos códigos de recuperação gerados',
+                data: { codigos_recuperacao: codigos }
+            });
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
                     success: false,
-                    message: 'Perfil não encontrado'
+                    message: 'Dados inválidos',
+                    errors: error.errors
                 });
             }
             
+            console.error('Erro no controller regerarCodigosRecuperacao:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Retorna se o 2FA está ativo e quantos códigos de recuperação restam
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getStatus2fa(req, res) {
+        try {
+            const estado = await DoisFatores.getEstado(req.user.id);
+            const ativo = Boolean(estado.totp_ativado_em);
+            
             return res.status(200).json({
                 success: true,
-                message: 'Perfil encontrado com sucesso',
+                message: 'Status da autenticação em dois fatores',
                 data: {
-                    user: {
-                        id: req.user.id,
-                        nome: req.user.nome,
-                        email: req.user.email
-                    },
-                    profile: {
-                        id: profile.id,
-                        nome: profile.nome,
-                        avatar_url: profile.avatar_url,
-                        salario: profile.salario,
-                        metodo_pagamento: profile.metodo_pagamento,
-                        subsalario: profile.subsalario,
-                        active: profile.active
-                    }
+                    ativo,
+                    ativado_em: estado.totp_ativado_em,
+                    codigos_recuperacao_restantes: ativo ? await DoisFatores.countCodigosRestantes(req.user.id) : 0
                 }
             });
             
         } catch (error) {
+            console.error('Erro no controller getStatus2fa:', error);
             return res.status(500).json({
                 success: false,
                 message: 'Erro interno do servidor'
@@ -214,14 +586,644 @@ export class AuthController {
     }
     
     /**
-     * Atualiza o perfil do usuário autenticado
+     * Desativa o 2FA, exigindo a senha e um código válido
      * @param {Object} req - Request object
      * @param {Object} res - Response object
      */
-    static async updateProfile(req, res) {
+    static async desativar2fa(req, res) {
         try {
-            // Valida os dados de entrada
-            const validatedData = updateProfileSchema.parse(req.body);
+            const { senha, codigo } = desativar2faSchema.parse(req.body);
+            
+            const user = await User.findByEmail(req.user.email);
+            
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+            
+            if (!(await confirmarSenha(req, res, user, senha, 'Senha ou código inválido'))
+                || !(await confirmarCodigo2fa(res, user.id, codigo, 'Senha ou código inválido'))) {
+                return;
+            }
+            
+            const { error } = await DoisFatores.desativar(req.user.id);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Autenticação em dois fatores desativada'
+            });
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+            
+            console.error('Erro no controller desativar2fa:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Renova o access token a partir do refresh token, emitindo um novo refresh token
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async refresh(req, res) {
+        try {
+            const { refresh_token } = refreshTokenSchema.parse(req.body);
+            
+            const { tokens, error } = await Sessao.renovar(refresh_token, dispositivoDe(req));
+            
+            if (error) {
+                return res.status(401).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Sessão renovada com sucesso',
+                data: tokens
+            });
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+            
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Encerra a sessão atual
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async logout(req, res) {
+        try {
+            const { success, error } = await Sessao.revogar(req.sessaoId, req.user.id);
+            
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Logout realizado com sucesso'
+            });
+            
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Encerra todas as sessões do usuário, em todos os dispositivos
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async logoutAll(req, res) {
+        try {
+            const { revogadas, error } = await Sessao.revogarTodas(req.user.id);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Todas as sessões foram encerradas',
+                data: { revogadas }
+            });
+            
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Lista as sessões ativas do usuário, indicando a atual
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getSessoes(req, res) {
+        try {
+            const sessoes = await Sessao.findAtivasByUserId(req.user.id);
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Sessões listadas com sucesso',
+                data: {
+                    sessoes: sessoes.map(sessao => ({
+                        ...sessao,
+                        atual: sessao.id === req.sessaoId
+                    })),
+                    total: sessoes.length
+                }
+            });
+            
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Revoga uma sessão específica do usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async revogarSessao(req, res) {
+        try {
+            const { id } = req.params;
+            
+            const { success, error } = await Sessao.revogar(id, req.user.id);
+            
+            if (!success) {
+                return res.status(404).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Sessão encerrada com sucesso'
+            });
+            
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Envia por e-mail o link de redefinição de senha.
+     * A resposta é a mesma exista ou não o e-mail, para não revelar contas cadastradas.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async esqueciSenha(req, res) {
+        try {
+            const { email } = esqueciSenhaSchema.parse(req.body);
+            
+            const user = await User.findByEmail(email);
+            
+            if (user) {
+                const token = await TokenUsuario.criar(user.id, 'redefinicao_senha', REDEFINICAO_SENHA_MINUTOS);
+                await enviarEmail(emailRedefinicaoSenha(user, token, REDEFINICAO_SENHA_MINUTOS));
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Se o email estiver cadastrado, você receberá as instruções para redefinir a senha'
+            });
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+            
+            console.error('Erro no controller esqueciSenha:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Redefine a senha com o token recebido por e-mail e encerra todas as sessões
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async redefinirSenha(req, res) {
+        try {
+            const { token, senha } = redefinirSenhaSchema.parse(req.body);
+            
+            const userId = await TokenUsuario.consumir(token, 'redefinicao_senha');
+            
+            if (!userId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token inválido ou expirado'
+                });
+            }
+            
+            const { error } = await User.updatePassword(userId, senha);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            await Sessao.revogarTodas(userId);
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Senha redefinida com sucesso'
+            });
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+            
+            console.error('Erro no controller redefinirSenha:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Altera a senha do usuário autenticado, mantendo apenas a sessão atual
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async alterarSenha(req, res) {
+        try {
+            const { senha_atual, nova_senha } = alterarSenhaSchema.parse(req.body);
+            
+            const user = await User.findByEmail(req.user.email);
+            
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+            
+            if (!(await confirmarSenha(req, res, user, senha_atual, 'Senha atual incorreta'))) {
+                return;
+            }
+            
+            const { error } = await User.updatePassword(user.id, nova_senha);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            // Links de redefinição pendentes e outros dispositivos deixam de valer
+            await TokenUsuario.invalidar(user.id, 'redefinicao_senha');
+            await Sessao.revogarTodas(user.id, req.sessaoId);
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Senha alterada com sucesso'
+            });
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+            
+            console.error('Erro no controller alterarSenha:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Confirma o e-mail do usuário pelo token enviado no cadastro
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async verificarEmail(req, res) {
+        try {
+            const { token } = req.params;
+            
+            const userId = await TokenUsuario.consumir(token, 'verificacao_email');
+            
+            if (!userId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token inválido ou expirado'
+                });
+            }
+            
+            const { error } = await User.marcarEmailVerificado(userId);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Email verificado com sucesso'
+            });
+            
+        } catch (error) {
+            console.error('Erro no controller verificarEmail:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Reenvia o e-mail de verificação para o usuário autenticado
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async reenviarVerificacao(req, res) {
+        try {
+            if (req.user.email_verificado_em) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email já verificado'
+                });
+            }
+            
+            await enviarVerificacaoEmail(req.user);
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Email de verificação reenviado'
+            });
+            
+        } catch (error) {
+            console.error('Erro no controller reenviarVerificacao:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Exporta todos os dados do usuário (LGPD) em JSON ou ZIP
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async meusDados(req, res) {
+        try {
+            const { formato } = meusDadosSchema.parse(req.query);
+            
+            const dados = await DadosPessoais.coletar(req.user.id);
+            const nomeArquivo = `grana-zen-meus-dados-${hoje()}`;
+            
+            if (formato === 'zip') {
+                res.status(200);
+                res.setHeader('Content-Type', 'application/zip');
+                res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}.zip"`);
+                return await DadosPessoais.gerarZip(res, dados);
+            }
+            
+            res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}.json"`);
+            return res.status(200).json({
+                success: true,
+                message: 'Dados exportados com sucesso',
+                data: dados
+            });
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+            
+            console.error('Erro no controller meusDados:', error);
+            
+            if (res.headersSent) {
+                return res.end();
+            }
+            
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Agenda a exclusão da conta após o período de carência, confirmando a senha
+     * (e o código 2FA, se ativo). Todas as sessões são encerradas.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async excluirConta(req, res) {
+        try {
+            const { senha, codigo } = excluirContaSchema.parse(req.body);
+            
+            const user = await User.findByEmail(req.user.email);
+            
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+            
+            if (!(await confirmarSenha(req, res, user, senha, 'Senha incorreta'))) {
+                return;
+            }
+            
+            if (user.totp_ativado_em
+                && !(await confirmarCodigo2fa(res, user.id, codigo, 'Código de autenticação em dois fatores inválido'))) {
+                return;
+            }
+            
+            const { exclusao_agendada_para, error } = await DadosPessoais.agendarExclusao(user.id);
+            
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: `Conta agendada para exclusão em ${CARENCIA_EXCLUSAO_DIAS} dias. Faça login e cancele até lá para mantê-la`,
+                data: { exclusao_agendada_para }
+            });
+            
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+            
+            console.error('Erro no controller excluirConta:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Cancela a exclusão de conta agendada
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async cancelarExclusaoConta(req, res) {
+        try {
+            const { success, error } = await DadosPessoais.cancelarExclusao(req.user.id);
+            
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Exclusão da conta cancelada'
+            });
+            
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Retorna o perfil do usuário autenticado
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getProfile(req, res) {
+        try {
+            // Busca o perfil do usuário
+            const profile = await Profile.findByUserId(req.user.id);
+            
+            if (!profile) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Perfil não encontrado'
+                });
+            }
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Perfil encontrado com sucesso',
+                data: {
+                    user: {
+                        id: req.user.id,
+                        nome: req.user.nome,
+                        email: req.user.email,
+                        email_verificado: Boolean(req.user.email_verificado_em)
+                    },
+                    profile: {
+                        id: profile.id,
+                        nome: profile.nome,
+                        avatar_url: profile.avatar_url,
+                        salario: profile.salario,
+                        metodo_pagamento: profile.metodo_pagamento,
+                        subsalario: profile.subsalario,
+                        conta_salario_id: profile.conta_salario_id,
+                        category_salario_id: profile.category_salario_id,
+                        active: profile.active
+                    }
+                }
+            });
+            
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+    
+    /**
+     * Atualiza o perfil do usuário autenticado
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async updateProfile(req, res) {
+        try {
+            // Valida os dados de entrada
+            const validatedData = updateProfileSchema.parse(req.body);
+
+            // O salário cai em uma conta pessoal que guarda saldo
+            if (validatedData.conta_salario_id) {
+                const contas = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
+                const conta = contas.find(acc => acc.id === validatedData.conta_salario_id);
+
+                if (!conta || conta.grupo_id || ['cartao_credito', 'emprestimo'].includes(conta.tipo_conta)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Conta de salário deve ser uma conta pessoal que guarda saldo'
+                    });
+                }
+            }
             
             // Atualiza o perfil
             const { profile, error } = await Profile.update(req.user.id, validatedData);
@@ -244,6 +1246,8 @@ export class AuthController {
                         salario: profile.salario,
                         metodo_pagamento: profile.metodo_pagamento,
                         subsalario: profile.subsalario,
+                        conta_salario_id: profile.conta_salario_id,
+                        category_salario_id: profile.category_salario_id,
                         active: profile.active
                     }
                 }
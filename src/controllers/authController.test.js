@@ -0,0 +1,95 @@
+// authController.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'teste';
+
+const { AuthController } = await import('./authController.js');
+const { User } = await import('../models/User.js');
+const { DoisFatores } = await import('../models/DoisFatores.js');
+
+const resposta = () => {
+    const res = { headers: {} };
+    res.status = (codigo) => { res.codigo = codigo; return res; };
+    res.json = (corpo) => { res.corpo = corpo; return res; };
+    res.setHeader = (nome, valor) => { res.headers[nome] = valor; };
+    return res;
+};
+
+const executar = async (acao, req) => {
+    const res = resposta();
+    await AuthController[acao]({ headers: {}, params: {}, query: {}, ...req }, res);
+    return res;
+};
+
+describe('AuthController.login - bloqueio por falhas', () => {
+    afterEach(() => mock.restoreAll());
+
+    const simularUsuario = (email) => {
+        mock.method(User, 'findByEmail', async () => ({ id: 'usuario-1', email, senha: 'hash' }));
+        mock.method(User, 'comparePassword', async (senha) => senha === 'certa');
+    };
+
+    const tentar = (email, ip, senha = 'errada') => executar('login', { ip, body: { email, senha } });
+
+    it('bloqueia o e-mail só para o IP que errou a senha', async () => {
+        const email = 'vitima-ip@exemplo.com';
+        simularUsuario(email);
+
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await tentar(email, '10.0.0.1')).codigo, 401);
+        }
+        const bloqueado = await tentar(email, '10.0.0.1');
+        assert.equal(bloqueado.codigo, 429);
+        assert.ok(bloqueado.headers['Retry-After'] > 0);
+        assert.equal((await tentar(email, '10.0.0.1', 'certa')).codigo, 429);
+
+        // De outro IP a conta continua acessível (as falhas só atrasam a resposta)
+        assert.equal((await tentar(email, '10.0.0.2')).codigo, 401);
+    });
+
+    it('e-mail inexistente conta falhas como um existente', async () => {
+        const email = 'inexistente@exemplo.com';
+        mock.method(User, 'findByEmail', async () => null);
+
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await tentar(email, '10.0.0.3')).codigo, 401);
+        }
+        assert.equal((await tentar(email, '10.0.0.3')).codigo, 429);
+    });
+});
+
+describe('AuthController.confirmar2fa - bloqueio por falhas', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('bloqueia novas tentativas de código após falhas seguidas', async () => {
+        const confirmar = mock.method(DoisFatores, 'confirmarCadastro', async () => ({
+            codigos: null,
+            error: 'Código inválido',
+            codigoInvalido: true
+        }));
+        const req = { user: { id: 'usuario-2fa' }, body: { codigo: '123456' } };
+
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await executar('confirmar2fa', req)).codigo, 400);
+        }
+        assert.equal((await executar('confirmar2fa', req)).codigo, 429);
+
+        const chamadas = confirmar.mock.callCount();
+        assert.equal((await executar('confirmar2fa', req)).codigo, 429);
+        assert.equal(confirmar.mock.callCount(), chamadas);
+    });
+
+    it('erros que não são de código não contam para o bloqueio', async () => {
+        mock.method(DoisFatores, 'confirmarCadastro', async () => ({
+            codigos: null,
+            error: 'Inicie o cadastro da autenticação em dois fatores'
+        }));
+        const req = { user: { id: 'usuario-sem-cadastro' }, body: { codigo: '123456' } };
+
+        for (let i = 0; i < 6; i++) {
+            assert.equal((await executar('confirmar2fa', req)).codigo, 400);
+        }
+    });
+});
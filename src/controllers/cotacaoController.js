@@ -0,0 +1,159 @@
+// cotacaoController.js
+import { Cotacao } from '../models/Cotacao.js';
+import {
+    cotacoesSchema,
+    importacaoCotacoesSchema,
+    cotacoesFiltersSchema
+} from '../utils/financeValidators.js';
+
+export class CotacaoController {
+    /**
+     * Lista as cotações do usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async list(req, res) {
+        try {
+            const filters = cotacoesFiltersSchema.parse(req.query);
+            const [cotacoes, { moedaBase }] = await Promise.all([
+                Cotacao.findByUserId(req.user.id, filters),
+                Cotacao.getMoedaBase(req.user.id)
+            ]);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Cotações listadas com sucesso',
+                data: {
+                    cotacoes,
+                    moeda_base: moedaBase,
+                    total: cotacoes.length
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller list cotações:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Cadastra cotações manualmente (substitui a do mesmo par e data)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async salvar(req, res) {
+        try {
+            const { cotacoes: dados } = cotacoesSchema.parse(req.body);
+            const { cotacoes, error } = await Cotacao.salvar(req.user.id, dados, 'manual');
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Cotações salvas com sucesso',
+                data: { cotacoes }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller salvar cotações:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Importa cotações de um arquivo CSV
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async importar(req, res) {
+        try {
+            const validatedData = importacaoCotacoesSchema.parse(req.body);
+            const { importacao, error } = await Cotacao.importar(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Cotações importadas com sucesso',
+                data: { importacao }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller importar cotações:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Remove uma cotação
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async delete(req, res) {
+        try {
+            const { success, error } = await Cotacao.delete(req.params.id, req.user.id);
+
+            if (!success) {
+                return res.status(404).json({
+                    success: false,
+                    message: error || 'Cotação não encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Cotação removida com sucesso'
+            });
+
+        } catch (error) {
+            console.error('Erro no controller delete cotação:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
@@ -1,12 +1,59 @@
 // despesaController.js
 import { Despesa } from '../models/Despesa.js';
 import { FinanceData } from '../models/FinanceData.js';
+import { Regra } from '../models/Regra.js';
+import { Fatura } from '../models/Fatura.js';
 import { 
     despesaSchema, 
     updateDespesaSchema, 
     financeFiltersSchema 
 } from '../utils/financeValidators.js';
 
+/**
+ * Confere um pagamento de fatura: o cartão de origem precisa ser um cartão de crédito
+ * em que o usuário pode lançar, a conta paga não pode ser cartão e a fatura, se
+ * informada, precisa ser do cartão e ter saldo para o valor
+ * @param {string} userId - ID do usuário
+ * @param {Object} despesa - account_id, cartao_origem_id, fatura_id e valor do pagamento
+ * @param {Array} userAccounts - Contas em que o usuário pode lançar
+ * @param {number} valorJaPago - Parte do saldo da fatura já paga por esta despesa
+ * @returns {string} Mensagem de erro ou null se válido
+ */
+const validarPagamentoFatura = async (userId, despesa, userAccounts, valorJaPago = 0) => {
+    if (!despesa.cartao_origem_id) {
+        return 'Para pagamento de fatura, informe o cartão de origem';
+    }
+
+    const cartaoExists = userAccounts.find(acc =>
+        acc.id === despesa.cartao_origem_id &&
+        acc.tipo_conta === 'cartao_credito'
+    );
+
+    if (!cartaoExists) {
+        return 'Cartão de origem não encontrado ou não é um cartão de crédito';
+    }
+
+    // Não permite que conta de destino seja cartão de crédito
+    const conta = userAccounts.find(acc => acc.id === despesa.account_id);
+    if (conta?.tipo_conta === 'cartao_credito') {
+        return 'Não é possível pagar fatura usando outro cartão de crédito';
+    }
+
+    if (despesa.fatura_id) {
+        const fatura = await Fatura.findById(despesa.fatura_id, userId);
+
+        if (!fatura || fatura.account_id !== despesa.cartao_origem_id) {
+            return 'Fatura não encontrada para o cartão de origem';
+        }
+
+        if (parseFloat(despesa.valor) > fatura.valor_restante + valorJaPago) {
+            return 'Valor do pagamento excede o saldo restante da fatura';
+        }
+    }
+
+    return null;
+};
+
 export class DespesaController {
     /**
      * Cria uma nova despesa
@@ -15,11 +62,11 @@ export class DespesaController {
      */
     static async create(req, res) {
         try {
-            // Valida os dados de entrada
-            const validatedData = despesaSchema.parse(req.body);
+            // Valida os dados de entrada e aplica as regras de categorização do usuário
+            const validatedData = await Regra.categorizar(req.user.id, 'despesa', despesaSchema.parse(req.body));
 
             // Verifica se a conta existe e pertence ao usuário
-            const userAccounts = await FinanceData.getUserAccounts(req.user.id);
+            const userAccounts = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
             const accountExists = userAccounts.find(acc => acc.id === validatedData.account_id);
             
             if (!accountExists) {
@@ -31,33 +78,41 @@ export class DespesaController {
 
             // Validação específica para pagamento de fatura
             if (validatedData.eh_pagamento_fatura) {
-                if (!validatedData.cartao_origem_id) {
+                const pagamentoError = await validarPagamentoFatura(req.user.id, validatedData, userAccounts);
+                if (pagamentoError) {
                     return res.status(400).json({
                         success: false,
-                        message: 'Para pagamento de fatura, informe o cartão de origem'
+                        message: pagamentoError
                     });
                 }
+            } else {
+                // Compras são vinculadas à fatura pelo ciclo do cartão
+                delete validatedData.fatura_id;
+            }
 
-                // Verifica se o cartão existe e pertence ao usuário
-                const cartaoExists = userAccounts.find(acc => 
-                    acc.id === validatedData.cartao_origem_id && 
-                    acc.tipo_conta === 'cartao_credito'
-                );
-                
-                if (!cartaoExists) {
+            // Compras parceladas só são permitidas em cartão de crédito
+            if (validatedData.parcelas) {
+                if (validatedData.eh_pagamento_fatura || accountExists.tipo_conta !== 'cartao_credito') {
                     return res.status(400).json({
                         success: false,
-                        message: 'Cartão de origem não encontrado ou não é um cartão de crédito'
+                        message: 'Parcelamento só é permitido para compras em cartão de crédito'
                     });
                 }
 
-                // Não permite que conta de destino seja cartão de crédito
-                if (accountExists.tipo_conta === 'cartao_credito') {
+                const { despesa, parcelas, error } = await Despesa.createParcelada(req.user.id, validatedData);
+
+                if (error) {
                     return res.status(400).json({
                         success: false,
-                        message: 'Não é possível pagar fatura usando outro cartão de crédito'
+                        message: error
                     });
                 }
+
+                return res.status(201).json({
+                    success: true,
+                    message: 'Despesa parcelada criada com sucesso',
+                    data: { despesa, parcelas }
+                });
             }
 
             // Cria a despesa
@@ -150,6 +205,14 @@ export class DespesaController {
                 });
             }
 
+            // Inclui as demais parcelas quando a despesa faz parte de um parcelamento
+            if (despesa.total_parcelas) {
+                despesa.parcelas = await Despesa.findParcelas(
+                    despesa.despesa_pai_id || despesa.id,
+                    req.user.id
+                );
+            }
+
             return res.status(200).json({
                 success: true,
                 message: 'Despesa encontrada com sucesso',
@@ -175,7 +238,7 @@ export class DespesaController {
             const { id } = req.params;
 
             // Verifica se despesa existe
-            const despesaExistente = await Despesa.findById(id, req.user.id);
+            const despesaExistente = await Despesa.findById(id, req.user.id, { escrita: true });
             if (!despesaExistente) {
                 return res.status(404).json({
                     success: false,
@@ -186,9 +249,10 @@ export class DespesaController {
             // Valida dados de atualização
             const validatedData = updateDespesaSchema.parse(req.body);
 
+            const userAccounts = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
+
             // Se mudou a conta, verifica se a nova conta existe
             if (validatedData.account_id && validatedData.account_id !== despesaExistente.account_id) {
-                const userAccounts = await FinanceData.getUserAccounts(req.user.id);
                 const accountExists = userAccounts.find(acc => acc.id === validatedData.account_id);
                 
                 if (!accountExists) {
@@ -199,6 +263,35 @@ export class DespesaController {
                 }
             }
 
+            // Pagamento de fatura (novo ou alterado) passa pelas mesmas verificações da criação
+            const despesaNova = { ...despesaExistente, ...validatedData };
+            const alteraPagamento = ['eh_pagamento_fatura', 'cartao_origem_id', 'fatura_id', 'account_id', 'valor']
+                .some(campo => validatedData[campo] !== undefined);
+
+            if (despesaNova.eh_pagamento_fatura && alteraPagamento) {
+                const valorJaPago = despesaExistente.eh_pagamento_fatura && despesaExistente.fatura_id === despesaNova.fatura_id
+                    ? parseFloat(despesaExistente.valor)
+                    : 0;
+
+                const pagamentoError = await validarPagamentoFatura(req.user.id, despesaNova, userAccounts, valorJaPago);
+                if (pagamentoError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: pagamentoError
+                    });
+                }
+            }
+
+            if (!despesaNova.eh_pagamento_fatura) {
+                // Compras são vinculadas à fatura pelo ciclo do cartão
+                delete validatedData.fatura_id;
+                delete validatedData.cartao_origem_id;
+
+                if (despesaExistente.eh_pagamento_fatura) {
+                    validatedData.cartao_origem_id = null;
+                }
+            }
+
             // Atualiza a despesa
             const { despesa, error } = await Despesa.update(id, req.user.id, validatedData);
 
@@ -274,7 +367,7 @@ export class DespesaController {
             const { tags } = req.body;
 
             // Verifica se despesa existe
-            const despesa = await Despesa.findById(id, req.user.id);
+            const despesa = await Despesa.findById(id, req.user.id, { escrita: true });
             if (!despesa) {
                 return res.status(404).json({
                     success: false,
@@ -345,7 +438,8 @@ export class DespesaController {
             const resumo = await Despesa.getResumoMensal(
                 req.user.id, 
                 parseInt(mes), 
-                parseInt(ano)
+                parseInt(ano),
+                req.grupoId
             );
 
             if (!resumo) {
@@ -0,0 +1,152 @@
+// despesaController.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'teste';
+
+const { DespesaController } = await import('./despesaController.js');
+const { Despesa } = await import('../models/Despesa.js');
+const { FinanceData } = await import('../models/FinanceData.js');
+const { Fatura } = await import('../models/Fatura.js');
+const { Regra } = await import('../models/Regra.js');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const CORRENTE = '22222222-2222-4222-8222-222222222222';
+const CARTAO = '33333333-3333-4333-8333-333333333333';
+const CARTAO_ALHEIO = '44444444-4444-4444-8444-444444444444';
+const FATURA = '55555555-5555-4555-8555-555555555555';
+const FATURA_ALHEIA = '66666666-6666-4666-8666-666666666666';
+
+const contas = [
+    { id: CORRENTE, tipo_conta: 'corrente' },
+    { id: CARTAO, tipo_conta: 'cartao_credito' }
+];
+
+const faturas = {
+    [FATURA]: { id: FATURA, account_id: CARTAO, valor_restante: 500 }
+};
+
+const pagamento = {
+    id: 'despesa-1',
+    account_id: CORRENTE,
+    valor: '200',
+    eh_pagamento_fatura: true,
+    cartao_origem_id: CARTAO,
+    fatura_id: FATURA
+};
+
+const compra = {
+    id: 'despesa-2',
+    account_id: CORRENTE,
+    valor: '50',
+    eh_pagamento_fatura: false,
+    cartao_origem_id: null,
+    fatura_id: null
+};
+
+const resposta = () => {
+    const res = {};
+    res.status = (codigo) => { res.codigo = codigo; return res; };
+    res.json = (corpo) => { res.corpo = corpo; return res; };
+    return res;
+};
+
+const executar = async (acao, body, params = {}) => {
+    const res = resposta();
+    await DespesaController[acao]({ user: { id: USER }, body, params, query: {} }, res);
+    return res;
+};
+
+describe('DespesaController - pagamento de fatura', () => {
+    let atualizacoes;
+
+    beforeEach(() => {
+        atualizacoes = [];
+        mock.method(FinanceData, 'getUserAccounts', async () => contas);
+        mock.method(Fatura, 'findById', async (id) => faturas[id] || null);
+        mock.method(Regra, 'categorizar', async (userId, tipo, dados) => dados);
+        mock.method(Despesa, 'create', async (userId, dados) => ({ despesa: dados, error: null }));
+        mock.method(Despesa, 'update', async (id, userId, dados) => {
+            atualizacoes.push(dados);
+            return { despesa: dados, error: null };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const existente = (despesa) => mock.method(Despesa, 'findById', async () => ({ ...despesa }));
+
+    it('cria pagamento com cartão e fatura do usuário', async () => {
+        const res = await executar('create', {
+            account_id: CORRENTE, nome: 'Fatura', valor: 100, data_despesa: '2026-10-10',
+            eh_pagamento_fatura: true, cartao_origem_id: CARTAO, fatura_id: FATURA
+        });
+
+        assert.equal(res.codigo, 201);
+    });
+
+    it('recusa na criação cartão de outro usuário', async () => {
+        const res = await executar('create', {
+            account_id: CORRENTE, nome: 'Fatura', valor: 100, data_despesa: '2026-10-10',
+            eh_pagamento_fatura: true, cartao_origem_id: CARTAO_ALHEIO
+        });
+
+        assert.equal(res.codigo, 400);
+        assert.equal(Despesa.create.mock.callCount(), 0);
+    });
+
+    it('recusa na atualização cartão de outro usuário', async () => {
+        existente(pagamento);
+        const res = await executar('update', { cartao_origem_id: CARTAO_ALHEIO }, { id: pagamento.id });
+
+        assert.equal(res.codigo, 400);
+        assert.equal(atualizacoes.length, 0);
+    });
+
+    it('recusa na atualização fatura de outro usuário', async () => {
+        existente(pagamento);
+        const res = await executar('update', { fatura_id: FATURA_ALHEIA }, { id: pagamento.id });
+
+        assert.equal(res.codigo, 400);
+        assert.equal(atualizacoes.length, 0);
+    });
+
+    it('recusa transformar compra em pagamento sem cartão válido', async () => {
+        existente(compra);
+        const res = await executar('update', {
+            eh_pagamento_fatura: true, cartao_origem_id: CARTAO_ALHEIO
+        }, { id: compra.id });
+
+        assert.equal(res.codigo, 400);
+        assert.equal(atualizacoes.length, 0);
+    });
+
+    it('recusa valor acima do saldo da fatura, descontando o que a própria despesa já pagou', async () => {
+        existente(pagamento);
+
+        const dentro = await executar('update', { valor: 700 }, { id: pagamento.id });
+        assert.equal(dentro.codigo, 200);
+
+        const acima = await executar('update', { valor: 701 }, { id: pagamento.id });
+        assert.equal(acima.codigo, 400);
+    });
+
+    it('ignora cartão e fatura enviados para uma compra', async () => {
+        existente(compra);
+        const res = await executar('update', { cartao_origem_id: CARTAO_ALHEIO, fatura_id: FATURA_ALHEIA }, { id: compra.id });
+
+        assert.equal(res.codigo, 200);
+        assert.equal(atualizacoes[0].cartao_origem_id, undefined);
+        assert.equal(atualizacoes[0].fatura_id, undefined);
+    });
+
+    it('desvincula o cartão quando o pagamento vira compra', async () => {
+        existente(pagamento);
+        const res = await executar('update', { eh_pagamento_fatura: false }, { id: pagamento.id });
+
+        assert.equal(res.codigo, 200);
+        assert.equal(atualizacoes[0].cartao_origem_id, null);
+        assert.equal(atualizacoes[0].fatura_id, undefined);
+    });
+});
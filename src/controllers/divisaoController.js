@@ -0,0 +1,226 @@
+// divisaoController.js
+import { Divisao } from '../models/Divisao.js';
+import { Despesa } from '../models/Despesa.js';
+import { FinanceData } from '../models/FinanceData.js';
+import { TransferenciaController } from './transferenciaController.js';
+import { divisaoSchema, acertoDivisaoSchema } from '../utils/financeValidators.js';
+
+export class DivisaoController {
+    /**
+     * Divide uma despesa entre participantes (substitui a divisão anterior)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async definir(req, res) {
+        try {
+            const despesa = await Despesa.findById(req.params.id, req.user.id, { escrita: true });
+
+            if (!despesa) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Despesa não encontrada'
+                });
+            }
+
+            const validatedData = divisaoSchema.parse(req.body);
+            const { divisao, error } = await Divisao.definir(despesa, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Divisão da despesa salva com sucesso',
+                data: { divisao }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller definir divisão:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Busca a divisão de uma despesa
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getByDespesa(req, res) {
+        try {
+            const despesa = await Despesa.findById(req.params.id, req.user.id);
+
+            if (!despesa) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Despesa não encontrada'
+                });
+            }
+
+            const { divisao, error } = await Divisao.findDivisao(despesa);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Divisão da despesa encontrada com sucesso',
+                data: { divisao }
+            });
+
+        } catch (error) {
+            console.error('Erro no controller getByDespesa divisão:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Remove a divisão de uma despesa
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async remover(req, res) {
+        try {
+            const despesa = await Despesa.findById(req.params.id, req.user.id, { escrita: true });
+
+            if (!despesa) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Despesa não encontrada'
+                });
+            }
+
+            const { success, error } = await Divisao.remover(despesa.id);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error || 'Não foi possível remover a divisão'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Divisão da despesa removida com sucesso'
+            });
+
+        } catch (error) {
+            console.error('Erro no controller remover divisão:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Saldos pendentes por pessoa: quanto cada uma deve ao usuário e quanto ele deve a cada uma
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getSaldos(req, res) {
+        try {
+            const saldos = await Divisao.getSaldos(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Saldos das divisões calculados com sucesso',
+                data: saldos
+            });
+
+        } catch (error) {
+            console.error('Erro no controller getSaldos divisão:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Acerta as partes pendentes de um participante, lançando o valor recebido
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async acertar(req, res) {
+        try {
+            const validatedData = acertoDivisaoSchema.parse(req.body);
+
+            if (validatedData.conta_origem_id) {
+                const contasError = await TransferenciaController.validarContas(
+                    req.user.id,
+                    validatedData.conta_origem_id,
+                    validatedData.account_id
+                );
+
+                if (contasError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: contasError
+                    });
+                }
+            } else {
+                const userAccounts = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
+                const conta = userAccounts.find(acc => acc.id === validatedData.account_id);
+
+                if (!conta) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Conta não encontrada ou não pertence ao usuário'
+                    });
+                }
+            }
+
+            const { acerto, error } = await Divisao.acertar(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Acerto registrado com sucesso',
+                data: { acerto }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller acertar divisão:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
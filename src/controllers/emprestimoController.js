@@ -0,0 +1,105 @@
+// emprestimoController.js
+import { Emprestimo } from '../models/Emprestimo.js';
+import { Account } from '../models/Account.js';
+import { TransferenciaController } from './transferenciaController.js';
+import { amortizacaoEmprestimoSchema } from '../utils/financeValidators.js';
+
+export class EmprestimoController {
+    /**
+     * Retorna a tabela de amortização do empréstimo com o resumo da dívida
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getTabela(req, res) {
+        try {
+            const account = await Account.findById(req.params.id, req.user.id);
+            if (!account || account.tipo_conta !== 'emprestimo') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Empréstimo não encontrado'
+                });
+            }
+
+            const tabela = await Emprestimo.getTabela(account);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Tabela de amortização obtida com sucesso',
+                data: tabela
+            });
+
+        } catch (error) {
+            console.error('Erro no controller getTabela empréstimo:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Registra uma amortização extraordinária e recalcula as parcelas pendentes
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async amortizar(req, res) {
+        try {
+            const validatedData = amortizacaoEmprestimoSchema.parse(req.body);
+
+            const account = await Account.findById(req.params.id, req.user.id, { escrita: true });
+            if (!account || !account.ativo || account.tipo_conta !== 'emprestimo') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Empréstimo não encontrado'
+                });
+            }
+
+            const contasError = await TransferenciaController.validarContas(
+                req.user.id,
+                validatedData.conta_origem_id || account.detalhes.conta_pagamento_id,
+                account.id
+            );
+
+            if (contasError) {
+                return res.status(400).json({
+                    success: false,
+                    message: contasError
+                });
+            }
+
+            const { amortizacao, parcelas, saldo_devedor, error } = await Emprestimo.amortizar(
+                req.user.id,
+                account,
+                validatedData
+            );
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Amortização registrada com sucesso',
+                data: { amortizacao, parcelas, saldo_devedor }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller amortizar empréstimo:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
@@ -0,0 +1,62 @@
+// exportacaoController.js
+import { Exportacao } from '../models/Exportacao.js';
+import { exportacaoFiltersSchema } from '../utils/financeValidators.js';
+import { hoje } from '../utils/dateUtils.js';
+
+// Cabeçalhos de resposta por formato
+const FORMATOS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extensao: 'csv' },
+    ofx: { contentType: 'application/x-ofx; charset=utf-8', extensao: 'ofx' },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extensao: 'xlsx'
+    }
+};
+
+export class ExportacaoController {
+    /**
+     * Exporta transações, contas e orçamentos em CSV, OFX ou XLSX
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async exportar(req, res) {
+        try {
+            const filters = exportacaoFiltersSchema.parse(req.query);
+            const formato = FORMATOS[filters.formato];
+            const nome = filters.formato === 'csv' ? filters.secao : 'financas';
+
+            res.status(200);
+            res.setHeader('Content-Type', formato.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="grana-zen-${nome}-${hoje()}.${formato.extensao}"`);
+
+            if (filters.formato === 'xlsx') {
+                await Exportacao.exportarXlsx(res, req.user.id, filters);
+            } else if (filters.formato === 'ofx') {
+                await Exportacao.exportarOfx(res, req.user.id, filters);
+            } else {
+                await Exportacao.exportarCsv(res, req.user.id, filters);
+            }
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller exportar:', error);
+
+            // Se o arquivo já começou a ser enviado, só resta encerrar a resposta
+            if (res.headersSent) {
+                return res.end();
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
@@ -0,0 +1,150 @@
+// extratoController.js
+import { Lancamento } from '../models/Lancamento.js';
+import { Account } from '../models/Account.js';
+import { extratoFiltersSchema } from '../utils/financeValidators.js';
+
+export class ExtratoController {
+    /**
+     * Busca o extrato da conta com saldo acumulado
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getExtrato(req, res) {
+        try {
+            const { id } = req.params;
+            const filters = extratoFiltersSchema.parse(req.query);
+
+            if (filters.data_inicio && filters.data_fim && filters.data_fim < filters.data_inicio) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Data final não pode ser anterior à data inicial'
+                });
+            }
+
+            const account = await Account.findById(id, req.user.id);
+            if (!account) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conta não encontrada'
+                });
+            }
+
+            const { extrato, error } = await Lancamento.findExtrato(id, filters);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Extrato obtido com sucesso',
+                data: {
+                    extrato,
+                    total: extrato.lancamentos.length
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller getExtrato:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Confere o saldo da conta com as transações e o extrato (não altera o saldo)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async conferir(req, res) {
+        try {
+            const { id } = req.params;
+
+            const account = await Account.findById(id, req.user.id, { escrita: true });
+            if (!account) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conta não encontrada'
+                });
+            }
+
+            const { conferencia, error } = await Lancamento.conferir(id, req.user.id);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: conferencia.conciliado
+                    ? 'Saldo conferido: sem divergências'
+                    : 'Saldo conferido: há divergências a analisar',
+                data: { conferencia }
+            });
+
+        } catch (error) {
+            console.error('Erro no controller conferir:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Reconcilia o saldo da conta com o extrato e as transações
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async reconciliar(req, res) {
+        try {
+            const { id } = req.params;
+
+            const account = await Account.findById(id, req.user.id, { escrita: true });
+            if (!account) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conta não encontrada'
+                });
+            }
+
+            const { reconciliacao, error } = await Lancamento.reconciliar(id, req.user.id);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Saldo reconciliado com sucesso',
+                data: { reconciliacao }
+            });
+
+        } catch (error) {
+            console.error('Erro no controller reconciliar:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
@@ -0,0 +1,93 @@
+// faturaController.js
+import { Fatura } from '../models/Fatura.js';
+import { Account } from '../models/Account.js';
+import { competenciaSchema } from '../utils/financeValidators.js';
+
+export class FaturaController {
+    /**
+     * Lista faturas de um cartão de crédito
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async list(req, res) {
+        try {
+            const { id } = req.params;
+
+            const account = await Account.findById(id, req.user.id);
+            if (!account || account.tipo_conta !== 'cartao_credito') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cartão de crédito não encontrado'
+                });
+            }
+
+            const faturas = await Fatura.findByAccount(id, req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Faturas listadas com sucesso',
+                data: {
+                    faturas,
+                    total: faturas.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Erro no controller list faturas:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Busca fatura de uma competência com itens, total, vencimento e status
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getByCompetencia(req, res) {
+        try {
+            const { id } = req.params;
+            const competencia = competenciaSchema.parse(req.params.competencia);
+
+            const account = await Account.findById(id, req.user.id);
+            if (!account || account.tipo_conta !== 'cartao_credito') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cartão de crédito não encontrado'
+                });
+            }
+
+            const fatura = await Fatura.findByCompetencia(id, req.user.id, competencia);
+
+            if (!fatura) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Fatura não encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Fatura encontrada com sucesso',
+                data: { fatura }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Competência inválida',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller getByCompetencia fatura:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
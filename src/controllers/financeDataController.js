@@ -216,7 +216,8 @@ export class FinanceDataController {
                 req.user.id,
                 tipo,
                 mes ? parseInt(mes) : null,
-                ano ? parseInt(ano) : null
+                ano ? parseInt(ano) : null,
+                req.grupoId
             );
 
             return res.status(200).json({
@@ -0,0 +1,405 @@
+// grupoController.js
+import { Grupo, CONVITE_VALIDADE_DIAS } from '../models/Grupo.js';
+import { enviarEmail } from '../config/mailer.js';
+import { emailConviteGrupo } from '../utils/emails.js';
+import {
+    grupoSchema,
+    conviteGrupoSchema,
+    aceitarConviteSchema,
+    papelMembroSchema
+} from '../utils/grupoValidators.js';
+
+/**
+ * Confere se o usuário tem ao menos o papel exigido no grupo da rota,
+ * respondendo 404/403 quando não tiver
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} papelMinimo - Papel mínimo exigido
+ * @returns {string} Papel do usuário ou null se a resposta já foi enviada
+ */
+const verificarPapel = async (req, res, papelMinimo) => {
+    const papel = await Grupo.getPapel(req.params.id, req.user.id);
+
+    if (!papel) {
+        res.status(404).json({
+            success: false,
+            message: 'Grupo não encontrado'
+        });
+        return null;
+    }
+
+    if (!Grupo.atende(papel, papelMinimo)) {
+        res.status(403).json({
+            success: false,
+            message: 'Seu papel no grupo não permite esta ação'
+        });
+        return null;
+    }
+
+    return papel;
+};
+
+/**
+ * Resposta padrão para erros de validação e erros inesperados
+ * @param {Object} res - Response object
+ * @param {Error} error - Erro capturado
+ * @param {string} acao - Nome da ação (para o log)
+ */
+const responderErro = (res, error, acao) => {
+    if (error.name === 'ZodError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Dados inválidos',
+            errors: error.errors
+        });
+    }
+
+    console.error(`Erro no controller ${acao} grupo:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+};
+
+export class GrupoController {
+    /**
+     * Cria um grupo com o usuário como owner
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async create(req, res) {
+        try {
+            const validatedData = grupoSchema.parse(req.body);
+
+            const { grupo, error } = await Grupo.create(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Grupo criado com sucesso',
+                data: { grupo }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'create');
+        }
+    }
+
+    /**
+     * Lista os grupos do usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async list(req, res) {
+        try {
+            const grupos = await Grupo.findByUserId(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Grupos listados com sucesso',
+                data: {
+                    grupos,
+                    total: grupos.length
+                }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'list');
+        }
+    }
+
+    /**
+     * Busca um grupo com seus membros
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getById(req, res) {
+        try {
+            const grupo = await Grupo.findById(req.params.id, req.user.id);
+
+            if (!grupo) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Grupo não encontrado'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Grupo encontrado com sucesso',
+                data: { grupo }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'getById');
+        }
+    }
+
+    /**
+     * Renomeia o grupo (owner)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async update(req, res) {
+        try {
+            if (!await verificarPapel(req, res, 'owner')) {
+                return;
+            }
+
+            const validatedData = grupoSchema.parse(req.body);
+            const { grupo, error } = await Grupo.update(req.params.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Grupo atualizado com sucesso',
+                data: { grupo }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'update');
+        }
+    }
+
+    /**
+     * Remove o grupo (owner). Contas e transações continuam com quem as criou.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async delete(req, res) {
+        try {
+            if (!await verificarPapel(req, res, 'owner')) {
+                return;
+            }
+
+            const { success, error } = await Grupo.delete(req.params.id);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error || 'Não foi possível remover o grupo'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Grupo removido com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'delete');
+        }
+    }
+
+    /**
+     * Convida um e-mail para o grupo (owner)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async convidar(req, res) {
+        try {
+            if (!await verificarPapel(req, res, 'owner')) {
+                return;
+            }
+
+            const validatedData = conviteGrupoSchema.parse(req.body);
+            const { convite, token, error } = await Grupo.convidar(req.params.id, req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            const grupo = await Grupo.findById(req.params.id, req.user.id);
+
+            try {
+                await enviarEmail(emailConviteGrupo(convite.email, grupo, req.user, token, CONVITE_VALIDADE_DIAS));
+            } catch (emailError) {
+                console.error('Erro ao enviar convite do grupo:', emailError);
+                await Grupo.cancelarConvite(req.params.id, convite.id);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Não foi possível enviar o convite. Tente novamente'
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Convite enviado com sucesso',
+                data: { convite }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'convidar');
+        }
+    }
+
+    /**
+     * Lista os convites pendentes do grupo (owner)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async listConvites(req, res) {
+        try {
+            if (!await verificarPapel(req, res, 'owner')) {
+                return;
+            }
+
+            const convites = await Grupo.findConvitesPendentes(req.params.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Convites listados com sucesso',
+                data: {
+                    convites,
+                    total: convites.length
+                }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'listConvites');
+        }
+    }
+
+    /**
+     * Cancela um convite pendente (owner)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async cancelarConvite(req, res) {
+        try {
+            if (!await verificarPapel(req, res, 'owner')) {
+                return;
+            }
+
+            const { success, error } = await Grupo.cancelarConvite(req.params.id, req.params.conviteId);
+
+            if (!success) {
+                return res.status(404).json({
+                    success: false,
+                    message: error || 'Convite não encontrado'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Convite cancelado com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'cancelarConvite');
+        }
+    }
+
+    /**
+     * Aceita um convite recebido por e-mail
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async aceitarConvite(req, res) {
+        try {
+            const { token } = aceitarConviteSchema.parse(req.body);
+            const { grupo, error } = await Grupo.aceitarConvite(token, req.user);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Convite aceito com sucesso',
+                data: { grupo }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'aceitarConvite');
+        }
+    }
+
+    /**
+     * Altera o papel de um membro (owner); 'owner' transfere a administração
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async alterarPapel(req, res) {
+        try {
+            if (!await verificarPapel(req, res, 'owner')) {
+                return;
+            }
+
+            const { papel } = papelMembroSchema.parse(req.body);
+            const { success, error } = await Grupo.alterarPapel(
+                req.params.id,
+                req.user.id,
+                req.params.userId,
+                papel
+            );
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error || 'Não foi possível alterar o papel'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Papel do membro atualizado com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'alterarPapel');
+        }
+    }
+
+    /**
+     * Remove um membro (owner) ou sai do grupo (o próprio membro)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async removerMembro(req, res) {
+        try {
+            const saindo = req.params.userId === req.user.id;
+
+            if (!await verificarPapel(req, res, saindo ? 'viewer' : 'owner')) {
+                return;
+            }
+
+            const { success, error } = await Grupo.removerMembro(req.params.id, req.params.userId);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: saindo
+                        ? 'O owner não pode sair do grupo; transfira a administração ou remova o grupo'
+                        : error || 'Não foi possível remover o membro'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: saindo ? 'Você saiu do grupo' : 'Membro removido com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'removerMembro');
+        }
+    }
+}
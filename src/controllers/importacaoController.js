@@ -0,0 +1,59 @@
+// importacaoController.js
+import { Importacao } from '../models/Importacao.js';
+import { Account } from '../models/Account.js';
+import { importacaoSchema } from '../utils/financeValidators.js';
+
+export class ImportacaoController {
+    /**
+     * Importa extrato bancário (CSV ou OFX) para a conta
+     * Sem "confirmar", retorna apenas a prévia com duplicadas e erros
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async importar(req, res) {
+        try {
+            const { id } = req.params;
+            const validatedData = importacaoSchema.parse(req.body);
+
+            const account = await Account.findById(id, req.user.id, { escrita: true });
+            if (!account) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conta não encontrada'
+                });
+            }
+
+            const { importacao, error } = await Importacao.importar(id, req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(importacao.confirmada ? 201 : 200).json({
+                success: true,
+                message: importacao.confirmada
+                    ? 'Extrato importado com sucesso'
+                    : 'Prévia da importação gerada com sucesso',
+                data: { importacao }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller importar extrato:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
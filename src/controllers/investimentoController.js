@@ -0,0 +1,370 @@
+// investimentoController.js
+import { Investimento } from '../models/Investimento.js';
+import { Account } from '../models/Account.js';
+import {
+    ativoSchema,
+    updateAtivoSchema,
+    operacaoInvestimentoSchema,
+    precosAtivoSchema,
+    importacaoPrecosSchema,
+    carteiraFiltersSchema
+} from '../utils/financeValidators.js';
+
+/**
+ * Resposta padrão para erros de validação e erros inesperados
+ * @param {Object} res - Response object
+ * @param {Error} error - Erro capturado
+ * @param {string} acao - Nome da ação (para o log)
+ */
+const responderErro = (res, error, acao) => {
+    if (error.name === 'ZodError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Dados inválidos',
+            errors: error.errors
+        });
+    }
+
+    console.error(`Erro no controller ${acao} investimentos:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+};
+
+/**
+ * Busca o ativo que o usuário pode alterar, respondendo 404 quando não houver
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} ativoId - ID do ativo
+ * @returns {Object} Ativo ou null se a resposta já foi enviada
+ */
+const buscarAtivoEditavel = async (req, res, ativoId) => {
+    const ativo = await Investimento.findAtivoById(ativoId, req.user.id, { escrita: true });
+
+    if (!ativo) {
+        res.status(404).json({
+            success: false,
+            message: 'Ativo não encontrado'
+        });
+        return null;
+    }
+
+    return ativo;
+};
+
+export class InvestimentoController {
+    /**
+     * Retorna a carteira com posição, rentabilidade e alocação dos ativos
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getCarteira(req, res) {
+        try {
+            const filters = carteiraFiltersSchema.parse(req.query);
+            const carteira = await Investimento.getCarteira(req.user.id, {
+                ...filters,
+                grupoId: req.grupoId
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Carteira calculada com sucesso',
+                data: carteira
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'getCarteira');
+        }
+    }
+
+    /**
+     * Cadastra um ativo em uma conta de investimento
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async createAtivo(req, res) {
+        try {
+            const { account_id, ...ativoData } = ativoSchema.parse(req.body);
+
+            const conta = await Account.findById(account_id, req.user.id, { escrita: true });
+            if (!conta || !conta.ativo) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conta não encontrada'
+                });
+            }
+
+            if (conta.tipo_conta !== 'investimento') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ativos só podem ser cadastrados em contas de investimento'
+                });
+            }
+
+            const { ativo, error } = await Investimento.createAtivo(req.user.id, conta, ativoData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Ativo cadastrado com sucesso',
+                data: { ativo }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'createAtivo');
+        }
+    }
+
+    /**
+     * Busca um ativo com sua posição e operações
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getAtivo(req, res) {
+        try {
+            const ativo = await Investimento.findAtivoById(req.params.id, req.user.id);
+
+            if (!ativo) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Ativo não encontrado'
+                });
+            }
+
+            const [operacoes, precos] = await Promise.all([
+                Investimento.findOperacoes([ativo.id]),
+                Investimento.findUltimosPrecos([ativo.id])
+            ]);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Ativo encontrado com sucesso',
+                data: {
+                    ativo: Investimento.montarPosicao(ativo, operacoes, precos.get(ativo.id)),
+                    operacoes
+                }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'getAtivo');
+        }
+    }
+
+    /**
+     * Atualiza os dados cadastrais de um ativo
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async updateAtivo(req, res) {
+        try {
+            const validatedData = updateAtivoSchema.parse(req.body);
+
+            const existente = await buscarAtivoEditavel(req, res, req.params.id);
+            if (!existente) return;
+
+            const { ativo, error } = await Investimento.updateAtivo(existente.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Ativo atualizado com sucesso',
+                data: { ativo }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'updateAtivo');
+        }
+    }
+
+    /**
+     * Remove um ativo sem operações
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async deleteAtivo(req, res) {
+        try {
+            const existente = await buscarAtivoEditavel(req, res, req.params.id);
+            if (!existente) return;
+
+            const { success, error } = await Investimento.deleteAtivo(existente.id);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Ativo removido com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'deleteAtivo');
+        }
+    }
+
+    /**
+     * Registra compra, venda ou provento de um ativo
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async registrarOperacao(req, res) {
+        try {
+            const { ativo_id, ...operacaoData } = operacaoInvestimentoSchema.parse(req.body);
+
+            const ativo = await buscarAtivoEditavel(req, res, ativo_id);
+            if (!ativo) return;
+
+            const { operacao, posicao, error } = await Investimento.registrarOperacao(req.user.id, ativo, operacaoData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Operação registrada com sucesso',
+                data: { operacao, posicao }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'registrarOperacao');
+        }
+    }
+
+    /**
+     * Remove uma operação estornando o caixa da conta
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async removerOperacao(req, res) {
+        try {
+            const { success, error } = await Investimento.removerOperacao(req.params.id, req.user.id);
+
+            if (!success) {
+                return res.status(error === 'Operação não encontrada' ? 404 : 400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Operação removida com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'removerOperacao');
+        }
+    }
+
+    /**
+     * Lista o histórico de preços de um ativo
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getPrecos(req, res) {
+        try {
+            const ativo = await Investimento.findAtivoById(req.params.id, req.user.id);
+
+            if (!ativo) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Ativo não encontrado'
+                });
+            }
+
+            const precos = await Investimento.findPrecos(ativo.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Preços listados com sucesso',
+                data: {
+                    precos,
+                    total: precos.length
+                }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'getPrecos');
+        }
+    }
+
+    /**
+     * Cadastra preços de um ativo manualmente (substitui o da mesma data)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async salvarPrecos(req, res) {
+        try {
+            const { precos: dados } = precosAtivoSchema.parse(req.body);
+
+            const ativo = await buscarAtivoEditavel(req, res, req.params.id);
+            if (!ativo) return;
+
+            const { precos, error } = await Investimento.salvarPrecos(ativo.id, dados, 'manual');
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Preços salvos com sucesso',
+                data: { precos }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'salvarPrecos');
+        }
+    }
+
+    /**
+     * Importa preços de ativos de um arquivo CSV
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async importarPrecos(req, res) {
+        try {
+            const validatedData = importacaoPrecosSchema.parse(req.body);
+            const { importacao, error } = await Investimento.importarPrecos(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Preços importados com sucesso',
+                data: { importacao }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'importarPrecos');
+        }
+    }
+}
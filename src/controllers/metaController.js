@@ -0,0 +1,337 @@
+// metaController.js
+import { Meta } from '../models/Meta.js';
+import { FinanceData } from '../models/FinanceData.js';
+import {
+    metaSchema,
+    updateMetaSchema,
+    aporteMetaSchema
+} from '../utils/financeValidators.js';
+
+/**
+ * Resposta padrão para erros de validação e erros inesperados
+ * @param {Object} res - Response object
+ * @param {Error} error - Erro capturado
+ * @param {string} acao - Nome da ação (para o log)
+ */
+const responderErro = (res, error, acao) => {
+    if (error.name === 'ZodError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Dados inválidos',
+            errors: error.errors
+        });
+    }
+
+    console.error(`Erro no controller ${acao} meta:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+};
+
+/**
+ * Confere se a conta vinculada pode receber aportes no escopo da meta
+ * @param {string} userId - ID do usuário
+ * @param {string} accountId - ID da conta
+ * @param {string} grupoId - Grupo da meta (null para meta pessoal)
+ * @returns {string} Mensagem de erro ou null se válida
+ */
+const validarConta = async (userId, accountId, grupoId) => {
+    const userAccounts = await FinanceData.getUserAccounts(userId, null, { escrita: true });
+    const conta = userAccounts.find(acc => acc.id === accountId);
+
+    if (!conta) {
+        return 'Conta não encontrada ou não pertence ao usuário';
+    }
+
+    if ((conta.grupo_id || null) !== (grupoId || null)) {
+        return 'A conta da meta deve ser do mesmo grupo da meta';
+    }
+
+    if (conta.tipo_conta === 'cartao_credito' || conta.tipo_conta === 'emprestimo') {
+        return 'Metas só podem ser vinculadas a contas que guardam saldo';
+    }
+
+    return null;
+};
+
+/**
+ * Busca a meta que o usuário pode alterar, respondendo 404 quando não houver
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Object} Meta ou null se a resposta já foi enviada
+ */
+const buscarMetaEditavel = async (req, res) => {
+    const meta = await Meta.findById(req.params.id, req.user.id, { escrita: true });
+
+    if (!meta) {
+        res.status(404).json({
+            success: false,
+            message: 'Meta não encontrada'
+        });
+        return null;
+    }
+
+    return meta;
+};
+
+export class MetaController {
+    /**
+     * Cria uma meta de economia (do grupo quando informado ?grupo_id)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async create(req, res) {
+        try {
+            const validatedData = metaSchema.parse(req.body);
+
+            if (validatedData.account_id) {
+                const contaError = await validarConta(req.user.id, validatedData.account_id, req.grupoId);
+                if (contaError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: contaError
+                    });
+                }
+            }
+
+            const { meta, error } = await Meta.create(req.user.id, validatedData, req.grupoId);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Meta criada com sucesso',
+                data: { meta }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'create');
+        }
+    }
+
+    /**
+     * Lista as metas com progresso e projeção
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async list(req, res) {
+        try {
+            const metas = await Meta.montarProgresso(
+                req.user.id,
+                await Meta.findByUserId(req.user.id, req.grupoId),
+                req.grupoId
+            );
+
+            return res.status(200).json({
+                success: true,
+                message: 'Metas listadas com sucesso',
+                data: {
+                    metas,
+                    total: metas.length
+                }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'list');
+        }
+    }
+
+    /**
+     * Busca uma meta com aportes, progresso e projeção
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getById(req, res) {
+        try {
+            const encontrada = await Meta.findById(req.params.id, req.user.id);
+
+            if (!encontrada) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Meta não encontrada'
+                });
+            }
+
+            const [meta] = await Meta.montarProgresso(req.user.id, [encontrada], encontrada.grupo_id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Meta encontrada com sucesso',
+                data: { meta }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'getById');
+        }
+    }
+
+    /**
+     * Atualiza uma meta
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async update(req, res) {
+        try {
+            const validatedData = updateMetaSchema.parse(req.body);
+
+            const existente = await buscarMetaEditavel(req, res);
+            if (!existente) return;
+
+            const dataInicio = validatedData.data_inicio || existente.data_inicio;
+            const dataLimite = validatedData.data_limite || existente.data_limite;
+            if (dataLimite < dataInicio) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Prazo não pode ser anterior ao início da meta'
+                });
+            }
+
+            if (validatedData.account_id) {
+                const contaError = await validarConta(req.user.id, validatedData.account_id, existente.grupo_id);
+                if (contaError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: contaError
+                    });
+                }
+            }
+
+            const { meta, error } = await Meta.update(existente.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Meta atualizada com sucesso',
+                data: { meta }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'update');
+        }
+    }
+
+    /**
+     * Remove uma meta (os aportes continuam como transferências)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async delete(req, res) {
+        try {
+            const existente = await buscarMetaEditavel(req, res);
+            if (!existente) return;
+
+            const { success, error } = await Meta.delete(existente.id);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Meta removida com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'delete');
+        }
+    }
+
+    /**
+     * Registra um aporte por transferência para a conta da meta
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async registrarAporte(req, res) {
+        try {
+            const validatedData = aporteMetaSchema.parse(req.body);
+
+            const meta = await buscarMetaEditavel(req, res);
+            if (!meta) return;
+
+            if (validatedData.conta_origem_id && !validatedData.transferencia_id) {
+                if (validatedData.conta_origem_id === meta.account_id) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Conta de origem e destino devem ser diferentes'
+                    });
+                }
+
+                const contaError = await validarConta(req.user.id, validatedData.conta_origem_id, meta.grupo_id);
+                if (contaError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: contaError
+                    });
+                }
+            }
+
+            const { aporte, error } = await Meta.registrarAporte(req.user.id, meta, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Aporte registrado com sucesso',
+                data: { aporte }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'registrarAporte');
+        }
+    }
+
+    /**
+     * Remove um aporte; por padrão estorna a transferência
+     * (?manter_transferencia=true apenas desvincula da meta)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async removerAporte(req, res) {
+        try {
+            const meta = await buscarMetaEditavel(req, res);
+            if (!meta) return;
+
+            const { success, error } = await Meta.removerAporte(
+                req.user.id,
+                meta,
+                req.params.aporteId,
+                req.query.manter_transferencia !== 'true'
+            );
+
+            if (!success) {
+                return res.status(error === 'Aporte não encontrado' ? 404 : 400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Aporte removido com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'removerAporte');
+        }
+    }
+}
@@ -0,0 +1,186 @@
+// notificacaoController.js
+import { Notificacao } from '../models/Notificacao.js';
+import { Alerta } from '../models/Alerta.js';
+import {
+    notificacaoFiltersSchema,
+    marcarNotificacaoSchema,
+    alertasConfigSchema
+} from '../utils/notificacaoValidators.js';
+
+export class NotificacaoController {
+    /**
+     * Lista notificações do usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async list(req, res) {
+        try {
+            const filters = notificacaoFiltersSchema.parse(req.query);
+
+            const notificacoes = await Notificacao.findByUserId(req.user.id, filters);
+            const naoLidas = await Notificacao.countNaoLidas(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Notificações listadas com sucesso',
+                data: {
+                    notificacoes,
+                    total: notificacoes.length,
+                    nao_lidas: naoLidas
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller list notificações:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Marca uma notificação como lida ou não lida
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async marcar(req, res) {
+        try {
+            const { id } = req.params;
+            const { lida } = marcarNotificacaoSchema.parse(req.body || {});
+
+            const { notificacao, error } = await Notificacao.marcar(id, req.user.id, lida);
+
+            if (error) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Notificação não encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Notificação atualizada com sucesso',
+                data: { notificacao }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller marcar notificação:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Marca todas as notificações do usuário como lidas
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async marcarTodas(req, res) {
+        try {
+            const { success, error } = await Notificacao.marcarTodasComoLidas(req.user.id);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error || 'Não foi possível atualizar as notificações'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Notificações marcadas como lidas'
+            });
+
+        } catch (error) {
+            console.error('Erro no controller marcarTodas notificações:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Busca a configuração de alertas do usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getConfiguracao(req, res) {
+        try {
+            const configuracao = await Alerta.getConfiguracao(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Configuração de alertas obtida com sucesso',
+                data: { configuracao }
+            });
+
+        } catch (error) {
+            console.error('Erro no controller getConfiguracao alertas:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Atualiza a configuração de alertas do usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async updateConfiguracao(req, res) {
+        try {
+            const validatedData = alertasConfigSchema.parse(req.body);
+
+            const { configuracao, error } = await Alerta.updateConfiguracao(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Configuração de alertas atualizada com sucesso',
+                data: { configuracao }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller updateConfiguracao alertas:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
@@ -1,7 +1,10 @@
 // orcamentoController.js
 import { Orcamento } from '../models/Orcamento.js';
+import { OrcamentoCategoria } from '../models/OrcamentoCategoria.js';
 import { FinanceData } from '../models/FinanceData.js';
-import { orcamentoSchema } from '../utils/financeValidators.js';
+import { Cotacao } from '../models/Cotacao.js';
+import { Investimento } from '../models/Investimento.js';
+import { orcamentoSchema, orcamentoCategoriaSchema } from '../utils/financeValidators.js';
 
 export class OrcamentoController {
     /**
@@ -23,7 +26,8 @@ export class OrcamentoController {
             const orcamento = await Orcamento.findOrCreateByPeriod(
                 req.user.id,
                 parseInt(mes),
-                parseInt(ano)
+                parseInt(ano),
+                req.grupoId
             );
 
             if (!orcamento) {
@@ -33,10 +37,18 @@ export class OrcamentoController {
                 });
             }
 
+            // Planejado x realizado x restante por categoria
+            const categorias = await OrcamentoCategoria.calcularConsumo(
+                req.user.id,
+                parseInt(mes),
+                parseInt(ano),
+                req.grupoId
+            );
+
             return res.status(200).json({
                 success: true,
                 message: 'Orçamento encontrado com sucesso',
-                data: { orcamento }
+                data: { orcamento, categorias }
             });
 
         } catch (error) {
@@ -62,7 +74,8 @@ export class OrcamentoController {
                 req.user.id,
                 validatedData.mes,
                 validatedData.ano,
-                validatedData
+                validatedData,
+                req.grupoId
             );
 
             if (error) {
@@ -115,7 +128,8 @@ export class OrcamentoController {
            const { orcamento, error } = await Orcamento.recalcular(
                req.user.id,
                parseInt(mes),
-               parseInt(ano)
+               parseInt(ano),
+               req.grupoId
            );
 
            if (error) {
@@ -140,6 +154,108 @@ export class OrcamentoController {
        }
    }
 
+   /**
+    * Define o limite de gastos de uma categoria no mês
+    * @param {Object} req - Request object
+    * @param {Object} res - Response object
+    */
+   static async definirLimiteCategoria(req, res) {
+       try {
+           const validatedData = orcamentoCategoriaSchema.parse(req.body);
+
+           // Verifica se a categoria existe e é de despesa
+           const categorias = await FinanceData.getCategories('despesa');
+           const categoriaExiste = categorias.find(cat => cat.id === validatedData.category_id);
+
+           if (!categoriaExiste) {
+               return res.status(400).json({
+                   success: false,
+                   message: 'Categoria de despesa não encontrada'
+               });
+           }
+
+           const { limite, error } = await OrcamentoCategoria.definirLimite(
+               req.user.id,
+               validatedData,
+               req.grupoId
+           );
+
+           if (error) {
+               return res.status(400).json({
+                   success: false,
+                   message: error
+               });
+           }
+
+           return res.status(200).json({
+               success: true,
+               message: 'Limite da categoria definido com sucesso',
+               data: { limite }
+           });
+
+       } catch (error) {
+           if (error.name === 'ZodError') {
+               return res.status(400).json({
+                   success: false,
+                   message: 'Dados inválidos',
+                   errors: error.errors
+               });
+           }
+
+           console.error('Erro no controller definirLimiteCategoria orçamento:', error);
+           return res.status(500).json({
+               success: false,
+               message: 'Erro interno do servidor'
+           });
+       }
+   }
+
+   /**
+    * Remove o limite de gastos de uma categoria no mês
+    * @param {Object} req - Request object
+    * @param {Object} res - Response object
+    */
+   static async removerLimiteCategoria(req, res) {
+       try {
+           const { categoryId } = req.params;
+           const { mes, ano } = req.query;
+
+           if (!mes || !ano) {
+               return res.status(400).json({
+                   success: false,
+                   message: 'Mês e ano são obrigatórios'
+               });
+           }
+
+           const { success, error } = await OrcamentoCategoria.removerLimite(
+               req.user.id,
+               categoryId,
+               parseInt(mes),
+               parseInt(ano),
+               req.grupoId
+           );
+
+           if (!success) {
+               return res.status(400).json({
+                   success: false,
+                   message: error || 'Não foi possível remover o limite'
+               });
+           }
+
+           return res.status(200).json({
+               success: true,
+               message: 'Limite da categoria removido com sucesso'
+           });
+
+       } catch (error) {
+           console.error('Erro no controller removerLimiteCategoria orçamento:', error);
+           return res.status(500).json({
+               success: false,
+               message: 'Erro interno do servidor'
+           });
+       }
+   }
+
    /**
     * Busca histórico de orçamentos
     * @param {Object} req - Request object
@@ -151,7 +267,8 @@ export class OrcamentoController {
 
            const historico = await Orcamento.getHistorico(
                req.user.id,
-               parseInt(limite)
+               parseInt(limite),
+               req.grupoId
            );
 
            return res.status(200).json({
@@ -190,7 +307,8 @@ export class OrcamentoController {
 
            const resumo = await Orcamento.getResumoAnual(
                req.user.id,
-               parseInt(ano)
+               parseInt(ano),
+               req.grupoId
            );
 
            if (!resumo) {
@@ -222,7 +340,7 @@ export class OrcamentoController {
     */
    static async getEstatisticas(req, res) {
        try {
-           const estatisticas = await Orcamento.getEstatisticasGerais(req.user.id);
+           const estatisticas = await Orcamento.getEstatisticasGerais(req.user.id, req.grupoId);
 
            if (!estatisticas) {
                return res.status(500).json({
@@ -261,23 +379,41 @@ export class OrcamentoController {
            const orcamento = await Orcamento.findOrCreateByPeriod(
                req.user.id,
                mesAtual,
-               anoAtual
+               anoAtual,
+               req.grupoId
            );
 
            // Busca estatísticas de categorias
            const [categoriasReceitas, categoriasDespesas] = await Promise.all([
-               FinanceData.getCategoryStats(req.user.id, 'receita', mesAtual, anoAtual),
-               FinanceData.getCategoryStats(req.user.id, 'despesa', mesAtual, anoAtual)
+               FinanceData.getCategoryStats(req.user.id, 'receita', mesAtual, anoAtual, req.grupoId),
+               FinanceData.getCategoryStats(req.user.id, 'despesa', mesAtual, anoAtual, req.grupoId)
            ]);
 
-           // Busca contas do usuário
-           const contas = await FinanceData.getUserAccounts(req.user.id);
+           // Busca contas pessoais do usuário (ou as do grupo)
+           const contas = (await FinanceData.getUserAccounts(req.user.id))
+               .filter(conta => (conta.grupo_id || null) === req.grupoId);
 
-           // Calcula saldo total das contas
-           const saldoTotalContas = contas.reduce((total, conta) => 
-               total + parseFloat(conta.saldo_atual || 0), 0
+           // Saldos convertidos para a moeda base pela cotação mais recente
+           const { donoId, moedaBase } = await Cotacao.getMoedaBase(req.user.id, req.grupoId);
+           const { converter } = await Cotacao.criarConversor(
+               donoId,
+               moedaBase,
+               contas.map(conta => conta.moeda)
            );
 
+           const contasConvertidas = contas.map(conta => ({
+               ...conta,
+               saldo_convertido: converter(conta.saldo_atual || 0, conta.moeda)
+           }));
+
+           // Calcula saldo total das contas (contas sem cotação ficam de fora e são listadas)
+           const saldoTotalContas = contasConvertidas.reduce((total, conta) => 
+               total + (conta.saldo_convertido || 0), 0
+           );
+
+           // Ativos das contas de investimento a preço de mercado (o caixa já está no saldo das contas)
+           const carteira = await Investimento.getCarteira(req.user.id, { grupoId: req.grupoId });
+
            const dashboard = {
                periodo: {
                    mes: mesAtual,
@@ -288,9 +424,19 @@ export class OrcamentoController {
                    receitas: categoriasReceitas,
                    despesas: categoriasDespesas
                },
+               moeda_base: moedaBase,
                contas: {
-                   lista: contas,
-                   saldo_total: saldoTotalContas
+                   lista: contasConvertidas,
+                   saldo_total: saldoTotalContas,
+                   sem_cotacao: contasConvertidas
+                       .filter(conta => conta.saldo_convertido === null)
+                       .map(conta => ({ id: conta.id, nome: conta.nome, moeda: conta.moeda }))
+               },
+               patrimonio: {
+                   contas: saldoTotalContas,
+                   investimentos: carteira.totais.valor_mercado,
+                   total: saldoTotalContas + carteira.totais.valor_mercado,
+                   rentabilidade_investimentos: carteira.totais.rentabilidade
                },
                indicadores: {
                    taxa_economia: orcamento?.receita_total > 0 
@@ -0,0 +1,41 @@
+// previsaoController.js
+import { Previsao } from '../models/Previsao.js';
+import { previsaoFiltersSchema } from '../utils/financeValidators.js';
+
+export class PrevisaoController {
+    /**
+     * Projeta o fluxo de caixa dos próximos meses (do grupo quando informado ?grupo_id)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getPrevisao(req, res) {
+        try {
+            const filters = previsaoFiltersSchema.parse(req.query);
+            const previsao = await Previsao.calcular(req.user.id, {
+                ...filters,
+                grupoId: req.grupoId
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Previsão calculada com sucesso',
+                data: previsao
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller getPrevisao:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
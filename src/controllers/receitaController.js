@@ -1,6 +1,7 @@
 // receitaController.js
 import { Receita } from '../models/Receita.js';
 import { FinanceData } from '../models/FinanceData.js';
+import { Regra } from '../models/Regra.js';
 import { 
     receitaSchema, 
     updateReceitaSchema, 
@@ -15,11 +16,11 @@ export class ReceitaController {
      */
     static async create(req, res) {
         try {
-            // Valida os dados de entrada
-            const validatedData = receitaSchema.parse(req.body);
+            // Valida os dados de entrada e aplica as regras de categorização do usuário
+            const validatedData = await Regra.categorizar(req.user.id, 'receita', receitaSchema.parse(req.body));
 
             // Verifica se a conta existe e pertence ao usuário
-            const userAccounts = await FinanceData.getUserAccounts(req.user.id);
+            const userAccounts = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
             const accountExists = userAccounts.find(acc => acc.id === validatedData.account_id);
             
             if (!accountExists) {
@@ -161,7 +162,7 @@ export class ReceitaController {
             const { id } = req.params;
 
             // Verifica se receita existe
-            const receitaExistente = await Receita.findById(id, req.user.id);
+            const receitaExistente = await Receita.findById(id, req.user.id, { escrita: true });
             if (!receitaExistente) {
                 return res.status(404).json({
                     success: false,
@@ -174,7 +175,7 @@ export class ReceitaController {
 
             // Se mudou a conta, verifica se a nova conta existe
             if (validatedData.account_id && validatedData.account_id !== receitaExistente.account_id) {
-                const userAccounts = await FinanceData.getUserAccounts(req.user.id);
+                const userAccounts = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
                 const accountExists = userAccounts.find(acc => acc.id === validatedData.account_id);
                 
                 if (!accountExists) {
@@ -260,7 +261,7 @@ export class ReceitaController {
             const { tags } = req.body;
 
             // Verifica se receita existe
-            const receita = await Receita.findById(id, req.user.id);
+            const receita = await Receita.findById(id, req.user.id, { escrita: true });
             if (!receita) {
                 return res.status(404).json({
                     success: false,
@@ -331,7 +332,8 @@ export class ReceitaController {
             const resumo = await Receita.getResumoMensal(
                 req.user.id, 
                 parseInt(mes), 
-                parseInt(ano)
+                parseInt(ano),
+                req.grupoId
             );
 
             if (!resumo) {
@@ -0,0 +1,340 @@
+// recorrenciaController.js
+import { Recorrencia } from '../models/Recorrencia.js';
+import { FinanceData } from '../models/FinanceData.js';
+import {
+    recorrenciaSchema,
+    updateRecorrenciaSchema,
+    ocorrenciaSchema,
+    gerarRecorrenciasSchema
+} from '../utils/financeValidators.js';
+
+export class RecorrenciaController {
+    /**
+     * Cria uma nova regra de recorrência
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async create(req, res) {
+        try {
+            const validatedData = recorrenciaSchema.parse(req.body);
+
+            // Verifica se a conta existe e pertence ao usuário
+            const userAccounts = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
+            const accountExists = userAccounts.find(acc => acc.id === validatedData.account_id);
+
+            if (!accountExists) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Conta não encontrada ou não pertence ao usuário'
+                });
+            }
+
+            if (validatedData.data_fim && validatedData.data_fim < validatedData.data_inicio) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Data final não pode ser anterior à data inicial'
+                });
+            }
+
+            const { recorrencia, error } = await Recorrencia.create(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Recorrência criada com sucesso',
+                data: { recorrencia }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller create recorrência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Lista regras de recorrência do usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async list(req, res) {
+        try {
+            const { tipo } = req.query;
+
+            if (tipo && !['receita', 'despesa'].includes(tipo)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tipo deve ser "receita" ou "despesa"'
+                });
+            }
+
+            const recorrencias = await Recorrencia.findByUserId(req.user.id, tipo);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Recorrências listadas com sucesso',
+                data: {
+                    recorrencias,
+                    total: recorrencias.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Erro no controller list recorrências:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Busca uma regra de recorrência específica
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getById(req, res) {
+        try {
+            const { id } = req.params;
+            const recorrencia = await Recorrencia.findById(id, req.user.id);
+
+            if (!recorrencia) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Recorrência não encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Recorrência encontrada com sucesso',
+                data: { recorrencia }
+            });
+
+        } catch (error) {
+            console.error('Erro no controller getById recorrência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Atualiza uma regra de recorrência
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async update(req, res) {
+        try {
+            const { id } = req.params;
+            const validatedData = updateRecorrenciaSchema.parse(req.body);
+
+            // Se mudou a conta, verifica se a nova conta existe
+            if (validatedData.account_id) {
+                const userAccounts = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
+                const accountExists = userAccounts.find(acc => acc.id === validatedData.account_id);
+
+                if (!accountExists) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Nova conta não encontrada ou não pertence ao usuário'
+                    });
+                }
+            }
+
+            const { recorrencia, error } = await Recorrencia.update(id, req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Recorrência atualizada com sucesso',
+                data: { recorrencia }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller update recorrência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Encerra uma regra de recorrência
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async delete(req, res) {
+        try {
+            const { id } = req.params;
+            const { success, error } = await Recorrencia.delete(id, req.user.id);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error || 'Não foi possível remover a recorrência'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Recorrência removida com sucesso'
+            });
+
+        } catch (error) {
+            console.error('Erro no controller delete recorrência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Gera sob demanda as ocorrências pendentes do usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async gerar(req, res) {
+        try {
+            const { ate } = gerarRecorrenciasSchema.parse(req.body || {});
+
+            const { resultado, error } = await Recorrencia.gerarPendentes(req.user.id, ate);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Ocorrências geradas com sucesso',
+                data: {
+                    ...resultado,
+                    total: resultado.receitas.length + resultado.despesas.length
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller gerar recorrências:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Atualiza uma ocorrência gerada (apenas esta ou esta e futuras)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async updateOcorrencia(req, res) {
+        try {
+            const { id, ocorrenciaId } = req.params;
+            const { escopo, ...validatedData } = ocorrenciaSchema.parse(req.body);
+
+            if (escopo === 'esta_e_futuras' && validatedData.data) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Alteração de data só é permitida para esta ocorrência, altere o agendamento da recorrência'
+                });
+            }
+
+            // Se mudou a conta, verifica se a nova conta existe
+            if (validatedData.account_id) {
+                const userAccounts = await FinanceData.getUserAccounts(req.user.id, null, { escrita: true });
+                const accountExists = userAccounts.find(acc => acc.id === validatedData.account_id);
+
+                if (!accountExists) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Nova conta não encontrada ou não pertence ao usuário'
+                    });
+                }
+            }
+
+            const { transacoes, recorrencia, error } = await Recorrencia.atualizarOcorrencia(
+                id,
+                ocorrenciaId,
+                req.user.id,
+                escopo,
+                validatedData
+            );
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Ocorrência atualizada com sucesso',
+                data: {
+                    transacoes,
+                    recorrencia,
+                    total: transacoes.length
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller updateOcorrencia recorrência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
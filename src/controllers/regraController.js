@@ -0,0 +1,321 @@
+// regraController.js
+import { Regra } from '../models/Regra.js';
+import { FinanceData } from '../models/FinanceData.js';
+import {
+    regraSchema,
+    updateRegraSchema,
+    aplicarRegrasSchema,
+    sugestaoCategoriaSchema
+} from '../utils/financeValidators.js';
+
+/**
+ * Resposta padrão para erros de validação e erros inesperados
+ * @param {Object} res - Response object
+ * @param {Error} error - Erro capturado
+ * @param {string} acao - Nome da ação (para o log)
+ */
+const responderErro = (res, error, acao) => {
+    if (error.name === 'ZodError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Dados inválidos',
+            errors: error.errors
+        });
+    }
+
+    console.error(`Erro no controller ${acao} regra:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+};
+
+/**
+ * Confere se conta, categoria e tags da regra existem e são do usuário
+ * @param {string} userId - ID do usuário
+ * @param {Object} regra - Dados completos da regra
+ * @returns {string} Mensagem de erro ou null se válida
+ */
+const validarReferencias = async (userId, regra) => {
+    if (regra.account_id) {
+        const userAccounts = await FinanceData.getUserAccounts(userId);
+        if (!userAccounts.some(acc => acc.id === regra.account_id)) {
+            return 'Conta não encontrada ou não pertence ao usuário';
+        }
+    }
+
+    if (regra.category_id) {
+        const categorias = await FinanceData.getCategories(regra.tipo);
+        if (!categorias.some(categoria => categoria.id === regra.category_id)) {
+            return `Categoria não encontrada entre as categorias de ${regra.tipo}`;
+        }
+    }
+
+    if (regra.tags.length > 0) {
+        const tags = await FinanceData.getTags();
+        if (!regra.tags.every(tagId => tags.some(tag => tag.id === tagId))) {
+            return 'Tag não encontrada';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Extrai da regra salva os campos editáveis, para validar a regra atualizada por inteiro
+ * @param {Object} regra - Regra salva
+ * @returns {Object} Campos da regra
+ */
+const camposRegra = (regra) => ({
+    nome: regra.nome,
+    tipo: regra.tipo,
+    prioridade: regra.prioridade,
+    nome_contem: regra.nome_contem,
+    nome_regex: regra.nome_regex,
+    account_id: regra.account_id,
+    valor_min: regra.valor_min != null ? parseFloat(regra.valor_min) : null,
+    valor_max: regra.valor_max != null ? parseFloat(regra.valor_max) : null,
+    category_id: regra.category_id,
+    tags: regra.tags || []
+});
+
+/**
+ * Busca a regra do usuário, respondendo 404 quando não houver
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Object} Regra ou null se a resposta já foi enviada
+ */
+const buscarRegra = async (req, res) => {
+    const regra = await Regra.findById(req.params.id, req.user.id);
+
+    if (!regra) {
+        res.status(404).json({
+            success: false,
+            message: 'Regra não encontrada'
+        });
+        return null;
+    }
+
+    return regra;
+};
+
+export class RegraController {
+    /**
+     * Cria uma regra de categorização automática
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async create(req, res) {
+        try {
+            const validatedData = regraSchema.parse(req.body);
+
+            const referenciaError = await validarReferencias(req.user.id, validatedData);
+            if (referenciaError) {
+                return res.status(400).json({
+                    success: false,
+                    message: referenciaError
+                });
+            }
+
+            const { regra, error } = await Regra.create(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Regra criada com sucesso',
+                data: { regra }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'create');
+        }
+    }
+
+    /**
+     * Lista as regras do usuário por prioridade
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async list(req, res) {
+        try {
+            const regras = await Regra.findByUserId(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Regras listadas com sucesso',
+                data: {
+                    regras,
+                    total: regras.length
+                }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'list');
+        }
+    }
+
+    /**
+     * Busca uma regra
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getById(req, res) {
+        try {
+            const regra = await buscarRegra(req, res);
+            if (!regra) return;
+
+            return res.status(200).json({
+                success: true,
+                message: 'Regra encontrada com sucesso',
+                data: { regra }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'getById');
+        }
+    }
+
+    /**
+     * Atualiza uma regra
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async update(req, res) {
+        try {
+            const validatedData = updateRegraSchema.parse(req.body);
+
+            const existente = await buscarRegra(req, res);
+            if (!existente) return;
+
+            const regraCompleta = regraSchema.parse({ ...camposRegra(existente), ...validatedData });
+
+            const referenciaError = await validarReferencias(req.user.id, regraCompleta);
+            if (referenciaError) {
+                return res.status(400).json({
+                    success: false,
+                    message: referenciaError
+                });
+            }
+
+            const { regra, error } = await Regra.update(existente.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Regra atualizada com sucesso',
+                data: { regra }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'update');
+        }
+    }
+
+    /**
+     * Remove uma regra (as transações já categorizadas não mudam)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async delete(req, res) {
+        try {
+            const existente = await buscarRegra(req, res);
+            if (!existente) return;
+
+            const { success, error } = await Regra.delete(existente.id);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Regra removida com sucesso'
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'delete');
+        }
+    }
+
+    /**
+     * Aplica as regras às receitas e despesas já lançadas pelo usuário
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async aplicar(req, res) {
+        try {
+            const validatedData = aplicarRegrasSchema.parse(req.body || {});
+
+            const { resultado, error } = await Regra.aplicarRetroativo(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Regras aplicadas com sucesso',
+                data: {
+                    ...resultado,
+                    total_atualizadas: resultado.atualizadas.length
+                }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'aplicar');
+        }
+    }
+
+    /**
+     * Sugere categoria e tags para um nome: primeiro pelas regras, depois pelas
+     * transações anteriores do usuário com nome parecido
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async sugerir(req, res) {
+        try {
+            const { tipo, ...transacao } = sugestaoCategoriaSchema.parse(req.query);
+
+            const regras = await Regra.findByUserId(req.user.id);
+            const porRegra = Regra.resolver(regras, tipo, transacao);
+
+            let sugestao = null;
+            if (porRegra.category_id) {
+                sugestao = { category_id: porRegra.category_id, origem: 'regra', regras: porRegra.regras };
+            } else {
+                const porHistorico = await Regra.sugerirCategoria(req.user.id, tipo, transacao.nome);
+                sugestao = porHistorico && { ...porHistorico, origem: 'historico' };
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: sugestao ? 'Categoria sugerida com sucesso' : 'Nenhuma sugestão encontrada',
+                data: {
+                    sugestao,
+                    tags: porRegra.tags
+                }
+            });
+
+        } catch (error) {
+            return responderErro(res, error, 'sugerir');
+        }
+    }
+}
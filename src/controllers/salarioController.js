@@ -0,0 +1,65 @@
+// salarioController.js
+import { Salario } from '../models/Salario.js';
+import { Profile } from '../models/Profile.js';
+import { gerarSalariosSchema } from '../utils/financeValidators.js';
+
+export class SalarioController {
+    /**
+     * Gera as receitas de salário previstas pelo perfil para a competência (padrão: mês atual)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async gerar(req, res) {
+        try {
+            const { competencia } = gerarSalariosSchema.parse(req.body || {});
+
+            const profile = await Profile.findByUserId(req.user.id);
+            if (!profile || !(parseFloat(profile.salario) > 0) || !profile.conta_salario_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Informe o salário e a conta de salário no perfil'
+                });
+            }
+
+            const { resultado, error } = await Salario.gerarEsperadas(req.user.id, competencia);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            if (resultado.falhas.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: resultado.falhas[0].erro
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Salários gerados com sucesso',
+                data: {
+                    receitas: resultado.receitas,
+                    total: resultado.receitas.length
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller gerar salários:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
@@ -0,0 +1,260 @@
+// transferenciaController.js
+import { Transferencia } from '../models/Transferencia.js';
+import { FinanceData } from '../models/FinanceData.js';
+import {
+    transferenciaSchema,
+    updateTransferenciaSchema,
+    financeFiltersSchema
+} from '../utils/financeValidators.js';
+
+export class TransferenciaController {
+    /**
+     * Valida as contas de origem e destino de uma transferência
+     * @param {string} userId - ID do usuário
+     * @param {string} contaOrigemId - ID da conta de origem
+     * @param {string} contaDestinoId - ID da conta de destino
+     * @returns {string} Mensagem de erro ou null se válidas
+     */
+    static async validarContas(userId, contaOrigemId, contaDestinoId) {
+        if (contaOrigemId === contaDestinoId) {
+            return 'Conta de origem e destino devem ser diferentes';
+        }
+
+        const userAccounts = await FinanceData.getUserAccounts(userId, null, { escrita: true });
+        const contaOrigem = userAccounts.find(acc => acc.id === contaOrigemId);
+        const contaDestino = userAccounts.find(acc => acc.id === contaDestinoId);
+
+        if (!contaOrigem || !contaDestino) {
+            return 'Conta não encontrada ou não pertence ao usuário';
+        }
+
+        // Movimentações de cartão são feitas via compras e pagamento de fatura
+        if (contaOrigem.tipo_conta === 'cartao_credito' || contaDestino.tipo_conta === 'cartao_credito') {
+            return 'Transferências não são permitidas para cartão de crédito, use pagamento de fatura';
+        }
+
+        return null;
+    }
+
+    /**
+     * Cria uma nova transferência
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async create(req, res) {
+        try {
+            const validatedData = transferenciaSchema.parse(req.body);
+
+            const contasError = await TransferenciaController.validarContas(
+                req.user.id,
+                validatedData.conta_origem_id,
+                validatedData.conta_destino_id
+            );
+
+            if (contasError) {
+                return res.status(400).json({
+                    success: false,
+                    message: contasError
+                });
+            }
+
+            const { transferencia, error } = await Transferencia.create(req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Transferência criada com sucesso',
+                data: { transferencia }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller create transferência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Lista transferências do usuário com filtros
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async list(req, res) {
+        try {
+            const filters = financeFiltersSchema.parse(req.query);
+
+            const transferencias = await Transferencia.findByUserId(req.user.id, filters);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Transferências listadas com sucesso',
+                data: {
+                    transferencias,
+                    total: transferencias.length,
+                    filtros: filters
+                }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Filtros inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller list transferências:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Busca uma transferência específica
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async getById(req, res) {
+        try {
+            const { id } = req.params;
+            const transferencia = await Transferencia.findById(id, req.user.id);
+
+            if (!transferencia) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Transferência não encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Transferência encontrada com sucesso',
+                data: { transferencia }
+            });
+
+        } catch (error) {
+            console.error('Erro no controller getById transferência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Atualiza uma transferência
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async update(req, res) {
+        try {
+            const { id } = req.params;
+
+            const transferenciaExistente = await Transferencia.findById(id, req.user.id);
+            if (!transferenciaExistente) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Transferência não encontrada'
+                });
+            }
+
+            const validatedData = updateTransferenciaSchema.parse(req.body);
+
+            // Se mudou alguma conta, valida o novo par de contas
+            if (validatedData.conta_origem_id || validatedData.conta_destino_id) {
+                const contasError = await TransferenciaController.validarContas(
+                    req.user.id,
+                    validatedData.conta_origem_id || transferenciaExistente.conta_origem_id,
+                    validatedData.conta_destino_id || transferenciaExistente.conta_destino_id
+                );
+
+                if (contasError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: contasError
+                    });
+                }
+            }
+
+            const { transferencia, error } = await Transferencia.update(id, req.user.id, validatedData);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Transferência atualizada com sucesso',
+                data: { transferencia }
+            });
+
+        } catch (error) {
+            if (error.name === 'ZodError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: error.errors
+                });
+            }
+
+            console.error('Erro no controller update transferência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Remove uma transferência estornando os saldos
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    static async delete(req, res) {
+        try {
+            const { id } = req.params;
+            const { success, error } = await Transferencia.delete(id, req.user.id);
+
+            if (!success) {
+                return res.status(400).json({
+                    success: false,
+                    message: error || 'Não foi possível remover a transferência'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Transferência removida com sucesso'
+            });
+
+        } catch (error) {
+            console.error('Erro no controller delete transferência:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+}
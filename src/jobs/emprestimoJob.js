@@ -0,0 +1,31 @@
+// emprestimoJob.js
+import { Emprestimo } from '../models/Emprestimo.js';
+
+/**
+ * Agenda o lançamento das parcelas vencidas de empréstimos de todos os usuários
+ * Intervalo configurável por EMPRESTIMOS_INTERVALO_HORAS (0 desativa)
+ * @returns {Object} Timer do agendamento ou null se desativado
+ */
+export const iniciarJobEmprestimos = () => {
+    const intervaloHoras = parseFloat(process.env.EMPRESTIMOS_INTERVALO_HORAS ?? '24');
+
+    if (!intervaloHoras) {
+        return null;
+    }
+
+    const executar = async () => {
+        const { resultado, error } = await Emprestimo.gerarVencidas(null);
+
+        if (error) {
+            console.error('Erro no job de empréstimos:', error);
+            return;
+        }
+
+        if (resultado.despesas.length > 0 || resultado.falhas.length > 0) {
+            console.log(`🏦 Empréstimos: ${resultado.despesas.length} parcela(s) lançada(s), ${resultado.falhas.length} falha(s)`);
+        }
+    };
+
+    executar();
+    return setInterval(executar, intervaloHoras * 60 * 60 * 1000);
+};
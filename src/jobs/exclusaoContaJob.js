@@ -0,0 +1,30 @@
+// exclusaoContaJob.js
+import { DadosPessoais } from '../models/DadosPessoais.js';
+
+/**
+ * Agenda a remoção definitiva das contas com exclusão vencida (fim da carência)
+ * Intervalo configurável por EXCLUSAO_CONTA_INTERVALO_HORAS (0 desativa)
+ * @returns {Object} Timer do agendamento ou null se desativado
+ */
+export const iniciarJobExclusaoContas = () => {
+    const intervaloHoras = parseFloat(process.env.EXCLUSAO_CONTA_INTERVALO_HORAS ?? '24');
+
+    if (!intervaloHoras) {
+        return null;
+    }
+
+    const executar = async () => {
+        try {
+            const resultado = await DadosPessoais.excluirPendentes();
+
+            if (resultado.excluidos.length > 0 || resultado.falhas.length > 0) {
+                console.log(`🗑️ Exclusão de contas: ${resultado.excluidos.length} excluída(s), ${resultado.falhas.length} falha(s)`);
+            }
+        } catch (error) {
+            console.error('Erro no job de exclusão de contas:', error);
+        }
+    };
+
+    executar();
+    return setInterval(executar, intervaloHoras * 60 * 60 * 1000);
+};
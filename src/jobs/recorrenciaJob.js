@@ -0,0 +1,32 @@
+// recorrenciaJob.js
+import { Recorrencia } from '../models/Recorrencia.js';
+
+/**
+ * Agenda a geração periódica das ocorrências de recorrências de todos os usuários
+ * Intervalo configurável por RECORRENCIAS_INTERVALO_HORAS (0 desativa)
+ * @returns {Object} Timer do agendamento ou null se desativado
+ */
+export const iniciarJobRecorrencias = () => {
+    const intervaloHoras = parseFloat(process.env.RECORRENCIAS_INTERVALO_HORAS ?? '24');
+
+    if (!intervaloHoras) {
+        return null;
+    }
+
+    const executar = async () => {
+        const { resultado, error } = await Recorrencia.gerarPendentes(null);
+
+        if (error) {
+            console.error('Erro no job de recorrências:', error);
+            return;
+        }
+
+        const total = resultado.receitas.length + resultado.despesas.length;
+        if (total > 0 || resultado.falhas.length > 0) {
+            console.log(`🔁 Recorrências: ${total} ocorrência(s) gerada(s), ${resultado.falhas.length} falha(s)`);
+        }
+    };
+
+    executar();
+    return setInterval(executar, intervaloHoras * 60 * 60 * 1000);
+};
@@ -0,0 +1,31 @@
+// salarioJob.js
+import { Salario } from '../models/Salario.js';
+
+/**
+ * Agenda a geração das receitas de salário previstas do mês para todos os usuários
+ * Intervalo configurável por SALARIOS_INTERVALO_HORAS (0 desativa)
+ * @returns {Object} Timer do agendamento ou null se desativado
+ */
+export const iniciarJobSalarios = () => {
+    const intervaloHoras = parseFloat(process.env.SALARIOS_INTERVALO_HORAS ?? '24');
+
+    if (!intervaloHoras) {
+        return null;
+    }
+
+    const executar = async () => {
+        const { resultado, error } = await Salario.gerarEsperadas(null);
+
+        if (error) {
+            console.error('Erro no job de salários:', error);
+            return;
+        }
+
+        if (resultado.receitas.length > 0 || resultado.falhas.length > 0) {
+            console.log(`💰 Salários: ${resultado.receitas.length} receita(s) prevista(s) gerada(s), ${resultado.falhas.length} falha(s)`);
+        }
+    };
+
+    executar();
+    return setInterval(executar, intervaloHoras * 60 * 60 * 1000);
+};
@@ -1,6 +1,7 @@
 // authMiddleware.js 
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
+import { Sessao } from '../models/Sessao.js';
 
 /**
  * Middleware para verificar token JWT
@@ -23,6 +24,14 @@ export const authenticateToken = async (req, res, next) => {
         // Verifica e decodifica o token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
+        // Tokens sem sessão (emitidos antes das sessões) ou de sessão revogada não valem mais
+        if (!decoded.sessaoId || !(await Sessao.isAtiva(decoded.sessaoId, decoded.userId))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sessão expirada ou encerrada'
+            });
+        }
+        
         // Busca o usuário no banco
         const user = await User.findById(decoded.userId);
         
@@ -35,6 +44,7 @@ export const authenticateToken = async (req, res, next) => {
         
         // Adiciona o usuário ao request
         req.user = user;
+        req.sessaoId = decoded.sessaoId;
         next();
         
     } catch (error) {
@@ -57,4 +67,27 @@ export const authenticateToken = async (req, res, next) => {
             message: 'Erro interno do servidor'
         });
     }
-};
\ No newline at end of file
+};
+
+// Ações bloqueadas até o usuário confirmar o e-mail (configurável por ambiente)
+const ACOES_EXIGEM_EMAIL_VERIFICADO = (process.env.ACOES_EXIGEM_EMAIL_VERIFICADO ?? 'importacao,compartilhamento')
+    .split(',')
+    .map(acao => acao.trim())
+    .filter(Boolean);
+
+/**
+ * Middleware que bloqueia a ação para usuários com e-mail não verificado,
+ * quando a ação estiver na política configurada. Usar após authenticateToken.
+ * @param {string} acao - Nome da ação (ex.: 'importacao')
+ * @returns {Function} Middleware
+ */
+export const exigirEmailVerificado = (acao) => (req, res, next) => {
+    if (ACOES_EXIGEM_EMAIL_VERIFICADO.includes(acao) && !req.user.email_verificado_em) {
+        return res.status(403).json({
+            success: false,
+            message: 'Confirme seu email para realizar esta ação'
+        });
+    }
+    
+    next();
+};
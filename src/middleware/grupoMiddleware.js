@@ -0,0 +1,55 @@
+// grupoMiddleware.js
+import { Grupo } from '../models/Grupo.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Middleware que resolve o grupo informado em ?grupo_id e confere o papel do
+ * usuário nele. Define req.grupoId (null quando a consulta é pessoal).
+ * Usar após authenticateToken.
+ * @param {string} papelMinimo - Papel mínimo exigido ('viewer', 'editor' ou 'owner')
+ * @returns {Function} Middleware
+ */
+export const acessoGrupo = (papelMinimo = 'viewer') => async (req, res, next) => {
+    const { grupo_id: grupoId } = req.query;
+
+    if (!grupoId) {
+        req.grupoId = null;
+        return next();
+    }
+
+    if (!UUID_REGEX.test(grupoId)) {
+        return res.status(400).json({
+            success: false,
+            message: 'ID do grupo inválido'
+        });
+    }
+
+    try {
+        const papel = await Grupo.getPapel(grupoId, req.user.id);
+
+        if (!papel) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grupo não encontrado'
+            });
+        }
+
+        if (!Grupo.atende(papel, papelMinimo)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Seu papel no grupo não permite esta ação'
+            });
+        }
+
+        req.grupoId = grupoId;
+        req.papelGrupo = papel;
+        next();
+    } catch (error) {
+        console.error('Erro ao verificar acesso ao grupo:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+};
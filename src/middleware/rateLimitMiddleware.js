@@ -0,0 +1,53 @@
+// rateLimitMiddleware.js
+import { getStore } from '../config/rateLimitStore.js';
+
+/**
+ * Cria um middleware de rate limiting por janela fixa
+ * @param {Object} opcoes - Configuração do limite
+ * @param {string} opcoes.nome - Prefixo das chaves (separa os buckets)
+ * @param {number} opcoes.janelaMs - Tamanho da janela em milissegundos
+ * @param {number} opcoes.maximo - Requisições permitidas por janela
+ * @param {Function} opcoes.chave - (req) => identificador do bucket; null/undefined ignora o limite
+ * @param {string} opcoes.mensagem - Mensagem da resposta 429
+ * @returns {Function} Middleware
+ */
+export const rateLimit = ({ nome, janelaMs, maximo, chave = (req) => req.ip, mensagem }) => {
+    return async (req, res, next) => {
+        try {
+            const identificador = chave(req);
+            if (!identificador) {
+                return next();
+            }
+
+            const { total, expira_em } = await getStore().incrementar(`${nome}:${identificador}`, janelaMs);
+
+            res.setHeader('X-RateLimit-Limit', maximo);
+            res.setHeader('X-RateLimit-Remaining', Math.max(maximo - total, 0));
+
+            if (total > maximo) {
+                res.setHeader('Retry-After', Math.max(Math.ceil((expira_em - Date.now()) / 1000), 1));
+                return res.status(429).json({
+                    success: false,
+                    message: mensagem || 'Muitas requisições. Tente novamente mais tarde'
+                });
+            }
+
+            next();
+        } catch (error) {
+            // Falha no store não deve derrubar a API
+            console.error('Erro no rate limiting:', error);
+            next();
+        }
+    };
+};
+
+// Métodos que alteram dados
+const METODOS_ESCRITA = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Aplica o middleware apenas em requisições de escrita
+ * @param {Function} middleware - Middleware de rate limiting
+ * @returns {Function} Middleware
+ */
+export const somenteEscrita = (middleware) => (req, res, next) =>
+    METODOS_ESCRITA.has(req.method) ? middleware(req, res, next) : next();
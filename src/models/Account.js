@@ -1,10 +1,13 @@
 import { supabase } from '../config/supabaseClient.js';
+import { Lancamento } from './Lancamento.js';
+import { Grupo } from './Grupo.js';
+import { Emprestimo } from './Emprestimo.js';
 
 export class Account {
     /**
      * Cria uma nova conta
      * @param {string} userId - ID do usuário
-     * @param {Object} accountData - Dados da conta
+     * @param {Object} accountData - Dados da conta (grupo_id opcional para conta da casa)
      * @returns {Object} Conta criada ou erro
      */
     static async create(userId, accountData) {
@@ -14,21 +17,53 @@ export class Account {
                 nome, 
                 saldo_atual, 
                 ativo,
+                grupo_id,
+                moeda,
                 // Campos específicos que NÃO vão para tabela principal
                 nome_banco, agencia, numero_conta, tipo_conta_corrente,
                 bandeira, limite_total, limite_disponivel, vencimento_fatura, melhor_data_compra,
                 descricao,
+                corretora,
+                instituicao, principal, taxa_juros, taxa_periodo, prazo_meses, sistema,
+                data_primeira_parcela, conta_pagamento_id, category_id, parcelas_pagas,
                 ...otherData 
             } = accountData;
+
+            if (grupo_id && !Grupo.atende(await Grupo.getPapel(grupo_id, userId), 'editor')) {
+                throw new Error('Sem permissão para criar contas neste grupo');
+            }
+
+            // Empréstimo: o saldo é a dívida restante após as parcelas já pagas fora do app
+            const dadosEmprestimo = tipo_conta === 'emprestimo'
+                ? {
+                    instituicao, principal, taxa_juros, taxa_periodo, prazo_meses, sistema,
+                    data_primeira_parcela, conta_pagamento_id, category_id, parcelas_pagas
+                }
+                : null;
+            let tabelaEmprestimo = null;
+            let saldoInicial = saldo_atual || 0;
+
+            if (dadosEmprestimo) {
+                await Emprestimo.validarContaPagamento(conta_pagamento_id, userId, {
+                    grupo_id,
+                    moeda: moeda || 'BRL'
+                });
+
+                const { tabela, saldoDevedor } = Emprestimo.prepararTabela(dadosEmprestimo);
+                tabelaEmprestimo = tabela;
+                saldoInicial = -saldoDevedor;
+            }
             
             // Cria registro na tabela principal APENAS com campos que existem nela
             const { data: account, error: accountError } = await supabase
                 .from('gzen_accounts')
                 .insert([{
                     user_id: userId,
+                    grupo_id: grupo_id || null,
                     nome,
                     tipo_conta,
-                    saldo_atual: saldo_atual || 0,
+                    moeda: moeda || 'BRL',
+                    saldo_atual: saldoInicial,
                     ativo: ativo !== undefined ? ativo : true
                 }])
                 .select('*')
@@ -39,6 +74,9 @@ export class Account {
                 throw accountError;
             }
 
+            // Abre o extrato da conta com o saldo informado
+            await Lancamento.registrarSaldoInicial(account);
+
             // Cria registro específico baseado no tipo
             let specificData = null;
             
@@ -97,6 +135,25 @@ export class Account {
                     throw error;
                 }
                 specificData = data;
+                
+            } else if (tipo_conta === 'investimento') {
+                const { data, error } = await supabase
+                    .from('gzen_investimento')
+                    .insert([{
+                        account_id: account.id,
+                        corretora
+                    }])
+                    .select('*')
+                    .single();
+                
+                if (error) {
+                    console.error('Erro ao criar detalhes investimento:', error);
+                    throw error;
+                }
+                specificData = data;
+                
+            } else if (tipo_conta === 'emprestimo') {
+                specificData = await Emprestimo.criar(account, dadosEmprestimo, tabelaEmprestimo);
             }
 
             return { 
@@ -114,7 +171,7 @@ export class Account {
     }
 
     /**
-     * Busca todas as contas do usuário
+     * Busca todas as contas do usuário, incluindo as dos grupos dos quais é membro
      * @param {string} userId - ID do usuário
      * @returns {Array} Lista de contas
      */
@@ -123,7 +180,7 @@ export class Account {
             const { data: accounts, error } = await supabase
                 .from('gzen_accounts')
                 .select('*')
-                .eq('user_id', userId)
+                .or(await Grupo.filtroLeitura(userId))
                 .eq('ativo', true)
                 .order('created_at', { ascending: false });
 
@@ -161,6 +218,17 @@ export class Account {
                                 .eq('account_id', account.id)
                                 .single();
                             detalhes = data;
+                            
+                        } else if (account.tipo_conta === 'investimento') {
+                            const { data } = await supabase
+                                .from('gzen_investimento')
+                                .select('*')
+                                .eq('account_id', account.id)
+                                .single();
+                            detalhes = data;
+                                                    
+                        } else if (account.tipo_conta === 'emprestimo') {
+                            detalhes = await Emprestimo.findByAccountId(account.id);
                         }
                     } catch (detailError) {
                         console.error(`Erro ao buscar detalhes para conta ${account.id}:`, detailError);
@@ -182,15 +250,16 @@ export class Account {
      * Busca conta por ID
      * @param {string} accountId - ID da conta
      * @param {string} userId - ID do usuário (para verificação de propriedade)
+     * @param {Object} opcoes - escrita: exige permissão de alteração (owner/editor em contas de grupo)
      * @returns {Object} Conta encontrada ou null
      */
-    static async findById(accountId, userId) {
+    static async findById(accountId, userId, { escrita = false } = {}) {
         try {
             const { data: account, error } = await supabase
                 .from('gzen_accounts')
                 .select('*')
                 .eq('id', accountId)
-                .eq('user_id', userId)
+                .or(escrita ? await Grupo.filtroEscrita(userId) : await Grupo.filtroLeitura(userId))
                 .single();
 
             if (error) {
@@ -225,6 +294,17 @@ export class Account {
                         .eq('account_id', account.id)
                         .single();
                     detalhes = data;
+                    
+                } else if (account.tipo_conta === 'investimento') {
+                    const { data } = await supabase
+                        .from('gzen_investimento')
+                        .select('*')
+                        .eq('account_id', account.id)
+                        .single();
+                    detalhes = data;
+                                    
+                } else if (account.tipo_conta === 'emprestimo') {
+                    detalhes = await Emprestimo.findByAccountId(account.id);
                 }
             } catch (detailError) {
                 console.error(`Erro ao buscar detalhes para conta ${account.id}:`, detailError);
@@ -252,9 +332,19 @@ export class Account {
                 nome_banco, agencia, numero_conta, tipo_conta_corrente,
                 bandeira, limite_total, limite_disponivel, vencimento_fatura, melhor_data_compra,
                 descricao,
+                corretora,
+                instituicao, conta_pagamento_id, category_id,
+                saldo_atual,
                 ...baseData
             } = updateData;
 
+            // Saldo informado manualmente vira um lançamento de ajuste no extrato
+            if (saldo_atual !== undefined) {
+                await Lancamento.ajustarSaldo(accountId, userId, saldo_atual);
+            }
+
+            const filtroEscrita = await Grupo.filtroEscrita(userId);
+
             // Só atualiza se há dados para a tabela principal
             let account = null;
             if (Object.keys(baseData).length > 0) {
@@ -262,7 +352,7 @@ export class Account {
                     .from('gzen_accounts')
                     .update(baseData)
                     .eq('id', accountId)
-                    .eq('user_id', userId)
+                    .or(filtroEscrita)
                     .select('*')
                     .single();
 
@@ -277,7 +367,7 @@ export class Account {
                     .from('gzen_accounts')
                     .select('*')
                     .eq('id', accountId)
-                    .eq('user_id', userId)
+                    .or(filtroEscrita)
                     .single();
                 account = data;
             }
@@ -340,6 +430,43 @@ export class Account {
                     throw error;
                 }
                 specificData = data;
+                
+            } else if (account.tipo_conta === 'investimento' && corretora !== undefined) {
+                const { data, error } = await supabase
+                    .from('gzen_investimento')
+                    .update({ corretora })
+                    .eq('account_id', accountId)
+                    .select('*')
+                    .single();
+                
+                if (error) {
+                    console.error('Erro ao atualizar detalhes investimento:', error);
+                    throw error;
+                }
+                specificData = data;
+                
+            } else if (account.tipo_conta === 'emprestimo' && (instituicao || conta_pagamento_id || category_id !== undefined)) {
+                if (conta_pagamento_id) {
+                    await Emprestimo.validarContaPagamento(conta_pagamento_id, userId, account);
+                }
+
+                const updateObj = {};
+                if (instituicao !== undefined) updateObj.instituicao = instituicao;
+                if (conta_pagamento_id !== undefined) updateObj.conta_pagamento_id = conta_pagamento_id;
+                if (category_id !== undefined) updateObj.category_id = category_id;
+                
+                const { data, error } = await supabase
+                    .from('gzen_emprestimo')
+                    .update(updateObj)
+                    .eq('account_id', accountId)
+                    .select('*')
+                    .single();
+                
+                if (error) {
+                    console.error('Erro ao atualizar detalhes empréstimo:', error);
+                    throw error;
+                }
+                specificData = data;
             }
 
             // Se não atualizou detalhes específicos, busca os existentes
@@ -365,6 +492,15 @@ export class Account {
                         .eq('account_id', accountId)
                         .single();
                     specificData = data;
+                } else if (account.tipo_conta === 'investimento') {
+                    const { data } = await supabase
+                        .from('gzen_investimento')
+                        .select('*')
+                        .eq('account_id', accountId)
+                        .single();
+                    specificData = data;
+                } else if (account.tipo_conta === 'emprestimo') {
+                    specificData = await Emprestimo.findByAccountId(accountId);
                 }
             }
 
@@ -394,7 +530,7 @@ export class Account {
                 .from('gzen_accounts')
                 .update({ ativo: false })
                 .eq('id', accountId)
-                .eq('user_id', userId)
+                .or(await Grupo.filtroEscrita(userId))
                 .select('*')
                 .single();
 
@@ -423,7 +559,7 @@ export class Account {
                 .from('gzen_accounts')
                 .delete()
                 .eq('id', accountId)
-                .eq('user_id', userId);
+                .or(await Grupo.filtroEscrita(userId));
 
             if (error) {
                 console.error('Erro ao fazer hard delete:', error);
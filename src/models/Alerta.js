@@ -0,0 +1,257 @@
+// Alerta.js
+import { supabase } from '../config/supabaseClient.js';
+import { Account } from './Account.js';
+import { Notificacao } from './Notificacao.js';
+import { Orcamento } from './Orcamento.js';
+import { OrcamentoCategoria } from './OrcamentoCategoria.js';
+import { hoje } from '../utils/dateUtils.js';
+
+// Configuração usada enquanto o usuário não personaliza seus alertas
+const CONFIGURACAO_PADRAO = {
+    percentuais_categoria: [50, 80, 100],
+    limite_gastos_mensal: null,
+    saldo_minimo: null,
+    percentual_limite_cartao: null
+};
+
+// Formata valores em reais para as mensagens (ex.: R$ 1200,00)
+const formatarMoeda = (valor) => `R$ ${parseFloat(valor).toFixed(2).replace('.', ',')}`;
+
+export class Alerta {
+    /**
+     * Busca a configuração de alertas do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Configuração (padrão se ainda não definida)
+     */
+    static async getConfiguracao(userId) {
+        const { data: configuracao, error } = await supabase
+            .from('gzen_alertas_config')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return { ...CONFIGURACAO_PADRAO, ...configuracao };
+    }
+
+    /**
+     * Atualiza a configuração de alertas do usuário
+     * @param {string} userId - ID do usuário
+     * @param {Object} configData - Limiares a atualizar
+     * @returns {Object} Configuração atualizada ou erro
+     */
+    static async updateConfiguracao(userId, configData) {
+        try {
+            const atual = await this.getConfiguracao(userId);
+
+            const { data: configuracao, error } = await supabase
+                .from('gzen_alertas_config')
+                .upsert([{
+                    user_id: userId,
+                    percentuais_categoria: atual.percentuais_categoria,
+                    limite_gastos_mensal: atual.limite_gastos_mensal,
+                    saldo_minimo: atual.saldo_minimo,
+                    percentual_limite_cartao: atual.percentual_limite_cartao,
+                    ...configData
+                }], {
+                    onConflict: 'user_id'
+                })
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { configuracao, error: null };
+        } catch (error) {
+            console.error('Erro ao atualizar configuração de alertas:', error);
+            return { configuracao: null, error: error.message };
+        }
+    }
+
+    /**
+     * Retorna o maior percentual configurado que foi atingido
+     * @param {Array} percentuais - Limiares configurados
+     * @param {number} utilizado - Percentual utilizado
+     * @returns {number} Limiar atingido ou null
+     */
+    static getPercentualAtingido(percentuais, utilizado) {
+        const atingidos = percentuais.filter(percentual => utilizado >= percentual);
+        return atingidos.length > 0 ? Math.max(...atingidos) : null;
+    }
+
+    /**
+     * Avalia os alertas disparados por uma despesa confirmada
+     * @param {Object} despesa - Despesa gravada
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Notificações criadas
+     */
+    static async avaliarDespesa(despesa, userId) {
+        if (despesa.status !== 'confirmada' || despesa.ativo === false) {
+            return [];
+        }
+
+        const configuracao = await this.getConfiguracao(userId);
+        const [ano, mes] = despesa.data_despesa.split('-').map(Number);
+
+        const alertas = [
+            ...(await this.avaliarCategoria(despesa, configuracao, mes, ano, userId)),
+            ...(await this.avaliarMes(configuracao, mes, ano, userId)),
+            ...(await this.avaliarConta(despesa.account_id, configuracao, userId))
+        ];
+
+        const notificacoes = [];
+        for (const alerta of alertas) {
+            const notificacao = await Notificacao.criar(userId, alerta);
+            if (notificacao) {
+                notificacoes.push(notificacao);
+            }
+        }
+
+        return notificacoes;
+    }
+
+    /**
+     * Verifica o consumo do limite da categoria da despesa no mês
+     * @param {Object} despesa - Despesa gravada
+     * @param {Object} configuracao - Configuração de alertas
+     * @param {number} mes - Mês da despesa
+     * @param {number} ano - Ano da despesa
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Alertas a notificar
+     */
+    static async avaliarCategoria(despesa, configuracao, mes, ano, userId) {
+        if (!despesa.category_id || configuracao.percentuais_categoria.length === 0) {
+            return [];
+        }
+
+        // Despesas de conta de grupo consomem os limites do orçamento do grupo
+        const consumo = await OrcamentoCategoria.calcularConsumo(userId, mes, ano, despesa.grupo_id || null);
+        const item = consumo.find(c => c.categoria?.id === despesa.category_id);
+
+        if (!item || item.planejado === null) {
+            return [];
+        }
+
+        const percentual = this.getPercentualAtingido(
+            configuracao.percentuais_categoria,
+            item.percentual_utilizado
+        );
+        if (percentual === null) {
+            return [];
+        }
+
+        return [{
+            tipo: 'limite_categoria',
+            titulo: `${item.categoria.nome}: ${percentual}% do limite atingido`,
+            mensagem: `Você já gastou ${formatarMoeda(item.realizado)} de ${formatarMoeda(item.planejado)} planejados para ${item.categoria.nome} em ${mes.toString().padStart(2, '0')}/${ano}.`,
+            dados: {
+                category_id: despesa.category_id,
+                mes,
+                ano,
+                percentual,
+                realizado: item.realizado,
+                planejado: item.planejado
+            },
+            chave: `limite_categoria:${despesa.category_id}:${ano}-${mes}:${percentual}${despesa.grupo_id ? `:${despesa.grupo_id}` : ''}`
+        }];
+    }
+
+    /**
+     * Verifica o total de despesas do mês contra o limite mensal configurado
+     * @param {Object} configuracao - Configuração de alertas
+     * @param {number} mes - Mês
+     * @param {number} ano - Ano
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Alertas a notificar
+     */
+    static async avaliarMes(configuracao, mes, ano, userId) {
+        const limiteMensal = parseFloat(configuracao.limite_gastos_mensal);
+        if (!limiteMensal || configuracao.percentuais_categoria.length === 0) {
+            return [];
+        }
+
+        const orcamento = await Orcamento.findOrCreateByPeriod(userId, mes, ano);
+        if (!orcamento) {
+            return [];
+        }
+
+        const gasto = parseFloat(orcamento.despesa_total);
+        const percentual = this.getPercentualAtingido(
+            configuracao.percentuais_categoria,
+            (gasto / limiteMensal) * 100
+        );
+        if (percentual === null) {
+            return [];
+        }
+
+        return [{
+            tipo: 'limite_mensal',
+            titulo: `${percentual}% do limite de gastos do mês atingido`,
+            mensagem: `Suas despesas de ${mes.toString().padStart(2, '0')}/${ano} somam ${formatarMoeda(gasto)} de um limite de ${formatarMoeda(limiteMensal)}.`,
+            dados: { mes, ano, percentual, realizado: gasto, planejado: limiteMensal },
+            chave: `limite_mensal:${ano}-${mes}:${percentual}`
+        }];
+    }
+
+    /**
+     * Verifica saldo mínimo da conta ou limite disponível do cartão
+     * @param {string} accountId - ID da conta debitada
+     * @param {Object} configuracao - Configuração de alertas
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Alertas a notificar
+     */
+    static async avaliarConta(accountId, configuracao, userId) {
+        const account = await Account.findById(accountId, userId);
+        if (!account) {
+            return [];
+        }
+
+        // Um alerta por conta por dia, para não repetir a cada nova despesa
+        const dia = hoje();
+
+        if (account.tipo_conta === 'cartao_credito') {
+            const percentualMinimo = parseFloat(configuracao.percentual_limite_cartao);
+            const limiteTotal = parseFloat(account.detalhes?.limite_total);
+            if (!percentualMinimo || !limiteTotal) {
+                return [];
+            }
+
+            const limiteDisponivel = parseFloat(account.detalhes.limite_disponivel);
+            const percentualDisponivel = (limiteDisponivel / limiteTotal) * 100;
+            if (percentualDisponivel >= percentualMinimo) {
+                return [];
+            }
+
+            return [{
+                tipo: 'limite_cartao',
+                titulo: `Limite do cartão ${account.nome} abaixo de ${percentualMinimo}%`,
+                mensagem: `Restam ${formatarMoeda(limiteDisponivel)} de ${formatarMoeda(limiteTotal)} de limite no cartão ${account.nome}.`,
+                dados: { account_id: accountId, limite_disponivel: limiteDisponivel, limite_total: limiteTotal },
+                chave: `limite_cartao:${accountId}:${dia}`
+            }];
+        }
+
+        if (configuracao.saldo_minimo === null || configuracao.saldo_minimo === undefined) {
+            return [];
+        }
+
+        const saldoMinimo = parseFloat(configuracao.saldo_minimo);
+        const saldoAtual = parseFloat(account.saldo_atual);
+        if (saldoAtual >= saldoMinimo) {
+            return [];
+        }
+
+        return [{
+            tipo: 'saldo_minimo',
+            titulo: `Saldo de ${account.nome} abaixo de ${formatarMoeda(saldoMinimo)}`,
+            mensagem: `O saldo atual de ${account.nome} é ${formatarMoeda(saldoAtual)}.`,
+            dados: { account_id: accountId, saldo_atual: saldoAtual, saldo_minimo: saldoMinimo },
+            chave: `saldo_minimo:${accountId}:${dia}`
+        }];
+    }
+}
@@ -0,0 +1,284 @@
+// Cotacao.js
+import { supabase } from '../config/supabaseClient.js';
+import { parseCotacoesCsv } from '../utils/importUtils.js';
+import { hoje } from '../utils/dateUtils.js';
+
+export const MOEDA_PADRAO = 'BRL';
+
+export class Cotacao {
+    /**
+     * Moeda base dos relatórios: a do perfil do usuário ou, para o grupo, a do owner
+     * (cujas cotações também são as usadas na conversão)
+     * @param {string} userId - ID do usuário
+     * @param {string} grupoId - ID do grupo (opcional)
+     * @returns {Object} { donoId, moedaBase } com o código da moeda (ISO 4217)
+     */
+    static async getMoedaBase(userId, grupoId = null) {
+        let donoId = userId;
+
+        if (grupoId) {
+            const { data: grupo, error } = await supabase
+                .from('gzen_grupos')
+                .select('owner_id')
+                .eq('id', grupoId)
+                .maybeSingle();
+
+            if (error) {
+                throw error;
+            }
+
+            donoId = grupo?.owner_id || userId;
+        }
+
+        const { data: perfil, error } = await supabase
+            .from('gzen_profiles')
+            .select('moeda_base')
+            .eq('user_id', donoId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return { donoId, moedaBase: perfil?.moeda_base || MOEDA_PADRAO };
+    }
+
+    /**
+     * Lista as cotações cadastradas pelo usuário
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Moedas e período
+     * @returns {Array} Cotações (mais recentes primeiro)
+     */
+    static async findByUserId(userId, filters = {}) {
+        let query = supabase
+            .from('gzen_cotacoes')
+            .select('*')
+            .eq('user_id', userId);
+
+        if (filters.moeda_origem) {
+            query = query.eq('moeda_origem', filters.moeda_origem);
+        }
+        if (filters.moeda_destino) {
+            query = query.eq('moeda_destino', filters.moeda_destino);
+        }
+        if (filters.data_inicio) {
+            query = query.gte('data', filters.data_inicio);
+        }
+        if (filters.data_fim) {
+            query = query.lte('data', filters.data_fim);
+        }
+
+        const { data: cotacoes, error } = await query
+            .order('data', { ascending: false })
+            .order('moeda_origem')
+            .limit(filters.limite || 500);
+
+        if (error) {
+            throw error;
+        }
+
+        return cotacoes || [];
+    }
+
+    /**
+     * Cadastra ou substitui cotações (uma por par de moedas e data)
+     * @param {string} userId - ID do usuário
+     * @param {Array} cotacoes - Cotações (moeda_origem, moeda_destino, data, taxa)
+     * @param {string} fonte - 'manual' ou 'arquivo'
+     * @returns {Object} Cotações gravadas ou erro
+     */
+    static async salvar(userId, cotacoes, fonte = 'manual') {
+        try {
+            const { data, error } = await supabase
+                .from('gzen_cotacoes')
+                .upsert(
+                    cotacoes.map(cotacao => ({
+                        user_id: userId,
+                        moeda_origem: cotacao.moeda_origem,
+                        moeda_destino: cotacao.moeda_destino,
+                        data: cotacao.data,
+                        taxa: cotacao.taxa,
+                        fonte,
+                        updated_at: new Date().toISOString()
+                    })),
+                    { onConflict: 'user_id,moeda_origem,moeda_destino,data' }
+                )
+                .select('*');
+
+            if (error) {
+                throw error;
+            }
+
+            return { cotacoes: data, error: null };
+        } catch (error) {
+            console.error('Erro ao salvar cotações:', error);
+            return { cotacoes: null, error: error.message };
+        }
+    }
+
+    /**
+     * Importa cotações de um arquivo CSV; linhas com erro são ignoradas e devolvidas
+     * @param {string} userId - ID do usuário
+     * @param {Object} importacaoData - Conteúdo do arquivo e formato das datas
+     * @returns {Object} Resultado da importação ou erro
+     */
+    static async importar(userId, importacaoData) {
+        try {
+            const linhas = parseCotacoesCsv(importacaoData.conteudo, importacaoData.formato_data);
+            const validas = linhas.filter(linha => linha.erros.length === 0);
+            const invalidas = linhas.filter(linha => linha.erros.length > 0);
+
+            if (validas.length === 0) {
+                throw new Error('Nenhuma cotação válida encontrada no arquivo');
+            }
+
+            // Linhas repetidas no arquivo: vale a última
+            const unicas = new Map(validas.map(linha => [
+                `${linha.moeda_origem}|${linha.moeda_destino}|${linha.data}`,
+                linha
+            ]));
+
+            const { cotacoes, error } = await this.salvar(userId, [...unicas.values()], 'arquivo');
+
+            if (error) {
+                throw new Error(error);
+            }
+
+            return {
+                importacao: {
+                    total_linhas: linhas.length,
+                    importadas: cotacoes.length,
+                    erros: invalidas
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao importar cotações:', error);
+            return { importacao: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove uma cotação
+     * @param {string} cotacaoId - ID da cotação
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Resultado da operação
+     */
+    static async delete(cotacaoId, userId) {
+        try {
+            const { data, error } = await supabase
+                .from('gzen_cotacoes')
+                .delete()
+                .eq('id', cotacaoId)
+                .eq('user_id', userId)
+                .select('id');
+
+            if (error) {
+                throw error;
+            }
+
+            if (data.length === 0) {
+                throw new Error('Cotação não encontrada');
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover cotação:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Carrega as cotações necessárias e devolve um conversor para a moeda base.
+     * Usa a cotação mais recente até a data (ou, sem ela, a primeira posterior);
+     * o par inverso também serve (1 / taxa).
+     * @param {string} userId - ID do usuário dono das cotações
+     * @param {string} moedaBase - Moeda de destino
+     * @param {Array} moedas - Moedas que serão convertidas
+     * @returns {Object} { moedaBase, converter(valor, moeda, data) → número ou null sem cotação }
+     */
+    static async criarConversor(userId, moedaBase, moedas) {
+        const estrangeiras = [...new Set(moedas.filter(moeda => moeda && moeda !== moedaBase))];
+        const taxas = new Map();
+
+        if (estrangeiras.length > 0) {
+            const lista = estrangeiras.join(',');
+            const { data: cotacoes, error } = await supabase
+                .from('gzen_cotacoes')
+                .select('moeda_origem, moeda_destino, data, taxa')
+                .eq('user_id', userId)
+                .or(
+                    `and(moeda_origem.in.(${lista}),moeda_destino.eq.${moedaBase}),` +
+                    `and(moeda_origem.eq.${moedaBase},moeda_destino.in.(${lista}))`
+                )
+                .order('data');
+
+            if (error) {
+                throw error;
+            }
+
+            for (const cotacao of cotacoes) {
+                const direta = cotacao.moeda_destino === moedaBase;
+                const moeda = direta ? cotacao.moeda_origem : cotacao.moeda_destino;
+                const taxa = direta ? parseFloat(cotacao.taxa) : 1 / parseFloat(cotacao.taxa);
+
+                if (!taxas.has(moeda)) {
+                    taxas.set(moeda, []);
+                }
+
+                // Na mesma data, a cotação direta prevalece sobre a inversa
+                const datas = taxas.get(moeda);
+                const mesmaData = datas.find(item => item.data === cotacao.data);
+                if (!mesmaData) {
+                    datas.push({ data: cotacao.data, taxa });
+                } else if (direta) {
+                    mesmaData.taxa = taxa;
+                }
+            }
+        }
+
+        const converter = (valor, moeda, data = hoje()) => {
+            const numero = parseFloat(valor);
+            if (!moeda || moeda === moedaBase) {
+                return numero;
+            }
+
+            const datas = taxas.get(moeda);
+            if (!datas || datas.length === 0) {
+                return null;
+            }
+
+            const anteriores = datas.filter(item => item.data <= data);
+            const { taxa } = anteriores.length > 0 ? anteriores[anteriores.length - 1] : datas[0];
+
+            return Math.round(numero * taxa * 100) / 100;
+        };
+
+        return { moedaBase, converter };
+    }
+
+    /**
+     * Converte o valor de uma transação para a moeda base do orçamento em que ela entra
+     * @param {string} userId - ID de quem lançou
+     * @param {string} grupoId - Grupo da conta (opcional)
+     * @param {string} moeda - Moeda da conta
+     * @param {number} valor - Valor na moeda da conta
+     * @param {string} data - Data da transação (YYYY-MM-DD)
+     * @returns {number} Valor convertido ou null se a moeda já é a base
+     */
+    static async converterParaBase(userId, grupoId, moeda, valor, data) {
+        const { donoId, moedaBase } = await this.getMoedaBase(userId, grupoId);
+        if (!moeda || moeda === moedaBase) {
+            return null;
+        }
+
+        const { converter } = await this.criarConversor(donoId, moedaBase, [moeda]);
+        const convertido = converter(valor, moeda, data);
+
+        if (convertido === null) {
+            throw new Error(`Cadastre uma cotação de ${moeda} para ${moedaBase} antes de lançar nesta conta`);
+        }
+
+        return convertido;
+    }
+}
@@ -0,0 +1,443 @@
+// DadosPessoais.js
+// Direitos do titular (LGPD): exportação de todos os dados do usuário e
+// exclusão da conta após um período de carência.
+import archiver from 'archiver';
+import { supabase } from '../config/supabaseClient.js';
+import { Sessao } from './Sessao.js';
+import { Grupo } from './Grupo.js';
+
+// Tamanho da página nas consultas (limite padrão de linhas do PostgREST)
+const TAMANHO_PAGINA = 1000;
+
+// Dias entre o pedido de exclusão e a remoção definitiva
+export const CARENCIA_EXCLUSAO_DIAS = parseInt(process.env.EXCLUSAO_CONTA_CARENCIA_DIAS || '30', 10);
+
+// Tabelas com user_id exportadas, na ordem em que aparecem no arquivo
+const TABELAS_EXPORTACAO = {
+    perfil: 'gzen_profiles',
+    contas: 'gzen_accounts',
+    receitas: 'gzen_receitas',
+    despesas: 'gzen_despesas',
+    divisoes: 'gzen_despesa_divisoes',
+    transferencias: 'gzen_transferencias',
+    recorrencias: 'gzen_recorrencias',
+    faturas: 'gzen_faturas',
+    orcamentos: 'gzen_orcamento',
+    orcamentos_categorias: 'gzen_orcamento_categorias',
+    lancamentos: 'gzen_lancamentos',
+    notificacoes: 'gzen_notificacoes',
+    configuracao_alertas: 'gzen_alertas_config',
+    cotacoes: 'gzen_cotacoes',
+    ativos: 'gzen_ativos',
+    investimento_operacoes: 'gzen_investimento_operacoes',
+    metas: 'gzen_metas',
+    metas_aportes: 'gzen_meta_aportes',
+    regras_categorizacao: 'gzen_regras_categorizacao',
+    grupos: 'gzen_grupo_membros'
+};
+
+// Detalhes de conta ligados por account_id
+const TABELAS_DETALHE_CONTA = {
+    conta_corrente: 'gzen_conta_corrente',
+    cartao_credito: 'gzen_cartao_credito',
+    dinheiro_vivo: 'gzen_dinheiro_vivo',
+    investimento: 'gzen_investimento',
+    emprestimo: 'gzen_emprestimo',
+    emprestimo_parcelas: 'gzen_emprestimo_parcelas',
+    emprestimo_amortizacoes: 'gzen_emprestimo_amortizacoes'
+};
+
+// Tabelas com grupo_id: o que o usuário criou em um grupo passa para o owner do grupo
+const TABELAS_GRUPO = [
+    'gzen_accounts',
+    'gzen_receitas',
+    'gzen_despesas',
+    'gzen_faturas',
+    'gzen_orcamento',
+    'gzen_orcamento_categorias',
+    'gzen_ativos',
+    'gzen_investimento_operacoes',
+    'gzen_metas'
+];
+
+// Listas de IDs vão em lotes para não estourar o tamanho da URL
+const TAMANHO_LOTE = 200;
+
+/**
+ * Divide um filtro em lotes (valores únicos ficam em um lote só)
+ * @param {string|Array} valor - Valor ou lista de valores
+ * @returns {Array} Lotes
+ */
+const emLotes = (valor) => (Array.isArray(valor)
+    ? Array.from({ length: Math.ceil(valor.length / TAMANHO_LOTE) }, (_, i) =>
+        valor.slice(i * TAMANHO_LOTE, (i + 1) * TAMANHO_LOTE))
+    : [valor]);
+
+// Ordem de remoção respeitando as chaves estrangeiras (dependentes primeiro)
+const TABELAS_EXCLUSAO = [
+    'gzen_lancamentos',
+    'gzen_orcamento_categorias',
+    'gzen_orcamento',
+    'gzen_notificacoes',
+    'gzen_alertas_config',
+    'gzen_cotacoes',
+    'gzen_regras_categorizacao',
+    'gzen_meta_aportes',
+    'gzen_metas',
+    'gzen_transferencias',
+    'gzen_receitas',
+    'gzen_despesa_divisoes',
+    'gzen_despesas',
+    'gzen_faturas',
+    'gzen_recorrencias',
+    'gzen_investimento_operacoes',
+    'gzen_ativos',
+    'gzen_accounts',
+    'gzen_grupo_membros',
+    'gzen_profiles',
+    'gzen_sessoes',
+    'gzen_tokens_usuario',
+    'gzen_codigos_recuperacao'
+];
+
+export class DadosPessoais {
+    /**
+     * Busca todas as linhas de uma tabela filtradas por uma coluna, paginando
+     * @param {string} tabela - Nome da tabela
+     * @param {string} coluna - Coluna do filtro
+     * @param {string|Array} valor - Valor (ou lista de valores) do filtro
+     * @param {string} campos - Campos selecionados
+     * @returns {Array} Linhas encontradas
+     */
+    static async buscarTodos(tabela, coluna, valor, campos = '*') {
+        if (Array.isArray(valor) && valor.length === 0) {
+            return [];
+        }
+
+        const linhas = [];
+
+        for (let inicio = 0; ; inicio += TAMANHO_PAGINA) {
+            let query = supabase.from(tabela).select(campos);
+            query = Array.isArray(valor) ? query.in(coluna, valor) : query.eq(coluna, valor);
+
+            const { data, error } = await query.range(inicio, inicio + TAMANHO_PAGINA - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            linhas.push(...data);
+
+            if (data.length < TAMANHO_PAGINA) {
+                return linhas;
+            }
+        }
+    }
+
+    /**
+     * Reúne todos os dados pessoais e financeiros do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Dados agrupados por seção
+     */
+    static async coletar(userId) {
+        // Segredos de autenticação (senha, 2FA, tokens) não fazem parte da exportação
+        const [usuario] = await this.buscarTodos(
+            'gzen_users',
+            'id',
+            userId,
+            'id, nome, email, email_verificado_em, totp_ativado_em, exclusao_agendada_para, created_at, updated_at'
+        );
+
+        const dados = {
+            gerado_em: new Date().toISOString(),
+            usuario
+        };
+
+        for (const [secao, tabela] of Object.entries(TABELAS_EXPORTACAO)) {
+            dados[secao] = await this.buscarTodos(tabela, 'user_id', userId);
+        }
+
+        const accountIds = dados.contas.map(conta => conta.id);
+        for (const [secao, tabela] of Object.entries(TABELAS_DETALHE_CONTA)) {
+            dados[secao] = await this.buscarTodos(tabela, 'account_id', accountIds);
+        }
+
+        // Histórico de preços informado para os ativos do usuário
+        dados.ativos_precos = await this.buscarTodos('gzen_ativo_precos', 'ativo_id', dados.ativos.map(a => a.id));
+
+        dados.receitas_tags = await this.buscarTodos('gzen_receita_tags', 'receita_id', dados.receitas.map(r => r.id));
+        dados.despesas_tags = await this.buscarTodos('gzen_despesa_tags', 'despesa_id', dados.despesas.map(d => d.id));
+
+        const tagIds = [...new Set([...dados.receitas_tags, ...dados.despesas_tags].map(vinculo => vinculo.tag_id))];
+        dados.tags = await this.buscarTodos('gzen_tags', 'id', tagIds);
+
+        dados.sessoes = await this.buscarTodos(
+            'gzen_sessoes',
+            'user_id',
+            userId,
+            'id, user_agent, ip, created_at, ultimo_uso_em, expira_em, revogada_em'
+        );
+
+        return dados;
+    }
+
+    /**
+     * Grava os dados em um arquivo ZIP (um JSON por seção) no stream
+     * @param {Object} stream - Stream de destino (ex.: response)
+     * @param {Object} dados - Dados retornados por coletar()
+     */
+    static async gerarZip(stream, dados) {
+        const arquivo = archiver('zip', { zlib: { level: 9 } });
+        arquivo.pipe(stream);
+
+        for (const [secao, conteudo] of Object.entries(dados)) {
+            if (secao !== 'gerado_em') {
+                arquivo.append(JSON.stringify(conteudo, null, 2), { name: `${secao}.json` });
+            }
+        }
+
+        arquivo.append(JSON.stringify({
+            gerado_em: dados.gerado_em,
+            secoes: Object.keys(dados).filter(secao => secao !== 'gerado_em')
+        }, null, 2), { name: 'indice.json' });
+
+        await arquivo.finalize();
+    }
+
+    /**
+     * Agenda a exclusão da conta e encerra todas as sessões
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Data da exclusão definitiva ou erro
+     */
+    static async agendarExclusao(userId) {
+        try {
+            const exclusaoEm = new Date(Date.now() + CARENCIA_EXCLUSAO_DIAS * 24 * 60 * 60 * 1000).toISOString();
+
+            const { error } = await supabase
+                .from('gzen_users')
+                .update({
+                    exclusao_agendada_para: exclusaoEm,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', userId);
+
+            if (error) {
+                throw error;
+            }
+
+            await Sessao.revogarTodas(userId);
+
+            return { exclusao_agendada_para: exclusaoEm, error: null };
+        } catch (error) {
+            console.error('Erro ao agendar exclusão de conta:', error);
+            return { exclusao_agendada_para: null, error: error.message };
+        }
+    }
+
+    /**
+     * Cancela a exclusão agendada (durante o período de carência)
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Sucesso ou erro
+     */
+    static async cancelarExclusao(userId) {
+        try {
+            const { data: usuarios, error } = await supabase
+                .from('gzen_users')
+                .update({
+                    exclusao_agendada_para: null,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', userId)
+                .not('exclusao_agendada_para', 'is', null)
+                .select('id');
+
+            if (error) {
+                throw error;
+            }
+
+            if (usuarios.length === 0) {
+                return { success: false, error: 'Não há exclusão de conta agendada' };
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao cancelar exclusão de conta:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Passa para o owner do grupo o que o usuário criou nele (contas, transações,
+     * orçamento, metas, extrato e transferências das contas do grupo), para que
+     * a exclusão do usuário não apague dados que os outros membros usam.
+     * Se o usuário é o owner, a administração passa para outro membro; se é o
+     * último membro, o grupo é removido e o que foi criado nele volta a ser pessoal.
+     * @param {string} userId - ID do usuário
+     */
+    static async transferirGrupos(userId) {
+        const participacoes = await this.buscarTodos('gzen_grupo_membros', 'user_id', userId, 'grupo_id');
+
+        for (const { grupo_id: grupoId } of participacoes) {
+            const { data: outros, error } = await supabase
+                .from('gzen_grupo_membros')
+                .select('user_id, papel')
+                .eq('grupo_id', grupoId)
+                .neq('user_id', userId)
+                .order('created_at');
+
+            if (error) {
+                throw error;
+            }
+
+            if (outros.length === 0) {
+                const { success, error: grupoError } = await Grupo.delete(grupoId);
+                if (!success) {
+                    throw new Error(grupoError);
+                }
+                continue;
+            }
+
+            let herdeiro = outros.find(membro => membro.papel === 'owner');
+            if (!herdeiro) {
+                herdeiro = outros.find(membro => membro.papel === 'editor') || outros[0];
+
+                const { success, error: papelError } = await Grupo.alterarPapel(grupoId, userId, herdeiro.user_id, 'owner');
+                if (!success) {
+                    throw new Error(papelError);
+                }
+            }
+
+            await this.transferirRecursosDoGrupo(grupoId, userId, herdeiro.user_id);
+        }
+    }
+
+    /**
+     * Troca o dono (user_id) das linhas do grupo criadas pelo usuário
+     * @param {string} grupoId - ID do grupo
+     * @param {string} userId - ID do usuário que será excluído
+     * @param {string} herdeiroId - ID de quem assume as linhas
+     */
+    static async transferirRecursosDoGrupo(grupoId, userId, herdeiroId) {
+        const transferir = async (tabela, coluna, valor) => {
+            if (Array.isArray(valor) && valor.length === 0) {
+                return;
+            }
+
+            for (const lote of emLotes(valor)) {
+                const query = supabase
+                    .from(tabela)
+                    .update({ user_id: herdeiroId })
+                    .eq('user_id', userId);
+                const { error } = Array.isArray(lote)
+                    ? await query.in(coluna, lote)
+                    : await query.eq(coluna, lote);
+
+                if (error) {
+                    throw error;
+                }
+            }
+        };
+
+        for (const tabela of TABELAS_GRUPO) {
+            await transferir(tabela, 'grupo_id', grupoId);
+        }
+
+        // Nas contas do grupo, extrato e recorrências ficam com o novo dono
+        const contaIds = (await this.buscarTodos('gzen_accounts', 'grupo_id', grupoId, 'id')).map(conta => conta.id);
+        await transferir('gzen_lancamentos', 'account_id', contaIds);
+        await transferir('gzen_recorrencias', 'account_id', contaIds);
+        await transferir('gzen_transferencias', 'conta_origem_id', contaIds);
+        await transferir('gzen_transferencias', 'conta_destino_id', contaIds);
+
+        // O credor das divisões de uma despesa é o dono da despesa
+        const despesaIds = (await this.buscarTodos('gzen_despesas', 'grupo_id', grupoId, 'id')).map(d => d.id);
+        await transferir('gzen_despesa_divisoes', 'despesa_id', despesaIds);
+
+        const metaIds = (await this.buscarTodos('gzen_metas', 'grupo_id', grupoId, 'id')).map(meta => meta.id);
+        await transferir('gzen_meta_aportes', 'meta_id', metaIds);
+    }
+
+    /**
+     * Remove definitivamente todas as linhas ligadas ao usuário, depois de
+     * transferir o que ele criou em grupos compartilhados
+     * @param {string} userId - ID do usuário
+     */
+    static async excluirDefinitivamente(userId) {
+        await this.transferirGrupos(userId);
+
+        const accountIds = (await this.buscarTodos('gzen_accounts', 'user_id', userId, 'id')).map(conta => conta.id);
+
+        // Transações de outros usuários nas contas do usuário (ex-membros de um grupo
+        // removido) saem junto com as contas
+        const idsDe = async (tabela) => [...new Set([
+            ...await this.buscarTodos(tabela, 'user_id', userId, 'id'),
+            ...await this.buscarTodos(tabela, 'account_id', accountIds, 'id')
+        ].map(linha => linha.id))];
+        const receitaIds = await idsDe('gzen_receitas');
+        const despesaIds = await idsDe('gzen_despesas');
+
+        const remover = async (tabela, coluna, valor) => {
+            if (Array.isArray(valor) && valor.length === 0) {
+                return;
+            }
+
+            for (const lote of emLotes(valor)) {
+                const query = supabase.from(tabela).delete();
+                const { error } = Array.isArray(lote)
+                    ? await query.in(coluna, lote)
+                    : await query.eq(coluna, lote);
+
+                if (error) {
+                    throw error;
+                }
+            }
+        };
+
+        await remover('gzen_receita_tags', 'receita_id', receitaIds);
+        await remover('gzen_despesa_tags', 'despesa_id', despesaIds);
+
+        for (const tabela of TABELAS_EXCLUSAO) {
+            if (tabela === 'gzen_receitas' || tabela === 'gzen_despesas') {
+                await remover(tabela, 'id', tabela === 'gzen_receitas' ? receitaIds : despesaIds);
+                continue;
+            }
+            if (tabela === 'gzen_accounts') {
+                for (const tabelaDetalhe of Object.values(TABELAS_DETALHE_CONTA)) {
+                    await remover(tabelaDetalhe, 'account_id', accountIds);
+                }
+            }
+            await remover(tabela, 'user_id', userId);
+        }
+
+        await remover('gzen_users', 'id', userId);
+    }
+
+    /**
+     * Exclui definitivamente as contas cujo período de carência terminou
+     * @returns {Object} IDs excluídos e falhas
+     */
+    static async excluirPendentes() {
+        const { data: usuarios, error } = await supabase
+            .from('gzen_users')
+            .select('id')
+            .lte('exclusao_agendada_para', new Date().toISOString());
+
+        if (error) {
+            throw error;
+        }
+
+        const resultado = { excluidos: [], falhas: [] };
+
+        for (const usuario of usuarios) {
+            try {
+                await this.excluirDefinitivamente(usuario.id);
+                resultado.excluidos.push(usuario.id);
+            } catch (exclusaoError) {
+                console.error(`Erro ao excluir conta ${usuario.id}:`, exclusaoError);
+                resultado.falhas.push({ user_id: usuario.id, erro: exclusaoError.message });
+            }
+        }
+
+        return resultado;
+    }
+}
@@ -1,121 +1,320 @@
 // Despesa.js
 import { supabase } from '../config/supabaseClient.js';
+import { Fatura } from './Fatura.js';
+import { Alerta } from './Alerta.js';
+import { Movimentacao } from './Movimentacao.js';
+import { Grupo } from './Grupo.js';
+import { Divisao } from './Divisao.js';
+import { Cotacao } from './Cotacao.js';
+import { Emprestimo } from './Emprestimo.js';
+import { adicionarMeses, hoje } from '../utils/dateUtils.js';
 
 export class Despesa {
     /**
-     * Cria uma nova despesa
+     * Cria uma nova despesa (em conta de grupo, a despesa passa a ser do grupo)
      * @param {string} userId - ID do usuário
      * @param {Object} despesaData - Dados da despesa
      * @returns {Object} Despesa criada ou erro
      */
     static async create(userId, despesaData) {
         try {
-            const { tags, ...dadosDespesa } = despesaData;
-            
-            // Converte data para formato correto (São Paulo timezone)
-            const dataDespesa = new Date(dadosDespesa.data_despesa + 'T00:00:00-03:00');
-            
-            // Cria a despesa
-            const { data: despesa, error: despesaError } = await supabase
-                .from('gzen_despesas')
-                .insert([{
+            const { tags } = despesaData;
+            const dados = await this.montarDados(userId, despesaData);
+
+            // Cria a despesa e atualiza saldos, limite e orçamento na mesma transação
+            const despesa = await Movimentacao.inserir(
+                'gzen_despesas',
+                userId,
+                dados,
+                await this.calcularMovimentos(dados, userId)
+            );
+
+            await this.adicionarTags(despesa.id, tags);
+            await this.processarDespesa(despesa, userId);
+
+            return { despesa, error: null };
+        } catch (error) {
+            console.error('Erro ao criar despesa:', error);
+            return { despesa: null, error: error.message };
+        }
+    }
+
+    /**
+     * Monta o registro de uma nova despesa: grupo e moeda da conta, valor
+     * convertido e fatura do cartão
+     * @param {string} userId - ID do usuário
+     * @param {Object} despesaData - Dados da despesa
+     * @returns {Object} Dados prontos para inserir
+     */
+    static async montarDados(userId, despesaData) {
+        const { tags, parcelas, ...dadosDespesa } = despesaData;
+
+        const conta = await Grupo.getContaEditavel(dadosDespesa.account_id, userId);
+        if (!conta) {
+            throw new Error('Conta não encontrada ou sem permissão para lançar');
+        }
+
+        // Converte data para formato correto (São Paulo timezone)
+        const dataDespesa = new Date(dadosDespesa.data_despesa + 'T00:00:00-03:00');
+
+        const dados = {
+            ...dadosDespesa,
+            user_id: userId,
+            grupo_id: conta.grupo_id,
+            moeda: conta.moeda,
+            data_despesa: dataDespesa.toISOString().split('T')[0]
+        };
+
+        // Valor na moeda base do orçamento, pela cotação da data
+        dados.valor_convertido = await Cotacao.converterParaBase(
+            userId,
+            dados.grupo_id,
+            dados.moeda,
+            dados.valor,
+            dados.data_despesa
+        );
+
+        // Compras no cartão entram na fatura do ciclo; pagamentos na fatura quitada
+        dados.fatura_id = await Fatura.definirFatura(dados, userId);
+
+        return dados;
+    }
+
+    /**
+     * Vincula tags a uma despesa
+     * @param {string} despesaId - ID da despesa
+     * @param {Array} tags - IDs das tags
+     */
+    static async adicionarTags(despesaId, tags) {
+        if (!tags || tags.length === 0) {
+            return;
+        }
+
+        const tagInserts = tags.map(tagId => ({
+            despesa_id: despesaId,
+            tag_id: tagId
+        }));
+
+        const { error: tagsError } = await supabase
+            .from('gzen_despesa_tags')
+            .insert(tagInserts);
+
+        if (tagsError) {
+            console.error('Erro ao inserir tags:', tagsError);
+        }
+    }
+
+    /**
+     * Cria uma compra parcelada: a primeira parcela é a despesa pai e as demais
+     * são despesas filhas lançadas nos meses seguintes. Todas as parcelas são
+     * inseridas na mesma transação; se uma falhar, nenhuma é criada
+     * @param {string} userId - ID do usuário
+     * @param {Object} despesaData - Dados da despesa (valor = valor total da compra)
+     * @returns {Object} Despesa pai, lista de parcelas ou erro
+     */
+    static async createParcelada(userId, despesaData) {
+        try {
+            const { parcelas: totalParcelas, tags, ...dadosDespesa } = despesaData;
+            const valores = this.dividirValor(dadosDespesa.valor, totalParcelas);
+
+            const itens = [];
+            for (let i = 0; i < totalParcelas; i++) {
+                const dados = await this.montarDados(userId, {
                     ...dadosDespesa,
-                    user_id: userId,
-                    data_despesa: dataDespesa.toISOString().split('T')[0]
-                }])
-                .select('*')
-                .single();
+                    valor: valores[i],
+                    data_despesa: adicionarMeses(dadosDespesa.data_despesa, i),
+                    parcela_atual: i + 1,
+                    total_parcelas: totalParcelas
+                });
+
+                itens.push({
+                    dados,
+                    movimentos: await this.calcularMovimentos(dados, userId)
+                });
+            }
+
+            // despesa_pai_id das parcelas seguintes é preenchido no banco com o ID da primeira
+            const parcelas = await Movimentacao.inserirParcelas(userId, itens);
 
-            if (despesaError) {
-                throw despesaError;
+            for (const parcela of parcelas) {
+                await this.adicionarTags(parcela.id, tags);
+                await this.processarDespesa(parcela, userId);
             }
 
-            // Adiciona tags se existirem
-            if (tags && tags.length > 0) {
-                const tagInserts = tags.map(tagId => ({
-                    despesa_id: despesa.id,
-                    tag_id: tagId
-                }));
+            return { despesa: parcelas[0], parcelas, error: null };
+        } catch (error) {
+            console.error('Erro ao criar despesa parcelada:', error);
+            return { despesa: null, parcelas: [], error: error.message };
+        }
+    }
 
-                const { error: tagsError } = await supabase
-                    .from('gzen_despesa_tags')
-                    .insert(tagInserts);
+    /**
+     * Divide um valor em parcelas, somando a diferença de centavos na primeira
+     * @param {number} valor - Valor total
+     * @param {number} totalParcelas - Quantidade de parcelas
+     * @returns {Array} Valores de cada parcela
+     */
+    static dividirValor(valor, totalParcelas) {
+        const totalCentavos = Math.round(parseFloat(valor) * 100);
+        const parcelaCentavos = Math.floor(totalCentavos / totalParcelas);
+        const restoCentavos = totalCentavos - parcelaCentavos * totalParcelas;
+
+        return Array.from({ length: totalParcelas }, (_, i) =>
+            (parcelaCentavos + (i === 0 ? restoCentavos : 0)) / 100
+        );
+    }
 
-                if (tagsError) {
-                    console.error('Erro ao inserir tags:', tagsError);
-                }
-            }
+    /**
+     * Busca parcelas de uma compra parcelada
+     * @param {string} despesaPaiId - ID da despesa pai (primeira parcela)
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Parcelas ordenadas
+     */
+    static async findParcelas(despesaPaiId, userId) {
+        try {
+            const { data: parcelas, error } = await supabase
+                .from('gzen_despesas')
+                .select('*')
+                .or(await Grupo.filtroLeitura(userId))
+                .eq('ativo', true)
+                .or(`id.eq.${despesaPaiId},despesa_pai_id.eq.${despesaPaiId}`)
+                .order('parcela_atual');
 
-            // Processa a despesa se confirmada
-            if (despesa.status === 'confirmada') {
-                await this.processarDespesa(despesa, userId);
+            if (error) {
+                throw error;
             }
 
-            return { despesa, error: null };
+            return parcelas.map(parcela => ({
+                ...parcela,
+                parcelamento: this.formatarParcelamento(parcela)
+            }));
         } catch (error) {
-            console.error('Erro ao criar despesa:', error);
-            return { despesa: null, error: error.message };
+            console.error('Erro ao buscar parcelas:', error);
+            return [];
         }
     }
 
     /**
-    * Processa despesa (atualiza saldos e limites)
+     * Formata metadados de parcelamento (ex.: "3/10")
+     * @param {Object} despesa - Dados da despesa
+     * @returns {string} Parcela no formato atual/total ou null
+     */
+    static formatarParcelamento(despesa) {
+        return despesa.total_parcelas
+            ? `${despesa.parcela_atual}/${despesa.total_parcelas}`
+            : null;
+    }
+
+    /**
+    * Calcula o efeito da despesa em saldos, limite do cartão e orçamento
+    * (pessoal de quem lançou ou, em conta de grupo, o do grupo)
     * @param {Object} despesa - Dados da despesa
     * @param {string} userId - ID do usuário
+    * @returns {Object} Movimentos a aplicar (vazio se não confirmada ou removida)
     */
-   static async processarDespesa(despesa, userId) {
-       try {
-           // Se é pagamento de fatura de cartão
-           if (despesa.eh_pagamento_fatura && despesa.cartao_origem_id) {
-               await this.processarPagamentoFatura(despesa);
-           } else {
-               // Despesa normal - debita da conta
-               await this.updateAccountBalance(despesa.account_id, despesa.valor, 'subtract');
-           }
+   static async calcularMovimentos(despesa, userId) {
+       if (despesa.status !== 'confirmada' || despesa.ativo === false) {
+           return Movimentacao.criar();
+       }
 
-           // Atualiza orçamento
-           await this.updateOrcamento(userId, despesa.data_despesa, despesa.valor, 'despesa', 'add');
-       } catch (error) {
-           console.error('Erro ao processar despesa:', error);
+       const valor = parseFloat(despesa.valor);
+       const valorBase = despesa.valor_convertido != null ? parseFloat(despesa.valor_convertido) : valor;
+       const orcamentos = [Movimentacao.orcamento(
+           despesa.user_id || userId,
+           despesa.data_despesa,
+           { despesa: valorBase },
+           despesa.grupo_id || null
+       )];
+
+       // Pagamento de fatura: debita a conta, abate a dívida do cartão e libera o limite
+       if (despesa.eh_pagamento_fatura && despesa.cartao_origem_id) {
+           const origem = { ...this.getOrigem(despesa), tipo: 'pagamento_fatura' };
+
+           return Movimentacao.criar({
+               saldos: [
+                   Movimentacao.saldo(despesa.account_id, -valor, origem),
+                   Movimentacao.saldo(despesa.cartao_origem_id, valor, origem)
+               ],
+               limites: [{ account_id: despesa.cartao_origem_id, valor }],
+               orcamentos
+           });
+       }
+
+       // Parcela de empréstimo: debita a parcela da conta e abate a amortização da dívida
+       if (despesa.emprestimo_id && despesa.amortizacao != null) {
+           const origem = this.getOrigem(despesa);
+
+           return Movimentacao.criar({
+               saldos: [
+                   Movimentacao.saldo(despesa.account_id, -valor, origem),
+                   Movimentacao.saldo(
+                       despesa.emprestimo_id,
+                       parseFloat(despesa.amortizacao),
+                       { ...origem, tipo: 'pagamento_emprestimo' }
+                   )
+               ],
+               orcamentos
+           });
        }
+
+       // Despesa normal - debita da conta (e consome limite se for cartão)
+       const cartao = await Fatura.getCartao(despesa.account_id);
+
+       return Movimentacao.criar({
+           saldos: [Movimentacao.saldo(despesa.account_id, -valor, this.getOrigem(despesa))],
+           limites: cartao ? [{ account_id: despesa.account_id, valor: -valor }] : [],
+           orcamentos
+       });
    }
 
    /**
-    * Processa pagamento de fatura de cartão
+    * Monta a origem dos lançamentos de extrato gerados pela despesa
     * @param {Object} despesa - Dados da despesa
+    * @returns {Object} Tipo, ID, data e descrição
     */
-   static async processarPagamentoFatura(despesa) {
-       try {
-           // Debita valor da conta de pagamento
-           await this.updateAccountBalance(despesa.account_id, despesa.valor, 'subtract');
-
-           // Busca dados do cartão e atualiza limite disponível
-           const { data: cartao } = await supabase
-               .from('gzen_cartao_credito')
-               .select('limite_disponivel, limite_total')
-               .eq('account_id', despesa.cartao_origem_id)
-               .single();
+   static getOrigem(despesa) {
+       return {
+           tipo: 'despesa',
+           id: despesa.id,
+           data: despesa.data_despesa,
+           descricao: despesa.nome
+       };
+   }
 
-           if (cartao) {
-               const novoLimiteDisponivel = parseFloat(cartao.limite_disponivel) + parseFloat(despesa.valor);
-               
-               // Garante que não ultrapasse o limite total
-               const limiteAtualizado = Math.min(novoLimiteDisponivel, parseFloat(cartao.limite_total));
+   /**
+    * Processa efeitos derivados após gravar a despesa (faturas, divisões, empréstimos e alertas);
+    * falhas são repassadas para que a requisição também falhe
+    * @param {Object} despesa - Despesa gravada
+    * @param {string} userId - ID do usuário
+    * @param {Object} despesaAnterior - Estado anterior da despesa, se houver
+    */
+   static async processarDespesa(despesa, userId, despesaAnterior = null) {
+       const faturas = new Set(
+           [despesa.fatura_id, despesaAnterior?.fatura_id].filter(Boolean)
+       );
 
-               await supabase
-                   .from('gzen_cartao_credito')
-                   .update({ limite_disponivel: limiteAtualizado })
-                   .eq('account_id', despesa.cartao_origem_id);
-           }
-       } catch (error) {
-           console.error('Erro ao processar pagamento de fatura:', error);
+       for (const faturaId of faturas) {
+           await Fatura.recalcular(faturaId);
+       }
+
+       // Divisões pendentes acompanham alterações de valor, cancelamento e remoção
+       if (despesaAnterior || despesa.ativo === false) {
+           await Divisao.sincronizarComDespesa(despesa, despesaAnterior);
+       }
+
+       // Parcela de empréstimo acompanha cancelamento e remoção da despesa
+       if (despesa.emprestimo_id && (despesaAnterior || despesa.ativo === false)) {
+           await Emprestimo.sincronizarComDespesa(despesa);
        }
+
+       // Avisa o usuário se a despesa estourou limites configurados
+       await Alerta.avaliarDespesa(despesa, userId);
    }
 
    /**
-    * Busca despesas por usuário com filtros
+    * Busca despesas por usuário com filtros, incluindo as dos grupos dos quais é membro
     * @param {string} userId - ID do usuário
-    * @param {Object} filters - Filtros de busca
+    * @param {Object} filters - Filtros de busca (grupo_id restringe a um grupo)
     * @returns {Array} Lista de despesas
     */
    static async findByUserId(userId, filters = {}) {
@@ -129,9 +328,10 @@ export class Despesa {
                    cartao_origem:gzen_accounts!cartao_origem_id(nome),
                    gzen_despesa_tags!left(
                        gzen_tags(id, nome, cor)
-                   )
+                   ),
+                   membro:gzen_users!user_id(id, nome)
                `)
-               .eq('user_id', userId)
+               .or(await Grupo.filtroLeitura(userId))
                .eq('ativo', true);
 
            // Aplica filtros
@@ -150,6 +350,9 @@ export class Despesa {
            if (filters.status) {
                query = query.eq('status', filters.status);
            }
+           if (filters.grupo_id) {
+               query = query.eq('grupo_id', filters.grupo_id);
+           }
 
            // Ordenação e paginação
            const offset = (filters.pagina - 1) * filters.limite;
@@ -169,6 +372,7 @@ export class Despesa {
                conta: despesa.gzen_accounts,
                categoria: despesa.gzen_categories,
                cartao_origem: despesa.cartao_origem,
+               parcelamento: this.formatarParcelamento(despesa),
                tags: despesa.gzen_despesa_tags?.map(dt => dt.gzen_tags).filter(tag => tag) || [],
                gzen_accounts: undefined,
                gzen_categories: undefined,
@@ -186,9 +390,10 @@ export class Despesa {
     * Busca despesa por ID
     * @param {string} despesaId - ID da despesa
     * @param {string} userId - ID do usuário
+    * @param {Object} opcoes - escrita: exige permissão de alteração
     * @returns {Object} Despesa encontrada ou null
     */
-   static async findById(despesaId, userId) {
+   static async findById(despesaId, userId, { escrita = false } = {}) {
        try {
            const { data: despesa, error } = await supabase
                .from('gzen_despesas')
@@ -199,10 +404,11 @@ export class Despesa {
                    cartao_origem:gzen_accounts!cartao_origem_id(nome),
                    gzen_despesa_tags(
                        gzen_tags(id, nome, cor)
-                   )
+                   ),
+                   membro:gzen_users!user_id(id, nome)
                `)
                .eq('id', despesaId)
-               .eq('user_id', userId)
+               .or(escrita ? await Grupo.filtroEscrita(userId) : await Grupo.filtroLeitura(userId))
                .single();
 
            if (error) {
@@ -215,6 +421,7 @@ export class Despesa {
                conta: despesa.gzen_accounts,
                categoria: despesa.gzen_categories,
                cartao_origem: despesa.cartao_origem,
+               parcelamento: this.formatarParcelamento(despesa),
                tags: despesa.gzen_despesa_tags?.map(dt => dt.gzen_tags) || [],
                gzen_accounts: undefined,
                gzen_categories: undefined,
@@ -236,32 +443,62 @@ export class Despesa {
    static async update(despesaId, userId, updateData) {
        try {
            // Busca despesa atual para comparações
-           const despesaAtual = await this.findById(despesaId, userId);
+           const despesaAtual = await this.findById(despesaId, userId, { escrita: true });
            if (!despesaAtual) {
                throw new Error('Despesa não encontrada');
            }
 
+           // Trocar de conta pode levar a despesa para outro grupo (ou para fora dele)
+           if (updateData.account_id && updateData.account_id !== despesaAtual.account_id) {
+               const conta = await Grupo.getContaEditavel(updateData.account_id, userId);
+               if (!conta) {
+                   throw new Error('Conta não encontrada ou sem permissão para lançar');
+               }
+               updateData.grupo_id = conta.grupo_id;
+               updateData.moeda = conta.moeda;
+           }
+
            // Converte data se fornecida
            if (updateData.data_despesa) {
                const dataDespesa = new Date(updateData.data_despesa + 'T00:00:00-03:00');
                updateData.data_despesa = dataDespesa.toISOString().split('T')[0];
            }
 
-           // Atualiza a despesa
-           const { data: despesa, error } = await supabase
-               .from('gzen_despesas')
-               .update(updateData)
-               .eq('id', despesaId)
-               .eq('user_id', userId)
-               .select('*')
-               .single();
+           const despesaNova = { ...despesaAtual, ...updateData };
+
+           // Conta, valor ou data alteram o valor na moeda base
+           if (updateData.account_id || updateData.valor !== undefined || updateData.data_despesa) {
+               updateData.valor_convertido = await Cotacao.converterParaBase(
+                   despesaNova.user_id,
+                   despesaNova.grupo_id,
+                   despesaNova.moeda,
+                   despesaNova.valor,
+                   despesaNova.data_despesa
+               );
+               despesaNova.valor_convertido = updateData.valor_convertido;
+           }
 
-           if (error) {
-               throw error;
+           // Conta ou data podem ter mudado o ciclo da fatura
+           const faturaId = await Fatura.definirFatura(despesaNova, userId);
+           if (faturaId !== despesaAtual.fatura_id) {
+               updateData.fatura_id = faturaId;
+               despesaNova.fatura_id = faturaId;
            }
 
-           // Gerencia mudanças no saldo das contas
-           await this.handleBalanceUpdates(despesaAtual, despesa, userId);
+           // Estorna o efeito anterior e aplica o novo junto com a atualização
+           const movimentos = Movimentacao.combinar(
+               Movimentacao.inverter(await this.calcularMovimentos(despesaAtual, userId)),
+               await this.calcularMovimentos(despesaNova, userId)
+           );
+
+           const despesa = await Movimentacao.atualizar('gzen_despesas', despesaId, userId, updateData, movimentos);
+
+           await this.processarDespesa(despesa, userId, despesaAtual);
+
+           // Alterações na compra parcelada se propagam para as parcelas futuras
+           if (this.isDespesaPai(despesa)) {
+               await this.atualizarParcelasFuturas(despesa, updateData, userId);
+           }
 
            return { despesa, error: null };
        } catch (error) {
@@ -279,25 +516,29 @@ export class Despesa {
    static async delete(despesaId, userId) {
        try {
            // Busca despesa para reverter saldo se necessário
-           const despesa = await this.findById(despesaId, userId);
+           const despesa = await this.findById(despesaId, userId, { escrita: true });
            if (!despesa) {
                throw new Error('Despesa não encontrada');
            }
 
-           // Soft delete
-           const { error } = await supabase
-               .from('gzen_despesas')
-               .update({ ativo: false })
-               .eq('id', despesaId)
-               .eq('user_id', userId);
+           // Soft delete revertendo saldos, limite e orçamento se despesa estava confirmada
+           const despesaRemovida = await Movimentacao.atualizar(
+               'gzen_despesas',
+               despesaId,
+               userId,
+               { ativo: false },
+               Movimentacao.inverter(await this.calcularMovimentos(despesa, userId))
+           );
 
-           if (error) {
-               throw error;
-           }
+           await this.processarDespesa(despesaRemovida, userId);
 
-           // Reverte saldo se despesa estava confirmada
-           if (despesa.status === 'confirmada') {
-               await this.reverterDespesa(despesa, userId);
+           // Remover a compra parcelada remove também as parcelas futuras
+           if (this.isDespesaPai(despesa)) {
+               const parcelasFuturas = await this.findParcelasFuturas(despesa.id, userId);
+
+               for (const parcela of parcelasFuturas) {
+                   await this.delete(parcela.id, userId);
+               }
            }
 
            return { success: true, error: null };
@@ -308,164 +549,73 @@ export class Despesa {
    }
 
    /**
-    * Reverte uma despesa (restaura saldos)
+    * Verifica se a despesa é a despesa pai de uma compra parcelada
     * @param {Object} despesa - Dados da despesa
-    * @param {string} userId - ID do usuário
+    * @returns {boolean} True se for a primeira parcela de um parcelamento
     */
-   static async reverterDespesa(despesa, userId) {
-       try {
-           // Se era pagamento de fatura
-           if (despesa.eh_pagamento_fatura && despesa.cartao_origem_id) {
-               // Restaura valor na conta de pagamento
-               await this.updateAccountBalance(despesa.account_id, despesa.valor, 'add');
-
-               // Reduz limite disponível do cartão
-               const { data: cartao } = await supabase
-                   .from('gzen_cartao_credito')
-                   .select('limite_disponivel')
-                   .eq('account_id', despesa.cartao_origem_id)
-                   .single();
-
-               if (cartao) {
-                   const novoLimiteDisponivel = parseFloat(cartao.limite_disponivel) - parseFloat(despesa.valor);
-                   const limiteAtualizado = Math.max(novoLimiteDisponivel, 0);
-
-                   await supabase
-                       .from('gzen_cartao_credito')
-                       .update({ limite_disponivel: limiteAtualizado })
-                       .eq('account_id', despesa.cartao_origem_id);
-               }
-           } else {
-               // Despesa normal - restaura valor na conta
-               await this.updateAccountBalance(despesa.account_id, despesa.valor, 'add');
-           }
-
-           // Atualiza orçamento
-           await this.updateOrcamento(userId, despesa.data_despesa, despesa.valor, 'despesa', 'subtract');
-       } catch (error) {
-           console.error('Erro ao reverter despesa:', error);
-       }
+   static isDespesaPai(despesa) {
+       return despesa.total_parcelas > 1 && !despesa.despesa_pai_id;
    }
 
    /**
-    * Atualiza saldo da conta
-    * @param {string} accountId - ID da conta
-    * @param {number} valor - Valor da transação
-    * @param {string} operation - 'add' ou 'subtract'
+    * Busca parcelas filhas com vencimento a partir de hoje
+    * @param {string} despesaPaiId - ID da despesa pai
+    * @param {string} userId - ID do usuário
+    * @returns {Array} Parcelas futuras
     */
-   static async updateAccountBalance(accountId, valor, operation) {
-       try {
-           const { data: account } = await supabase
-               .from('gzen_accounts')
-               .select('saldo_atual, tipo_conta')
-               .eq('id', accountId)
-               .single();
-
-           if (account) {
-               const novoSaldo = operation === 'add' 
-                   ? parseFloat(account.saldo_atual) + parseFloat(valor)
-                   : parseFloat(account.saldo_atual) - parseFloat(valor);
-
-               await supabase
-                   .from('gzen_accounts')
-                   .update({ saldo_atual: novoSaldo })
-                   .eq('id', accountId);
-           }
-       } catch (error) {
-           console.error('Erro ao atualizar saldo da conta:', error);
+   static async findParcelasFuturas(despesaPaiId, userId) {
+       const { data: parcelas, error } = await supabase
+           .from('gzen_despesas')
+           .select('*')
+           .eq('despesa_pai_id', despesaPaiId)
+           .or(await Grupo.filtroEscrita(userId))
+           .eq('ativo', true)
+           .gte('data_despesa', hoje())
+           .order('parcela_atual');
+
+       if (error) {
+           throw error;
        }
+
+       return parcelas;
    }
 
    /**
-    * Atualiza orçamento do usuário
+    * Propaga alterações da despesa pai para as parcelas futuras
+    * @param {Object} despesaPai - Despesa pai já atualizada
+    * @param {Object} updateData - Dados alterados na despesa pai
     * @param {string} userId - ID do usuário
-    * @param {string} data - Data da transação
-    * @param {number} valor - Valor da transação
-    * @param {string} tipo - 'receita' ou 'despesa'
-    * @param {string} operation - 'add' ou 'subtract'
     */
-   static async updateOrcamento(userId, data, valor, tipo, operation) {
-       try {
-           const dataObj = new Date(data);
-           const mes = dataObj.getMonth() + 1;
-           const ano = dataObj.getFullYear();
-
-           // Busca orçamento existente ou cria novo
-           let { data: orcamento } = await supabase
-               .from('gzen_orcamento')
-               .select('*')
-               .eq('user_id', userId)
-               .eq('mes', mes)
-               .eq('ano', ano)
-               .single();
+   static async atualizarParcelasFuturas(despesaPai, updateData, userId) {
+       const camposPropagados = ['account_id', 'category_id', 'nome', 'valor', 'observacoes', 'status'];
+       const alteracoes = {};
 
-           if (!orcamento) {
-               // Cria novo orçamento
-               const { data: novoOrcamento } = await supabase
-                   .from('gzen_orcamento')
-                   .insert([{
-                       user_id: userId,
-                       mes,
-                       ano,
-                       receita_total: tipo === 'receita' ? valor : 0,
-                       despesa_total: tipo === 'despesa' ? valor : 0,
-                       saldo_atual: tipo === 'receita' ? valor : -valor
-                   }])
-                   .select('*')
-                   .single();
-               return;
+       camposPropagados.forEach(campo => {
+           if (updateData[campo] !== undefined) {
+               alteracoes[campo] = updateData[campo];
            }
+       });
+
+       const parcelasFuturas = await this.findParcelasFuturas(despesaPai.id, userId);
 
-           // Atualiza orçamento existente
-           const multiplicador = operation === 'add' ? 1 : -1;
-           const valorAtualizado = parseFloat(valor) * multiplicador;
+       for (const parcela of parcelasFuturas) {
+           const dadosParcela = { ...alteracoes };
 
-           const updates = {};
-           if (tipo === 'receita') {
-               updates.receita_total = parseFloat(orcamento.receita_total) + valorAtualizado;
-           } else {
-               updates.despesa_total = parseFloat(orcamento.despesa_total) + valorAtualizado;
+           // Mudança de data da compra desloca todas as parcelas
+           if (updateData.data_despesa) {
+               dadosParcela.data_despesa = adicionarMeses(
+                   despesaPai.data_despesa,
+                   parcela.parcela_atual - 1
+               );
            }
 
-           // Recalcula saldo atual
-           const novaReceita = updates.receita_total || orcamento.receita_total;
-           const novaDespesa = updates.despesa_total || orcamento.despesa_total;
-           updates.saldo_atual = parseFloat(novaReceita) - parseFloat(novaDespesa);
+           if (Object.keys(dadosParcela).length > 0) {
+               const { error } = await this.update(parcela.id, userId, dadosParcela);
 
-           await supabase
-               .from('gzen_orcamento')
-               .update(updates)
-               .eq('id', orcamento.id);
-       } catch (error) {
-           console.error('Erro ao atualizar orçamento:', error);
-       }
-   }
-
-   /**
-    * Gerencia atualizações de saldo quando despesa é modificada
-    */
-   static async handleBalanceUpdates(despesaAntiga, despesaNova, userId) {
-       try {
-           // Se mudou status de confirmada para não confirmada
-           if (despesaAntiga.status === 'confirmada' && despesaNova.status !== 'confirmada') {
-               await this.reverterDespesa(despesaAntiga, userId);
-           }
-           
-           // Se mudou status de não confirmada para confirmada
-           if (despesaAntiga.status !== 'confirmada' && despesaNova.status === 'confirmada') {
-               await this.processarDespesa(despesaNova, userId);
-           }
-           
-           // Se já era confirmada e mudou valores
-           if (despesaAntiga.status === 'confirmada' && despesaNova.status === 'confirmada') {
-               // Reverte valores antigos
-               await this.reverterDespesa(despesaAntiga, userId);
-               
-               // Aplica novos valores
-               await this.processarDespesa(despesaNova, userId);
+               if (error) {
+                   throw new Error(error);
+               }
            }
-       } catch (error) {
-           console.error('Erro ao gerenciar atualizações de saldo:', error);
        }
    }
 
@@ -474,18 +624,20 @@ export class Despesa {
     * @param {string} userId - ID do usuário
     * @param {number} mes - Mês
     * @param {number} ano - Ano
+    * @param {string} grupoId - ID do grupo (opcional; sem ele, só despesas pessoais)
     * @returns {Object} Resumo das despesas
     */
-   static async getResumoMensal(userId, mes, ano) {
+   static async getResumoMensal(userId, mes, ano, grupoId = null) {
        try {
            const dataInicio = `${ano}-${mes.toString().padStart(2, '0')}-01`;
            const ultimoDia = new Date(ano, mes, 0).getDate();
            const dataFim = `${ano}-${mes.toString().padStart(2, '0')}-${ultimoDia}`;
 
-           const { data: despesas, error } = await supabase
-               .from('gzen_despesas')
-               .select('valor, status, eh_pagamento_fatura, gzen_categories(nome)')
-               .eq('user_id', userId)
+           const { data: despesas, error } = await Grupo.escopoOrcamento(
+               supabase.from('gzen_despesas').select('valor, status, eh_pagamento_fatura, gzen_categories(nome)'),
+               userId,
+               grupoId
+           )
                .eq('ativo', true)
                .gte('data_despesa', dataInicio)
                .lte('data_despesa', dataFim);
@@ -0,0 +1,75 @@
+// Despesa.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'teste';
+
+const { supabase } = await import('../config/supabaseClient.js');
+const { Despesa } = await import('./Despesa.js');
+const { Fatura } = await import('./Fatura.js');
+const { Grupo } = await import('./Grupo.js');
+const { Cotacao } = await import('./Cotacao.js');
+const { Alerta } = await import('./Alerta.js');
+
+const USER = 'usuario-1';
+const CONTA = 'conta-1';
+
+const dadosDespesa = {
+    account_id: CONTA,
+    nome: 'Mercado',
+    valor: 120,
+    data_despesa: '2026-10-10',
+    status: 'confirmada',
+    tags: []
+};
+
+describe('Despesa.create', () => {
+    let chamadas;
+
+    beforeEach(() => {
+        chamadas = [];
+        mock.method(Grupo, 'getContaEditavel', async () => ({ id: CONTA, grupo_id: null, moeda: 'BRL' }));
+        mock.method(Cotacao, 'converterParaBase', async (userId, grupoId, moeda, valor) => valor);
+        mock.method(Fatura, 'definirFatura', async () => 'fatura-1');
+        mock.method(Fatura, 'recalcular', async () => ({}));
+        mock.method(Alerta, 'avaliarDespesa', async () => {});
+        mock.method(supabase, 'rpc', async (funcao, parametros) => {
+            chamadas.push({ funcao, parametros });
+            return { data: { id: 'despesa-1', ...parametros.p_dados }, error: null };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('envia ao banco o usuário que lança, para a conferência de permissão', async () => {
+        const { despesa, error } = await Despesa.create(USER, dadosDespesa);
+
+        assert.equal(error, null);
+        assert.equal(despesa.id, 'despesa-1');
+        assert.equal(chamadas[0].funcao, 'gzen_inserir_com_movimentos');
+        assert.equal(chamadas[0].parametros.p_user_id, USER);
+        assert.deepEqual(chamadas[0].parametros.p_movimentos.saldos.map(saldo => saldo.account_id), [CONTA]);
+    });
+
+    it('falha quando o recálculo da fatura falha', async () => {
+        Fatura.recalcular.mock.mockImplementation(async () => {
+            throw new Error('falha ao recalcular');
+        });
+
+        const { despesa, error } = await Despesa.create(USER, dadosDespesa);
+
+        assert.equal(despesa, null);
+        assert.equal(error, 'falha ao recalcular');
+    });
+
+    it('falha quando a avaliação de alertas falha', async () => {
+        Alerta.avaliarDespesa.mock.mockImplementation(async () => {
+            throw new Error('falha nos alertas');
+        });
+
+        const { error } = await Despesa.create(USER, dadosDespesa);
+
+        assert.equal(error, 'falha nos alertas');
+    });
+});
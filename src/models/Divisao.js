@@ -0,0 +1,466 @@
+// Divisao.js
+import { supabase } from '../config/supabaseClient.js';
+import { Despesa } from './Despesa.js';
+import { Receita } from './Receita.js';
+import { Transferencia } from './Transferencia.js';
+import { hoje } from '../utils/dateUtils.js';
+
+// Converte valores monetários para centavos inteiros (evita resíduos de ponto flutuante)
+const centavos = (valor) => Math.round(parseFloat(valor) * 100);
+
+export class Divisao {
+    /**
+     * Identifica os participantes: usuários cadastrados (por ID ou e-mail) ou contatos só com nome
+     * @param {string} credorId - ID de quem pagou a despesa
+     * @param {Array} participantes - Participantes informados
+     * @returns {Array} Participantes com participante_user_id e participante_nome
+     */
+    static async resolverParticipantes(credorId, participantes) {
+        const resolvidos = [];
+
+        for (const participante of participantes) {
+            let usuario = null;
+
+            if (participante.user_id || participante.email) {
+                let query = supabase.from('gzen_users').select('id, nome');
+                query = participante.user_id
+                    ? query.eq('id', participante.user_id)
+                    : query.eq('email', participante.email.toLowerCase());
+
+                const { data, error } = await query.maybeSingle();
+
+                if (error) {
+                    throw error;
+                }
+
+                if (!data) {
+                    throw new Error(`Participante não encontrado: ${participante.email || participante.user_id}`);
+                }
+
+                if (data.id === credorId) {
+                    throw new Error('Quem pagou a despesa já participa da divisão com o restante do valor');
+                }
+
+                usuario = data;
+            }
+
+            const resolvido = {
+                participante_user_id: usuario?.id || null,
+                participante_nome: participante.nome || usuario.nome
+            };
+
+            const repetido = resolvidos.some(outro => resolvido.participante_user_id
+                ? outro.participante_user_id === resolvido.participante_user_id
+                : !outro.participante_user_id && outro.participante_nome.toLowerCase() === resolvido.participante_nome.toLowerCase()
+            );
+
+            if (repetido) {
+                throw new Error(`Participante repetido: ${resolvido.participante_nome}`);
+            }
+
+            resolvidos.push({ ...resolvido, percentual: participante.percentual, valor: participante.valor });
+        }
+
+        return resolvidos;
+    }
+
+    /**
+     * Calcula a parte de cada participante; quem pagou fica com o restante
+     * @param {number} valorTotal - Valor da despesa
+     * @param {string} metodo - 'igual', 'percentual' ou 'valor'
+     * @param {Array} participantes - Participantes (com percentual/valor conforme o método)
+     * @returns {Object} { partes: [valor por participante], parte_pagador }
+     */
+    static calcularPartes(valorTotal, metodo, participantes) {
+        const totalCentavos = centavos(valorTotal);
+        let partesCentavos;
+
+        if (metodo === 'igual') {
+            // Quem pagou também é uma das partes e absorve a diferença de centavos
+            partesCentavos = Despesa.dividirValor(valorTotal, participantes.length + 1)
+                .slice(1)
+                .map(centavos);
+        } else if (metodo === 'percentual') {
+            partesCentavos = participantes.map(participante =>
+                Math.round(totalCentavos * participante.percentual / 100)
+            );
+        } else {
+            partesCentavos = participantes.map(participante => centavos(participante.valor));
+        }
+
+        const restante = totalCentavos - partesCentavos.reduce((soma, parte) => soma + parte, 0);
+        if (restante < 0) {
+            throw new Error('A soma das partes excede o valor da despesa');
+        }
+
+        return {
+            partes: partesCentavos.map(parte => parte / 100),
+            parte_pagador: restante / 100
+        };
+    }
+
+    /**
+     * Busca as partes de uma despesa
+     * @param {string} despesaId - ID da despesa
+     * @returns {Array} Partes da divisão
+     */
+    static async findByDespesa(despesaId) {
+        const { data: divisoes, error } = await supabase
+            .from('gzen_despesa_divisoes')
+            .select('*')
+            .eq('despesa_id', despesaId)
+            .order('created_at');
+
+        if (error) {
+            throw error;
+        }
+
+        return divisoes;
+    }
+
+    /**
+     * Monta a divisão da despesa para resposta
+     * @param {Object} despesa - Despesa
+     * @param {Array} divisoes - Partes da divisão
+     * @returns {Object} Divisão com a parte de quem pagou
+     */
+    static formatar(despesa, divisoes) {
+        const totalParticipantes = divisoes.reduce((soma, divisao) => soma + centavos(divisao.valor), 0);
+
+        return {
+            despesa_id: despesa.id,
+            metodo: divisoes[0]?.metodo || null,
+            valor_total: parseFloat(despesa.valor),
+            parte_pagador: (centavos(despesa.valor) - totalParticipantes) / 100,
+            participantes: divisoes.map(divisao => ({
+                ...divisao,
+                valor: parseFloat(divisao.valor),
+                percentual: divisao.percentual !== null ? parseFloat(divisao.percentual) : null
+            }))
+        };
+    }
+
+    /**
+     * Busca a divisão de uma despesa
+     * @param {Object} despesa - Despesa (já verificada para o usuário)
+     * @returns {Object} Divisão ou erro
+     */
+    static async findDivisao(despesa) {
+        try {
+            const divisoes = await this.findByDespesa(despesa.id);
+            return { divisao: this.formatar(despesa, divisoes), error: null };
+        } catch (error) {
+            console.error('Erro ao buscar divisão da despesa:', error);
+            return { divisao: null, error: error.message };
+        }
+    }
+
+    /**
+     * Define (ou substitui) a divisão de uma despesa. A parte de cada participante
+     * fica devida a quem registrou a despesa.
+     * @param {Object} despesa - Despesa (já verificada para o usuário)
+     * @param {Object} divisaoData - Método e participantes
+     * @returns {Object} Divisão criada ou erro
+     */
+    static async definir(despesa, divisaoData) {
+        try {
+            if (despesa.status === 'cancelada') {
+                throw new Error('Despesa cancelada não pode ser dividida');
+            }
+
+            const existentes = await this.findByDespesa(despesa.id);
+            if (existentes.some(divisao => divisao.acertado_em)) {
+                throw new Error('A divisão já tem partes acertadas e não pode ser alterada');
+            }
+
+            const participantes = await this.resolverParticipantes(despesa.user_id, divisaoData.participantes);
+            const { partes } = this.calcularPartes(despesa.valor, divisaoData.metodo, participantes);
+
+            await this.removerPendentes(despesa.id);
+
+            const { data: divisoes, error } = await supabase
+                .from('gzen_despesa_divisoes')
+                .insert(participantes.map((participante, i) => ({
+                    despesa_id: despesa.id,
+                    user_id: despesa.user_id,
+                    metodo: divisaoData.metodo,
+                    participante_user_id: participante.participante_user_id,
+                    participante_nome: participante.participante_nome,
+                    percentual: divisaoData.metodo === 'percentual' ? participante.percentual : null,
+                    valor: partes[i]
+                })))
+                .select('*');
+
+            if (error) {
+                throw error;
+            }
+
+            return { divisao: this.formatar(despesa, divisoes), error: null };
+        } catch (error) {
+            console.error('Erro ao definir divisão da despesa:', error);
+            return { divisao: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a divisão de uma despesa (só enquanto nenhuma parte foi acertada)
+     * @param {string} despesaId - ID da despesa
+     * @returns {Object} Resultado da operação
+     */
+    static async remover(despesaId) {
+        try {
+            const existentes = await this.findByDespesa(despesaId);
+            if (existentes.some(divisao => divisao.acertado_em)) {
+                throw new Error('A divisão já tem partes acertadas e não pode ser removida');
+            }
+
+            await this.removerPendentes(despesaId);
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover divisão da despesa:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove as partes ainda não acertadas de uma despesa
+     * @param {string} despesaId - ID da despesa
+     */
+    static async removerPendentes(despesaId) {
+        const { error } = await supabase
+            .from('gzen_despesa_divisoes')
+            .delete()
+            .eq('despesa_id', despesaId)
+            .is('acertado_em', null);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Mantém a divisão coerente com a despesa: remove as partes pendentes se a
+     * despesa foi removida ou cancelada e redistribui se o valor mudou
+     * (divisões por valor fixo e com partes acertadas não são recalculadas)
+     * @param {Object} despesa - Despesa gravada
+     * @param {Object} despesaAnterior - Estado anterior da despesa
+     */
+    static async sincronizarComDespesa(despesa, despesaAnterior = null) {
+        if (despesa.ativo === false || despesa.status === 'cancelada') {
+            await this.removerPendentes(despesa.id);
+            return;
+        }
+
+        if (!despesaAnterior || centavos(despesa.valor) === centavos(despesaAnterior.valor)) {
+            return;
+        }
+
+        const divisoes = await this.findByDespesa(despesa.id);
+        if (divisoes.length === 0 || divisoes[0].metodo === 'valor' || divisoes.some(divisao => divisao.acertado_em)) {
+            return;
+        }
+
+        const participantes = divisoes.map(divisao => ({ percentual: parseFloat(divisao.percentual) }));
+        const { partes } = this.calcularPartes(despesa.valor, divisoes[0].metodo, participantes);
+
+        for (const [i, divisao] of divisoes.entries()) {
+            const { error } = await supabase
+                .from('gzen_despesa_divisoes')
+                .update({ valor: partes[i] })
+                .eq('id', divisao.id);
+
+            if (error) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Calcula quem deve a quem: partes pendentes a receber (despesas que o usuário
+     * pagou) e a pagar (partes do usuário em despesas de outros), por pessoa
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Saldos por pessoa e totais
+     */
+    static async getSaldos(userId) {
+        const [aReceber, aPagar] = await Promise.all([
+            supabase
+                .from('gzen_despesa_divisoes')
+                .select('*, despesa:gzen_despesas(nome, data_despesa)')
+                .eq('user_id', userId)
+                .is('acertado_em', null),
+            supabase
+                .from('gzen_despesa_divisoes')
+                .select('*, despesa:gzen_despesas(nome, data_despesa), credor:gzen_users!user_id(id, nome)')
+                .eq('participante_user_id', userId)
+                .is('acertado_em', null)
+        ]);
+
+        if (aReceber.error) {
+            throw aReceber.error;
+        }
+        if (aPagar.error) {
+            throw aPagar.error;
+        }
+
+        const pessoas = new Map();
+        const pessoa = (chave, dados) => {
+            if (!pessoas.has(chave)) {
+                pessoas.set(chave, { ...dados, a_receber: 0, a_pagar: 0, divisoes: [] });
+            }
+            return pessoas.get(chave);
+        };
+
+        for (const divisao of aReceber.data) {
+            const chave = divisao.participante_user_id || `contato:${divisao.participante_nome.toLowerCase()}`;
+            const item = pessoa(chave, { user_id: divisao.participante_user_id, nome: divisao.participante_nome });
+            item.a_receber += centavos(divisao.valor);
+            item.divisoes.push({ ...divisao, valor: parseFloat(divisao.valor), tipo: 'a_receber' });
+        }
+
+        for (const divisao of aPagar.data) {
+            const item = pessoa(divisao.user_id, { user_id: divisao.user_id, nome: divisao.credor?.nome || null });
+            item.a_pagar += centavos(divisao.valor);
+            item.divisoes.push({ ...divisao, valor: parseFloat(divisao.valor), tipo: 'a_pagar', credor: undefined });
+        }
+
+        const lista = [...pessoas.values()]
+            .map(item => ({
+                ...item,
+                a_receber: item.a_receber / 100,
+                a_pagar: item.a_pagar / 100,
+                // Positivo: a pessoa deve ao usuário; negativo: o usuário deve à pessoa
+                saldo: (item.a_receber - item.a_pagar) / 100
+            }))
+            .sort((a, b) => Math.abs(b.saldo) - Math.abs(a.saldo));
+
+        const totalReceber = lista.reduce((soma, item) => soma + centavos(item.a_receber), 0);
+        const totalPagar = lista.reduce((soma, item) => soma + centavos(item.a_pagar), 0);
+
+        return {
+            pessoas: lista,
+            total_a_receber: totalReceber / 100,
+            total_a_pagar: totalPagar / 100,
+            saldo: (totalReceber - totalPagar) / 100
+        };
+    }
+
+    /**
+     * Acerta partes pendentes a receber do usuário: marca as partes como acertadas
+     * e registra o valor recebido como receita na conta informada ou, com
+     * conta_origem_id, como transferência entre as contas
+     * @param {string} userId - ID do usuário (credor)
+     * @param {Object} acertoData - Participante ou divisões, contas e data
+     * @returns {Object} Acerto realizado ou erro
+     */
+    static async acertar(userId, acertoData) {
+        let marcadas = [];
+
+        try {
+            let query = supabase
+                .from('gzen_despesa_divisoes')
+                .update({ acertado_em: new Date().toISOString() })
+                .eq('user_id', userId)
+                .is('acertado_em', null);
+
+            if (acertoData.divisao_ids) {
+                query = query.in('id', acertoData.divisao_ids);
+            }
+            if (acertoData.participante_user_id) {
+                query = query.eq('participante_user_id', acertoData.participante_user_id);
+            } else if (acertoData.participante_nome) {
+                query = query
+                    .is('participante_user_id', null)
+                    .ilike('participante_nome', acertoData.participante_nome.replace(/[%_\\]/g, '\\$&'));
+            }
+
+            // Marcar antes de lançar evita acertar a mesma parte duas vezes em pedidos simultâneos
+            const { data, error } = await query.select('*');
+
+            if (error) {
+                throw error;
+            }
+
+            marcadas = data;
+            if (marcadas.length === 0) {
+                throw new Error('Nenhuma divisão pendente para acertar');
+            }
+
+            const valor = marcadas.reduce((soma, divisao) => soma + centavos(divisao.valor), 0) / 100;
+            const nomes = [...new Set(marcadas.map(divisao => divisao.participante_nome))].join(', ');
+            const descricao = `Acerto de divisão - ${nomes}`.substring(0, 255);
+            const dataAcerto = acertoData.data || hoje();
+
+            let tipo;
+            let transacao;
+
+            if (acertoData.conta_origem_id) {
+                tipo = 'transferencia';
+                const resultado = await Transferencia.create(userId, {
+                    conta_origem_id: acertoData.conta_origem_id,
+                    conta_destino_id: acertoData.account_id,
+                    descricao,
+                    valor,
+                    data_transferencia: dataAcerto,
+                    status: 'confirmada'
+                });
+
+                if (resultado.error) {
+                    throw new Error(resultado.error);
+                }
+                transacao = resultado.transferencia;
+            } else {
+                tipo = 'receita';
+                const resultado = await Receita.create(userId, {
+                    account_id: acertoData.account_id,
+                    category_id: acertoData.category_id,
+                    nome: descricao,
+                    valor,
+                    data_receita: dataAcerto,
+                    eh_salario: false,
+                    status: 'confirmada'
+                });
+
+                if (resultado.error) {
+                    throw new Error(resultado.error);
+                }
+                transacao = resultado.receita;
+            }
+
+            const { error: acertoError } = await supabase
+                .from('gzen_despesa_divisoes')
+                .update({ acerto_tipo: tipo, acerto_id: transacao.id })
+                .in('id', marcadas.map(divisao => divisao.id));
+
+            if (acertoError) {
+                console.error('Erro ao vincular acerto às divisões:', acertoError);
+            }
+
+            return {
+                acerto: {
+                    tipo,
+                    valor,
+                    transacao,
+                    divisoes: marcadas.map(divisao => ({
+                        ...divisao,
+                        valor: parseFloat(divisao.valor),
+                        acerto_tipo: tipo,
+                        acerto_id: transacao.id
+                    }))
+                },
+                error: null
+            };
+        } catch (error) {
+            // Sem lançamento, as partes voltam a ficar pendentes
+            if (marcadas.length > 0) {
+                await supabase
+                    .from('gzen_despesa_divisoes')
+                    .update({ acertado_em: null })
+                    .in('id', marcadas.map(divisao => divisao.id));
+            }
+
+            console.error('Erro ao acertar divisões:', error);
+            return { acerto: null, error: error.message };
+        }
+    }
+}
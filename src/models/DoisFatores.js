@@ -0,0 +1,263 @@
+// DoisFatores.js
+import crypto from 'crypto';
+import { supabase } from '../config/supabaseClient.js';
+import { hashToken } from '../utils/tokenUtils.js';
+import {
+    gerarSegredo,
+    gerarOtpauthUri,
+    verificarCodigo,
+    cifrarSegredo,
+    decifrarSegredo
+} from '../utils/totp.js';
+
+// Quantidade de códigos de recuperação gerados por vez
+const QUANTIDADE_CODIGOS_RECUPERACAO = 10;
+
+// Códigos de recuperação são comparados sem hífen e sem diferenciar maiúsculas
+const normalizarCodigoRecuperacao = (codigo) => String(codigo).replace(/[\s-]/g, '').toLowerCase();
+
+export class DoisFatores {
+    /**
+     * Busca o estado de 2FA do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} totp_segredo, totp_ativado_em e totp_ultimo_passo
+     */
+    static async getEstado(userId) {
+        const { data: estado, error } = await supabase
+            .from('gzen_users')
+            .select('totp_segredo, totp_ativado_em, totp_ultimo_passo')
+            .eq('id', userId)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return estado;
+    }
+
+    /**
+     * Inicia o cadastro do 2FA gerando um novo segredo (ainda inativo até a confirmação)
+     * @param {Object} user - Usuário (id, email)
+     * @returns {Object} Segredo e URI otpauth ou erro
+     */
+    static async iniciarCadastro(user) {
+        try {
+            const estado = await this.getEstado(user.id);
+
+            if (estado.totp_ativado_em) {
+                return { cadastro: null, error: 'Autenticação em dois fatores já está ativa' };
+            }
+
+            const segredo = gerarSegredo();
+
+            const { error } = await supabase
+                .from('gzen_users')
+                .update({
+                    totp_segredo: cifrarSegredo(segredo),
+                    totp_ultimo_passo: null
+                })
+                .eq('id', user.id);
+
+            if (error) {
+                throw error;
+            }
+
+            return {
+                cadastro: {
+                    segredo,
+                    otpauth_uri: gerarOtpauthUri(segredo, user.email)
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao iniciar cadastro de 2FA:', error);
+            return { cadastro: null, error: error.message };
+        }
+    }
+
+    /**
+     * Confirma o cadastro com o primeiro código do app e ativa o 2FA
+     * @param {string} userId - ID do usuário
+     * @param {string} codigo - Código TOTP
+     * @returns {Object} Códigos de recuperação ou erro (codigoInvalido indica
+     * código incorreto, que conta para o bloqueio)
+     */
+    static async confirmarCadastro(userId, codigo) {
+        try {
+            const estado = await this.getEstado(userId);
+
+            if (estado.totp_ativado_em) {
+                return { codigos: null, error: 'Autenticação em dois fatores já está ativa' };
+            }
+
+            if (!estado.totp_segredo) {
+                return { codigos: null, error: 'Inicie o cadastro da autenticação em dois fatores' };
+            }
+
+            const passo = verificarCodigo(decifrarSegredo(estado.totp_segredo), codigo);
+
+            if (passo === null) {
+                return { codigos: null, error: 'Código inválido', codigoInvalido: true };
+            }
+
+            const { error } = await supabase
+                .from('gzen_users')
+                .update({
+                    totp_ativado_em: new Date().toISOString(),
+                    totp_ultimo_passo: passo
+                })
+                .eq('id', userId);
+
+            if (error) {
+                throw error;
+            }
+
+            const codigos = await this.gerarCodigosRecuperacao(userId);
+
+            return { codigos, error: null };
+        } catch (error) {
+            console.error('Erro ao confirmar 2FA:', error);
+            return { codigos: null, error: error.message };
+        }
+    }
+
+    /**
+     * Gera novos códigos de recuperação, invalidando os anteriores
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Códigos em texto (exibidos apenas uma vez)
+     */
+    static async gerarCodigosRecuperacao(userId) {
+        const { error: deleteError } = await supabase
+            .from('gzen_codigos_recuperacao')
+            .delete()
+            .eq('user_id', userId);
+
+        if (deleteError) {
+            throw deleteError;
+        }
+
+        const codigos = Array.from({ length: QUANTIDADE_CODIGOS_RECUPERACAO }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+        });
+
+        const { error } = await supabase
+            .from('gzen_codigos_recuperacao')
+            .insert(codigos.map(codigo => ({
+                user_id: userId,
+                codigo_hash: hashToken(normalizarCodigoRecuperacao(codigo))
+            })));
+
+        if (error) {
+            throw error;
+        }
+
+        return codigos;
+    }
+
+    /**
+     * Verifica um código do app autenticador ou um código de recuperação (que é consumido)
+     * @param {string} userId - ID do usuário
+     * @param {string} codigo - Código informado
+     * @returns {boolean} True se o código for válido
+     */
+    static async verificar(userId, codigo) {
+        const estado = await this.getEstado(userId);
+
+        if (!estado.totp_ativado_em) {
+            return false;
+        }
+
+        const passo = verificarCodigo(
+            decifrarSegredo(estado.totp_segredo),
+            codigo,
+            estado.totp_ultimo_passo
+        );
+
+        if (passo !== null) {
+            // Guarda o passo usado para que o mesmo código não sirva duas vezes
+            const { data: atualizados, error } = await supabase
+                .from('gzen_users')
+                .update({ totp_ultimo_passo: passo })
+                .eq('id', userId)
+                .or(`totp_ultimo_passo.is.null,totp_ultimo_passo.lt.${passo}`)
+                .select('id');
+
+            if (error) {
+                throw error;
+            }
+
+            return atualizados.length > 0;
+        }
+
+        const { data: codigos, error } = await supabase
+            .from('gzen_codigos_recuperacao')
+            .update({ usado_em: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('codigo_hash', hashToken(normalizarCodigoRecuperacao(codigo)))
+            .is('usado_em', null)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        return codigos.length > 0;
+    }
+
+    /**
+     * Conta os códigos de recuperação ainda não usados
+     * @param {string} userId - ID do usuário
+     * @returns {number} Quantidade restante
+     */
+    static async countCodigosRestantes(userId) {
+        const { count, error } = await supabase
+            .from('gzen_codigos_recuperacao')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .is('usado_em', null);
+
+        if (error) {
+            throw error;
+        }
+
+        return count;
+    }
+
+    /**
+     * Desativa o 2FA e remove segredo e códigos de recuperação
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Sucesso ou erro
+     */
+    static async desativar(userId) {
+        try {
+            const { error } = await supabase
+                .from('gzen_users')
+                .update({
+                    totp_segredo: null,
+                    totp_ativado_em: null,
+                    totp_ultimo_passo: null
+                })
+                .eq('id', userId);
+
+            if (error) {
+                throw error;
+            }
+
+            const { error: deleteError } = await supabase
+                .from('gzen_codigos_recuperacao')
+                .delete()
+                .eq('user_id', userId);
+
+            if (deleteError) {
+                throw deleteError;
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao desativar 2FA:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,90 @@
+// DoisFatores.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'teste';
+process.env.JWT_SECRET ||= 'teste';
+
+const { supabase } = await import('../config/supabaseClient.js');
+const { gerarSegredo, gerarCodigo, passoAtual, verificarCodigo, cifrarSegredo } = await import('../utils/totp.js');
+const { DoisFatores } = await import('./DoisFatores.js');
+
+const USER = 'usuario-1';
+
+describe('verificarCodigo', () => {
+    const segredo = gerarSegredo();
+
+    it('aceita o código do passo atual e devolve o passo', () => {
+        const passo = passoAtual();
+        assert.equal(verificarCodigo(segredo, gerarCodigo(segredo, passo)), passo);
+    });
+
+    it('não aceita de novo um código de passo já usado', () => {
+        const passo = passoAtual();
+        const codigo = gerarCodigo(segredo, passo);
+
+        assert.equal(verificarCodigo(segredo, codigo, passo), null);
+        assert.equal(verificarCodigo(segredo, gerarCodigo(segredo, passo - 1), passo), null);
+    });
+
+    it('recusa códigos fora do formato', () => {
+        assert.equal(verificarCodigo(segredo, '12345'), null);
+        assert.equal(verificarCodigo(segredo, 'abcdef'), null);
+    });
+});
+
+describe('DoisFatores.verificar - reutilização do código', () => {
+    afterEach(() => mock.restoreAll());
+
+    const segredo = gerarSegredo();
+
+    const simular = ({ ultimoPasso, atualizados }) => {
+        mock.method(DoisFatores, 'getEstado', async () => ({
+            totp_segredo: cifrarSegredo(segredo),
+            totp_ativado_em: new Date().toISOString(),
+            totp_ultimo_passo: ultimoPasso
+        }));
+
+        const chamadas = [];
+        const builder = {
+            then: (resolver, rejeitar) => Promise.resolve({ data: atualizados, error: null }).then(resolver, rejeitar)
+        };
+        for (const metodo of ['update', 'eq', 'or', 'is', 'select']) {
+            builder[metodo] = (...args) => {
+                chamadas.push([metodo, ...args]);
+                return builder;
+            };
+        }
+        mock.method(supabase, 'from', () => builder);
+
+        return chamadas;
+    };
+
+    it('código válido grava o passo só se for posterior ao último usado', async () => {
+        const passo = passoAtual();
+        const chamadas = simular({ ultimoPasso: passo - 2, atualizados: [{ id: USER }] });
+
+        assert.equal(await DoisFatores.verificar(USER, gerarCodigo(segredo, passo)), true);
+        assert.deepEqual(chamadas.find(([metodo]) => metodo === 'update'), ['update', { totp_ultimo_passo: passo }]);
+        assert.deepEqual(
+            chamadas.find(([metodo]) => metodo === 'or'),
+            ['or', `totp_ultimo_passo.is.null,totp_ultimo_passo.lt.${passo}`]
+        );
+    });
+
+    it('o mesmo código usado em paralelo só vale uma vez', async () => {
+        const passo = passoAtual();
+        simular({ ultimoPasso: passo - 2, atualizados: [] });
+
+        assert.equal(await DoisFatores.verificar(USER, gerarCodigo(segredo, passo)), false);
+    });
+
+    it('código de passo já usado cai na busca de código de recuperação', async () => {
+        const passo = passoAtual();
+        const chamadas = simular({ ultimoPasso: passo, atualizados: [] });
+
+        assert.equal(await DoisFatores.verificar(USER, gerarCodigo(segredo, passo)), false);
+        assert.ok(!chamadas.some(([metodo, valor]) => metodo === 'update' && 'totp_ultimo_passo' in valor));
+    });
+});
@@ -0,0 +1,562 @@
+// Emprestimo.js
+import { supabase } from '../config/supabaseClient.js';
+import { Grupo } from './Grupo.js';
+import { Despesa } from './Despesa.js';
+import { Transferencia } from './Transferencia.js';
+import { adicionarMeses, hoje } from '../utils/dateUtils.js';
+
+// Arredonda valores monetários para centavos
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+// Contas que podem pagar parcelas e amortizações (cartão paga via fatura)
+const TIPOS_CONTA_PAGAMENTO = ['conta_corrente', 'dinheiro_vivo'];
+
+// Parcelas geradas por execução (evita execuções longas em empréstimos antigos)
+const LIMITE_PARCELAS_POR_EXECUCAO = 500;
+
+export class Emprestimo {
+    /**
+     * Converte a taxa contratada em taxa mensal efetiva
+     * @param {Object} emprestimo - taxa_juros (%) e taxa_periodo ('mensal' ou 'anual')
+     * @returns {number} Taxa mensal em fração (ex.: 0.01 para 1% a.m.)
+     */
+    static taxaMensal(emprestimo) {
+        const taxa = parseFloat(emprestimo.taxa_juros) / 100;
+        return emprestimo.taxa_periodo === 'mensal' ? taxa : Math.pow(1 + taxa, 1 / 12) - 1;
+    }
+
+    /**
+     * Valor da parcela fixa do sistema Price
+     * @param {number} saldo - Saldo devedor
+     * @param {number} taxa - Taxa mensal em fração
+     * @param {number} parcelas - Quantidade de parcelas
+     * @returns {number} Valor da parcela
+     */
+    static parcelaPrice(saldo, taxa, parcelas) {
+        return taxa === 0 ? saldo / parcelas : (saldo * taxa) / (1 - Math.pow(1 + taxa, -parcelas));
+    }
+
+    /**
+     * Gera a tabela de amortização. SAC: amortização constante e parcelas
+     * decrescentes; Price: parcelas constantes. A última parcela absorve os
+     * centavos de arredondamento para zerar o saldo.
+     * @param {Object} params - saldo, taxa (mensal, em fração), parcelas, sistema,
+     *   dataPrimeiraParcela (vencimento da parcela 1) e numeroInicial
+     * @returns {Array} Parcelas (numero, vencimento, amortizacao, juros, valor_parcela, saldo_devedor)
+     */
+    static calcularTabela({ saldo, taxa, parcelas, sistema, dataPrimeiraParcela, numeroInicial = 1 }) {
+        const tabela = [];
+        const amortizacaoSac = saldo / parcelas;
+        const valorPrice = this.parcelaPrice(saldo, taxa, parcelas);
+        let saldoDevedor = arredondar(saldo);
+
+        for (let i = 0; i < parcelas; i++) {
+            const numero = numeroInicial + i;
+            const juros = arredondar(saldoDevedor * taxa);
+            const ultima = i === parcelas - 1;
+
+            let amortizacao = sistema === 'sac'
+                ? arredondar(amortizacaoSac)
+                : arredondar(valorPrice - juros);
+            if (ultima || amortizacao > saldoDevedor) {
+                amortizacao = saldoDevedor;
+            }
+
+            saldoDevedor = arredondar(saldoDevedor - amortizacao);
+
+            tabela.push({
+                numero,
+                vencimento: adicionarMeses(dataPrimeiraParcela, numero - 1),
+                amortizacao,
+                juros,
+                valor_parcela: arredondar(amortizacao + juros),
+                saldo_devedor: saldoDevedor
+            });
+        }
+
+        return tabela;
+    }
+
+    /**
+     * Monta a tabela de um novo empréstimo; as parcelas já pagas fora do app
+     * ficam registradas como quitadas e o saldo devedor começa após elas
+     * @param {Object} dados - Dados do empréstimo (principal, taxa, prazo, sistema...)
+     * @returns {Object} Tabela e saldo devedor inicial
+     */
+    static prepararTabela(dados) {
+        const parcelasPagas = dados.parcelas_pagas || 0;
+        const tabela = this.calcularTabela({
+            saldo: dados.principal,
+            taxa: this.taxaMensal(dados),
+            parcelas: dados.prazo_meses,
+            sistema: dados.sistema,
+            dataPrimeiraParcela: dados.data_primeira_parcela
+        }).map(parcela => ({
+            ...parcela,
+            status: parcela.numero <= parcelasPagas ? 'quitada_antes' : 'pendente'
+        }));
+
+        return {
+            tabela,
+            saldoDevedor: parcelasPagas > 0 ? tabela[parcelasPagas - 1].saldo_devedor : arredondar(dados.principal)
+        };
+    }
+
+    /**
+     * Confere se a conta pode pagar as parcelas do empréstimo: o usuário precisa
+     * poder lançar nela, no mesmo grupo e na mesma moeda do empréstimo
+     * @param {string} contaPagamentoId - ID da conta de pagamento
+     * @param {string} userId - ID do usuário
+     * @param {Object} emprestimo - grupo_id e moeda da conta do empréstimo
+     * @throws {Error} Se a conta não puder ser usada
+     */
+    static async validarContaPagamento(contaPagamentoId, userId, { grupo_id = null, moeda }) {
+        const { data: conta, error } = await supabase
+            .from('gzen_accounts')
+            .select('id, tipo_conta, grupo_id, moeda, ativo')
+            .eq('id', contaPagamentoId)
+            .or(await Grupo.filtroEscrita(userId))
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!conta || !conta.ativo) {
+            throw new Error('Conta de pagamento não encontrada ou sem permissão para lançar');
+        }
+
+        if (!TIPOS_CONTA_PAGAMENTO.includes(conta.tipo_conta)) {
+            throw new Error('Parcelas devem ser pagas por conta corrente ou dinheiro vivo');
+        }
+
+        if ((conta.grupo_id || null) !== (grupo_id || null)) {
+            throw new Error('A conta de pagamento deve ser do mesmo grupo do empréstimo');
+        }
+
+        if (conta.moeda !== moeda) {
+            throw new Error('A conta de pagamento deve estar na mesma moeda do empréstimo');
+        }
+    }
+
+    /**
+     * Grava os dados e a tabela de um empréstimo recém-criado e lança as parcelas já vencidas
+     * @param {Object} account - Conta do empréstimo
+     * @param {Object} dados - Dados do empréstimo
+     * @param {Array} tabela - Tabela de prepararTabela()
+     * @returns {Object} Detalhes do empréstimo
+     */
+    static async criar(account, dados, tabela) {
+        const { data: detalhes, error } = await supabase
+            .from('gzen_emprestimo')
+            .insert([{
+                account_id: account.id,
+                instituicao: dados.instituicao,
+                principal: dados.principal,
+                taxa_juros: dados.taxa_juros,
+                taxa_periodo: dados.taxa_periodo,
+                prazo_meses: dados.prazo_meses,
+                sistema: dados.sistema,
+                data_primeira_parcela: dados.data_primeira_parcela,
+                conta_pagamento_id: dados.conta_pagamento_id,
+                category_id: dados.category_id || null
+            }])
+            .select('*')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const { error: parcelasError } = await supabase
+            .from('gzen_emprestimo_parcelas')
+            .insert(tabela.map(parcela => ({ ...parcela, account_id: account.id })));
+
+        if (parcelasError) {
+            throw parcelasError;
+        }
+
+        const { resultado } = await this.gerarVencidas(null, hoje(), account.id);
+        if (resultado?.falhas.length > 0) {
+            console.error('Parcelas vencidas não lançadas no cadastro do empréstimo:', resultado.falhas);
+        }
+
+        return detalhes;
+    }
+
+    /**
+     * Busca os dados do empréstimo de uma conta
+     * @param {string} accountId - ID da conta
+     * @returns {Object} Dados do empréstimo ou null
+     */
+    static async findByAccountId(accountId) {
+        const { data: emprestimo, error } = await supabase
+            .from('gzen_emprestimo')
+            .select('*')
+            .eq('account_id', accountId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return emprestimo;
+    }
+
+    /**
+     * Busca a tabela de amortização de um empréstimo
+     * @param {string} accountId - ID da conta
+     * @returns {Array} Parcelas em ordem
+     */
+    static async findParcelas(accountId) {
+        const { data: parcelas, error } = await supabase
+            .from('gzen_emprestimo_parcelas')
+            .select('*')
+            .eq('account_id', accountId)
+            .order('numero');
+
+        if (error) {
+            throw error;
+        }
+
+        return parcelas || [];
+    }
+
+    /**
+     * Busca as amortizações extraordinárias de um empréstimo
+     * @param {string} accountId - ID da conta
+     * @returns {Array} Amortizações em ordem cronológica
+     */
+    static async findAmortizacoes(accountId) {
+        const { data: amortizacoes, error } = await supabase
+            .from('gzen_emprestimo_amortizacoes')
+            .select('*')
+            .eq('account_id', accountId)
+            .order('data')
+            .order('created_at');
+
+        if (error) {
+            throw error;
+        }
+
+        return amortizacoes || [];
+    }
+
+    /**
+     * Monta a tabela de amortização com o resumo da dívida
+     * @param {Object} account - Conta do empréstimo (com detalhes)
+     * @returns {Object} Empréstimo, parcelas, amortizações e resumo
+     */
+    static async getTabela(account) {
+        const [parcelas, amortizacoes] = await Promise.all([
+            this.findParcelas(account.id),
+            this.findAmortizacoes(account.id)
+        ]);
+
+        const pagas = parcelas.filter(parcela => parcela.status !== 'pendente');
+        const pendentes = parcelas.filter(parcela => parcela.status === 'pendente');
+        const somar = (lista, campo) => arredondar(lista.reduce((total, item) => total + parseFloat(item[campo]), 0));
+
+        return {
+            emprestimo: account.detalhes,
+            parcelas,
+            amortizacoes,
+            resumo: {
+                saldo_devedor: Math.max(arredondar(-parseFloat(account.saldo_atual)), 0),
+                parcelas_pagas: pagas.length,
+                parcelas_restantes: pendentes.length,
+                juros_pagos: somar(pagas, 'juros'),
+                juros_a_pagar: somar(pendentes, 'juros'),
+                total_a_pagar: somar(pendentes, 'valor_parcela'),
+                amortizacoes_extraordinarias: somar(amortizacoes, 'valor'),
+                proxima_parcela: pendentes[0] || null
+            }
+        };
+    }
+
+    /**
+     * Lança como despesa na conta de pagamento as parcelas vencidas ainda não lançadas.
+     * Cada parcela é marcada como paga antes de a despesa ser criada, para que
+     * execuções simultâneas não lancem a mesma parcela duas vezes
+     * @param {string} userId - ID do dono dos empréstimos ou null para todos
+     * @param {string} ate - Data limite (YYYY-MM-DD)
+     * @param {string} accountId - Restringe a um empréstimo
+     * @returns {Object} Resumo da geração ou erro
+     */
+    static async gerarVencidas(userId, ate = hoje(), accountId = null) {
+        try {
+            let query = supabase
+                .from('gzen_emprestimo_parcelas')
+                .select('*, conta:gzen_accounts!inner(id, nome, user_id, ativo)')
+                .eq('status', 'pendente')
+                .is('despesa_id', null)
+                .lte('vencimento', ate)
+                .eq('conta.ativo', true);
+
+            if (userId) {
+                query = query.eq('conta.user_id', userId);
+            }
+            if (accountId) {
+                query = query.eq('account_id', accountId);
+            }
+
+            const { data: parcelas, error } = await query
+                .order('vencimento')
+                .order('numero')
+                .limit(LIMITE_PARCELAS_POR_EXECUCAO);
+
+            if (error) {
+                throw error;
+            }
+
+            const resultado = { despesas: [], falhas: [] };
+            const emprestimos = new Map();
+            const comFalha = new Set();
+
+            for (const parcela of parcelas) {
+                // Parcelas são lançadas em ordem: uma falha interrompe as seguintes do mesmo empréstimo
+                if (comFalha.has(parcela.account_id)) {
+                    continue;
+                }
+
+                try {
+                    if (!emprestimos.has(parcela.account_id)) {
+                        emprestimos.set(parcela.account_id, await this.findByAccountId(parcela.account_id));
+                    }
+                    const emprestimo = emprestimos.get(parcela.account_id);
+
+                    // Reserva a parcela antes de lançar: outra execução simultânea não a pega de novo
+                    const reservada = await this.marcarParcela(parcela.id, 'pendente', { status: 'paga' });
+                    if (!reservada) {
+                        continue;
+                    }
+
+                    const { despesa, error: despesaError } = await Despesa.create(parcela.conta.user_id, {
+                        account_id: emprestimo.conta_pagamento_id,
+                        category_id: emprestimo.category_id || undefined,
+                        nome: `Parcela ${parcela.numero} - ${parcela.conta.nome}`,
+                        valor: parseFloat(parcela.valor_parcela),
+                        data_despesa: parcela.vencimento,
+                        status: 'confirmada',
+                        emprestimo_id: parcela.account_id,
+                        emprestimo_parcela: parcela.numero,
+                        amortizacao: parseFloat(parcela.amortizacao)
+                    });
+
+                    if (despesaError) {
+                        // Devolve a parcela para ser lançada na próxima geração
+                        await this.marcarParcela(parcela.id, 'paga', { status: 'pendente' });
+                        throw new Error(despesaError);
+                    }
+
+                    // Se o vínculo falhar, a parcela continua paga e o índice único
+                    // (emprestimo_id, emprestimo_parcela) impede lançá-la de novo
+                    await this.marcarParcela(parcela.id, 'paga', { despesa_id: despesa.id });
+
+                    resultado.despesas.push(despesa);
+                } catch (parcelaError) {
+                    console.error(`Erro ao lançar parcela ${parcela.numero} do empréstimo ${parcela.account_id}:`, parcelaError);
+                    comFalha.add(parcela.account_id);
+                    resultado.falhas.push({
+                        account_id: parcela.account_id,
+                        numero: parcela.numero,
+                        erro: parcelaError.message
+                    });
+                }
+            }
+
+            return { resultado, error: null };
+        } catch (error) {
+            console.error('Erro ao gerar parcelas de empréstimos:', error);
+            return { resultado: null, error: error.message };
+        }
+    }
+
+    /**
+     * Atualiza uma parcela ainda sem despesa vinculada, somente se ela estiver no status esperado
+     * @param {string} parcelaId - ID da parcela
+     * @param {string} statusAtual - Status em que a parcela precisa estar
+     * @param {Object} dados - Campos a gravar
+     * @returns {boolean} True se a parcela foi atualizada
+     */
+    static async marcarParcela(parcelaId, statusAtual, dados) {
+        const { data: parcelas, error } = await supabase
+            .from('gzen_emprestimo_parcelas')
+            .update(dados)
+            .eq('id', parcelaId)
+            .eq('status', statusAtual)
+            .is('despesa_id', null)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        return parcelas.length > 0;
+    }
+
+    /**
+     * Acompanha alterações na despesa de uma parcela: cancelada ou pendente, a
+     * parcela volta a ficar pendente; removida, é desvinculada e lançada de novo
+     * na próxima geração
+     * @param {Object} despesa - Despesa gravada
+     */
+    static async sincronizarComDespesa(despesa) {
+        const removida = despesa.ativo === false;
+
+        const { error } = await supabase
+            .from('gzen_emprestimo_parcelas')
+            .update({
+                status: !removida && despesa.status === 'confirmada' ? 'paga' : 'pendente',
+                ...(removida ? { despesa_id: null } : {})
+            })
+            .eq('despesa_id', despesa.id);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Calcula quantas parcelas restam ao manter o valor da parcela (Price) ou a
+     * amortização mensal (SAC) após uma amortização extraordinária
+     * @param {Object} emprestimo - Dados do empréstimo
+     * @param {number} saldo - Novo saldo devedor
+     * @param {Object} proxima - Próxima parcela da tabela atual
+     * @returns {number} Quantidade de parcelas
+     */
+    static calcularPrazoRestante(emprestimo, saldo, proxima) {
+        if (emprestimo.sistema === 'sac') {
+            return Math.max(Math.ceil(saldo / parseFloat(proxima.amortizacao) - 1e-9), 1);
+        }
+
+        const taxa = this.taxaMensal(emprestimo);
+        const valorParcela = parseFloat(proxima.valor_parcela);
+
+        if (taxa === 0) {
+            return Math.max(Math.ceil(saldo / valorParcela - 1e-9), 1);
+        }
+
+        return Math.max(Math.ceil(-Math.log(1 - (saldo * taxa) / valorParcela) / Math.log(1 + taxa) - 1e-9), 1);
+    }
+
+    /**
+     * Registra uma amortização extraordinária: transfere o valor da conta de
+     * origem para o empréstimo e recalcula as parcelas pendentes, reduzindo o
+     * prazo (modo 'prazo') ou o valor das parcelas (modo 'parcela')
+     * @param {string} userId - ID do usuário
+     * @param {Object} account - Conta do empréstimo (já verificada para escrita, com detalhes)
+     * @param {Object} amortizacaoData - valor, data, modo e conta_origem_id
+     * @returns {Object} Amortização, nova tabela e saldo devedor, ou erro
+     */
+    static async amortizar(userId, account, amortizacaoData) {
+        try {
+            const emprestimo = account.detalhes;
+            const { valor, data, modo } = amortizacaoData;
+
+            if (data > hoje()) {
+                throw new Error('Amortizações só podem ser registradas até a data de hoje');
+            }
+
+            // Parcelas vencidas até a data entram antes da amortização
+            const { resultado, error: gerarError } = await this.gerarVencidas(null, data, account.id);
+            if (gerarError || resultado.falhas.length > 0) {
+                throw new Error(gerarError || resultado.falhas[0].erro);
+            }
+
+            const { data: conta, error: contaError } = await supabase
+                .from('gzen_accounts')
+                .select('saldo_atual')
+                .eq('id', account.id)
+                .single();
+
+            if (contaError) {
+                throw contaError;
+            }
+
+            const saldoAnterior = arredondar(-parseFloat(conta.saldo_atual));
+            if (saldoAnterior <= 0) {
+                throw new Error('Empréstimo sem saldo devedor');
+            }
+            if (valor > saldoAnterior) {
+                throw new Error(`Valor excede o saldo devedor (${saldoAnterior.toFixed(2)})`);
+            }
+
+            const { transferencia, error: transferenciaError } = await Transferencia.create(userId, {
+                conta_origem_id: amortizacaoData.conta_origem_id || emprestimo.conta_pagamento_id,
+                conta_destino_id: account.id,
+                valor,
+                data_transferencia: data,
+                descricao: `Amortização extraordinária - ${account.nome}`,
+                status: 'confirmada'
+            });
+
+            if (transferenciaError) {
+                throw new Error(transferenciaError);
+            }
+
+            const saldoPosterior = arredondar(saldoAnterior - valor);
+
+            // Parcelas futuras (ainda sem despesa) são substituídas pela nova tabela
+            const futuras = (await this.findParcelas(account.id))
+                .filter(parcela => parcela.status === 'pendente' && !parcela.despesa_id);
+
+            let parcelas = [];
+            if (futuras.length > 0) {
+                const { error: deleteError } = await supabase
+                    .from('gzen_emprestimo_parcelas')
+                    .delete()
+                    .in('id', futuras.map(parcela => parcela.id));
+
+                if (deleteError) {
+                    throw deleteError;
+                }
+
+                if (saldoPosterior > 0) {
+                    parcelas = this.calcularTabela({
+                        saldo: saldoPosterior,
+                        taxa: this.taxaMensal(emprestimo),
+                        parcelas: modo === 'prazo'
+                            ? this.calcularPrazoRestante(emprestimo, saldoPosterior, futuras[0])
+                            : futuras.length,
+                        sistema: emprestimo.sistema,
+                        dataPrimeiraParcela: emprestimo.data_primeira_parcela,
+                        numeroInicial: futuras[0].numero
+                    }).map(parcela => ({ ...parcela, account_id: account.id, status: 'pendente' }));
+
+                    const { error: insertError } = await supabase
+                        .from('gzen_emprestimo_parcelas')
+                        .insert(parcelas);
+
+                    if (insertError) {
+                        throw insertError;
+                    }
+                }
+            }
+
+            const { data: amortizacao, error } = await supabase
+                .from('gzen_emprestimo_amortizacoes')
+                .insert([{
+                    account_id: account.id,
+                    user_id: userId,
+                    data,
+                    valor,
+                    modo,
+                    saldo_anterior: saldoAnterior,
+                    saldo_posterior: saldoPosterior,
+                    transferencia_id: transferencia.id
+                }])
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { amortizacao, parcelas, saldo_devedor: saldoPosterior, error: null };
+        } catch (error) {
+            console.error('Erro ao registrar amortização de empréstimo:', error);
+            return { amortizacao: null, parcelas: null, saldo_devedor: null, error: error.message };
+        }
+    }
+}
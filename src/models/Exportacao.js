@@ -0,0 +1,350 @@
+// Exportacao.js
+import ExcelJS from 'exceljs';
+import { supabase } from '../config/supabaseClient.js';
+import { Account } from './Account.js';
+import { Receita } from './Receita.js';
+import { Despesa } from './Despesa.js';
+import { Grupo } from './Grupo.js';
+import { hoje } from '../utils/dateUtils.js';
+
+// Tamanho do lote buscado a cada página durante a exportação
+const TAMANHO_LOTE = 500;
+
+// Colunas das planilhas/CSV de transações
+const COLUNAS_TRANSACOES = [
+    { header: 'Tipo', key: 'tipo', width: 10 },
+    { header: 'Data', key: 'data', width: 12 },
+    { header: 'Descrição', key: 'nome', width: 40 },
+    { header: 'Valor', key: 'valor', width: 14 },
+    { header: 'Moeda', key: 'moeda', width: 8 },
+    { header: 'Categoria', key: 'categoria', width: 20 },
+    { header: 'Conta', key: 'conta', width: 20 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Parcela', key: 'parcelamento', width: 10 },
+    { header: 'Tags', key: 'tags', width: 25 },
+    { header: 'Observações', key: 'observacoes', width: 40 }
+];
+
+const COLUNAS_CONTAS = [
+    { header: 'Nome', key: 'nome', width: 30 },
+    { header: 'Tipo', key: 'tipo_conta', width: 16 },
+    { header: 'Moeda', key: 'moeda', width: 8 },
+    { header: 'Saldo atual', key: 'saldo_atual', width: 14 },
+    { header: 'Limite total', key: 'limite_total', width: 14 },
+    { header: 'Limite disponível', key: 'limite_disponivel', width: 16 }
+];
+
+const COLUNAS_ORCAMENTOS = [
+    { header: 'Mês', key: 'mes', width: 6 },
+    { header: 'Ano', key: 'ano', width: 8 },
+    { header: 'Receitas', key: 'receita_total', width: 14 },
+    { header: 'Despesas', key: 'despesa_total', width: 14 },
+    { header: 'Saldo', key: 'saldo_atual', width: 14 },
+    { header: 'Meta de economia', key: 'meta_economia', width: 16 }
+];
+
+// Colunas formatadas como dinheiro no CSV e no XLSX
+const CAMPOS_MONETARIOS = new Set([
+    'valor', 'saldo_atual', 'limite_total', 'limite_disponivel',
+    'receita_total', 'despesa_total', 'meta_economia'
+]);
+
+// Valores em CSV seguem o padrão brasileiro (";" e vírgula decimal) para abrir direto em planilhas
+const campoCsv = (valor, monetario) => {
+    if (valor === null || valor === undefined) {
+        return '';
+    }
+
+    const texto = monetario && typeof valor === 'number'
+        ? valor.toFixed(2).replace('.', ',')
+        : String(valor);
+    return /[";\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+const linhaCsv = (colunas, registro) => colunas
+    .map(coluna => campoCsv(registro[coluna.key], CAMPOS_MONETARIOS.has(coluna.key)))
+    .join(';') + '\r\n';
+
+const cabecalhoCsv = (colunas) => linhaCsv(colunas, Object.fromEntries(colunas.map(c => [c.key, c.header])));
+
+// Texto em OFX (SGML) não pode conter os caracteres de marcação
+const textoOfx = (texto) => String(texto || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const dataOfx = (data) => data.replace(/-/g, '');
+
+export class Exportacao {
+    /**
+     * Percorre receitas ou despesas do usuário em lotes, aplicando os filtros de listagem
+     * @param {string} tipo - 'receita' ou 'despesa'
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Filtros (mesmos de financeFiltersSchema)
+     * @returns {AsyncGenerator} Lotes de transações formatadas para exportação
+     */
+    static async *listarTransacoes(tipo, userId, filters) {
+        const Modelo = tipo === 'receita' ? Receita : Despesa;
+        const campoData = tipo === 'receita' ? 'data_receita' : 'data_despesa';
+
+        for (let pagina = 1; ; pagina++) {
+            const transacoes = await Modelo.findByUserId(userId, {
+                ...filters,
+                pagina,
+                limite: TAMANHO_LOTE
+            });
+
+            // Tags são filtradas aqui, já que a listagem não filtra por tag
+            const filtradas = filters.tags.length > 0
+                ? transacoes.filter(t => t.tags.some(tag => filters.tags.includes(tag.id)))
+                : transacoes;
+
+            yield filtradas.map(transacao => ({
+                id: transacao.id,
+                account_id: transacao.account_id,
+                tipo,
+                data: transacao[campoData],
+                nome: transacao.nome,
+                valor: parseFloat(transacao.valor),
+                moeda: transacao.moeda || 'BRL',
+                categoria: transacao.categoria?.nome || '',
+                conta: transacao.conta?.nome || '',
+                status: transacao.status,
+                parcelamento: transacao.parcelamento || '',
+                tags: transacao.tags.map(tag => tag.nome).join(', '),
+                observacoes: transacao.observacoes || ''
+            }));
+
+            if (transacoes.length < TAMANHO_LOTE) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Busca contas do usuário (respeitando o filtro de conta)
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Filtros
+     * @returns {Array} Contas formatadas para exportação
+     */
+    static async listarContas(userId, filters) {
+        const accounts = await Account.findByUserId(userId);
+
+        return accounts
+            .filter(account => !filters.account_id || account.id === filters.account_id)
+            .filter(account => !filters.grupo_id || account.grupo_id === filters.grupo_id)
+            .map(account => ({
+                id: account.id,
+                nome: account.nome,
+                tipo_conta: account.tipo_conta,
+                moeda: account.moeda || 'BRL',
+                saldo_atual: parseFloat(account.saldo_atual),
+                limite_total: account.detalhes?.limite_total !== undefined
+                    ? parseFloat(account.detalhes.limite_total)
+                    : null,
+                limite_disponivel: account.detalhes?.limite_disponivel !== undefined
+                    ? parseFloat(account.detalhes.limite_disponivel)
+                    : null
+            }));
+    }
+
+    /**
+     * Busca orçamentos mensais dentro do período (pessoais ou do grupo filtrado)
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Filtros (data_inicio, data_fim, grupo_id)
+     * @returns {Array} Orçamentos formatados para exportação
+     */
+    static async listarOrcamentos(userId, filters) {
+        const { data: orcamentos, error } = await Grupo.escopoOrcamento(
+            supabase.from('gzen_orcamento').select('*'),
+            userId,
+            filters.grupo_id
+        )
+            .order('ano', { ascending: true })
+            .order('mes', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        // Compara períodos como AAAAMM
+        const periodo = (data) => data ? parseInt(data.substring(0, 7).replace('-', '')) : null;
+        const inicio = periodo(filters.data_inicio);
+        const fim = periodo(filters.data_fim);
+
+        return orcamentos
+            .filter(o => (!inicio || o.ano * 100 + o.mes >= inicio) && (!fim || o.ano * 100 + o.mes <= fim))
+            .map(o => ({
+                mes: o.mes,
+                ano: o.ano,
+                receita_total: parseFloat(o.receita_total),
+                despesa_total: parseFloat(o.despesa_total),
+                saldo_atual: parseFloat(o.saldo_atual),
+                meta_economia: parseFloat(o.meta_economia || 0)
+            }));
+    }
+
+    /**
+     * Escreve a exportação em CSV (uma seção por arquivo)
+     * @param {Object} stream - Stream de saída (ex.: response)
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Filtros e seção a exportar
+     */
+    static async exportarCsv(stream, userId, filters) {
+        // BOM para o Excel reconhecer UTF-8
+        stream.write('\uFEFF');
+
+        if (filters.secao === 'contas') {
+            stream.write(cabecalhoCsv(COLUNAS_CONTAS));
+            for (const conta of await this.listarContas(userId, filters)) {
+                stream.write(linhaCsv(COLUNAS_CONTAS, conta));
+            }
+        } else if (filters.secao === 'orcamentos') {
+            stream.write(cabecalhoCsv(COLUNAS_ORCAMENTOS));
+            for (const orcamento of await this.listarOrcamentos(userId, filters)) {
+                stream.write(linhaCsv(COLUNAS_ORCAMENTOS, orcamento));
+            }
+        } else {
+            stream.write(cabecalhoCsv(COLUNAS_TRANSACOES));
+            for (const tipo of ['receita', 'despesa']) {
+                for await (const lote of this.listarTransacoes(tipo, userId, filters)) {
+                    lote.forEach(transacao => stream.write(linhaCsv(COLUNAS_TRANSACOES, transacao)));
+                }
+            }
+        }
+
+        stream.end();
+    }
+
+    /**
+     * Escreve a exportação em XLSX, com uma planilha por tipo de dado
+     * @param {Object} stream - Stream de saída (ex.: response)
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Filtros
+     */
+    static async exportarXlsx(stream, userId, filters) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+
+        const criarPlanilha = (nome, colunas) => {
+            const planilha = workbook.addWorksheet(nome);
+            planilha.columns = colunas;
+            planilha.getRow(1).font = { bold: true };
+            colunas
+                .filter(coluna => CAMPOS_MONETARIOS.has(coluna.key))
+                .forEach(coluna => { planilha.getColumn(coluna.key).numFmt = '#,##0.00'; });
+            return planilha;
+        };
+
+        for (const [tipo, nome] of [['receita', 'Receitas'], ['despesa', 'Despesas']]) {
+            const planilha = criarPlanilha(nome, COLUNAS_TRANSACOES);
+            for await (const lote of this.listarTransacoes(tipo, userId, filters)) {
+                lote.forEach(transacao => planilha.addRow(transacao).commit());
+            }
+            planilha.commit();
+        }
+
+        const planilhaContas = criarPlanilha('Contas', COLUNAS_CONTAS);
+        (await this.listarContas(userId, filters)).forEach(conta => planilhaContas.addRow(conta).commit());
+        planilhaContas.commit();
+
+        const planilhaOrcamentos = criarPlanilha('Orçamentos', COLUNAS_ORCAMENTOS);
+        (await this.listarOrcamentos(userId, filters)).forEach(orcamento => planilhaOrcamentos.addRow(orcamento).commit());
+        planilhaOrcamentos.commit();
+
+        await workbook.commit();
+    }
+
+    /**
+     * Escreve a exportação em OFX 1.0.2, com um extrato por conta
+     * @param {Object} stream - Stream de saída (ex.: response)
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Filtros
+     */
+    static async exportarOfx(stream, userId, filters) {
+        const contas = await this.listarContas(userId, filters);
+        const agora = dataOfx(hoje());
+        const dataInicio = filters.data_inicio ? dataOfx(filters.data_inicio.substring(0, 10)) : agora;
+        const dataFim = filters.data_fim ? dataOfx(filters.data_fim.substring(0, 10)) : agora;
+
+        stream.write([
+            'OFXHEADER:100',
+            'DATA:OFXSGML',
+            'VERSION:102',
+            'SECURITY:NONE',
+            'ENCODING:UTF-8',
+            'CHARSET:NONE',
+            'COMPRESSION:NONE',
+            'OLDFILEUID:NONE',
+            'NEWFILEUID:NONE',
+            '',
+            '<OFX>',
+            '<SIGNONMSGSRSV1><SONRS>',
+            '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+            `<DTSERVER>${agora}`,
+            '<LANGUAGE>POR',
+            '</SONRS></SIGNONMSGSRSV1>',
+            ''
+        ].join('\r\n'));
+
+        // Cartões vão em CREDITCARDMSGSRSV1, as demais contas em BANKMSGSRSV1
+        const grupos = [
+            { mensagem: 'BANKMSGSRSV1', extrato: 'STMTRS', origem: 'BANKACCTFROM', contas: contas.filter(c => c.tipo_conta !== 'cartao_credito') },
+            { mensagem: 'CREDITCARDMSGSRSV1', extrato: 'CCSTMTRS', origem: 'CCACCTFROM', contas: contas.filter(c => c.tipo_conta === 'cartao_credito') }
+        ];
+
+        for (const grupo of grupos.filter(g => g.contas.length > 0)) {
+            stream.write(`<${grupo.mensagem}>\r\n`);
+
+            for (const conta of grupo.contas) {
+                const resposta = grupo.extrato === 'STMTRS' ? 'STMTTRNRS' : 'CCSTMTTRNRS';
+                const identificacao = grupo.extrato === 'STMTRS'
+                    ? `<${grupo.origem}><BANKID>0000<ACCTID>${conta.id}<ACCTTYPE>${conta.tipo_conta === 'conta_corrente' ? 'CHECKING' : 'SAVINGS'}</${grupo.origem}>`
+                    : `<${grupo.origem}><ACCTID>${conta.id}</${grupo.origem}>`;
+
+                stream.write([
+                    `<${resposta}>`,
+                    '<TRNUID>0',
+                    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+                    `<${grupo.extrato}>`,
+                    `<CURDEF>${conta.moeda}`,
+                    identificacao,
+                    '<BANKTRANLIST>',
+                    `<DTSTART>${dataInicio}`,
+                    `<DTEND>${dataFim}`,
+                    ''
+                ].join('\r\n'));
+
+                for (const tipo of ['receita', 'despesa']) {
+                    for await (const lote of this.listarTransacoes(tipo, userId, { ...filters, account_id: conta.id })) {
+                        lote.forEach(transacao => {
+                            const valor = tipo === 'receita' ? transacao.valor : -transacao.valor;
+                            stream.write([
+                                '<STMTTRN>',
+                                `<TRNTYPE>${tipo === 'receita' ? 'CREDIT' : 'DEBIT'}`,
+                                `<DTPOSTED>${dataOfx(transacao.data)}`,
+                                `<TRNAMT>${valor.toFixed(2)}`,
+                                `<FITID>${transacao.id}`,
+                                `<MEMO>${textoOfx(transacao.nome)}`,
+                                '</STMTTRN>',
+                                ''
+                            ].join('\r\n'));
+                        });
+                    }
+                }
+
+                stream.write([
+                    '</BANKTRANLIST>',
+                    `<LEDGERBAL><BALAMT>${conta.saldo_atual.toFixed(2)}<DTASOF>${agora}</LEDGERBAL>`,
+                    `</${grupo.extrato}>`,
+                    `</${resposta}>`,
+                    ''
+                ].join('\r\n'));
+            }
+
+            stream.write(`</${grupo.mensagem}>\r\n`);
+        }
+
+        stream.write('</OFX>\r\n');
+        stream.end();
+    }
+}
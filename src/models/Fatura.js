@@ -0,0 +1,453 @@
+// Fatura.js
+import { supabase } from '../config/supabaseClient.js';
+import { Grupo } from './Grupo.js';
+import { dataNoMes, formatarData, hoje, parseData } from '../utils/dateUtils.js';
+
+export class Fatura {
+    /**
+     * Calcula o dia de fechamento do cartão, relativo ao mês do fechamento.
+     * Pode ser 0 ou negativo (ex.: melhor data de compra no dia 1 ou vencimento
+     * até o dia 7); calcularFechamento converte esses casos para o mês anterior.
+     * @param {Object} cartao - Detalhes do cartão (gzen_cartao_credito)
+     * @returns {number} Dia de fechamento
+     */
+    static getDiaFechamento(cartao) {
+        // A melhor data de compra é o primeiro dia do novo ciclo
+        if (cartao.melhor_data_compra) {
+            return cartao.melhor_data_compra - 1;
+        }
+
+        // Sem melhor data informada, assume fechamento 7 dias antes do vencimento
+        return cartao.vencimento_fatura - 7;
+    }
+
+    /**
+     * Calcula a data de fechamento do cartão em um mês
+     * @param {Object} cartao - Detalhes do cartão (vencimento_fatura, melhor_data_compra)
+     * @param {number} ano - Ano
+     * @param {number} mes - Mês (1-12, aceita overflow)
+     * @returns {Date} Data de fechamento em UTC
+     */
+    static calcularFechamento(cartao, ano, mes) {
+        const diaFechamento = this.getDiaFechamento(cartao);
+
+        if (diaFechamento >= 1) {
+            return dataNoMes(ano, mes, diaFechamento);
+        }
+
+        // Dia 0 é o último dia do mês anterior; negativos recuam a partir dele
+        const fechamento = dataNoMes(ano, mes - 1, 31);
+        fechamento.setUTCDate(fechamento.getUTCDate() + diaFechamento);
+        return fechamento;
+    }
+
+    /**
+     * Calcula o ciclo de fatura ao qual uma compra pertence
+     * @param {Object} cartao - Detalhes do cartão (vencimento_fatura, melhor_data_compra)
+     * @param {string} dataCompra - Data da compra (YYYY-MM-DD)
+     * @returns {Object} Competência, data de fechamento e data de vencimento
+     */
+    static calcularCiclo(cartao, dataCompra) {
+        const compra = parseData(dataCompra);
+        const ano = compra.getUTCFullYear();
+        const mes = compra.getUTCMonth() + 1;
+
+        // Avança até o primeiro fechamento igual ou posterior à compra
+        let mesFechamento = mes;
+        let fechamento = this.calcularFechamento(cartao, ano, mesFechamento);
+        while (compra > fechamento) {
+            mesFechamento += 1;
+            fechamento = this.calcularFechamento(cartao, ano, mesFechamento);
+        }
+
+        // Vencimento é o primeiro dia de vencimento após o fechamento
+        let vencimento = dataNoMes(
+            fechamento.getUTCFullYear(),
+            fechamento.getUTCMonth() + 1,
+            cartao.vencimento_fatura
+        );
+        if (vencimento <= fechamento) {
+            vencimento = dataNoMes(
+                fechamento.getUTCFullYear(),
+                fechamento.getUTCMonth() + 2,
+                cartao.vencimento_fatura
+            );
+        }
+
+        const dataVencimento = formatarData(vencimento);
+
+        return {
+            competencia: dataVencimento.substring(0, 7),
+            data_fechamento: formatarData(fechamento),
+            data_vencimento: dataVencimento
+        };
+    }
+
+    /**
+     * Calcula o status da fatura com base nas datas e valores
+     * @param {Object} fatura - Dados da fatura
+     * @returns {string} 'aberta', 'fechada' ou 'paga'
+     */
+    static calcularStatus(fatura) {
+        const valorTotal = parseFloat(fatura.valor_total);
+        const valorPago = parseFloat(fatura.valor_pago);
+
+        if (valorTotal > 0 && valorPago >= valorTotal) {
+            return 'paga';
+        }
+
+        return hoje() > fatura.data_fechamento ? 'fechada' : 'aberta';
+    }
+
+    /**
+     * Formata a fatura incluindo valores derivados. O status é recalculado
+     * aqui, já que faturas fecham com a passagem do tempo, sem gravar no banco
+     * @param {Object} fatura - Dados da fatura
+     * @returns {Object} Fatura formatada
+     */
+    static formatar(fatura) {
+        const valorRestante = parseFloat(fatura.valor_total) - parseFloat(fatura.valor_pago);
+        const status = this.calcularStatus(fatura);
+
+        return {
+            ...fatura,
+            status,
+            valor_restante: Math.max(valorRestante, 0),
+            vencida: status !== 'paga' && hoje() > fatura.data_vencimento
+        };
+    }
+
+    /**
+     * Busca detalhes de cartão de crédito de uma conta
+     * @param {string} accountId - ID da conta
+     * @returns {Object} Detalhes do cartão ou null se a conta não for cartão
+     */
+    static async getCartao(accountId) {
+        try {
+            const { data: cartao, error } = await supabase
+                .from('gzen_cartao_credito')
+                .select('*')
+                .eq('account_id', accountId)
+                .single();
+
+            if (error) {
+                return null;
+            }
+
+            return cartao;
+        } catch (error) {
+            console.error('Erro ao buscar cartão:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Busca ou cria a fatura de um ciclo. A fatura é única por cartão e
+     * competência, então, confirmado o acesso ao cartão, a busca é só por eles
+     * (faturas de cartão da casa são do grupo do cartão)
+     * @param {string} userId - ID do usuário
+     * @param {string} accountId - ID da conta do cartão
+     * @param {Object} ciclo - Ciclo calculado por calcularCiclo
+     * @returns {Object} Fatura encontrada ou criada
+     */
+    static async findOrCreate(userId, accountId, ciclo) {
+        const { data: cartao, error: cartaoError } = await supabase
+            .from('gzen_accounts')
+            .select('id, grupo_id')
+            .eq('id', accountId)
+            .or(await Grupo.filtroEscrita(userId))
+            .maybeSingle();
+
+        if (cartaoError) {
+            throw cartaoError;
+        }
+        if (!cartao) {
+            throw new Error('Cartão não encontrado');
+        }
+
+        const buscar = () => supabase
+            .from('gzen_faturas')
+            .select('*')
+            .eq('account_id', accountId)
+            .eq('competencia', ciclo.competencia)
+            .single();
+
+        let { data: fatura, error } = await buscar();
+
+        if (error && error.code === 'PGRST116') {
+            const { data: novaFatura, error: createError } = await supabase
+                .from('gzen_faturas')
+                .insert([{
+                    user_id: userId,
+                    grupo_id: cartao.grupo_id,
+                    account_id: accountId,
+                    competencia: ciclo.competencia,
+                    data_fechamento: ciclo.data_fechamento,
+                    data_vencimento: ciclo.data_vencimento,
+                    valor_total: 0,
+                    valor_pago: 0,
+                    status: 'aberta'
+                }])
+                .select('*')
+                .single();
+
+            // Outra requisição criou a fatura do ciclo ao mesmo tempo
+            if (createError && createError.code === '23505') {
+                const { data: existente, error: existenteError } = await buscar();
+
+                if (existenteError) {
+                    throw existenteError;
+                }
+
+                return existente;
+            }
+
+            if (createError) {
+                throw createError;
+            }
+
+            fatura = novaFatura;
+        } else if (error) {
+            throw error;
+        }
+
+        return fatura;
+    }
+
+    /**
+     * Busca fatura por ID
+     * @param {string} faturaId - ID da fatura
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Fatura encontrada ou null
+     */
+    static async findById(faturaId, userId) {
+        try {
+            const { data: fatura, error } = await supabase
+                .from('gzen_faturas')
+                .select('*')
+                .eq('id', faturaId)
+                .or(await Grupo.filtroLeitura(userId))
+                .single();
+
+            if (error) {
+                return null;
+            }
+
+            return this.formatar(fatura);
+        } catch (error) {
+            console.error('Erro ao buscar fatura por ID:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Lista faturas de um cartão
+     * @param {string} accountId - ID da conta do cartão
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Lista de faturas
+     */
+    static async findByAccount(accountId, userId) {
+        try {
+            const { data: faturas, error } = await supabase
+                .from('gzen_faturas')
+                .select('*')
+                .eq('account_id', accountId)
+                .or(await Grupo.filtroLeitura(userId))
+                .order('competencia', { ascending: false });
+
+            if (error) {
+                throw error;
+            }
+
+            return faturas.map(fatura => this.formatar(fatura));
+        } catch (error) {
+            console.error('Erro ao buscar faturas:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Busca fatura de uma competência com itens e pagamentos
+     * @param {string} accountId - ID da conta do cartão
+     * @param {string} userId - ID do usuário
+     * @param {string} competencia - Competência no formato YYYY-MM
+     * @returns {Object} Fatura detalhada ou null
+     */
+    static async findByCompetencia(accountId, userId, competencia) {
+        try {
+            const { data: fatura, error } = await supabase
+                .from('gzen_faturas')
+                .select('*')
+                .eq('account_id', accountId)
+                .or(await Grupo.filtroLeitura(userId))
+                .eq('competencia', competencia)
+                .single();
+
+            if (error) {
+                return null;
+            }
+
+            const { data: despesas, error: despesasError } = await supabase
+                .from('gzen_despesas')
+                .select(`
+                    *,
+                    gzen_categories(nome, cor, icone)
+                `)
+                .eq('fatura_id', fatura.id)
+                .eq('ativo', true)
+                .eq('status', 'confirmada')
+                .order('data_despesa');
+
+            if (despesasError) {
+                throw despesasError;
+            }
+
+            const itens = despesas
+                .filter(despesa => !despesa.eh_pagamento_fatura)
+                .map(despesa => ({
+                    ...despesa,
+                    categoria: despesa.gzen_categories,
+                    gzen_categories: undefined
+                }));
+            const pagamentos = despesas
+                .filter(despesa => despesa.eh_pagamento_fatura)
+                .map(despesa => ({
+                    ...despesa,
+                    gzen_categories: undefined
+                }));
+
+            return {
+                ...this.formatar(fatura),
+                itens,
+                pagamentos
+            };
+        } catch (error) {
+            console.error('Erro ao buscar fatura por competência:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Busca a fatura mais antiga com saldo em aberto
+     * @param {string} accountId - ID da conta do cartão
+     * @returns {Object} Fatura encontrada ou null
+     */
+    static async findPendente(accountId) {
+        const { data: faturas, error } = await supabase
+            .from('gzen_faturas')
+            .select('*')
+            .eq('account_id', accountId)
+            .neq('status', 'paga')
+            .order('competencia', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return faturas.find(fatura =>
+            parseFloat(fatura.valor_total) > parseFloat(fatura.valor_pago)
+        ) || null;
+    }
+
+    /**
+     * Recalcula total e valor pago da fatura a partir das despesas vinculadas
+     * @param {string} faturaId - ID da fatura
+     * @returns {Object} Fatura recalculada
+     */
+    static async recalcular(faturaId) {
+        const { data: despesas, error } = await supabase
+            .from('gzen_despesas')
+            .select('valor, eh_pagamento_fatura')
+            .eq('fatura_id', faturaId)
+            .eq('status', 'confirmada')
+            .eq('ativo', true);
+
+        if (error) {
+            throw error;
+        }
+
+        const valorTotal = despesas
+            .filter(d => !d.eh_pagamento_fatura)
+            .reduce((sum, d) => sum + parseFloat(d.valor), 0);
+        const valorPago = despesas
+            .filter(d => d.eh_pagamento_fatura)
+            .reduce((sum, d) => sum + parseFloat(d.valor), 0);
+
+        const { data: fatura, error: faturaError } = await supabase
+            .from('gzen_faturas')
+            .select('*')
+            .eq('id', faturaId)
+            .single();
+
+        if (faturaError) {
+            throw faturaError;
+        }
+
+        const atualizada = {
+            ...fatura,
+            valor_total: valorTotal,
+            valor_pago: valorPago
+        };
+        atualizada.status = this.calcularStatus(atualizada);
+
+        const { data: faturaRecalculada, error: updateError } = await supabase
+            .from('gzen_faturas')
+            .update({
+                valor_total: atualizada.valor_total,
+                valor_pago: atualizada.valor_pago,
+                status: atualizada.status
+            })
+            .eq('id', faturaId)
+            .select('*')
+            .single();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        return faturaRecalculada;
+    }
+
+    /**
+     * Define a fatura de uma despesa: compras no cartão vão para a fatura do ciclo,
+     * pagamentos para a fatura indicada ou para a mais antiga em aberto
+     * @param {Object} despesa - Dados da despesa
+     * @param {string} userId - ID do usuário
+     * @returns {string} ID da fatura ou null se a despesa não envolve cartão
+     */
+    static async definirFatura(despesa, userId) {
+        if (despesa.eh_pagamento_fatura && despesa.cartao_origem_id) {
+            if (despesa.fatura_id) {
+                // A fatura informada precisa ser do cartão pago
+                const { data: fatura, error } = await supabase
+                    .from('gzen_faturas')
+                    .select('id')
+                    .eq('id', despesa.fatura_id)
+                    .eq('account_id', despesa.cartao_origem_id)
+                    .maybeSingle();
+
+                if (error) {
+                    throw error;
+                }
+                if (!fatura) {
+                    throw new Error('Fatura não encontrada para o cartão de origem');
+                }
+
+                return fatura.id;
+            }
+
+            const faturaPendente = await this.findPendente(despesa.cartao_origem_id);
+            return faturaPendente?.id || null;
+        }
+
+        const cartao = await this.getCartao(despesa.account_id);
+        if (!cartao) {
+            return null;
+        }
+
+        const ciclo = this.calcularCiclo(cartao, despesa.data_despesa);
+        const fatura = await this.findOrCreate(userId, despesa.account_id, ciclo);
+
+        return fatura.id;
+    }
+}
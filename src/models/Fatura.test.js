@@ -0,0 +1,78 @@
+// Fatura.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'teste';
+
+const { supabase } = await import('../config/supabaseClient.js');
+const { Grupo } = await import('./Grupo.js');
+const { Fatura } = await import('./Fatura.js');
+
+const USER = 'usuario-1';
+const CARTAO = 'cartao-1';
+const CICLO = { competencia: '2026-10', data_fechamento: '2026-10-03', data_vencimento: '2026-10-10' };
+
+/**
+ * Simula o query builder do Supabase: registra as chamadas de cada consulta e
+ * resolve com o próximo resultado da fila
+ */
+const simularBanco = (resultados) => {
+    const consultas = [];
+
+    mock.method(supabase, 'from', (tabela) => {
+        const consulta = { tabela, chamadas: [] };
+        consultas.push(consulta);
+        const resultado = resultados.shift();
+
+        const builder = new Proxy({}, {
+            get: (alvo, metodo) => {
+                if (metodo === 'then') {
+                    return (resolver, rejeitar) => Promise.resolve(resultado).then(resolver, rejeitar);
+                }
+                return (...args) => {
+                    consulta.chamadas.push([metodo, ...args]);
+                    return builder;
+                };
+            }
+        });
+
+        return builder;
+    });
+
+    return consultas;
+};
+
+describe('Fatura.findOrCreate', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('cartão sem acesso de escrita não busca nem cria fatura', async () => {
+        mock.method(Grupo, 'filtroEscrita', async () => `and(user_id.eq.${USER},grupo_id.is.null)`);
+        const consultas = simularBanco([{ data: null, error: null }]);
+
+        await assert.rejects(() => Fatura.findOrCreate(USER, CARTAO, CICLO), /Cartão não encontrado/);
+        assert.equal(consultas.length, 1);
+        assert.equal(consultas[0].tabela, 'gzen_accounts');
+    });
+
+    it('após conflito na criação, busca a fatura só por cartão e competência', async () => {
+        mock.method(Grupo, 'filtroEscrita', async () => 'grupo_id.in.(grupo-1)');
+        const existente = { id: 'fatura-1', account_id: CARTAO, competencia: CICLO.competencia, user_id: 'outro-membro' };
+        const consultas = simularBanco([
+            { data: { id: CARTAO, grupo_id: 'grupo-1' }, error: null },
+            { data: null, error: { code: 'PGRST116' } },
+            { data: null, error: { code: '23505' } },
+            { data: existente, error: null }
+        ]);
+
+        assert.deepEqual(await Fatura.findOrCreate(USER, CARTAO, CICLO), existente);
+
+        const [, , insercao, busca] = consultas;
+        const [, [linha]] = insercao.chamadas.find(([metodo]) => metodo === 'insert');
+        assert.equal(linha.grupo_id, 'grupo-1');
+        assert.deepEqual(
+            busca.chamadas.filter(([metodo]) => ['eq', 'or', 'is'].includes(metodo)),
+            [['eq', 'account_id', CARTAO], ['eq', 'competencia', CICLO.competencia]]
+        );
+    });
+});
@@ -1,5 +1,7 @@
 // FinanceData.js
 import { supabase } from '../config/supabaseClient.js';
+import { Grupo } from './Grupo.js';
+import { Cotacao } from './Cotacao.js';
 
 export class FinanceData {
     /**
@@ -104,17 +106,18 @@ export class FinanceData {
    }
 
    /**
-    * Busca contas do usuário para seleção
+    * Busca contas do usuário para seleção (próprias e dos grupos)
     * @param {string} userId - ID do usuário
     * @param {string} tipo - Filtro por tipo de conta
+    * @param {Object} opcoes - escrita: só contas em que o usuário pode lançar
     * @returns {Array} Lista de contas
     */
-   static async getUserAccounts(userId, tipo = null) {
+   static async getUserAccounts(userId, tipo = null, { escrita = false } = {}) {
        try {
            let query = supabase
                .from('gzen_accounts')
-               .select('id, nome, tipo_conta, saldo_atual')
-               .eq('user_id', userId)
+               .select('id, nome, tipo_conta, moeda, saldo_atual, grupo_id')
+               .or(escrita ? await Grupo.filtroEscrita(userId) : await Grupo.filtroLeitura(userId))
                .eq('ativo', true)
                .order('nome');
 
@@ -136,25 +139,33 @@ export class FinanceData {
    }
 
    /**
-    * Busca estatísticas de categorias para o usuário
+    * Busca estatísticas de categorias para o usuário ou para o grupo, com os totais
+    * na moeda base e os valores originais por moeda
     * @param {string} userId - ID do usuário
     * @param {string} tipo - 'receita' ou 'despesa'
     * @param {number} mes - Mês (opcional)
     * @param {number} ano - Ano (opcional)
+    * @param {string} grupoId - ID do grupo (opcional; sem ele, só transações pessoais)
     * @returns {Array} Estatísticas por categoria
     */
-   static async getCategoryStats(userId, tipo, mes = null, ano = null) {
+   static async getCategoryStats(userId, tipo, mes = null, ano = null, grupoId = null) {
        try {
            const tabela = tipo === 'receita' ? 'gzen_receitas' : 'gzen_despesas';
            const campoData = tipo === 'receita' ? 'data_receita' : 'data_despesa';
 
-           let query = supabase
-               .from(tabela)
-               .select(`
-                   valor,
-                   gzen_categories(id, nome, cor, icone)
-               `)
-               .eq('user_id', userId)
+           let query = Grupo.escopoOrcamento(
+               supabase
+                   .from(tabela)
+                   .select(`
+                       valor,
+                       valor_convertido,
+                       moeda,
+                       ${campoData},
+                       gzen_categories(id, nome, cor, icone)
+                   `),
+               userId,
+               grupoId
+           )
                .eq('status', 'confirmada')
                .eq('ativo', true);
 
@@ -179,13 +190,23 @@ export class FinanceData {
                throw error;
            }
 
+           const { donoId, moedaBase } = await Cotacao.getMoedaBase(userId, grupoId);
+           const { converter } = await Cotacao.criarConversor(
+               donoId,
+               moedaBase,
+               (transacoes || []).map(transacao => transacao.moeda)
+           );
+
            // Agrupa por categoria
            const stats = {};
            let totalGeral = 0;
 
            transacoes?.forEach(transacao => {
                const categoria = transacao.gzen_categories || { nome: 'Sem categoria', cor: '#6B7280' };
-               const valor = parseFloat(transacao.valor);
+               const moeda = transacao.moeda || moedaBase;
+               const valorOriginal = parseFloat(transacao.valor);
+               const valor = converter(valorOriginal, moeda, transacao[campoData])
+                   ?? parseFloat(transacao.valor_convertido ?? valorOriginal);
                
                totalGeral += valor;
 
@@ -193,12 +214,15 @@ export class FinanceData {
                    stats[categoria.nome] = {
                        categoria,
                        total: 0,
+                       moeda_base: moedaBase,
+                       por_moeda: {},
                        quantidade: 0,
                        percentual: 0
                    };
                }
 
                stats[categoria.nome].total += valor;
+               stats[categoria.nome].por_moeda[moeda] = (stats[categoria.nome].por_moeda[moeda] || 0) + valorOriginal;
                stats[categoria.nome].quantidade += 1;
            });
 
@@ -0,0 +1,593 @@
+// Grupo.js
+import crypto from 'crypto';
+import { supabase } from '../config/supabaseClient.js';
+import { hashToken } from '../utils/tokenUtils.js';
+
+// Ordem de permissão dos papéis
+const NIVEL_PAPEL = { viewer: 1, editor: 2, owner: 3 };
+
+// Validade dos convites por e-mail
+export const CONVITE_VALIDADE_DIAS = 7;
+
+// Acessos consultados recentemente; evita repetir a mesma consulta várias vezes na
+// mesma requisição. Alterações de membros feitas aqui invalidam na hora; em outras
+// instâncias a mudança vale em até ACESSO_CACHE_MS.
+const ACESSO_CACHE_MS = 5 * 1000;
+const cacheAcesso = new Map();
+
+export class Grupo {
+    /**
+     * Verifica se um papel atende ao mínimo exigido
+     * @param {string} papel - Papel do membro
+     * @param {string} minimo - Papel mínimo ('viewer', 'editor' ou 'owner')
+     * @returns {boolean} True se o papel for suficiente
+     */
+    static atende(papel, minimo) {
+        return (NIVEL_PAPEL[papel] || 0) >= NIVEL_PAPEL[minimo];
+    }
+
+    /**
+     * Busca os grupos do usuário separados por permissão
+     * @param {string} userId - ID do usuário
+     * @returns {Object} { leitura: [grupoIds], escrita: [grupoIds] }
+     */
+    static async getAcesso(userId) {
+        const emCache = cacheAcesso.get(userId);
+        if (emCache && emCache.expira_em > Date.now()) {
+            return emCache.acesso;
+        }
+
+        const { data: membros, error } = await supabase
+            .from('gzen_grupo_membros')
+            .select('grupo_id, papel')
+            .eq('user_id', userId);
+
+        if (error) {
+            throw error;
+        }
+
+        const acesso = {
+            leitura: membros.map(membro => membro.grupo_id),
+            escrita: membros.filter(membro => this.atende(membro.papel, 'editor')).map(membro => membro.grupo_id)
+        };
+
+        cacheAcesso.set(userId, { acesso, expira_em: Date.now() + ACESSO_CACHE_MS });
+        return acesso;
+    }
+
+    /**
+     * Descarta o acesso em cache dos usuários (após mudanças de membros)
+     * @param {...string} userIds - IDs dos usuários
+     */
+    static invalidarAcesso(...userIds) {
+        userIds.forEach(userId => cacheAcesso.delete(userId));
+    }
+
+    /**
+     * Monta o filtro PostgREST dos registros que o usuário pode ver:
+     * os próprios fora de grupos e os dos grupos dos quais é membro
+     * (registros de grupo valem só pelo papel atual, mesmo para quem os criou)
+     * @param {string} userId - ID do usuário
+     * @returns {string} Filtro para .or()
+     */
+    static async filtroLeitura(userId) {
+        const { leitura } = await this.getAcesso(userId);
+        return this.montarFiltro(userId, leitura);
+    }
+
+    /**
+     * Monta o filtro PostgREST dos registros que o usuário pode alterar:
+     * os próprios fora de grupos e os dos grupos em que é owner ou editor
+     * @param {string} userId - ID do usuário
+     * @returns {string} Filtro para .or()
+     */
+    static async filtroEscrita(userId) {
+        const { escrita } = await this.getAcesso(userId);
+        return this.montarFiltro(userId, escrita);
+    }
+
+    /**
+     * Monta o filtro .or() de registros pessoais do usuário ou dos grupos informados
+     * @param {string} userId - ID do usuário
+     * @param {Array} grupoIds - IDs dos grupos com acesso
+     * @returns {string} Filtro para .or()
+     */
+    static montarFiltro(userId, grupoIds) {
+        const pessoais = `and(user_id.eq.${userId},grupo_id.is.null)`;
+        return grupoIds.length > 0
+            ? `${pessoais},grupo_id.in.(${grupoIds.join(',')})`
+            : pessoais;
+    }
+
+    /**
+     * Restringe uma consulta de orçamento/resumo ao grupo ou, sem grupo,
+     * às transações pessoais do usuário (fora de grupos)
+     * @param {Object} query - Consulta do supabase
+     * @param {string} userId - ID do usuário
+     * @param {string} grupoId - ID do grupo ou null
+     * @returns {Object} Consulta filtrada
+     */
+    static escopoOrcamento(query, userId, grupoId = null) {
+        return grupoId
+            ? query.eq('grupo_id', grupoId)
+            : query.eq('user_id', userId).is('grupo_id', null);
+    }
+
+    /**
+     * Busca o papel do usuário no grupo
+     * @param {string} grupoId - ID do grupo
+     * @param {string} userId - ID do usuário
+     * @returns {string} Papel ou null se não for membro
+     */
+    static async getPapel(grupoId, userId) {
+        const { data: membro, error } = await supabase
+            .from('gzen_grupo_membros')
+            .select('papel')
+            .eq('grupo_id', grupoId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return membro ? membro.papel : null;
+    }
+
+    /**
+     * Busca o grupo de uma conta que o usuário pode alterar
+     * @param {string} accountId - ID da conta
+     * @param {string} userId - ID do usuário
+     * @returns {Object} { grupo_id } da conta ou null se não puder alterar
+     */
+    static async getContaEditavel(accountId, userId) {
+        const { data: conta, error } = await supabase
+            .from('gzen_accounts')
+            .select('id, grupo_id, moeda')
+            .eq('id', accountId)
+            .or(await this.filtroEscrita(userId))
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return conta;
+    }
+
+    /**
+     * Cria um grupo com o usuário como owner
+     * @param {string} userId - ID do usuário
+     * @param {Object} grupoData - Nome do grupo
+     * @returns {Object} Grupo criado ou erro
+     */
+    static async create(userId, grupoData) {
+        try {
+            const { data: grupo, error } = await supabase
+                .from('gzen_grupos')
+                .insert([{ nome: grupoData.nome, owner_id: userId }])
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            const { error: membroError } = await supabase
+                .from('gzen_grupo_membros')
+                .insert([{ grupo_id: grupo.id, user_id: userId, papel: 'owner' }]);
+
+            if (membroError) {
+                await supabase.from('gzen_grupos').delete().eq('id', grupo.id);
+                throw membroError;
+            }
+
+            this.invalidarAcesso(userId);
+
+            return { grupo: { ...grupo, papel: 'owner' }, error: null };
+        } catch (error) {
+            console.error('Erro ao criar grupo:', error);
+            return { grupo: null, error: error.message };
+        }
+    }
+
+    /**
+     * Lista os grupos dos quais o usuário é membro
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Grupos com o papel do usuário
+     */
+    static async findByUserId(userId) {
+        try {
+            const { data: membros, error } = await supabase
+                .from('gzen_grupo_membros')
+                .select('papel, gzen_grupos(*)')
+                .eq('user_id', userId);
+
+            if (error) {
+                throw error;
+            }
+
+            return membros.map(membro => ({ ...membro.gzen_grupos, papel: membro.papel }));
+        } catch (error) {
+            console.error('Erro ao buscar grupos:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Busca um grupo do qual o usuário é membro, com a lista de membros
+     * @param {string} grupoId - ID do grupo
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Grupo encontrado ou null
+     */
+    static async findById(grupoId, userId) {
+        try {
+            const papel = await this.getPapel(grupoId, userId);
+            if (!papel) {
+                return null;
+            }
+
+            const { data: grupo, error } = await supabase
+                .from('gzen_grupos')
+                .select(`
+                    *,
+                    gzen_grupo_membros(
+                        papel,
+                        created_at,
+                        gzen_users(id, nome, email)
+                    )
+                `)
+                .eq('id', grupoId)
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return {
+                ...grupo,
+                papel,
+                membros: grupo.gzen_grupo_membros.map(membro => ({
+                    ...membro.gzen_users,
+                    papel: membro.papel,
+                    membro_desde: membro.created_at
+                })),
+                gzen_grupo_membros: undefined
+            };
+        } catch (error) {
+            console.error('Erro ao buscar grupo por ID:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Renomeia o grupo
+     * @param {string} grupoId - ID do grupo
+     * @param {Object} updateData - Dados para atualizar
+     * @returns {Object} Grupo atualizado ou erro
+     */
+    static async update(grupoId, updateData) {
+        try {
+            const { data: grupo, error } = await supabase
+                .from('gzen_grupos')
+                .update({ ...updateData, updated_at: new Date().toISOString() })
+                .eq('id', grupoId)
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { grupo, error: null };
+        } catch (error) {
+            console.error('Erro ao atualizar grupo:', error);
+            return { grupo: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove o grupo. Contas e transações voltam a ser apenas de quem as criou.
+     * @param {string} grupoId - ID do grupo
+     * @returns {Object} Resultado da operação
+     */
+    static async delete(grupoId) {
+        try {
+            const membros = await this.listarUserIds(grupoId);
+
+            const { error } = await supabase
+                .from('gzen_grupos')
+                .delete()
+                .eq('id', grupoId);
+
+            if (error) {
+                throw error;
+            }
+
+            this.invalidarAcesso(...membros);
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover grupo:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Lista os IDs dos membros do grupo
+     * @param {string} grupoId - ID do grupo
+     * @returns {Array} IDs dos usuários
+     */
+    static async listarUserIds(grupoId) {
+        const { data: membros, error } = await supabase
+            .from('gzen_grupo_membros')
+            .select('user_id')
+            .eq('grupo_id', grupoId);
+
+        if (error) {
+            throw error;
+        }
+
+        return membros.map(membro => membro.user_id);
+    }
+
+    /**
+     * Cria um convite para o e-mail, substituindo convites pendentes do mesmo e-mail
+     * @param {string} grupoId - ID do grupo
+     * @param {string} userId - ID de quem convida
+     * @param {Object} conviteData - E-mail e papel do convidado
+     * @returns {Object} Convite e token (para o e-mail) ou erro
+     */
+    static async convidar(grupoId, userId, { email, papel }) {
+        try {
+            const emailNormalizado = email.toLowerCase();
+
+            const { data: jaMembro, error: membroError } = await supabase
+                .from('gzen_grupo_membros')
+                .select('user_id, gzen_users!inner(email)')
+                .eq('grupo_id', grupoId)
+                .eq('gzen_users.email', emailNormalizado);
+
+            if (membroError) {
+                throw membroError;
+            }
+
+            if (jaMembro.length > 0) {
+                return { convite: null, token: null, error: 'Usuário já é membro do grupo' };
+            }
+
+            const { error: deleteError } = await supabase
+                .from('gzen_grupo_convites')
+                .delete()
+                .eq('grupo_id', grupoId)
+                .eq('email', emailNormalizado)
+                .is('aceito_em', null);
+
+            if (deleteError) {
+                throw deleteError;
+            }
+
+            const token = crypto.randomBytes(32).toString('base64url');
+
+            const { data: convite, error } = await supabase
+                .from('gzen_grupo_convites')
+                .insert([{
+                    grupo_id: grupoId,
+                    email: emailNormalizado,
+                    papel,
+                    token_hash: hashToken(token),
+                    convidado_por: userId,
+                    expira_em: new Date(Date.now() + CONVITE_VALIDADE_DIAS * 24 * 60 * 60 * 1000).toISOString()
+                }])
+                .select('id, grupo_id, email, papel, expira_em, created_at')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { convite, token, error: null };
+        } catch (error) {
+            console.error('Erro ao criar convite:', error);
+            return { convite: null, token: null, error: error.message };
+        }
+    }
+
+    /**
+     * Lista os convites pendentes do grupo
+     * @param {string} grupoId - ID do grupo
+     * @returns {Array} Convites não aceitos e não expirados
+     */
+    static async findConvitesPendentes(grupoId) {
+        try {
+            const { data: convites, error } = await supabase
+                .from('gzen_grupo_convites')
+                .select('id, email, papel, expira_em, created_at')
+                .eq('grupo_id', grupoId)
+                .is('aceito_em', null)
+                .gt('expira_em', new Date().toISOString())
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                throw error;
+            }
+
+            return convites;
+        } catch (error) {
+            console.error('Erro ao buscar convites:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Cancela um convite pendente
+     * @param {string} grupoId - ID do grupo
+     * @param {string} conviteId - ID do convite
+     * @returns {Object} Resultado da operação
+     */
+    static async cancelarConvite(grupoId, conviteId) {
+        try {
+            const { data: convites, error } = await supabase
+                .from('gzen_grupo_convites')
+                .delete()
+                .eq('id', conviteId)
+                .eq('grupo_id', grupoId)
+                .is('aceito_em', null)
+                .select('id');
+
+            if (error) {
+                throw error;
+            }
+
+            if (convites.length === 0) {
+                return { success: false, error: 'Convite não encontrado' };
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao cancelar convite:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Aceita um convite com o token do e-mail; o convite só vale para o e-mail convidado
+     * @param {string} token - Token do convite
+     * @param {Object} user - Usuário autenticado (id, email)
+     * @returns {Object} Grupo ingressado ou erro
+     */
+    static async aceitarConvite(token, user) {
+        try {
+            const { data: convites, error } = await supabase
+                .from('gzen_grupo_convites')
+                .update({ aceito_em: new Date().toISOString() })
+                .eq('token_hash', hashToken(token))
+                .eq('email', user.email.toLowerCase())
+                .is('aceito_em', null)
+                .gt('expira_em', new Date().toISOString())
+                .select('grupo_id, papel');
+
+            if (error) {
+                throw error;
+            }
+
+            if (convites.length === 0) {
+                return { grupo: null, error: 'Convite inválido, expirado ou destinado a outro email' };
+            }
+
+            const { grupo_id, papel } = convites[0];
+
+            // Já sendo membro, mantém o papel atual
+            const { error: membroError } = await supabase
+                .from('gzen_grupo_membros')
+                .upsert([{ grupo_id, user_id: user.id, papel }], {
+                    onConflict: 'grupo_id,user_id',
+                    ignoreDuplicates: true
+                });
+
+            if (membroError) {
+                throw membroError;
+            }
+
+            this.invalidarAcesso(user.id);
+
+            return { grupo: await this.findById(grupo_id, user.id), error: null };
+        } catch (error) {
+            console.error('Erro ao aceitar convite:', error);
+            return { grupo: null, error: error.message };
+        }
+    }
+
+    /**
+     * Altera o papel de um membro. Passar 'owner' transfere a administração do
+     * grupo e o owner atual passa a editor.
+     * @param {string} grupoId - ID do grupo
+     * @param {string} ownerId - ID do owner atual
+     * @param {string} membroId - ID do membro
+     * @param {string} papel - Novo papel
+     * @returns {Object} Resultado da operação
+     */
+    static async alterarPapel(grupoId, ownerId, membroId, papel) {
+        try {
+            if (membroId === ownerId) {
+                return { success: false, error: 'Transfira a administração para outro membro antes de mudar o seu papel' };
+            }
+
+            const { data: membros, error } = await supabase
+                .from('gzen_grupo_membros')
+                .update({ papel })
+                .eq('grupo_id', grupoId)
+                .eq('user_id', membroId)
+                .select('user_id');
+
+            if (error) {
+                throw error;
+            }
+
+            if (membros.length === 0) {
+                return { success: false, error: 'Membro não encontrado' };
+            }
+
+            if (papel === 'owner') {
+                const { error: ownerError } = await supabase
+                    .from('gzen_grupo_membros')
+                    .update({ papel: 'editor' })
+                    .eq('grupo_id', grupoId)
+                    .eq('user_id', ownerId);
+
+                if (ownerError) {
+                    throw ownerError;
+                }
+
+                const { error: grupoError } = await supabase
+                    .from('gzen_grupos')
+                    .update({ owner_id: membroId, updated_at: new Date().toISOString() })
+                    .eq('id', grupoId);
+
+                if (grupoError) {
+                    throw grupoError;
+                }
+            }
+
+            this.invalidarAcesso(ownerId, membroId);
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao alterar papel do membro:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove um membro do grupo (o owner não pode ser removido)
+     * @param {string} grupoId - ID do grupo
+     * @param {string} membroId - ID do membro
+     * @returns {Object} Resultado da operação
+     */
+    static async removerMembro(grupoId, membroId) {
+        try {
+            const { data: membros, error } = await supabase
+                .from('gzen_grupo_membros')
+                .delete()
+                .eq('grupo_id', grupoId)
+                .eq('user_id', membroId)
+                .neq('papel', 'owner')
+                .select('user_id');
+
+            if (error) {
+                throw error;
+            }
+
+            if (membros.length === 0) {
+                return { success: false, error: 'Membro não encontrado ou é o owner do grupo' };
+            }
+
+            this.invalidarAcesso(membroId);
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover membro:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,36 @@
+// Grupo.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'teste';
+
+const { Grupo } = await import('./Grupo.js');
+
+const USER = 'usuario-1';
+
+describe('Grupo - filtros de acesso', () => {
+    afterEach(() => mock.restoreAll());
+
+    const acesso = (leitura, escrita) => mock.method(Grupo, 'getAcesso', async () => ({ leitura, escrita }));
+
+    it('sem grupos, vê só os registros pessoais', async () => {
+        acesso([], []);
+
+        assert.equal(await Grupo.filtroLeitura(USER), `and(user_id.eq.${USER},grupo_id.is.null)`);
+        assert.equal(await Grupo.filtroEscrita(USER), `and(user_id.eq.${USER},grupo_id.is.null)`);
+    });
+
+    it('registros de grupo valem pelo papel atual, não por quem os criou', async () => {
+        acesso(['grupo-1', 'grupo-2'], ['grupo-1']);
+
+        assert.equal(
+            await Grupo.filtroLeitura(USER),
+            `and(user_id.eq.${USER},grupo_id.is.null),grupo_id.in.(grupo-1,grupo-2)`
+        );
+        assert.equal(
+            await Grupo.filtroEscrita(USER),
+            `and(user_id.eq.${USER},grupo_id.is.null),grupo_id.in.(grupo-1)`
+        );
+    });
+});
@@ -0,0 +1,244 @@
+// Importacao.js
+import { supabase } from '../config/supabaseClient.js';
+import { Receita } from './Receita.js';
+import { Despesa } from './Despesa.js';
+import { Regra } from './Regra.js';
+import { receitaSchema, despesaSchema } from '../utils/financeValidators.js';
+import { parseCsv, parseOfx, normalizarDescricao } from '../utils/importUtils.js';
+
+export class Importacao {
+    /**
+     * Lê o arquivo no formato informado
+     * @param {Object} dados - Formato, conteúdo e mapeamento (CSV)
+     * @returns {Array} Transações lidas
+     */
+    static lerArquivo({ formato, conteudo, mapeamento }) {
+        return formato === 'ofx' ? parseOfx(conteudo) : parseCsv(conteudo, mapeamento);
+    }
+
+    /**
+     * Converte uma transação lida em receita ou despesa validada
+     * @param {string} accountId - ID da conta
+     * @param {Object} transacao - Transação lida do arquivo
+     * @param {Object} opcoes - Categorias padrão e status
+     * @param {Object} categorizacao - Regras do usuário e histórico por tipo (para sugestões)
+     * @returns {Object} Item de importação com tipo, dados e erros
+     */
+    static prepararItem(accountId, transacao, opcoes, categorizacao = null) {
+        const tipo = transacao.valor > 0 ? 'receita' : 'despesa';
+        const item = {
+            linha: transacao.linha,
+            tipo,
+            data: transacao.data,
+            descricao: transacao.descricao,
+            valor: Math.abs(transacao.valor),
+            id_externo: transacao.id_externo,
+            duplicada: false,
+            erros: [...transacao.erros]
+        };
+
+        if (item.erros.length > 0) {
+            return item;
+        }
+
+        const dados = {
+            account_id: accountId,
+            nome: transacao.descricao.length >= 2 ? transacao.descricao.substring(0, 255) : 'Lançamento importado',
+            valor: item.valor,
+            [tipo === 'receita' ? 'data_receita' : 'data_despesa']: transacao.data,
+            id_externo: transacao.id_externo || undefined,
+            status: opcoes.status
+        };
+
+        const schema = tipo === 'receita' ? receitaSchema : despesaSchema;
+        const resultado = schema.safeParse(dados);
+
+        if (!resultado.success) {
+            item.erros = resultado.error.errors.map(erro => erro.message);
+            return item;
+        }
+
+        item.dados = resultado.data;
+
+        // Categoria: regras do usuário, depois transações parecidas e, por fim, a padrão da importação
+        if (categorizacao) {
+            item.dados = Regra.aplicar(categorizacao.regras, tipo, item.dados);
+
+            if (!item.dados.category_id) {
+                const sugestao = Regra.sugerirDoHistorico(categorizacao.historico[tipo], item.dados.nome);
+                if (sugestao) {
+                    item.dados.category_id = sugestao.category_id;
+                    item.categoria_sugerida = sugestao;
+                }
+            }
+        }
+
+        if (!item.dados.category_id) {
+            item.dados.category_id = tipo === 'receita' ? opcoes.category_receita_id : opcoes.category_despesa_id;
+        }
+
+        return item;
+    }
+
+    /**
+     * Marca itens que já existem na conta ou que se repetem no próprio arquivo
+     * (mesmo FITID, ou mesma data, valor e descrição), lançadas por qualquer membro
+     * @param {string} accountId - ID da conta
+     * @param {Array} itens - Itens preparados
+     */
+    static async detectarDuplicadas(accountId, itens) {
+        const validos = itens.filter(item => item.dados);
+        if (validos.length === 0) {
+            return;
+        }
+
+        const datas = validos.map(item => item.data).sort();
+        const dataInicio = datas[0];
+        const dataFim = datas[datas.length - 1];
+
+        const [receitas, despesas] = await Promise.all([
+            supabase
+                .from('gzen_receitas')
+                .select('nome, valor, data_receita, id_externo')
+                .eq('account_id', accountId)
+                .eq('ativo', true)
+                .gte('data_receita', dataInicio)
+                .lte('data_receita', dataFim),
+            supabase
+                .from('gzen_despesas')
+                .select('nome, valor, data_despesa, id_externo')
+                .eq('account_id', accountId)
+                .eq('ativo', true)
+                .gte('data_despesa', dataInicio)
+                .lte('data_despesa', dataFim)
+        ]);
+
+        if (receitas.error) {
+            throw receitas.error;
+        }
+        if (despesas.error) {
+            throw despesas.error;
+        }
+
+        const chave = (tipo, data, valor, nome) =>
+            `${tipo}|${data}|${parseFloat(valor).toFixed(2)}|${normalizarDescricao(nome)}`;
+
+        const chavesExistentes = new Set([
+            ...receitas.data.map(r => chave('receita', r.data_receita, r.valor, r.nome)),
+            ...despesas.data.map(d => chave('despesa', d.data_despesa, d.valor, d.nome))
+        ]);
+        const idsExistentes = new Set(
+            [...receitas.data, ...despesas.data]
+                .map(transacao => transacao.id_externo)
+                .filter(Boolean)
+        );
+
+        const chavesArquivo = new Set();
+        const idsArquivo = new Set();
+
+        for (const item of validos) {
+            const chaveItem = chave(item.tipo, item.data, item.valor, item.dados.nome);
+
+            if (item.id_externo && idsExistentes.has(item.id_externo)) {
+                item.duplicada = true;
+                item.motivo_duplicada = 'Transação com o mesmo identificador (FITID) já importada';
+            } else if (!item.id_externo && chavesExistentes.has(chaveItem)) {
+                item.duplicada = true;
+                item.motivo_duplicada = 'Já existe transação com mesma data, valor e descrição';
+            } else if (
+                (item.id_externo && idsArquivo.has(item.id_externo)) ||
+                (!item.id_externo && chavesArquivo.has(chaveItem))
+            ) {
+                item.duplicada = true;
+                item.motivo_duplicada = 'Transação repetida no arquivo';
+            }
+
+            chavesArquivo.add(chaveItem);
+            if (item.id_externo) {
+                idsArquivo.add(item.id_externo);
+            }
+        }
+    }
+
+    /**
+     * Importa um extrato para a conta: gera a prévia e, se confirmado,
+     * cria as receitas e despesas pelos fluxos normais (saldo, fatura, orçamento)
+     * @param {string} accountId - ID da conta
+     * @param {string} userId - ID do usuário
+     * @param {Object} dados - Dados validados da importação
+     * @returns {Object} Prévia/resultado da importação ou erro
+     */
+    static async importar(accountId, userId, dados) {
+        try {
+            const transacoes = this.lerArquivo(dados);
+
+            if (transacoes.length === 0) {
+                throw new Error('Nenhuma transação encontrada no arquivo');
+            }
+
+            const [regras, historicoReceitas, historicoDespesas] = await Promise.all([
+                Regra.findByUserId(userId),
+                Regra.findHistorico(userId, 'receita'),
+                Regra.findHistorico(userId, 'despesa')
+            ]);
+            const categorizacao = {
+                regras,
+                historico: { receita: historicoReceitas, despesa: historicoDespesas }
+            };
+
+            const itens = transacoes.map(transacao => this.prepararItem(accountId, transacao, dados, categorizacao));
+            await this.detectarDuplicadas(accountId, itens);
+
+            const aImportar = itens.filter(item =>
+                item.dados && (!item.duplicada || dados.importar_duplicadas)
+            );
+
+            const resumo = {
+                total: itens.length,
+                validas: itens.filter(item => item.dados).length,
+                duplicadas: itens.filter(item => item.duplicada).length,
+                com_erro: itens.filter(item => !item.dados).length,
+                a_importar: aImportar.length
+            };
+
+            if (!dados.confirmar) {
+                return { importacao: { confirmada: false, resumo, itens }, error: null };
+            }
+
+            // Cria uma a uma para reaproveitar o processamento de saldo de cada transação
+            const importadas = { receitas: [], despesas: [] };
+            const falhas = [];
+
+            for (const item of aImportar) {
+                const resultado = item.tipo === 'receita'
+                    ? await Receita.create(userId, item.dados)
+                    : await Despesa.create(userId, item.dados);
+
+                if (resultado.error) {
+                    falhas.push({ linha: item.linha, erro: resultado.error });
+                } else if (item.tipo === 'receita') {
+                    importadas.receitas.push(resultado.receita);
+                } else {
+                    importadas.despesas.push(resultado.despesa);
+                }
+            }
+
+            return {
+                importacao: {
+                    confirmada: true,
+                    resumo: {
+                        ...resumo,
+                        importadas: importadas.receitas.length + importadas.despesas.length,
+                        falhas: falhas.length
+                    },
+                    ...importadas,
+                    falhas
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao importar extrato:', error);
+            return { importacao: null, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,620 @@
+// Investimento.js
+import { supabase } from '../config/supabaseClient.js';
+import { Movimentacao } from './Movimentacao.js';
+import { Grupo } from './Grupo.js';
+import { Cotacao } from './Cotacao.js';
+import { parsePrecosCsv } from '../utils/importUtils.js';
+import { hoje } from '../utils/dateUtils.js';
+
+// Arredonda valores monetários para centavos (evita resíduos de ponto flutuante)
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+// Tolerância para quantidades fracionárias (frações de cotas e títulos)
+const QUANTIDADE_MINIMA = 1e-8;
+
+export class Investimento {
+    /**
+     * Cadastra um ativo na conta de investimento
+     * @param {string} userId - ID do usuário
+     * @param {Object} conta - Conta de investimento (já verificada para escrita)
+     * @param {Object} ativoData - Tipo, código e dados do ativo
+     * @returns {Object} Ativo criado ou erro
+     */
+    static async createAtivo(userId, conta, ativoData) {
+        try {
+            const { data: ativo, error } = await supabase
+                .from('gzen_ativos')
+                .insert([{
+                    ...ativoData,
+                    codigo: ativoData.codigo.toUpperCase(),
+                    account_id: conta.id,
+                    user_id: userId,
+                    grupo_id: conta.grupo_id || null
+                }])
+                .select('*')
+                .single();
+
+            if (error) {
+                if (error.code === '23505') {
+                    throw new Error('Já existe um ativo com este código na conta');
+                }
+                throw error;
+            }
+
+            return { ativo, error: null };
+        } catch (error) {
+            console.error('Erro ao cadastrar ativo:', error);
+            return { ativo: null, error: error.message };
+        }
+    }
+
+    /**
+     * Busca um ativo acessível ao usuário
+     * @param {string} ativoId - ID do ativo
+     * @param {string} userId - ID do usuário
+     * @param {Object} opcoes - escrita: exige permissão de alteração
+     * @returns {Object} Ativo (com conta) ou null
+     */
+    static async findAtivoById(ativoId, userId, { escrita = false } = {}) {
+        const { data: ativo, error } = await supabase
+            .from('gzen_ativos')
+            .select('*, conta:gzen_accounts(id, nome, moeda, saldo_atual)')
+            .eq('id', ativoId)
+            .eq('ativo', true)
+            .or(escrita ? await Grupo.filtroEscrita(userId) : await Grupo.filtroLeitura(userId))
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return ativo;
+    }
+
+    /**
+     * Lista os ativos das contas de investimento acessíveis ao usuário
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - account_id e grupoId (sem grupo, só contas pessoais)
+     * @returns {Array} Ativos com a conta
+     */
+    static async findAtivos(userId, { account_id = null, grupoId = null } = {}) {
+        let query = Grupo.escopoOrcamento(
+            supabase
+                .from('gzen_ativos')
+                .select('*, conta:gzen_accounts!inner(id, nome, moeda, ativo)')
+                .eq('ativo', true)
+                .eq('conta.ativo', true),
+            userId,
+            grupoId
+        );
+
+        if (account_id) {
+            query = query.eq('account_id', account_id);
+        }
+
+        const { data: ativos, error } = await query.order('tipo').order('codigo');
+
+        if (error) {
+            throw error;
+        }
+
+        return ativos || [];
+    }
+
+    /**
+     * Atualiza os dados cadastrais de um ativo
+     * @param {string} ativoId - ID do ativo (já verificado para escrita)
+     * @param {Object} updateData - Dados para atualizar
+     * @returns {Object} Ativo atualizado ou erro
+     */
+    static async updateAtivo(ativoId, updateData) {
+        try {
+            const { data: ativo, error } = await supabase
+                .from('gzen_ativos')
+                .update({
+                    ...updateData,
+                    ...(updateData.codigo ? { codigo: updateData.codigo.toUpperCase() } : {}),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', ativoId)
+                .select('*')
+                .single();
+
+            if (error) {
+                if (error.code === '23505') {
+                    throw new Error('Já existe um ativo com este código na conta');
+                }
+                throw error;
+            }
+
+            return { ativo, error: null };
+        } catch (error) {
+            console.error('Erro ao atualizar ativo:', error);
+            return { ativo: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove um ativo sem operações (soft delete)
+     * @param {string} ativoId - ID do ativo (já verificado para escrita)
+     * @returns {Object} Resultado da operação
+     */
+    static async deleteAtivo(ativoId) {
+        try {
+            const operacoes = await this.findOperacoes([ativoId]);
+            if (operacoes.length > 0) {
+                throw new Error('Remova as operações do ativo antes de removê-lo');
+            }
+
+            const { error } = await supabase
+                .from('gzen_ativos')
+                .update({ ativo: false, updated_at: new Date().toISOString() })
+                .eq('id', ativoId);
+
+            if (error) {
+                throw error;
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover ativo:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Busca as operações ativas dos ativos em ordem cronológica
+     * @param {Array} ativoIds - IDs dos ativos
+     * @returns {Array} Operações
+     */
+    static async findOperacoes(ativoIds) {
+        if (ativoIds.length === 0) {
+            return [];
+        }
+
+        const { data: operacoes, error } = await supabase
+            .from('gzen_investimento_operacoes')
+            .select('*')
+            .in('ativo_id', ativoIds)
+            .eq('ativo', true)
+            .order('data')
+            .order('created_at');
+
+        if (error) {
+            throw error;
+        }
+
+        return operacoes || [];
+    }
+
+    /**
+     * Calcula a posição pelo custo médio: compras somam quantidade e custo (com taxas),
+     * vendas baixam o custo proporcional e apuram o resultado realizado
+     * @param {Array} operacoes - Operações do ativo em ordem cronológica
+     * @returns {Object} Posição do ativo
+     * @throws {Error} Se alguma venda exceder a quantidade em carteira na sua data
+     */
+    static calcularPosicao(operacoes) {
+        let quantidade = 0;
+        let custo = 0;
+        let resultadoRealizado = 0;
+        let proventos = 0;
+
+        for (const operacao of operacoes) {
+            const valorTotal = parseFloat(operacao.valor_total);
+
+            if (operacao.tipo === 'compra') {
+                quantidade += parseFloat(operacao.quantidade);
+                custo += valorTotal;
+            } else if (operacao.tipo === 'venda') {
+                const vendida = parseFloat(operacao.quantidade);
+                if (vendida > quantidade + QUANTIDADE_MINIMA) {
+                    throw new Error(`Venda de ${vendida} em ${operacao.data} excede a quantidade em carteira (${quantidade})`);
+                }
+
+                const custoBaixado = quantidade > 0 ? custo * (vendida / quantidade) : 0;
+                resultadoRealizado += valorTotal - custoBaixado;
+                custo -= custoBaixado;
+                quantidade -= vendida;
+
+                if (quantidade < QUANTIDADE_MINIMA) {
+                    quantidade = 0;
+                    custo = 0;
+                }
+            } else {
+                proventos += valorTotal;
+            }
+        }
+
+        return {
+            quantidade,
+            custo_total: arredondar(custo),
+            preco_medio: quantidade > 0 ? custo / quantidade : 0,
+            resultado_realizado: arredondar(resultadoRealizado),
+            proventos: arredondar(proventos)
+        };
+    }
+
+    /**
+     * Calcula o efeito da operação no caixa da conta de investimento
+     * @param {Object} operacao - Dados da operação
+     * @returns {Object} Movimentos a aplicar
+     */
+    static calcularMovimentos(operacao) {
+        if (operacao.ativo === false) {
+            return Movimentacao.criar();
+        }
+
+        const valor = parseFloat(operacao.valor_total);
+
+        return Movimentacao.criar({
+            saldos: [Movimentacao.saldo(
+                operacao.account_id,
+                operacao.tipo === 'compra' ? -valor : valor,
+                {
+                    tipo: 'investimento',
+                    id: operacao.id,
+                    data: operacao.data,
+                    descricao: operacao.descricao
+                }
+            )]
+        });
+    }
+
+    /**
+     * Registra compra, venda ou provento de um ativo, movimentando o caixa da conta
+     * @param {string} userId - ID do usuário
+     * @param {Object} ativo - Ativo (já verificado para escrita)
+     * @param {Object} operacaoData - Tipo, data, quantidade, preço, taxas ou valor
+     * @returns {Object} Operação registrada e posição atualizada, ou erro
+     */
+    static async registrarOperacao(userId, ativo, operacaoData) {
+        try {
+            const { tipo, quantidade, preco_unitario, taxas = 0 } = operacaoData;
+            const bruto = tipo === 'provento' ? operacaoData.valor : quantidade * preco_unitario;
+            const valorTotal = arredondar(tipo === 'compra' ? bruto + taxas : bruto - taxas);
+
+            if (valorTotal < 0) {
+                throw new Error('Taxas não podem exceder o valor da operação');
+            }
+
+            const dados = {
+                ativo_id: ativo.id,
+                account_id: ativo.account_id,
+                user_id: userId,
+                grupo_id: ativo.grupo_id || null,
+                tipo,
+                data: operacaoData.data,
+                quantidade: tipo === 'provento' ? null : quantidade,
+                preco_unitario: tipo === 'provento' ? null : preco_unitario,
+                taxas,
+                valor_total: valorTotal,
+                observacoes: operacaoData.observacoes || null
+            };
+
+            // Confere a carteira com a nova operação na sua posição cronológica
+            const operacoes = await this.findOperacoes([ativo.id]);
+            const posicao = this.calcularPosicao(
+                [...operacoes, { ...dados, created_at: new Date().toISOString() }]
+                    .sort((a, b) => a.data.localeCompare(b.data) || a.created_at.localeCompare(b.created_at))
+            );
+
+            const descricao = `${tipo.charAt(0).toUpperCase()}${tipo.slice(1)} ${ativo.codigo}`;
+            const operacao = await Movimentacao.inserir(
+                'gzen_investimento_operacoes',
+                userId,
+                dados,
+                this.calcularMovimentos({ ...dados, descricao })
+            );
+
+            return { operacao, posicao, error: null };
+        } catch (error) {
+            console.error('Erro ao registrar operação de investimento:', error);
+            return { operacao: null, posicao: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove uma operação (soft delete) estornando o caixa da conta
+     * @param {string} operacaoId - ID da operação
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Resultado da operação
+     */
+    static async removerOperacao(operacaoId, userId) {
+        try {
+            const { data: operacao, error } = await supabase
+                .from('gzen_investimento_operacoes')
+                .select('*, ativo_ref:gzen_ativos(codigo)')
+                .eq('id', operacaoId)
+                .eq('ativo', true)
+                .or(await Grupo.filtroEscrita(userId))
+                .maybeSingle();
+
+            if (error) {
+                throw error;
+            }
+
+            if (!operacao) {
+                throw new Error('Operação não encontrada');
+            }
+
+            // Sem a operação, as vendas seguintes ainda precisam ter quantidade em carteira
+            const restantes = (await this.findOperacoes([operacao.ativo_id]))
+                .filter(item => item.id !== operacao.id);
+            this.calcularPosicao(restantes);
+
+            const descricao = `${operacao.tipo.charAt(0).toUpperCase()}${operacao.tipo.slice(1)} ${operacao.ativo_ref.codigo}`;
+            await Movimentacao.atualizar(
+                'gzen_investimento_operacoes',
+                operacaoId,
+                userId,
+                { ativo: false },
+                Movimentacao.inverter(this.calcularMovimentos({ ...operacao, descricao }))
+            );
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover operação de investimento:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Cadastra ou substitui preços de mercado de um ativo (um por data)
+     * @param {string} ativoId - ID do ativo
+     * @param {Array} precos - Preços (data, preco)
+     * @param {string} fonte - 'manual' ou 'arquivo'
+     * @returns {Object} Preços gravados ou erro
+     */
+    static async salvarPrecos(ativoId, precos, fonte = 'manual') {
+        try {
+            const { data, error } = await supabase
+                .from('gzen_ativo_precos')
+                .upsert(
+                    precos.map(preco => ({ ativo_id: ativoId, data: preco.data, preco: preco.preco, fonte })),
+                    { onConflict: 'ativo_id,data' }
+                )
+                .select('*');
+
+            if (error) {
+                throw error;
+            }
+
+            return { precos: data, error: null };
+        } catch (error) {
+            console.error('Erro ao salvar preços do ativo:', error);
+            return { precos: null, error: error.message };
+        }
+    }
+
+    /**
+     * Importa preços de um arquivo CSV (codigo, data, preco) para os ativos com
+     * o mesmo código nas contas que o usuário pode alterar
+     * @param {string} userId - ID do usuário
+     * @param {Object} importacaoData - Conteúdo do arquivo e formato das datas
+     * @returns {Object} Resultado da importação ou erro
+     */
+    static async importarPrecos(userId, importacaoData) {
+        try {
+            const linhas = parsePrecosCsv(importacaoData.conteudo, importacaoData.formato_data);
+            const validas = linhas.filter(linha => linha.erros.length === 0);
+            const erros = linhas.filter(linha => linha.erros.length > 0);
+
+            if (validas.length === 0) {
+                throw new Error('Nenhum preço válido encontrado no arquivo');
+            }
+
+            const codigos = [...new Set(validas.map(linha => linha.codigo))];
+            const { data: ativos, error } = await supabase
+                .from('gzen_ativos')
+                .select('id, codigo')
+                .in('codigo', codigos)
+                .eq('ativo', true)
+                .or(await Grupo.filtroEscrita(userId));
+
+            if (error) {
+                throw error;
+            }
+
+            // Linhas repetidas no arquivo: vale a última
+            const precosPorAtivo = new Map();
+            for (const linha of validas) {
+                const alvos = ativos.filter(ativo => ativo.codigo === linha.codigo);
+
+                if (alvos.length === 0) {
+                    erros.push({ ...linha, erros: ['Ativo não encontrado nas suas contas'] });
+                    continue;
+                }
+
+                for (const alvo of alvos) {
+                    if (!precosPorAtivo.has(alvo.id)) {
+                        precosPorAtivo.set(alvo.id, new Map());
+                    }
+                    precosPorAtivo.get(alvo.id).set(linha.data, { data: linha.data, preco: linha.preco });
+                }
+            }
+
+            let importados = 0;
+            for (const [ativoId, precos] of precosPorAtivo) {
+                const { precos: gravados, error: salvarError } = await this.salvarPrecos(ativoId, [...precos.values()], 'arquivo');
+
+                if (salvarError) {
+                    throw new Error(salvarError);
+                }
+                importados += gravados.length;
+            }
+
+            return {
+                importacao: {
+                    total_linhas: linhas.length,
+                    importados,
+                    erros: erros.sort((a, b) => a.linha - b.linha)
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao importar preços de ativos:', error);
+            return { importacao: null, error: error.message };
+        }
+    }
+
+    /**
+     * Lista o histórico de preços de um ativo
+     * @param {string} ativoId - ID do ativo
+     * @returns {Array} Preços (mais recentes primeiro)
+     */
+    static async findPrecos(ativoId) {
+        const { data: precos, error } = await supabase
+            .from('gzen_ativo_precos')
+            .select('*')
+            .eq('ativo_id', ativoId)
+            .order('data', { ascending: false })
+            .limit(500);
+
+        if (error) {
+            throw error;
+        }
+
+        return precos || [];
+    }
+
+    /**
+     * Busca o preço mais recente (até a data) de cada ativo
+     * @param {Array} ativoIds - IDs dos ativos
+     * @param {string} data - Data de referência (YYYY-MM-DD)
+     * @returns {Map} ativo_id → { data, preco }
+     */
+    static async findUltimosPrecos(ativoIds, data = hoje()) {
+        const resultados = await Promise.all(ativoIds.map(ativoId => supabase
+            .from('gzen_ativo_precos')
+            .select('ativo_id, data, preco')
+            .eq('ativo_id', ativoId)
+            .lte('data', data)
+            .order('data', { ascending: false })
+            .limit(1)
+            .maybeSingle()
+        ));
+
+        const precos = new Map();
+        for (const { data: preco, error } of resultados) {
+            if (error) {
+                throw error;
+            }
+            if (preco) {
+                precos.set(preco.ativo_id, { data: preco.data, preco: parseFloat(preco.preco) });
+            }
+        }
+
+        return precos;
+    }
+
+    /**
+     * Monta a posição de mercado de um ativo. Sem preço informado, o ativo é
+     * avaliado pelo preço médio (sem ganho ou perda não realizada).
+     * @param {Object} ativo - Ativo
+     * @param {Array} operacoes - Operações do ativo em ordem cronológica
+     * @param {Object} ultimoPreco - Preço mais recente ({ data, preco }) ou undefined
+     * @returns {Object} Ativo com posição e rentabilidade
+     */
+    static montarPosicao(ativo, operacoes, ultimoPreco) {
+        const posicao = this.calcularPosicao(operacoes);
+        const precoAtual = ultimoPreco ? ultimoPreco.preco : posicao.preco_medio;
+        const valorMercado = arredondar(posicao.quantidade * precoAtual);
+        const resultadoNaoRealizado = arredondar(valorMercado - posicao.custo_total);
+
+        return {
+            ...ativo,
+            posicao: {
+                ...posicao,
+                preco_medio: Math.round(posicao.preco_medio * 10000) / 10000,
+                preco_atual: precoAtual,
+                data_preco: ultimoPreco?.data || null,
+                sem_preco: !ultimoPreco,
+                valor_mercado: valorMercado,
+                resultado_nao_realizado: resultadoNaoRealizado,
+                rentabilidade: posicao.custo_total > 0
+                    ? (resultadoNaoRealizado / posicao.custo_total) * 100
+                    : 0,
+                retorno_total: arredondar(resultadoNaoRealizado + posicao.resultado_realizado + posicao.proventos)
+            }
+        };
+    }
+
+    /**
+     * Calcula a carteira: posição de cada ativo, totais na moeda base e alocação por tipo
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - account_id e grupoId (sem grupo, só contas pessoais)
+     * @returns {Object} Ativos com posição e totais
+     */
+    static async getCarteira(userId, filters = {}) {
+        const ativos = await this.findAtivos(userId, filters);
+        const ativoIds = ativos.map(ativo => ativo.id);
+
+        const [operacoes, precos] = await Promise.all([
+            this.findOperacoes(ativoIds),
+            this.findUltimosPrecos(ativoIds)
+        ]);
+
+        const posicoes = ativos.map(ativo => this.montarPosicao(
+            ativo,
+            operacoes.filter(operacao => operacao.ativo_id === ativo.id),
+            precos.get(ativo.id)
+        ));
+
+        const { donoId, moedaBase } = await Cotacao.getMoedaBase(userId, filters.grupoId || null);
+        const { converter } = await Cotacao.criarConversor(
+            donoId,
+            moedaBase,
+            ativos.map(ativo => ativo.conta.moeda)
+        );
+
+        const totais = {
+            custo_total: 0,
+            valor_mercado: 0,
+            resultado_nao_realizado: 0,
+            resultado_realizado: 0,
+            proventos: 0
+        };
+        const porTipo = {};
+        const semCotacao = new Set();
+
+        for (const ativo of posicoes) {
+            const converterCampo = (valor) => {
+                const convertido = converter(valor, ativo.conta.moeda);
+                if (convertido === null) {
+                    semCotacao.add(ativo.conta.moeda);
+                    return 0;
+                }
+                return convertido;
+            };
+
+            Object.keys(totais).forEach(campo => {
+                totais[campo] += converterCampo(ativo.posicao[campo]);
+            });
+
+            porTipo[ativo.tipo] = (porTipo[ativo.tipo] || 0) + converterCampo(ativo.posicao.valor_mercado);
+        }
+
+        Object.keys(totais).forEach(campo => {
+            totais[campo] = arredondar(totais[campo]);
+        });
+
+        return {
+            ativos: posicoes,
+            moeda_base: moedaBase,
+            totais: {
+                ...totais,
+                rentabilidade: totais.custo_total > 0
+                    ? (totais.resultado_nao_realizado / totais.custo_total) * 100
+                    : 0,
+                retorno_total: arredondar(totais.resultado_nao_realizado + totais.resultado_realizado + totais.proventos)
+            },
+            alocacao: Object.entries(porTipo).map(([tipo, valor]) => ({
+                tipo,
+                valor: arredondar(valor),
+                percentual: totais.valor_mercado > 0 ? (valor / totais.valor_mercado) * 100 : 0
+            })),
+            sem_cotacao: [...semCotacao]
+        };
+    }
+}
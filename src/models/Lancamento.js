@@ -0,0 +1,290 @@
+// Lancamento.js
+import { supabase } from '../config/supabaseClient.js';
+import { hoje } from '../utils/dateUtils.js';
+
+// Arredonda valores monetários para centavos (evita resíduos de ponto flutuante)
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+export class Lancamento {
+    /**
+     * Registra o saldo inicial de uma conta recém-criada no extrato
+     * @param {Object} account - Conta criada (gzen_accounts)
+     */
+    static async registrarSaldoInicial(account) {
+        const { error } = await supabase
+            .from('gzen_lancamentos')
+            .insert([{
+                user_id: account.user_id,
+                account_id: account.id,
+                valor: parseFloat(account.saldo_atual) || 0,
+                origem_tipo: 'saldo_inicial',
+                descricao: 'Saldo inicial',
+                data: hoje()
+            }]);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Ajusta manualmente o saldo da conta, lançando a diferença no extrato
+     * @param {string} accountId - ID da conta
+     * @param {string} userId - ID do usuário
+     * @param {number} saldo - Novo saldo informado
+     * @returns {number} Diferença lançada
+     */
+    static async ajustarSaldo(accountId, userId, saldo) {
+        const { data: diferenca, error } = await supabase.rpc('gzen_ajustar_saldo', {
+            p_account_id: accountId,
+            p_user_id: userId,
+            p_saldo: saldo,
+            p_descricao: 'Ajuste manual de saldo'
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return parseFloat(diferenca);
+    }
+
+    /**
+     * Busca o extrato da conta no período com saldo acumulado
+     * (o acesso à conta é conferido por quem chama; em contas de grupo os
+     * lançamentos ficam no nome do dono da conta)
+     * @param {string} accountId - ID da conta
+     * @param {Object} filters - Filtros (data_inicio, data_fim)
+     * @returns {Object} Extrato ou erro
+     */
+    static async findExtrato(accountId, filters = {}) {
+        try {
+            // Saldo antes do período: soma de tudo que foi lançado até a véspera
+            let saldoAnterior = 0;
+            if (filters.data_inicio) {
+                const { data: anteriores, error: anterioresError } = await supabase
+                    .from('gzen_lancamentos')
+                    .select('valor')
+                    .eq('account_id', accountId)
+                    .lt('data', filters.data_inicio);
+
+                if (anterioresError) {
+                    throw anterioresError;
+                }
+
+                saldoAnterior = anteriores.reduce((sum, l) => sum + parseFloat(l.valor), 0);
+            }
+
+            let query = supabase
+                .from('gzen_lancamentos')
+                .select('*')
+                .eq('account_id', accountId);
+
+            if (filters.data_inicio) {
+                query = query.gte('data', filters.data_inicio);
+            }
+            if (filters.data_fim) {
+                query = query.lte('data', filters.data_fim);
+            }
+
+            const { data: lancamentos, error } = await query
+                .order('data', { ascending: true })
+                .order('created_at', { ascending: true });
+
+            if (error) {
+                throw error;
+            }
+
+            let saldo = saldoAnterior;
+            const lancamentosComSaldo = lancamentos.map(lancamento => {
+                saldo += parseFloat(lancamento.valor);
+                return { ...lancamento, saldo: arredondar(saldo) };
+            });
+
+            return {
+                extrato: {
+                    periodo: {
+                        data_inicio: filters.data_inicio || null,
+                        data_fim: filters.data_fim || null
+                    },
+                    saldo_anterior: arredondar(saldoAnterior),
+                    saldo_final: arredondar(saldo),
+                    lancamentos: lancamentosComSaldo
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao buscar extrato:', error);
+            return { extrato: null, error: error.message };
+        }
+    }
+
+    /**
+     * Recalcula o saldo da conta a partir das transações confirmadas
+     * (saldo inicial e ajustes manuais vêm do extrato, pois não são transações)
+     * @param {string} accountId - ID da conta
+     * @returns {number} Saldo calculado
+     */
+    static async calcularSaldoTransacoes(accountId) {
+        const [lancamentosManuais, receitas, despesas, pagamentos, saidas, entradas, operacoes, parcelas] = await Promise.all([
+            supabase
+                .from('gzen_lancamentos')
+                .select('valor')
+                .eq('account_id', accountId)
+                .in('origem_tipo', ['saldo_inicial', 'ajuste']),
+            supabase
+                .from('gzen_receitas')
+                .select('valor')
+                .eq('account_id', accountId)
+                .eq('status', 'confirmada')
+                .eq('ativo', true),
+            supabase
+                .from('gzen_despesas')
+                .select('valor')
+                .eq('account_id', accountId)
+                .eq('status', 'confirmada')
+                .eq('ativo', true),
+            // Pagamentos de fatura recebidos pelo cartão
+            supabase
+                .from('gzen_despesas')
+                .select('valor')
+                .eq('cartao_origem_id', accountId)
+                .eq('eh_pagamento_fatura', true)
+                .eq('status', 'confirmada')
+                .eq('ativo', true),
+            supabase
+                .from('gzen_transferencias')
+                .select('valor')
+                .eq('conta_origem_id', accountId)
+                .eq('status', 'confirmada')
+                .eq('ativo', true),
+            // Entre moedas diferentes, o destino recebe valor_destino
+            supabase
+                .from('gzen_transferencias')
+                .select('valor, valor_destino')
+                .eq('conta_destino_id', accountId)
+                .eq('status', 'confirmada')
+                .eq('ativo', true),
+            // Compras debitam e vendas/proventos creditam o caixa da conta de investimento
+            supabase
+                .from('gzen_investimento_operacoes')
+                .select('tipo, valor_total')
+                .eq('account_id', accountId)
+                .eq('ativo', true),
+            // Amortizações das parcelas pagas, recebidas pela conta do empréstimo
+            supabase
+                .from('gzen_despesas')
+                .select('valor:amortizacao')
+                .eq('emprestimo_id', accountId)
+                .eq('status', 'confirmada')
+                .eq('ativo', true)
+        ]);
+
+        const resultados = [lancamentosManuais, receitas, despesas, pagamentos, saidas, entradas, operacoes, parcelas];
+        const falha = resultados.find(resultado => resultado.error);
+        if (falha) {
+            throw falha.error;
+        }
+
+        const somar = ({ data }) => data.reduce((sum, item) => sum + parseFloat(item.valor), 0);
+        const somarEntradas = ({ data }) => data.reduce(
+            (sum, item) => sum + parseFloat(item.valor_destino ?? item.valor), 0
+        );
+        const somarOperacoes = ({ data }) => data.reduce(
+            (sum, item) => sum + (item.tipo === 'compra' ? -1 : 1) * parseFloat(item.valor_total), 0
+        );
+
+        return somar(lancamentosManuais)
+            + somar(receitas)
+            - somar(despesas)
+            + somar(pagamentos)
+            - somar(saidas)
+            + somarEntradas(entradas)
+            + somarOperacoes(operacoes)
+            + somar(parcelas);
+    }
+
+    /**
+     * Confere o saldo da conta contra as transações de origem e o extrato,
+     * sem alterar o saldo
+     * @param {string} accountId - ID da conta
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Resultado da conferência ou erro
+     */
+    static async conferir(accountId, userId) {
+        try {
+            const { data: saldos, error } = await supabase.rpc('gzen_conferir_saldo', {
+                p_account_id: accountId,
+                p_user_id: userId
+            });
+
+            if (error) {
+                throw error;
+            }
+
+            const saldoRegistrado = parseFloat(saldos.saldo_registrado);
+            const saldoExtrato = parseFloat(saldos.saldo_extrato);
+            const saldoTransacoes = await this.calcularSaldoTransacoes(accountId);
+
+            const diferenca = arredondar(saldoRegistrado - saldoTransacoes);
+            const diferencaExtrato = arredondar(saldoRegistrado - saldoExtrato);
+
+            return {
+                conferencia: {
+                    saldo_registrado: arredondar(saldoRegistrado),
+                    saldo_transacoes: arredondar(saldoTransacoes),
+                    saldo_extrato: arredondar(saldoExtrato),
+                    // Saldo da conta menos o saldo calculado pelas transações
+                    diferenca,
+                    // Saldo da conta menos a soma dos lançamentos do extrato
+                    diferenca_extrato: diferencaExtrato,
+                    conciliado: diferenca === 0 && diferencaExtrato === 0
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao conferir saldo:', error);
+            return { conferencia: null, error: error.message };
+        }
+    }
+
+    /**
+     * Reconcilia o saldo da conta: recalcula o saldo a partir do extrato e
+     * confere o extrato contra as transações de origem
+     * @param {string} accountId - ID da conta
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Resultado da reconciliação ou erro
+     */
+    static async reconciliar(accountId, userId) {
+        try {
+            const { data: saldos, error } = await supabase.rpc('gzen_reconciliar_saldo', {
+                p_account_id: accountId,
+                p_user_id: userId
+            });
+
+            if (error) {
+                throw error;
+            }
+
+            const saldoAnterior = parseFloat(saldos.saldo_anterior);
+            const saldoAtual = parseFloat(saldos.saldo_atual);
+            const saldoTransacoes = await this.calcularSaldoTransacoes(accountId);
+
+            return {
+                reconciliacao: {
+                    saldo_anterior: arredondar(saldoAnterior),
+                    saldo_atual: arredondar(saldoAtual),
+                    saldo_transacoes: arredondar(saldoTransacoes),
+                    // Diferença corrigida: o saldo da conta passa a ser o do extrato
+                    diferenca: arredondar(saldoAtual - saldoAnterior),
+                    // Diferença apenas informada: exige análise dos lançamentos
+                    diferenca_transacoes: arredondar(saldoAtual - saldoTransacoes)
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao reconciliar saldo:', error);
+            return { reconciliacao: null, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,443 @@
+// Meta.js
+import { supabase } from '../config/supabaseClient.js';
+import { Grupo } from './Grupo.js';
+import { Orcamento } from './Orcamento.js';
+import { Transferencia } from './Transferencia.js';
+import { Cotacao } from './Cotacao.js';
+import { adicionarMeses, hoje } from '../utils/dateUtils.js';
+
+// Arredonda valores monetários para centavos
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+/**
+ * Conta os meses completos entre duas datas (YYYY-MM-DD)
+ * @param {string} inicio - Data inicial
+ * @param {string} fim - Data final
+ * @returns {number} Meses (negativo se fim for anterior a inicio)
+ */
+const mesesEntre = (inicio, fim) => {
+    const [anoInicio, mesInicio, diaInicio] = inicio.split('-').map(Number);
+    const [anoFim, mesFim, diaFim] = fim.split('-').map(Number);
+    return (anoFim - anoInicio) * 12 + (mesFim - mesInicio) - (diaFim < diaInicio ? 1 : 0);
+};
+
+export class Meta {
+    /**
+     * Cria uma meta de economia
+     * @param {string} userId - ID do usuário
+     * @param {Object} metaData - Dados da meta
+     * @param {string} grupoId - ID do grupo (null para meta pessoal)
+     * @returns {Object} Meta criada ou erro
+     */
+    static async create(userId, metaData, grupoId = null) {
+        try {
+            const { data: meta, error } = await supabase
+                .from('gzen_metas')
+                .insert([{
+                    ...metaData,
+                    data_inicio: metaData.data_inicio || hoje(),
+                    user_id: userId,
+                    grupo_id: grupoId
+                }])
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { meta, error: null };
+        } catch (error) {
+            console.error('Erro ao criar meta:', error);
+            return { meta: null, error: error.message };
+        }
+    }
+
+    /**
+     * Lista as metas ativas do usuário (ou do grupo)
+     * @param {string} userId - ID do usuário
+     * @param {string} grupoId - ID do grupo (null para metas pessoais)
+     * @returns {Array} Metas
+     */
+    static async findByUserId(userId, grupoId = null) {
+        const { data: metas, error } = await Grupo.escopoOrcamento(
+            supabase
+                .from('gzen_metas')
+                .select('*, conta:gzen_accounts(id, nome, moeda), tag:gzen_tags(id, nome, cor)')
+                .eq('ativo', true),
+            userId,
+            grupoId
+        ).order('data_limite');
+
+        if (error) {
+            throw error;
+        }
+
+        return metas || [];
+    }
+
+    /**
+     * Busca uma meta acessível ao usuário
+     * @param {string} metaId - ID da meta
+     * @param {string} userId - ID do usuário
+     * @param {Object} opcoes - escrita: exige permissão de alteração
+     * @returns {Object} Meta ou null
+     */
+    static async findById(metaId, userId, { escrita = false } = {}) {
+        const { data: meta, error } = await supabase
+            .from('gzen_metas')
+            .select('*, conta:gzen_accounts(id, nome, moeda), tag:gzen_tags(id, nome, cor)')
+            .eq('id', metaId)
+            .eq('ativo', true)
+            .or(escrita ? await Grupo.filtroEscrita(userId) : await Grupo.filtroLeitura(userId))
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return meta;
+    }
+
+    /**
+     * Atualiza uma meta
+     * @param {string} metaId - ID da meta (já verificada para escrita)
+     * @param {Object} updateData - Dados para atualizar
+     * @returns {Object} Meta atualizada ou erro
+     */
+    static async update(metaId, updateData) {
+        try {
+            const { data: meta, error } = await supabase
+                .from('gzen_metas')
+                .update({ ...updateData, updated_at: new Date().toISOString() })
+                .eq('id', metaId)
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { meta, error: null };
+        } catch (error) {
+            console.error('Erro ao atualizar meta:', error);
+            return { meta: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove uma meta (soft delete); os aportes continuam como transferências
+     * @param {string} metaId - ID da meta (já verificada para escrita)
+     * @returns {Object} Resultado da operação
+     */
+    static async delete(metaId) {
+        try {
+            const { error } = await supabase
+                .from('gzen_metas')
+                .update({ ativo: false, updated_at: new Date().toISOString() })
+                .eq('id', metaId);
+
+            if (error) {
+                throw error;
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover meta:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Busca os aportes da meta com a transferência de cada um
+     * @param {Array} metaIds - IDs das metas
+     * @returns {Array} Aportes (apenas de transferências confirmadas e ativas)
+     */
+    static async findAportes(metaIds) {
+        if (metaIds.length === 0) {
+            return [];
+        }
+
+        const { data: aportes, error } = await supabase
+            .from('gzen_meta_aportes')
+            .select(`
+                id, meta_id, created_at,
+                transferencia:gzen_transferencias!inner(
+                    id, conta_origem_id, conta_destino_id, valor, valor_destino,
+                    data_transferencia, descricao, status, ativo
+                )
+            `)
+            .in('meta_id', metaIds)
+            .eq('transferencia.ativo', true)
+            .eq('transferencia.status', 'confirmada');
+
+        if (error) {
+            throw error;
+        }
+
+        return (aportes || []).sort((a, b) =>
+            a.transferencia.data_transferencia.localeCompare(b.transferencia.data_transferencia)
+        );
+    }
+
+    /**
+     * Busca as receitas marcadas com a tag da meta a partir do início da meta
+     * @param {Object} meta - Meta com tag_id
+     * @returns {Array} Receitas (id, nome, data, valor na moeda base)
+     */
+    static async findReceitasMarcadas(meta) {
+        if (!meta.tag_id) {
+            return [];
+        }
+
+        const { data: receitas, error } = await Grupo.escopoOrcamento(
+            supabase
+                .from('gzen_receitas')
+                .select('id, nome, data_receita, valor, valor_convertido, gzen_receita_tags!inner(tag_id)')
+                .eq('gzen_receita_tags.tag_id', meta.tag_id)
+                .eq('status', 'confirmada')
+                .eq('ativo', true)
+                .gte('data_receita', meta.data_inicio),
+            meta.user_id,
+            meta.grupo_id
+        ).order('data_receita');
+
+        if (error) {
+            throw error;
+        }
+
+        return (receitas || []).map(receita => ({
+            id: receita.id,
+            nome: receita.nome,
+            data: receita.data_receita,
+            valor: parseFloat(receita.valor_convertido ?? receita.valor)
+        }));
+    }
+
+    /**
+     * Calcula o progresso da meta e a projeção para o prazo, comparando o valor
+     * mensal necessário com a economia média dos últimos 12 meses do orçamento
+     * @param {Object} meta - Meta
+     * @param {Array} aportes - Aportes da meta
+     * @param {Array} receitas - Receitas marcadas com a tag da meta
+     * @param {Object} estatisticas - Resultado de Orcamento.getEstatisticasGerais
+     * @param {Object} conversor - Conversor para a moeda base (Cotacao.criarConversor)
+     * @returns {Object} Progresso e projeção
+     */
+    static calcularProgresso(meta, aportes, receitas, estatisticas, conversor) {
+        const dataHoje = hoje();
+        const moedaConta = meta.conta?.moeda || conversor.moedaBase;
+
+        const totalAportes = aportes.reduce((total, aporte) => {
+            const valor = parseFloat(aporte.transferencia.valor_destino ?? aporte.transferencia.valor);
+            const convertido = conversor.converter(valor, moedaConta, aporte.transferencia.data_transferencia);
+            return total + (convertido ?? valor);
+        }, 0);
+        const totalReceitas = receitas.reduce((total, receita) => total + receita.valor, 0);
+
+        const valorAlvo = parseFloat(meta.valor_alvo);
+        const contribuido = totalAportes + totalReceitas;
+        const acumulado = parseFloat(meta.valor_inicial) + contribuido;
+        const restante = Math.max(valorAlvo - acumulado, 0);
+
+        // Meses em que ainda cabe um aporte (o mês corrente conta enquanto o prazo não passou)
+        const prazoEncerrado = meta.data_limite < dataHoje;
+        const mesesRestantes = prazoEncerrado ? 0 : Math.max(mesesEntre(dataHoje, meta.data_limite), 1);
+        const valorMensalNecessario = restante > 0 && mesesRestantes > 0 ? restante / mesesRestantes : 0;
+
+        // Ritmo observado desde o início da meta e capacidade média de economia
+        const mesesDecorridos = Math.max(mesesEntre(meta.data_inicio, dataHoje), 1);
+        const ritmoMensal = contribuido / mesesDecorridos;
+        const mediaEconomia = estatisticas?.total_meses > 0 ? estatisticas.media_saldo : null;
+
+        const ritmoProjecao = ritmoMensal > 0 ? ritmoMensal : mediaEconomia;
+        const dataPrevista = restante === 0
+            ? dataHoje
+            : ritmoProjecao > 0
+                ? adicionarMeses(dataHoje, Math.ceil(restante / ritmoProjecao))
+                : null;
+
+        let status = 'em_andamento';
+        if (restante === 0) {
+            status = 'concluida';
+        } else if (prazoEncerrado) {
+            status = 'atrasada';
+        }
+
+        return {
+            status,
+            valor_alvo: valorAlvo,
+            acumulado: arredondar(acumulado),
+            restante: arredondar(restante),
+            percentual: Math.min((acumulado / valorAlvo) * 100, 100),
+            composicao: {
+                valor_inicial: parseFloat(meta.valor_inicial),
+                aportes: arredondar(totalAportes),
+                receitas: arredondar(totalReceitas)
+            },
+            projecao: {
+                meses_restantes: mesesRestantes,
+                valor_mensal_necessario: arredondar(valorMensalNecessario),
+                ritmo_mensal_aportes: arredondar(ritmoMensal),
+                media_economia_mensal: mediaEconomia !== null ? arredondar(mediaEconomia) : null,
+                // Parcela da economia média que a meta consome por mês
+                comprometimento_economia: mediaEconomia > 0 ? (valorMensalNecessario / mediaEconomia) * 100 : null,
+                atingivel_no_prazo: restante === 0 || (
+                    !prazoEncerrado && mediaEconomia !== null && mediaEconomia >= valorMensalNecessario
+                ),
+                data_prevista: dataPrevista,
+                moeda_base: conversor.moedaBase
+            }
+        };
+    }
+
+    /**
+     * Monta as metas com aportes, receitas marcadas e progresso
+     * @param {string} userId - ID do usuário
+     * @param {Array} metas - Metas de um mesmo escopo (pessoal ou grupo)
+     * @param {string} grupoId - ID do grupo (null para metas pessoais)
+     * @returns {Array} Metas com progresso
+     */
+    static async montarProgresso(userId, metas, grupoId = null) {
+        if (metas.length === 0) {
+            return [];
+        }
+
+        const [aportes, receitasPorMeta, estatisticas, { donoId, moedaBase }] = await Promise.all([
+            this.findAportes(metas.map(meta => meta.id)),
+            Promise.all(metas.map(meta => this.findReceitasMarcadas(meta))),
+            Orcamento.getEstatisticasGerais(userId, grupoId),
+            Cotacao.getMoedaBase(userId, grupoId)
+        ]);
+
+        const conversor = await Cotacao.criarConversor(
+            donoId,
+            moedaBase,
+            metas.map(meta => meta.conta?.moeda).filter(Boolean)
+        );
+
+        return metas.map((meta, indice) => {
+            const aportesMeta = aportes.filter(aporte => aporte.meta_id === meta.id);
+            const receitas = receitasPorMeta[indice];
+
+            return {
+                ...meta,
+                aportes: aportesMeta,
+                receitas,
+                progresso: this.calcularProgresso(meta, aportesMeta, receitas, estatisticas, conversor)
+            };
+        });
+    }
+
+    /**
+     * Registra um aporte: cria uma transferência para a conta vinculada ou
+     * vincula uma transferência já existente para essa conta
+     * @param {string} userId - ID do usuário
+     * @param {Object} meta - Meta (já verificada para escrita)
+     * @param {Object} aporteData - transferencia_id ou valor, data, conta_origem_id e descrição
+     * @returns {Object} Aporte criado ou erro
+     */
+    static async registrarAporte(userId, meta, aporteData) {
+        try {
+            if (!meta.account_id) {
+                throw new Error('Vincule uma conta à meta para registrar aportes por transferência');
+            }
+
+            let transferencia;
+            if (aporteData.transferencia_id) {
+                transferencia = await Transferencia.findById(aporteData.transferencia_id, userId);
+
+                if (!transferencia || transferencia.ativo === false) {
+                    throw new Error('Transferência não encontrada');
+                }
+                if (transferencia.conta_destino_id !== meta.account_id) {
+                    throw new Error('A transferência deve ter a conta da meta como destino');
+                }
+            } else {
+                const { transferencia: criada, error } = await Transferencia.create(userId, {
+                    conta_origem_id: aporteData.conta_origem_id,
+                    conta_destino_id: meta.account_id,
+                    valor: aporteData.valor,
+                    data_transferencia: aporteData.data || hoje(),
+                    descricao: aporteData.descricao || `Aporte - ${meta.nome}`,
+                    status: 'confirmada'
+                });
+
+                if (error) {
+                    throw new Error(error);
+                }
+                transferencia = criada;
+            }
+
+            const { data: aporte, error } = await supabase
+                .from('gzen_meta_aportes')
+                .insert([{
+                    meta_id: meta.id,
+                    user_id: userId,
+                    transferencia_id: transferencia.id
+                }])
+                .select('*')
+                .single();
+
+            if (error) {
+                if (error.code === '23505') {
+                    throw new Error('Transferência já vinculada a uma meta');
+                }
+                throw error;
+            }
+
+            return { aporte: { ...aporte, transferencia }, error: null };
+        } catch (error) {
+            console.error('Erro ao registrar aporte na meta:', error);
+            return { aporte: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove um aporte; com estornar, remove também a transferência (estornando os saldos)
+     * @param {string} userId - ID do usuário
+     * @param {Object} meta - Meta (já verificada para escrita)
+     * @param {string} aporteId - ID do aporte
+     * @param {boolean} estornar - Remove a transferência além do vínculo
+     * @returns {Object} Resultado da operação
+     */
+    static async removerAporte(userId, meta, aporteId, estornar = true) {
+        try {
+            const { data: aporte, error } = await supabase
+                .from('gzen_meta_aportes')
+                .select('*')
+                .eq('id', aporteId)
+                .eq('meta_id', meta.id)
+                .maybeSingle();
+
+            if (error) {
+                throw error;
+            }
+
+            if (!aporte) {
+                throw new Error('Aporte não encontrado');
+            }
+
+            if (estornar) {
+                const { error: transferenciaError } = await Transferencia.delete(aporte.transferencia_id, userId);
+                if (transferenciaError) {
+                    throw new Error(transferenciaError);
+                }
+            }
+
+            const { error: deleteError } = await supabase
+                .from('gzen_meta_aportes')
+                .delete()
+                .eq('id', aporteId);
+
+            if (deleteError) {
+                throw deleteError;
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover aporte da meta:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,163 @@
+// Movimentacao.js
+import { supabase } from '../config/supabaseClient.js';
+
+export class Movimentacao {
+    /**
+     * Cria um conjunto de movimentos (ajustes de saldo, limite e orçamento)
+     * @param {Object} movimentos - Listas iniciais de saldos, limites e orçamentos
+     * @returns {Object} Conjunto de movimentos
+     */
+    static criar({ saldos = [], limites = [], orcamentos = [] } = {}) {
+        return { saldos, limites, orcamentos };
+    }
+
+    /**
+     * Monta o ajuste de saldo de uma conta com a origem registrada no extrato
+     * @param {string} accountId - ID da conta
+     * @param {number} valor - Valor a somar ao saldo (negativo para débito)
+     * @param {Object} origem - Tipo, ID, data e descrição da transação de origem
+     * @returns {Object} Ajuste de saldo
+     */
+    static saldo(accountId, valor, { tipo, id = null, data, descricao = null }) {
+        return {
+            account_id: accountId,
+            valor,
+            origem_tipo: tipo,
+            origem_id: id,
+            data,
+            descricao
+        };
+    }
+
+    /**
+     * Monta o ajuste de orçamento do mês de uma data
+     * @param {string} userId - ID do usuário
+     * @param {string} data - Data da transação (YYYY-MM-DD)
+     * @param {Object} valores - Valores de receita e despesa a somar
+     * @param {string} grupoId - Grupo da transação (vai para o orçamento do grupo)
+     * @returns {Object} Ajuste de orçamento
+     */
+    static orcamento(userId, data, { receita = 0, despesa = 0 }, grupoId = null) {
+        const [ano, mes] = data.split('-').map(Number);
+        return { user_id: userId, grupo_id: grupoId, mes, ano, receita, despesa };
+    }
+
+    /**
+     * Junta vários conjuntos de movimentos em um só
+     * @param {...Object} lista - Conjuntos de movimentos
+     * @returns {Object} Conjunto combinado
+     */
+    static combinar(...lista) {
+        return this.criar({
+            saldos: lista.flatMap(movimentos => movimentos.saldos),
+            limites: lista.flatMap(movimentos => movimentos.limites),
+            orcamentos: lista.flatMap(movimentos => movimentos.orcamentos)
+        });
+    }
+
+    /**
+     * Inverte o sinal de todos os movimentos (usado para estornos, que ficam marcados no extrato)
+     * @param {Object} movimentos - Conjunto de movimentos
+     * @returns {Object} Conjunto invertido
+     */
+    static inverter(movimentos) {
+        return this.criar({
+            saldos: movimentos.saldos.map(item => ({
+                ...item,
+                valor: -item.valor,
+                estorno: !item.estorno
+            })),
+            limites: movimentos.limites.map(item => ({ ...item, valor: -item.valor })),
+            orcamentos: movimentos.orcamentos.map(item => ({
+                ...item,
+                receita: -item.receita,
+                despesa: -item.despesa
+            }))
+        });
+    }
+
+    /**
+     * Aplica movimentos de forma atômica. O banco confere se o usuário pode lançar
+     * em cada conta e orçamento movimentado
+     * @param {string} userId - ID do usuário que lança
+     * @param {Object} movimentos - Conjunto de movimentos
+     */
+    static async aplicar(userId, movimentos) {
+        const { error } = await supabase.rpc('gzen_aplicar_movimentos', {
+            p_user_id: userId,
+            p_movimentos: movimentos
+        });
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Insere um registro e aplica os movimentos na mesma transação
+     * @param {string} tabela - Tabela de destino
+     * @param {string} userId - ID do usuário que lança
+     * @param {Object} dados - Dados do registro
+     * @param {Object} movimentos - Conjunto de movimentos
+     * @returns {Object} Registro inserido
+     */
+    static async inserir(tabela, userId, dados, movimentos) {
+        const { data: registro, error } = await supabase.rpc('gzen_inserir_com_movimentos', {
+            p_tabela: tabela,
+            p_user_id: userId,
+            p_dados: dados,
+            p_movimentos: movimentos
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return registro;
+    }
+
+    /**
+     * Insere as parcelas de uma compra parcelada, cada uma com seus movimentos,
+     * em uma única transação. As parcelas seguintes recebem despesa_pai_id da primeira
+     * @param {string} userId - ID do usuário que lança
+     * @param {Array} parcelas - Itens { dados, movimentos } na ordem das parcelas
+     * @returns {Array} Despesas inseridas
+     */
+    static async inserirParcelas(userId, parcelas) {
+        const { data: registros, error } = await supabase.rpc('gzen_inserir_parcelas', {
+            p_user_id: userId,
+            p_parcelas: parcelas
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return registros;
+    }
+
+    /**
+     * Atualiza um registro do usuário e aplica os movimentos na mesma transação
+     * @param {string} tabela - Tabela de destino
+     * @param {string} id - ID do registro
+     * @param {string} userId - ID do usuário
+     * @param {Object} dados - Dados para atualizar
+     * @param {Object} movimentos - Conjunto de movimentos
+     * @returns {Object} Registro atualizado
+     */
+    static async atualizar(tabela, id, userId, dados, movimentos) {
+        const { data: registro, error } = await supabase.rpc('gzen_atualizar_com_movimentos', {
+            p_tabela: tabela,
+            p_id: id,
+            p_user_id: userId,
+            p_dados: dados,
+            p_movimentos: movimentos
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return registro;
+    }
+}
@@ -0,0 +1,138 @@
+// Notificacao.js
+import { supabase } from '../config/supabaseClient.js';
+
+export class Notificacao {
+    /**
+     * Cria uma notificação para o usuário, ignorando se a mesma chave já foi notificada
+     * @param {string} userId - ID do usuário
+     * @param {Object} notificacaoData - Tipo, título, mensagem, dados e chave de deduplicação
+     * @returns {Object} Notificação criada ou null se já existia
+     */
+    static async criar(userId, notificacaoData) {
+        const { data: notificacoes, error } = await supabase
+            .from('gzen_notificacoes')
+            .upsert([{
+                ...notificacaoData,
+                user_id: userId,
+                lida: false
+            }], {
+                onConflict: 'user_id,chave',
+                ignoreDuplicates: true
+            })
+            .select('*');
+
+        if (error) {
+            throw error;
+        }
+
+        return notificacoes[0] || null;
+    }
+
+    /**
+     * Lista notificações do usuário
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Filtros (lida, limite)
+     * @returns {Array} Lista de notificações
+     */
+    static async findByUserId(userId, filters = {}) {
+        try {
+            let query = supabase
+                .from('gzen_notificacoes')
+                .select('*')
+                .eq('user_id', userId);
+
+            if (filters.lida !== undefined) {
+                query = query.eq('lida', filters.lida);
+            }
+
+            const { data: notificacoes, error } = await query
+                .order('created_at', { ascending: false })
+                .limit(filters.limite || 50);
+
+            if (error) {
+                throw error;
+            }
+
+            return notificacoes;
+        } catch (error) {
+            console.error('Erro ao buscar notificações:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Conta notificações não lidas do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {number} Quantidade de não lidas
+     */
+    static async countNaoLidas(userId) {
+        try {
+            const { count, error } = await supabase
+                .from('gzen_notificacoes')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId)
+                .eq('lida', false);
+
+            if (error) {
+                throw error;
+            }
+
+            return count || 0;
+        } catch (error) {
+            console.error('Erro ao contar notificações não lidas:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Marca uma notificação como lida ou não lida
+     * @param {string} notificacaoId - ID da notificação
+     * @param {string} userId - ID do usuário
+     * @param {boolean} lida - Novo estado
+     * @returns {Object} Notificação atualizada ou erro
+     */
+    static async marcar(notificacaoId, userId, lida) {
+        try {
+            const { data: notificacao, error } = await supabase
+                .from('gzen_notificacoes')
+                .update({ lida })
+                .eq('id', notificacaoId)
+                .eq('user_id', userId)
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { notificacao, error: null };
+        } catch (error) {
+            console.error('Erro ao marcar notificação:', error);
+            return { notificacao: null, error: error.message };
+        }
+    }
+
+    /**
+     * Marca todas as notificações do usuário como lidas
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Resultado da operação
+     */
+    static async marcarTodasComoLidas(userId) {
+        try {
+            const { error } = await supabase
+                .from('gzen_notificacoes')
+                .update({ lida: true })
+                .eq('user_id', userId)
+                .eq('lida', false);
+
+            if (error) {
+                throw error;
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao marcar notificações como lidas:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
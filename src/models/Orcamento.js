@@ -1,5 +1,7 @@
 // Orcamento.js
 import { supabase } from '../config/supabaseClient.js';
+import { Grupo } from './Grupo.js';
+import { Cotacao } from './Cotacao.js';
 
 export class Orcamento {
     /**
@@ -7,15 +9,17 @@ export class Orcamento {
      * @param {string} userId - ID do usuário
      * @param {number} mes - Mês (1-12)
      * @param {number} ano - Ano
+     * @param {string} grupoId - ID do grupo (opcional; sem ele, orçamento pessoal)
      * @returns {Object} Orçamento encontrado ou criado
      */
-    static async findOrCreateByPeriod(userId, mes, ano) {
+    static async findOrCreateByPeriod(userId, mes, ano, grupoId = null) {
         try {
             // Tenta buscar orçamento existente
-            let { data: orcamento, error } = await supabase
-                .from('gzen_orcamento')
-                .select('*')
-                .eq('user_id', userId)
+            let { data: orcamento, error } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_orcamento').select('*'),
+                userId,
+                grupoId
+            )
                 .eq('mes', mes)
                 .eq('ano', ano)
                 .single();
@@ -26,6 +30,7 @@ export class Orcamento {
                     .from('gzen_orcamento')
                     .insert([{
                         user_id: userId,
+                        grupo_id: grupoId,
                         mes,
                         ano,
                         receita_total: 0,
@@ -58,14 +63,16 @@ export class Orcamento {
      * @param {number} mes - Mês
      * @param {number} ano - Ano
      * @param {Object} updateData - Dados para atualizar
+     * @param {string} grupoId - ID do grupo (opcional)
      * @returns {Object} Orçamento atualizado ou erro
      */
-    static async update(userId, mes, ano, updateData) {
+    static async update(userId, mes, ano, updateData, grupoId = null) {
         try {
-            const { data: orcamento, error } = await supabase
-                .from('gzen_orcamento')
-                .update(updateData)
-                .eq('user_id', userId)
+            const { data: orcamento, error } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_orcamento').update(updateData),
+                userId,
+                grupoId
+            )
                 .eq('mes', mes)
                 .eq('ano', ano)
                 .select('*')
@@ -83,56 +90,73 @@ export class Orcamento {
     }
 
     /**
-     * Recalcula totais do orçamento baseado nas transações reais
+     * Recalcula totais do orçamento baseado nas transações reais, convertendo
+     * cada uma para a moeda base pela cotação da sua data
      * @param {string} userId - ID do usuário
      * @param {number} mes - Mês
      * @param {number} ano - Ano
+     * @param {string} grupoId - ID do grupo (opcional)
      * @returns {Object} Orçamento recalculado
      */
-    static async recalcular(userId, mes, ano) {
+    static async recalcular(userId, mes, ano, grupoId = null) {
         try {
             const dataInicio = `${ano}-${mes.toString().padStart(2, '0')}-01`;
             const ultimoDia = new Date(ano, mes, 0).getDate();
             const dataFim = `${ano}-${mes.toString().padStart(2, '0')}-${ultimoDia}`;
 
             // Busca total de receitas confirmadas do período
-            const { data: receitas } = await supabase
-                .from('gzen_receitas')
-                .select('valor')
-                .eq('user_id', userId)
+            const { data: receitas } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_receitas').select('valor, valor_convertido, moeda, data_receita'),
+                userId,
+                grupoId
+            )
                 .eq('status', 'confirmada')
                 .eq('ativo', true)
                 .gte('data_receita', dataInicio)
                 .lte('data_receita', dataFim);
 
             // Busca total de despesas confirmadas do período
-            const { data: despesas } = await supabase
-                .from('gzen_despesas')
-                .select('valor')
-                .eq('user_id', userId)
+            const { data: despesas } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_despesas').select('valor, valor_convertido, moeda, data_despesa'),
+                userId,
+                grupoId
+            )
                 .eq('status', 'confirmada')
                 .eq('ativo', true)
                 .gte('data_despesa', dataInicio)
                 .lte('data_despesa', dataFim);
 
-            // Calcula totais
-            const receitaTotal = receitas?.reduce((sum, r) => sum + parseFloat(r.valor), 0) || 0;
-            const despesaTotal = despesas?.reduce((sum, d) => sum + parseFloat(d.valor), 0) || 0;
+            const { donoId, moedaBase } = await Cotacao.getMoedaBase(userId, grupoId);
+            const { converter } = await Cotacao.criarConversor(
+                donoId,
+                moedaBase,
+                [...(receitas || []), ...(despesas || [])].map(transacao => transacao.moeda)
+            );
+
+            // Sem cotação cadastrada, mantém o valor convertido no lançamento
+            const valorBase = (transacao, data) => converter(transacao.valor, transacao.moeda, data)
+                ?? parseFloat(transacao.valor_convertido ?? transacao.valor);
+
+            // Calcula totais (transferências entre contas não entram no orçamento)
+            const receitaTotal = receitas?.reduce((sum, r) => sum + valorBase(r, r.data_receita), 0) || 0;
+            const despesaTotal = despesas?.reduce((sum, d) => sum + valorBase(d, d.data_despesa), 0) || 0;
             const saldoAtual = receitaTotal - despesaTotal;
 
-            // Atualiza ou cria orçamento
+            // Os índices únicos de orçamento são parciais (pessoal x grupo), então
+            // não servem de alvo para upsert: busca/cria a linha e atualiza pelo ID
+            const existente = await this.findOrCreateByPeriod(userId, mes, ano, grupoId);
+            if (!existente) {
+                throw new Error('Erro ao buscar orçamento');
+            }
+
             const { data: orcamento, error } = await supabase
                 .from('gzen_orcamento')
-                .upsert([{
-                    user_id: userId,
-                    mes,
-                    ano,
+                .update({
                     receita_total: receitaTotal,
                     despesa_total: despesaTotal,
                     saldo_atual: saldoAtual
-                }], {
-                    onConflict: 'user_id,mes,ano'
                 })
+                .eq('id', existente.id)
                 .select('*')
                 .single();
 
@@ -140,7 +164,7 @@ export class Orcamento {
                 throw error;
             }
 
-            return { orcamento, error: null };
+            return { orcamento: { ...orcamento, moeda_base: moedaBase }, error: null };
         } catch (error) {
             console.error('Erro ao recalcular orçamento:', error);
             return { orcamento: null, error: error.message };
@@ -151,14 +175,16 @@ export class Orcamento {
      * Busca histórico de orçamentos do usuário
      * @param {string} userId - ID do usuário
      * @param {number} limite - Quantidade de registros
+     * @param {string} grupoId - ID do grupo (opcional)
      * @returns {Array} Lista de orçamentos
      */
-    static async getHistorico(userId, limite = 12) {
+    static async getHistorico(userId, limite = 12, grupoId = null) {
         try {
-            const { data: orcamentos, error } = await supabase
-                .from('gzen_orcamento')
-                .select('*')
-                .eq('user_id', userId)
+            const { data: orcamentos, error } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_orcamento').select('*'),
+                userId,
+                grupoId
+            )
                 .order('ano', { ascending: false })
                 .order('mes', { ascending: false })
                 .limit(limite);
@@ -178,14 +204,16 @@ export class Orcamento {
      * Busca resumo anual do usuário
      * @param {string} userId - ID do usuário
      * @param {number} ano - Ano
+     * @param {string} grupoId - ID do grupo (opcional)
      * @returns {Object} Resumo anual
      */
-    static async getResumoAnual(userId, ano) {
+    static async getResumoAnual(userId, ano, grupoId = null) {
         try {
-            const { data: orcamentos, error } = await supabase
-                .from('gzen_orcamento')
-                .select('*')
-                .eq('user_id', userId)
+            const { data: orcamentos, error } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_orcamento').select('*'),
+                userId,
+                grupoId
+            )
                 .eq('ano', ano)
                 .order('mes');
 
@@ -239,9 +267,10 @@ export class Orcamento {
     /**
      * Busca estatísticas gerais do usuário
      * @param {string} userId - ID do usuário
+     * @param {string} grupoId - ID do grupo (opcional)
      * @returns {Object} Estatísticas gerais
      */
-    static async getEstatisticasGerais(userId) {
+    static async getEstatisticasGerais(userId, grupoId = null) {
         try {
             // Busca dados dos últimos 12 meses
             const dataLimite = new Date();
@@ -249,10 +278,11 @@ export class Orcamento {
             const anoLimite = dataLimite.getFullYear();
             const mesLimite = dataLimite.getMonth() + 1;
 
-            const { data: orcamentos, error } = await supabase
-                .from('gzen_orcamento')
-                .select('*')
-                .eq('user_id', userId)
+            const { data: orcamentos, error } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_orcamento').select('*'),
+                userId,
+                grupoId
+            )
                 .or(`ano.gt.${anoLimite},and(ano.eq.${anoLimite},mes.gte.${mesLimite})`)
                 .order('ano')
                 .order('mes');
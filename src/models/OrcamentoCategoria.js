@@ -0,0 +1,275 @@
+// OrcamentoCategoria.js
+import { supabase } from '../config/supabaseClient.js';
+import { FinanceData } from './FinanceData.js';
+import { Grupo } from './Grupo.js';
+
+// Quantos meses para trás o saldo não utilizado pode ser acumulado
+const LIMITE_MESES_ACUMULO = 12;
+
+export class OrcamentoCategoria {
+    /**
+     * Define (cria ou substitui) o limite de gastos de uma categoria no mês
+     * @param {string} userId - ID do usuário
+     * @param {Object} limiteData - Categoria, mês, ano, limite e se acumula saldo
+     * @param {string} grupoId - ID do grupo (limite do orçamento do grupo) ou null
+     * @returns {Object} Limite definido ou erro
+     */
+    static async definirLimite(userId, limiteData, grupoId = null) {
+        try {
+            const { category_id: categoryId, mes, ano } = limiteData;
+
+            const atualizar = () => Grupo.escopoOrcamento(
+                supabase
+                    .from('gzen_orcamento_categorias')
+                    .update({
+                        limite: limiteData.limite,
+                        acumular_saldo: limiteData.acumular_saldo
+                    }),
+                userId,
+                grupoId
+            )
+                .eq('category_id', categoryId)
+                .eq('mes', mes)
+                .eq('ano', ano)
+                .select('*')
+                .maybeSingle();
+
+            let { data: limite, error } = await atualizar();
+
+            if (!error && !limite) {
+                ({ data: limite, error } = await supabase
+                    .from('gzen_orcamento_categorias')
+                    .insert([{
+                        ...limiteData,
+                        user_id: userId,
+                        grupo_id: grupoId
+                    }])
+                    .select('*')
+                    .single());
+
+                // Outra requisição criou o limite ao mesmo tempo
+                if (error && error.code === '23505') {
+                    ({ data: limite, error } = await atualizar());
+                }
+            }
+
+            if (error) {
+                throw error;
+            }
+
+            return { limite, error: null };
+        } catch (error) {
+            console.error('Erro ao definir limite de categoria:', error);
+            return { limite: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove o limite de uma categoria no mês
+     * @param {string} userId - ID do usuário
+     * @param {string} categoryId - ID da categoria
+     * @param {number} mes - Mês
+     * @param {number} ano - Ano
+     * @param {string} grupoId - ID do grupo ou null
+     * @returns {Object} Resultado da operação
+     */
+    static async removerLimite(userId, categoryId, mes, ano, grupoId = null) {
+        try {
+            const { error } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_orcamento_categorias').delete(),
+                userId,
+                grupoId
+            )
+                .eq('category_id', categoryId)
+                .eq('mes', mes)
+                .eq('ano', ano);
+
+            if (error) {
+                throw error;
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover limite de categoria:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Busca os limites de categoria do mês
+     * @param {string} userId - ID do usuário
+     * @param {number} mes - Mês
+     * @param {number} ano - Ano
+     * @param {string} grupoId - ID do grupo ou null
+     * @returns {Array} Lista de limites com a categoria
+     */
+    static async findByPeriod(userId, mes, ano, grupoId = null) {
+        const { data: limites, error } = await Grupo.escopoOrcamento(
+            supabase
+                .from('gzen_orcamento_categorias')
+                .select(`
+                    *,
+                    gzen_categories(id, nome, cor, icone)
+                `),
+            userId,
+            grupoId
+        )
+            .eq('mes', mes)
+            .eq('ano', ano);
+
+        if (error) {
+            throw error;
+        }
+
+        return limites;
+    }
+
+    /**
+     * Retorna o mês anterior
+     * @param {number} mes - Mês
+     * @param {number} ano - Ano
+     * @returns {Object} Mês e ano anteriores
+     */
+    static getMesAnterior(mes, ano) {
+        return mes === 1 ? { mes: 12, ano: ano - 1 } : { mes: mes - 1, ano };
+    }
+
+    /**
+     * Soma as despesas confirmadas do mês por categoria
+     * (mesma base de FinanceData.getCategoryStats)
+     * @param {string} userId - ID do usuário
+     * @param {number} mes - Mês
+     * @param {number} ano - Ano
+     * @param {string} grupoId - ID do grupo ou null
+     * @returns {Map} Total gasto por ID de categoria
+     */
+    static async getGastosPorCategoria(userId, mes, ano, grupoId = null) {
+        const stats = await FinanceData.getCategoryStats(userId, 'despesa', mes, ano, grupoId);
+
+        return new Map(
+            stats
+                .filter(stat => stat.categoria.id)
+                .map(stat => [stat.categoria.id, stat])
+        );
+    }
+
+    /**
+     * Calcula o saldo não utilizado que chega ao mês vindo dos meses anteriores
+     * @param {string} userId - ID do usuário
+     * @param {string} categoryId - ID da categoria
+     * @param {number} mes - Mês que recebe o saldo
+     * @param {number} ano - Ano que recebe o saldo
+     * @param {string} grupoId - ID do grupo ou null
+     * @param {Map} cacheGastos - Gastos por mês já consultados
+     * @param {number} profundidade - Meses já percorridos
+     * @returns {number} Saldo transportado
+     */
+    static async calcularSaldoTransportado(userId, categoryId, mes, ano, grupoId, cacheGastos, profundidade = 0) {
+        if (profundidade >= LIMITE_MESES_ACUMULO) {
+            return 0;
+        }
+
+        const anterior = this.getMesAnterior(mes, ano);
+
+        const { data: limiteAnterior, error } = await Grupo.escopoOrcamento(
+            supabase.from('gzen_orcamento_categorias').select('*'),
+            userId,
+            grupoId
+        )
+            .eq('category_id', categoryId)
+            .eq('mes', anterior.mes)
+            .eq('ano', anterior.ano)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        // Só acumula se o mês anterior tinha limite marcado para acumular
+        if (!limiteAnterior || !limiteAnterior.acumular_saldo) {
+            return 0;
+        }
+
+        const chave = `${anterior.ano}-${anterior.mes}`;
+        if (!cacheGastos.has(chave)) {
+            cacheGastos.set(chave, await this.getGastosPorCategoria(userId, anterior.mes, anterior.ano, grupoId));
+        }
+
+        const gastoAnterior = cacheGastos.get(chave).get(categoryId)?.total || 0;
+        const transportadoAnterior = await this.calcularSaldoTransportado(
+            userId,
+            categoryId,
+            anterior.mes,
+            anterior.ano,
+            grupoId,
+            cacheGastos,
+            profundidade + 1
+        );
+
+        const disponivelAnterior = parseFloat(limiteAnterior.limite) + transportadoAnterior;
+
+        return Math.max(disponivelAnterior - gastoAnterior, 0);
+    }
+
+    /**
+     * Calcula planejado, realizado e restante por categoria no mês
+     * @param {string} userId - ID do usuário
+     * @param {number} mes - Mês
+     * @param {number} ano - Ano
+     * @param {string} grupoId - ID do grupo (orçamento do grupo) ou null
+     * @returns {Array} Consumo por categoria
+     */
+    static async calcularConsumo(userId, mes, ano, grupoId = null) {
+        try {
+            const limites = await this.findByPeriod(userId, mes, ano, grupoId);
+            const gastos = await this.getGastosPorCategoria(userId, mes, ano, grupoId);
+            const cacheGastos = new Map([[`${ano}-${mes}`, gastos]]);
+
+            const consumo = await Promise.all(limites.map(async (limite) => {
+                const saldoTransportado = await this.calcularSaldoTransportado(
+                    userId,
+                    limite.category_id,
+                    mes,
+                    ano,
+                    grupoId,
+                    cacheGastos
+                );
+                const planejado = parseFloat(limite.limite) + saldoTransportado;
+                const realizado = gastos.get(limite.category_id)?.total || 0;
+
+                return {
+                    categoria: limite.gzen_categories,
+                    limite: parseFloat(limite.limite),
+                    acumular_saldo: limite.acumular_saldo,
+                    saldo_transportado: saldoTransportado,
+                    planejado,
+                    realizado,
+                    restante: planejado - realizado,
+                    percentual_utilizado: planejado > 0 ? (realizado / planejado) * 100 : 0,
+                    excedido: realizado > planejado
+                };
+            }));
+
+            // Categorias com gastos mas sem limite definido aparecem sem planejamento
+            const comLimite = new Set(limites.map(limite => limite.category_id));
+            const semLimite = [...gastos.values()]
+                .filter(stat => !comLimite.has(stat.categoria.id))
+                .map(stat => ({
+                    categoria: stat.categoria,
+                    limite: null,
+                    acumular_saldo: false,
+                    saldo_transportado: 0,
+                    planejado: null,
+                    realizado: stat.total,
+                    restante: null,
+                    percentual_utilizado: null,
+                    excedido: false
+                }));
+
+            return [...consumo, ...semLimite].sort((a, b) => b.realizado - a.realizado);
+        } catch (error) {
+            console.error('Erro ao calcular consumo por categoria:', error);
+            return [];
+        }
+    }
+}
@@ -0,0 +1,546 @@
+// Previsao.js
+import { supabase } from '../config/supabaseClient.js';
+import { FinanceData } from './FinanceData.js';
+import { Fatura } from './Fatura.js';
+import { Recorrencia } from './Recorrencia.js';
+import { Profile } from './Profile.js';
+import { Salario } from './Salario.js';
+import { Cotacao } from './Cotacao.js';
+import { adicionarDias, adicionarMeses, hoje } from '../utils/dateUtils.js';
+
+// Limite de ocorrências projetadas por regra de recorrência
+const LIMITE_OCORRENCIAS_POR_REGRA = 400;
+
+// Contas cujo saldo é naturalmente negativo (dívida) e não geram alerta
+const TIPOS_DIVIDA = ['cartao_credito', 'emprestimo'];
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+export class Previsao {
+    /**
+     * Projeta os saldos das contas a partir de hoje com receitas e despesas pendentes,
+     * recorrências, faturas de cartão, salário do perfil e parcelas de empréstimo
+     * @param {string} userId - ID do usuário
+     * @param {Object} opcoes - meses, granularidade ('diaria' ou 'mensal') e grupoId
+     * @returns {Object} Contas, eventos, série de saldos e alertas de saldo negativo
+     */
+    static async calcular(userId, { meses = 3, granularidade = 'diaria', grupoId = null } = {}) {
+        const inicio = hoje();
+        const fim = adicionarMeses(inicio, meses);
+
+        const contas = (await FinanceData.getUserAccounts(userId))
+            .filter(conta => (conta.grupo_id || null) === (grupoId || null));
+        const contaPadrao = contas.find(conta => conta.tipo_conta === 'conta_corrente') || null;
+
+        const periodo = { inicio, fim };
+        const eventos = [];
+
+        if (contas.length > 0) {
+            const compras = [];
+
+            eventos.push(...await this.projetarPendentes(contas, periodo, compras));
+            eventos.push(...await this.projetarRecorrencias(contas, periodo, compras));
+            eventos.push(...await this.projetarFaturas(contas, periodo, compras, contaPadrao));
+            eventos.push(...await this.projetarParcelasEmprestimo(contas, periodo));
+
+            // O salário do perfil é pessoal; não entra na previsão do grupo
+            if (!grupoId) {
+                eventos.push(...await this.projetarSalario(userId, contas, periodo, contaPadrao));
+            }
+        }
+
+        eventos.sort((a, b) => a.data.localeCompare(b.data));
+
+        const { donoId, moedaBase } = await Cotacao.getMoedaBase(userId, grupoId);
+        const conversor = await Cotacao.criarConversor(donoId, moedaBase, contas.map(conta => conta.moeda));
+
+        return {
+            periodo: { ...periodo, meses, granularidade },
+            moeda_base: moedaBase,
+            ...this.montarSerie(contas, eventos, periodo, granularidade, conversor),
+            eventos
+        };
+    }
+
+    /**
+     * Monta o evento de um movimento previsto
+     * @param {Object} dados - data, tipo, descricao, origem_id e movimentos [{ account_id, valor }]
+     * @param {string} inicio - Início da previsão (itens atrasados entram nesta data)
+     * @returns {Object} Evento
+     */
+    static criarEvento({ data, movimentos, ...dados }, inicio) {
+        return {
+            ...dados,
+            data: data < inicio ? inicio : data,
+            atrasado: data < inicio,
+            movimentos: movimentos
+                .filter(movimento => movimento.account_id)
+                .map(movimento => ({ ...movimento, valor: arredondar(movimento.valor) }))
+        };
+    }
+
+    /**
+     * Projeta receitas e despesas pendentes das contas
+     * @param {Array} contas - Contas da previsão
+     * @param {Object} periodo - inicio e fim (YYYY-MM-DD)
+     * @param {Array} compras - Acumula compras previstas no cartão (para as faturas)
+     * @returns {Array} Eventos
+     */
+    static async projetarPendentes(contas, { inicio, fim }, compras) {
+        const ids = contas.map(conta => conta.id);
+        const cartoes = new Set(contas.filter(conta => conta.tipo_conta === 'cartao_credito').map(conta => conta.id));
+
+        const [receitasResult, despesasResult] = await Promise.all([
+            supabase
+                .from('gzen_receitas')
+                .select('id, nome, valor, data_receita, account_id')
+                .in('account_id', ids)
+                .eq('status', 'pendente')
+                .eq('ativo', true)
+                .lte('data_receita', fim),
+            supabase
+                .from('gzen_despesas')
+                .select('id, nome, valor, data_despesa, account_id, eh_pagamento_fatura, cartao_origem_id, fatura_id, emprestimo_id, amortizacao')
+                .in('account_id', ids)
+                .eq('status', 'pendente')
+                .eq('ativo', true)
+                .lte('data_despesa', fim)
+        ]);
+
+        if (receitasResult.error) {
+            throw receitasResult.error;
+        }
+        if (despesasResult.error) {
+            throw despesasResult.error;
+        }
+
+        const eventos = receitasResult.data.map(receita => this.criarEvento({
+            data: receita.data_receita,
+            tipo: 'receita',
+            descricao: receita.nome,
+            origem_id: receita.id,
+            movimentos: [{ account_id: receita.account_id, valor: parseFloat(receita.valor) }]
+        }, inicio));
+
+        for (const despesa of despesasResult.data) {
+            const valor = parseFloat(despesa.valor);
+            const movimentos = [{ account_id: despesa.account_id, valor: -valor }];
+
+            if (despesa.eh_pagamento_fatura && despesa.cartao_origem_id) {
+                movimentos.push({ account_id: despesa.cartao_origem_id, valor });
+            } else if (despesa.emprestimo_id && despesa.amortizacao != null) {
+                movimentos.push({ account_id: despesa.emprestimo_id, valor: parseFloat(despesa.amortizacao) });
+            } else if (cartoes.has(despesa.account_id)) {
+                compras.push({ account_id: despesa.account_id, data: despesa.data_despesa, valor });
+            }
+
+            eventos.push(this.criarEvento({
+                data: despesa.data_despesa,
+                tipo: despesa.eh_pagamento_fatura ? 'pagamento_fatura' : 'despesa',
+                descricao: despesa.nome,
+                origem_id: despesa.id,
+                fatura_id: despesa.eh_pagamento_fatura ? despesa.fatura_id : undefined,
+                movimentos
+            }, inicio));
+        }
+
+        return eventos;
+    }
+
+    /**
+     * Projeta as próximas ocorrências das regras de recorrência ativas
+     * (as já geradas aparecem como pendentes ou já estão no saldo)
+     * @param {Array} contas - Contas da previsão
+     * @param {Object} periodo - inicio e fim (YYYY-MM-DD)
+     * @param {Array} compras - Acumula compras previstas no cartão (para as faturas)
+     * @returns {Array} Eventos
+     */
+    static async projetarRecorrencias(contas, { inicio, fim }, compras) {
+        const cartoes = new Set(contas.filter(conta => conta.tipo_conta === 'cartao_credito').map(conta => conta.id));
+
+        const { data: recorrencias, error } = await supabase
+            .from('gzen_recorrencias')
+            .select('*')
+            .in('account_id', contas.map(conta => conta.id))
+            .eq('ativo', true)
+            .lte('proxima_data', fim);
+
+        if (error) {
+            throw error;
+        }
+
+        const eventos = [];
+
+        for (const recorrencia of recorrencias) {
+            const valor = parseFloat(recorrencia.valor);
+            let data = recorrencia.proxima_data;
+            let geradas = recorrencia.ocorrencias_geradas || 0;
+            let projetadas = 0;
+
+            while (data <= fim
+                && projetadas < LIMITE_OCORRENCIAS_POR_REGRA
+                && Recorrencia.podeGerar(recorrencia, data, geradas)) {
+                if (recorrencia.tipo === 'despesa' && cartoes.has(recorrencia.account_id)) {
+                    compras.push({ account_id: recorrencia.account_id, data, valor });
+                }
+
+                eventos.push(this.criarEvento({
+                    data,
+                    tipo: 'recorrencia',
+                    descricao: recorrencia.nome,
+                    origem_id: recorrencia.id,
+                    movimentos: [{
+                        account_id: recorrencia.account_id,
+                        valor: recorrencia.tipo === 'receita' ? valor : -valor
+                    }]
+                }, inicio));
+
+                data = Recorrencia.calcularProximaData(recorrencia, data);
+                geradas += 1;
+                projetadas += 1;
+            }
+        }
+
+        return eventos;
+    }
+
+    /**
+     * Projeta o pagamento das faturas de cartão no vencimento: o saldo em aberto das
+     * faturas atuais mais as compras previstas, agrupadas pelo ciclo (vencimento_fatura).
+     * O pagamento sai da conta usada no último pagamento de fatura do cartão.
+     * @param {Array} contas - Contas da previsão
+     * @param {Object} periodo - inicio e fim (YYYY-MM-DD)
+     * @param {Array} compras - Compras previstas no cartão
+     * @param {Object} contaPadrao - Conta usada quando o cartão nunca teve fatura paga
+     * @returns {Array} Eventos
+     */
+    static async projetarFaturas(contas, { inicio, fim }, compras, contaPadrao) {
+        const cartaoIds = contas.filter(conta => conta.tipo_conta === 'cartao_credito').map(conta => conta.id);
+        if (cartaoIds.length === 0) {
+            return [];
+        }
+
+        const [cartoesResult, faturasResult, pagamentosResult] = await Promise.all([
+            supabase
+                .from('gzen_cartao_credito')
+                .select('account_id, vencimento_fatura, melhor_data_compra')
+                .in('account_id', cartaoIds),
+            supabase
+                .from('gzen_faturas')
+                .select('*')
+                .in('account_id', cartaoIds)
+                .neq('status', 'paga'),
+            supabase
+                .from('gzen_despesas')
+                .select('account_id, cartao_origem_id, fatura_id, valor, status')
+                .in('cartao_origem_id', cartaoIds)
+                .eq('eh_pagamento_fatura', true)
+                .eq('ativo', true)
+                .neq('status', 'cancelada')
+                .order('data_despesa', { ascending: false })
+        ]);
+
+        for (const result of [cartoesResult, faturasResult, pagamentosResult]) {
+            if (result.error) {
+                throw result.error;
+            }
+        }
+
+        const contaIds = new Set(contas.map(conta => conta.id));
+        const contaPagamento = new Map();
+        const pagamentosPendentes = new Map();
+
+        for (const pagamento of pagamentosResult.data) {
+            if (!contaPagamento.has(pagamento.cartao_origem_id) && contaIds.has(pagamento.account_id)) {
+                contaPagamento.set(pagamento.cartao_origem_id, pagamento.account_id);
+            }
+
+            // Pagamentos pendentes já entram como eventos próprios
+            if (pagamento.status === 'pendente' && pagamento.fatura_id) {
+                pagamentosPendentes.set(
+                    pagamento.fatura_id,
+                    (pagamentosPendentes.get(pagamento.fatura_id) || 0) + parseFloat(pagamento.valor)
+                );
+            }
+        }
+
+        // Valor a pagar por cartão e vencimento
+        const aPagar = new Map();
+        const somar = (accountId, dataVencimento, valor) => {
+            const chave = `${accountId}|${dataVencimento}`;
+            aPagar.set(chave, (aPagar.get(chave) || 0) + valor);
+        };
+
+        for (const fatura of faturasResult.data) {
+            const restante = Fatura.formatar(fatura).valor_restante - (pagamentosPendentes.get(fatura.id) || 0);
+            if (restante > 0) {
+                somar(fatura.account_id, fatura.data_vencimento, restante);
+            }
+        }
+
+        const cartoes = new Map(cartoesResult.data.map(cartao => [cartao.account_id, cartao]));
+        for (const compra of compras) {
+            const cartao = cartoes.get(compra.account_id);
+            if (cartao) {
+                const ciclo = Fatura.calcularCiclo(cartao, compra.data < inicio ? inicio : compra.data);
+                somar(compra.account_id, ciclo.data_vencimento, compra.valor);
+            }
+        }
+
+        const nomes = new Map(contas.map(conta => [conta.id, conta.nome]));
+        const eventos = [];
+
+        for (const [chave, valor] of aPagar) {
+            const [cartaoId, dataVencimento] = chave.split('|');
+            if (dataVencimento > fim) {
+                continue;
+            }
+
+            const contaId = contaPagamento.get(cartaoId) || contaPadrao?.id || null;
+
+            eventos.push(this.criarEvento({
+                data: dataVencimento,
+                tipo: 'fatura',
+                descricao: `Fatura ${nomes.get(cartaoId)}`,
+                origem_id: cartaoId,
+                conta_pagamento_id: contaId,
+                valor: arredondar(valor),
+                movimentos: [
+                    { account_id: contaId, valor: -valor },
+                    { account_id: contaId ? cartaoId : null, valor }
+                ]
+            }, inicio));
+        }
+
+        return eventos;
+    }
+
+    /**
+     * Projeta as parcelas pendentes de empréstimo que ainda não viraram despesa
+     * @param {Array} contas - Contas da previsão
+     * @param {Object} periodo - inicio e fim (YYYY-MM-DD)
+     * @returns {Array} Eventos
+     */
+    static async projetarParcelasEmprestimo(contas, { inicio, fim }) {
+        const emprestimoIds = contas.filter(conta => conta.tipo_conta === 'emprestimo').map(conta => conta.id);
+        if (emprestimoIds.length === 0) {
+            return [];
+        }
+
+        const [emprestimosResult, parcelasResult] = await Promise.all([
+            supabase
+                .from('gzen_emprestimo')
+                .select('account_id, conta_pagamento_id')
+                .in('account_id', emprestimoIds),
+            supabase
+                .from('gzen_emprestimo_parcelas')
+                .select('account_id, numero, vencimento, amortizacao, valor_parcela')
+                .in('account_id', emprestimoIds)
+                .eq('status', 'pendente')
+                .is('despesa_id', null)
+                .lte('vencimento', fim)
+                .order('vencimento')
+        ]);
+
+        if (emprestimosResult.error) {
+            throw emprestimosResult.error;
+        }
+        if (parcelasResult.error) {
+            throw parcelasResult.error;
+        }
+
+        const contaPagamento = new Map(emprestimosResult.data.map(emprestimo =>
+            [emprestimo.account_id, emprestimo.conta_pagamento_id]
+        ));
+        const nomes = new Map(contas.map(conta => [conta.id, conta.nome]));
+
+        return parcelasResult.data.map(parcela => this.criarEvento({
+            data: parcela.vencimento,
+            tipo: 'parcela_emprestimo',
+            descricao: `Parcela ${parcela.numero} - ${nomes.get(parcela.account_id)}`,
+            origem_id: parcela.account_id,
+            movimentos: [
+                { account_id: contaPagamento.get(parcela.account_id), valor: -parseFloat(parcela.valor_parcela) },
+                { account_id: parcela.account_id, valor: parseFloat(parcela.amortizacao) }
+            ]
+        }, inicio));
+    }
+
+    /**
+     * Projeta os pagamentos de salário do perfil que ainda não foram lançados como receita.
+     * O salário cai na conta de salário do perfil (ou na da última receita de salário,
+     * ou na conta padrão).
+     * @param {string} userId - ID do usuário
+     * @param {Array} contas - Contas da previsão
+     * @param {Object} periodo - inicio e fim (YYYY-MM-DD)
+     * @param {Object} contaPadrao - Conta usada quando não há salário lançado
+     * @returns {Array} Eventos
+     */
+    static async projetarSalario(userId, contas, { inicio, fim }, contaPadrao) {
+        const profile = await Profile.findByUserId(userId);
+        const agenda = Salario.calcularAgenda(profile, inicio, fim);
+        if (agenda.length === 0) {
+            return [];
+        }
+
+        const { data: salarios, error } = await supabase
+            .from('gzen_receitas')
+            .select('account_id, data_receita, parcela_salario')
+            .eq('user_id', userId)
+            .eq('eh_salario', true)
+            .eq('ativo', true)
+            .neq('status', 'cancelada')
+            .order('data_receita', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        const contaIds = new Set(contas.map(conta => conta.id));
+        const contaPerfil = contaIds.has(profile.conta_salario_id) ? profile.conta_salario_id : null;
+        const contaSalario = contaPerfil
+            || salarios.find(salario => contaIds.has(salario.account_id))?.account_id
+            || contaPadrao?.id;
+        if (!contaSalario) {
+            return [];
+        }
+
+        // Parcelas já lançadas (pendentes ou recebidas) não são projetadas de novo
+        const lancadas = new Set(salarios.map(salario =>
+            `${salario.data_receita.substring(0, 7)}|${salario.parcela_salario || 1}`
+        ));
+
+        return agenda
+            .filter(pagamento => !lancadas.has(`${pagamento.competencia}|${pagamento.parcela_salario}`))
+            .map(pagamento => this.criarEvento({
+                data: pagamento.data,
+                tipo: 'salario',
+                descricao: `Salário ${pagamento.parcela_salario}/${pagamento.total_parcelas_salario}`,
+                movimentos: [{ account_id: contaSalario, valor: pagamento.valor }]
+            }, inicio));
+    }
+
+    /**
+     * Aplica os eventos dia a dia e monta a série de saldos, o resumo por conta
+     * e os períodos em que alguma conta fica negativa
+     * @param {Array} contas - Contas da previsão
+     * @param {Array} eventos - Eventos ordenados por data
+     * @param {Object} periodo - inicio e fim (YYYY-MM-DD)
+     * @param {string} granularidade - 'diaria' ou 'mensal'
+     * @param {Object} conversor - Conversor para a moeda base
+     * @returns {Object} contas, serie, alertas e sem_cotacao
+     */
+    static montarSerie(contas, eventos, { inicio, fim }, granularidade, conversor) {
+        const saldos = new Map(contas.map(conta => [conta.id, parseFloat(conta.saldo_atual) || 0]));
+        const resumo = new Map(contas.map(conta => [conta.id, {
+            id: conta.id,
+            nome: conta.nome,
+            tipo_conta: conta.tipo_conta,
+            moeda: conta.moeda,
+            grupo_id: conta.grupo_id,
+            saldo_atual: saldos.get(conta.id),
+            saldo_final: saldos.get(conta.id),
+            menor_saldo: saldos.get(conta.id),
+            data_menor_saldo: inicio
+        }]));
+
+        // O total considera o dinheiro disponível: dívida de empréstimo fica de fora
+        const contasTotal = contas.filter(conta => conta.tipo_conta !== 'emprestimo');
+        const semCotacao = contasTotal.filter(conta => conversor.converter(0, conta.moeda) === null);
+        const calcularTotal = () => arredondar(contasTotal.reduce((soma, conta) => {
+            const convertido = conversor.converter(saldos.get(conta.id), conta.moeda);
+            return convertido === null ? soma : soma + convertido;
+        }, 0));
+
+        const serie = [];
+        const alertas = [];
+        const alertaAberto = new Map();
+        let indice = 0;
+
+        for (let data = inicio; data <= fim; data = adicionarDias(data, 1)) {
+            while (indice < eventos.length && eventos[indice].data === data) {
+                for (const movimento of eventos[indice].movimentos) {
+                    if (saldos.has(movimento.account_id)) {
+                        saldos.set(movimento.account_id, saldos.get(movimento.account_id) + movimento.valor);
+                    }
+                }
+                indice += 1;
+            }
+
+            const negativas = [];
+            for (const conta of contas) {
+                const saldo = arredondar(saldos.get(conta.id));
+                const item = resumo.get(conta.id);
+
+                item.saldo_final = saldo;
+                if (saldo < item.menor_saldo) {
+                    item.menor_saldo = saldo;
+                    item.data_menor_saldo = data;
+                }
+
+                if (TIPOS_DIVIDA.includes(conta.tipo_conta)) {
+                    continue;
+                }
+
+                const alerta = alertaAberto.get(conta.id);
+                if (saldo < 0) {
+                    negativas.push(conta.id);
+
+                    if (!alerta) {
+                        const novo = {
+                            account_id: conta.id,
+                            nome: conta.nome,
+                            data_inicio: data,
+                            data_fim: data,
+                            menor_saldo: saldo,
+                            data_menor_saldo: data
+                        };
+                        alertas.push(novo);
+                        alertaAberto.set(conta.id, novo);
+                    } else {
+                        alerta.data_fim = data;
+                        if (saldo < alerta.menor_saldo) {
+                            alerta.menor_saldo = saldo;
+                            alerta.data_menor_saldo = data;
+                        }
+                    }
+                } else if (alerta) {
+                    alertaAberto.delete(conta.id);
+                }
+            }
+
+            const ponto = {
+                data,
+                saldos: Object.fromEntries(contas.map(conta => [conta.id, arredondar(saldos.get(conta.id))])),
+                total: calcularTotal(),
+                contas_negativas: negativas
+            };
+
+            if (granularidade === 'diaria') {
+                serie.push(ponto);
+                continue;
+            }
+
+            // Mensal: saldo no fim do mês (ou da previsão) e as contas que ficaram negativas no mês
+            const competencia = data.substring(0, 7);
+            const ultimo = serie[serie.length - 1];
+            if (ultimo && ultimo.competencia === competencia) {
+                const negativasMes = new Set([...ultimo.contas_negativas, ...negativas]);
+                Object.assign(ultimo, ponto, {
+                    competencia,
+                    menor_total: Math.min(ultimo.menor_total, ponto.total),
+                    contas_negativas: [...negativasMes]
+                });
+            } else {
+                serie.push({ competencia, ...ponto, menor_total: ponto.total });
+            }
+        }
+
+        return {
+            contas: [...resumo.values()],
+            serie,
+            alertas,
+            sem_cotacao: [...new Set(semCotacao.map(conta => conta.moeda))]
+        };
+    }
+}
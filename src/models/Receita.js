@@ -1,9 +1,14 @@
 // Receita.js
 import { supabase } from '../config/supabaseClient.js';
+import { Movimentacao } from './Movimentacao.js';
+import { Grupo } from './Grupo.js';
+import { Cotacao } from './Cotacao.js';
+import { Profile } from './Profile.js';
+import { Salario } from './Salario.js';
 
 export class Receita {
     /**
-     * Cria uma nova receita
+     * Cria uma nova receita (em conta de grupo, a receita passa a ser do grupo)
      * @param {string} userId - ID do usuário
      * @param {Object} receitaData - Dados da receita
      * @returns {Object} Receita criada ou erro
@@ -11,24 +16,39 @@ export class Receita {
     static async create(userId, receitaData) {
         try {
             const { tags, ...dadosReceita } = receitaData;
+
+            const conta = await Grupo.getContaEditavel(dadosReceita.account_id, userId);
+            if (!conta) {
+                throw new Error('Conta não encontrada ou sem permissão para lançar');
+            }
             
             // Converte data para formato correto (São Paulo timezone)
             const dataReceita = new Date(dadosReceita.data_receita + 'T00:00:00-03:00');
             
-            // Cria a receita
-            const { data: receita, error: receitaError } = await supabase
-                .from('gzen_receitas')
-                .insert([{
-                    ...dadosReceita,
-                    user_id: userId,
-                    data_receita: dataReceita.toISOString().split('T')[0]
-                }])
-                .select('*')
-                .single();
+            const dados = {
+                ...dadosReceita,
+                user_id: userId,
+                grupo_id: conta.grupo_id,
+                moeda: conta.moeda,
+                data_receita: dataReceita.toISOString().split('T')[0]
+            };
 
-            if (receitaError) {
-                throw receitaError;
-            }
+            // Valor na moeda base do orçamento, pela cotação da data
+            dados.valor_convertido = await Cotacao.converterParaBase(
+                userId,
+                dados.grupo_id,
+                dados.moeda,
+                dados.valor,
+                dados.data_receita
+            );
+
+            // Cria a receita e atualiza saldo/orçamento na mesma transação
+            const receita = await Movimentacao.inserir(
+                'gzen_receitas',
+                userId,
+                dados,
+                this.calcularMovimentos(dados, userId)
+            );
 
             // Adiciona tags se existirem
             if (tags && tags.length > 0) {
@@ -46,12 +66,6 @@ export class Receita {
                 }
             }
 
-            // Atualiza saldo da conta se receita confirmada
-            if (receita.status === 'confirmada') {
-                await this.updateAccountBalance(receita.account_id, receita.valor, 'add');
-                await this.updateOrcamento(userId, receita.data_receita, receita.valor, 'receita', 'add');
-            }
-
             return { receita, error: null };
         } catch (error) {
             console.error('Erro ao criar receita:', error);
@@ -60,9 +74,9 @@ export class Receita {
     }
 
     /**
-     * Busca receitas por usuário com filtros
+     * Busca receitas por usuário com filtros, incluindo as dos grupos dos quais é membro
      * @param {string} userId - ID do usuário
-     * @param {Object} filters - Filtros de busca
+     * @param {Object} filters - Filtros de busca (grupo_id restringe a um grupo)
      * @returns {Array} Lista de receitas
      */
     static async findByUserId(userId, filters = {}) {
@@ -75,9 +89,10 @@ export class Receita {
                     gzen_categories(nome, cor, icone),
                     gzen_receita_tags!left(
                         gzen_tags(id, nome, cor)
-                    )
+                    ),
+                    membro:gzen_users!user_id(id, nome)
                 `)
-                .eq('user_id', userId)
+                .or(await Grupo.filtroLeitura(userId))
                 .eq('ativo', true);
 
             // Aplica filtros
@@ -96,6 +111,9 @@ export class Receita {
             if (filters.status) {
                 query = query.eq('status', filters.status);
             }
+            if (filters.grupo_id) {
+                query = query.eq('grupo_id', filters.grupo_id);
+            }
 
             // Ordenação e paginação
             const offset = (filters.pagina - 1) * filters.limite;
@@ -131,9 +149,10 @@ export class Receita {
      * Busca receita por ID
      * @param {string} receitaId - ID da receita
      * @param {string} userId - ID do usuário
+     * @param {Object} opcoes - escrita: exige permissão de alteração
      * @returns {Object} Receita encontrada ou null
      */
-    static async findById(receitaId, userId) {
+    static async findById(receitaId, userId, { escrita = false } = {}) {
         try {
             const { data: receita, error } = await supabase
                 .from('gzen_receitas')
@@ -143,10 +162,11 @@ export class Receita {
                     gzen_categories(nome, cor, icone),
                     gzen_receita_tags(
                         gzen_tags(id, nome, cor)
-                    )
+                    ),
+                    membro:gzen_users!user_id(id, nome)
                 `)
                 .eq('id', receitaId)
-                .eq('user_id', userId)
+                .or(escrita ? await Grupo.filtroEscrita(userId) : await Grupo.filtroLeitura(userId))
                 .single();
 
             if (error) {
@@ -179,32 +199,46 @@ export class Receita {
     static async update(receitaId, userId, updateData) {
         try {
             // Busca receita atual para comparações
-            const receitaAtual = await this.findById(receitaId, userId);
+            const receitaAtual = await this.findById(receitaId, userId, { escrita: true });
             if (!receitaAtual) {
                 throw new Error('Receita não encontrada');
             }
 
+            // Trocar de conta pode levar a receita para outro grupo (ou para fora dele)
+            if (updateData.account_id && updateData.account_id !== receitaAtual.account_id) {
+                const conta = await Grupo.getContaEditavel(updateData.account_id, userId);
+                if (!conta) {
+                    throw new Error('Conta não encontrada ou sem permissão para lançar');
+                }
+                updateData.grupo_id = conta.grupo_id;
+                updateData.moeda = conta.moeda;
+            }
+
             // Converte data se fornecida
             if (updateData.data_receita) {
                 const dataReceita = new Date(updateData.data_receita + 'T00:00:00-03:00');
                 updateData.data_receita = dataReceita.toISOString().split('T')[0];
             }
 
-            // Atualiza a receita
-            const { data: receita, error } = await supabase
-                .from('gzen_receitas')
-                .update(updateData)
-                .eq('id', receitaId)
-                .eq('user_id', userId)
-                .select('*')
-                .single();
-
-            if (error) {
-                throw error;
+            // Conta, valor ou data alteram o valor na moeda base
+            if (updateData.account_id || updateData.valor !== undefined || updateData.data_receita) {
+                const receitaNova = { ...receitaAtual, ...updateData };
+                updateData.valor_convertido = await Cotacao.converterParaBase(
+                    receitaNova.user_id,
+                    receitaNova.grupo_id,
+                    receitaNova.moeda,
+                    receitaNova.valor,
+                    receitaNova.data_receita
+                );
             }
 
-            // Gerencia mudanças no saldo da conta
-            await this.handleBalanceUpdates(receitaAtual, receita, userId);
+            // Estorna o efeito anterior e aplica o novo junto com a atualização
+            const movimentos = Movimentacao.combinar(
+                Movimentacao.inverter(this.calcularMovimentos(receitaAtual, userId)),
+                this.calcularMovimentos({ ...receitaAtual, ...updateData }, userId)
+            );
+
+            const receita = await Movimentacao.atualizar('gzen_receitas', receitaId, userId, updateData, movimentos);
 
             return { receita, error: null };
         } catch (error) {
@@ -222,27 +256,19 @@ export class Receita {
     static async delete(receitaId, userId) {
         try {
             // Busca receita para reverter saldo se necessário
-            const receita = await this.findById(receitaId, userId);
+            const receita = await this.findById(receitaId, userId, { escrita: true });
             if (!receita) {
                 throw new Error('Receita não encontrada');
             }
 
-            // Soft delete
-            const { error } = await supabase
-                .from('gzen_receitas')
-                .update({ ativo: false })
-                .eq('id', receitaId)
-                .eq('user_id', userId);
-
-            if (error) {
-                throw error;
-            }
-
-            // Reverte saldo se receita estava confirmada
-            if (receita.status === 'confirmada') {
-                await this.updateAccountBalance(receita.account_id, receita.valor, 'subtract');
-                await this.updateOrcamento(userId, receita.data_receita, receita.valor, 'receita', 'subtract');
-            }
+            // Soft delete revertendo saldo/orçamento se receita estava confirmada
+            await Movimentacao.atualizar(
+                'gzen_receitas',
+                receitaId,
+                userId,
+                { ativo: false },
+                Movimentacao.inverter(this.calcularMovimentos(receita, userId))
+            );
 
             return { success: true, error: null };
         } catch (error) {
@@ -252,129 +278,35 @@ export class Receita {
     }
 
     /**
-     * Atualiza saldo da conta
-     * @param {string} accountId - ID da conta
-     * @param {number} valor - Valor da transação
-     * @param {string} operation - 'add' ou 'subtract'
-     */
-    static async updateAccountBalance(accountId, valor, operation) {
-        try {
-            const { data: account } = await supabase
-                .from('gzen_accounts')
-                .select('saldo_atual')
-                .eq('id', accountId)
-                .single();
-
-            if (account) {
-                const novoSaldo = operation === 'add' 
-                    ? parseFloat(account.saldo_atual) + parseFloat(valor)
-                    : parseFloat(account.saldo_atual) - parseFloat(valor);
-
-                await supabase
-                    .from('gzen_accounts')
-                    .update({ saldo_atual: novoSaldo })
-                    .eq('id', accountId);
-            }
-        } catch (error) {
-            console.error('Erro ao atualizar saldo da conta:', error);
-        }
-    }
-
-    /**
-     * Atualiza orçamento do usuário
+     * Calcula o efeito da receita no saldo da conta e no orçamento
+     * (pessoal de quem lançou ou, em conta de grupo, o do grupo; na moeda base)
+     * @param {Object} receita - Dados da receita
      * @param {string} userId - ID do usuário
-     * @param {string} data - Data da transação
-     * @param {number} valor - Valor da transação
-     * @param {string} tipo - 'receita' ou 'despesa'
-     * @param {string} operation - 'add' ou 'subtract'
+     * @returns {Object} Movimentos a aplicar (vazio se não confirmada ou removida)
      */
-    static async updateOrcamento(userId, data, valor, tipo, operation) {
-        try {
-            const dataObj = new Date(data);
-            const mes = dataObj.getMonth() + 1;
-            const ano = dataObj.getFullYear();
-
-            // Busca orçamento existente ou cria novo
-            let { data: orcamento } = await supabase
-                .from('gzen_orcamento')
-                .select('*')
-                .eq('user_id', userId)
-                .eq('mes', mes)
-                .eq('ano', ano)
-                .single();
-
-            if (!orcamento) {
-                // Cria novo orçamento
-                const { data: novoOrcamento } = await supabase
-                    .from('gzen_orcamento')
-                    .insert([{
-                        user_id: userId,
-                        mes,
-                        ano,
-                        receita_total: tipo === 'receita' ? valor : 0,
-                        despesa_total: tipo === 'despesa' ? valor : 0,
-                        saldo_atual: tipo === 'receita' ? valor : -valor
-                    }])
-                    .select('*')
-                    .single();
-                return;
-            }
-
-            // Atualiza orçamento existente
-            const multiplicador = operation === 'add' ? 1 : -1;
-            const valorAtualizado = parseFloat(valor) * multiplicador;
-
-            const updates = {};
-            if (tipo === 'receita') {
-                updates.receita_total = parseFloat(orcamento.receita_total) + valorAtualizado;
-            } else {
-                updates.despesa_total = parseFloat(orcamento.despesa_total) + valorAtualizado;
-            }
-
-            // Recalcula saldo atual
-            const novaReceita = updates.receita_total || orcamento.receita_total;
-            const novaDespesa = updates.despesa_total || orcamento.despesa_total;
-            updates.saldo_atual = parseFloat(novaReceita) - parseFloat(novaDespesa);
-
-            await supabase
-                .from('gzen_orcamento')
-                .update(updates)
-                .eq('id', orcamento.id);
-        } catch (error) {
-            console.error('Erro ao atualizar orçamento:', error);
+    static calcularMovimentos(receita, userId) {
+        if (receita.status !== 'confirmada' || receita.ativo === false) {
+            return Movimentacao.criar();
         }
-    }
 
-    /**
-     * Gerencia atualizações de saldo quando receita é modificada
-     */
-    static async handleBalanceUpdates(receitaAntiga, receitaNova, userId) {
-        try {
-            // Se mudou status de confirmada para não confirmada
-            if (receitaAntiga.status === 'confirmada' && receitaNova.status !== 'confirmada') {
-                await this.updateAccountBalance(receitaAntiga.account_id, receitaAntiga.valor, 'subtract');
-                await this.updateOrcamento(userId, receitaAntiga.data_receita, receitaAntiga.valor, 'receita', 'subtract');
-            }
-            
-            // Se mudou status de não confirmada para confirmada
-            if (receitaAntiga.status !== 'confirmada' && receitaNova.status === 'confirmada') {
-                await this.updateAccountBalance(receitaNova.account_id, receitaNova.valor, 'add');
-                await this.updateOrcamento(userId, receitaNova.data_receita, receitaNova.valor, 'receita', 'add');
-            }
-            
-            // Se já era confirmada e mudou valores
-            if (receitaAntiga.status === 'confirmada' && receitaNova.status === 'confirmada') {
-                // Reverte valores antigos
-                await this.updateAccountBalance(receitaAntiga.account_id, receitaAntiga.valor, 'subtract');
-                await this.updateOrcamento(userId, receitaAntiga.data_receita, receitaAntiga.valor, 'receita', 'subtract');
-                
-                // Aplica novos valores
-                await this.updateAccountBalance(receitaNova.account_id, receitaNova.valor, 'add');
-                await this.updateOrcamento(userId, receitaNova.data_receita, receitaNova.valor, 'receita', 'add');
-            }
-        } catch (error) {
-            console.error('Erro ao gerenciar atualizações de saldo:', error);
-        }
+        const valor = parseFloat(receita.valor);
+        const valorBase = receita.valor_convertido != null ? parseFloat(receita.valor_convertido) : valor;
+        const origem = {
+            tipo: 'receita',
+            id: receita.id,
+            data: receita.data_receita,
+            descricao: receita.nome
+        };
+
+        return Movimentacao.criar({
+            saldos: [Movimentacao.saldo(receita.account_id, valor, origem)],
+            orcamentos: [Movimentacao.orcamento(
+                receita.user_id || userId,
+                receita.data_receita,
+                { receita: valorBase },
+                receita.grupo_id || null
+            )]
+        });
     }
 
     /**
@@ -382,18 +314,20 @@ export class Receita {
      * @param {string} userId - ID do usuário
      * @param {number} mes - Mês
      * @param {number} ano - Ano
-     * @returns {Object} Resumo das receitas
+     * @param {string} grupoId - ID do grupo (opcional; sem ele, só receitas pessoais)
+     * @returns {Object} Resumo das receitas (com salário esperado x recebido, sem grupo)
      */
-    static async getResumoMensal(userId, mes, ano) {
+    static async getResumoMensal(userId, mes, ano, grupoId = null) {
         try {
             const dataInicio = `${ano}-${mes.toString().padStart(2, '0')}-01`;
             const ultimoDia = new Date(ano, mes, 0).getDate();
             const dataFim = `${ano}-${mes.toString().padStart(2, '0')}-${ultimoDia}`;
 
-            const { data: receitas, error } = await supabase
-                .from('gzen_receitas')
-                .select('valor, status, eh_salario')
-                .eq('user_id', userId)
+            const { data: receitas, error } = await Grupo.escopoOrcamento(
+                supabase.from('gzen_receitas').select('valor, status, eh_salario, parcela_salario'),
+                userId,
+                grupoId
+            )
                 .eq('ativo', true)
                 .gte('data_receita', dataInicio)
                 .lte('data_receita', dataFim);
@@ -426,6 +360,17 @@ export class Receita {
                 }
             });
 
+            // Salário esperado pelo perfil x recebido (só no resumo pessoal)
+            if (!grupoId) {
+                const profile = await Profile.findByUserId(userId);
+                resumo.salario = Salario.compararMes(
+                    profile,
+                    ano,
+                    mes,
+                    receitas.filter(receita => receita.eh_salario)
+                );
+            }
+
             return resumo;
         } catch (error) {
             console.error('Erro ao buscar resumo mensal de receitas:', error);
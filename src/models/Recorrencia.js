@@ -0,0 +1,519 @@
+// Recorrencia.js
+import { supabase } from '../config/supabaseClient.js';
+import { Receita } from './Receita.js';
+import { Despesa } from './Despesa.js';
+import { adicionarDias, adicionarMeses, hoje, parseData } from '../utils/dateUtils.js';
+
+// Limite de ocorrências geradas por regra em uma única execução
+const LIMITE_OCORRENCIAS_POR_EXECUCAO = 400;
+
+// Campos de agendamento que, quando alterados, exigem recalcular a próxima data
+const CAMPOS_AGENDAMENTO = ['frequencia', 'intervalo', 'dia_mes', 'dia_semana', 'data_inicio'];
+
+// Campos do modelo da transação que podem ser propagados para as ocorrências
+const CAMPOS_MODELO = ['account_id', 'category_id', 'nome', 'valor', 'observacoes'];
+
+export class Recorrencia {
+    /**
+     * Retorna o model e o campo de data correspondentes ao tipo da regra
+     * @param {string} tipo - 'receita' ou 'despesa'
+     * @returns {Object} Model, tabela e campo de data
+     */
+    static getDestino(tipo) {
+        return tipo === 'receita'
+            ? { Modelo: Receita, tabela: 'gzen_receitas', campoData: 'data_receita', chave: 'receita' }
+            : { Modelo: Despesa, tabela: 'gzen_despesas', campoData: 'data_despesa', chave: 'despesa' };
+    }
+
+    /**
+     * Calcula a primeira ocorrência igual ou posterior a uma data base
+     * @param {Object} recorrencia - Regra de recorrência
+     * @param {string} base - Data base (YYYY-MM-DD)
+     * @returns {string} Data da ocorrência
+     */
+    static calcularPrimeiraData(recorrencia, base) {
+        if (recorrencia.frequencia === 'semanal') {
+            const diaSemana = recorrencia.dia_semana ?? parseData(recorrencia.data_inicio).getUTCDay();
+            const diferenca = (diaSemana - parseData(base).getUTCDay() + 7) % 7;
+            return adicionarDias(base, diferenca);
+        }
+
+        const diaMes = recorrencia.dia_mes || parseData(recorrencia.data_inicio).getUTCDate();
+        const candidata = adicionarMeses(base, 0, diaMes);
+
+        return candidata >= base ? candidata : adicionarMeses(base, 1, diaMes);
+    }
+
+    /**
+     * Calcula a ocorrência seguinte a partir da atual
+     * @param {Object} recorrencia - Regra de recorrência
+     * @param {string} atual - Data da ocorrência atual (YYYY-MM-DD)
+     * @returns {string} Data da próxima ocorrência
+     */
+    static calcularProximaData(recorrencia, atual) {
+        const intervalo = recorrencia.intervalo || 1;
+
+        if (recorrencia.frequencia === 'semanal') {
+            return adicionarDias(atual, 7 * intervalo);
+        }
+
+        const diaMes = recorrencia.dia_mes || parseData(recorrencia.data_inicio).getUTCDate();
+        return adicionarMeses(atual, intervalo, diaMes);
+    }
+
+    /**
+     * Verifica se a regra ainda pode gerar a ocorrência da data informada
+     * @param {Object} recorrencia - Regra de recorrência
+     * @param {string} data - Data da ocorrência
+     * @param {number} geradas - Ocorrências já geradas
+     * @returns {boolean} True se ainda há ocorrências a gerar
+     */
+    static podeGerar(recorrencia, data, geradas) {
+        if (recorrencia.data_fim && data > recorrencia.data_fim) {
+            return false;
+        }
+
+        if (recorrencia.total_ocorrencias && geradas >= recorrencia.total_ocorrencias) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Cria uma nova regra de recorrência
+     * @param {string} userId - ID do usuário
+     * @param {Object} recorrenciaData - Dados da regra
+     * @returns {Object} Regra criada ou erro
+     */
+    static async create(userId, recorrenciaData) {
+        try {
+            const { data: recorrencia, error } = await supabase
+                .from('gzen_recorrencias')
+                .insert([{
+                    ...recorrenciaData,
+                    user_id: userId,
+                    proxima_data: this.calcularPrimeiraData(recorrenciaData, recorrenciaData.data_inicio),
+                    ocorrencias_geradas: 0
+                }])
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { recorrencia, error: null };
+        } catch (error) {
+            console.error('Erro ao criar recorrência:', error);
+            return { recorrencia: null, error: error.message };
+        }
+    }
+
+    /**
+     * Busca regras de recorrência do usuário
+     * @param {string} userId - ID do usuário
+     * @param {string} tipo - 'receita', 'despesa' ou null para todas
+     * @returns {Array} Lista de regras
+     */
+    static async findByUserId(userId, tipo = null) {
+        try {
+            let query = supabase
+                .from('gzen_recorrencias')
+                .select(`
+                    *,
+                    gzen_accounts(nome, tipo_conta),
+                    gzen_categories(nome, cor, icone)
+                `)
+                .eq('user_id', userId)
+                .eq('ativo', true)
+                .order('proxima_data');
+
+            if (tipo) {
+                query = query.eq('tipo', tipo);
+            }
+
+            const { data: recorrencias, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            return recorrencias.map(recorrencia => ({
+                ...recorrencia,
+                conta: recorrencia.gzen_accounts,
+                categoria: recorrencia.gzen_categories,
+                gzen_accounts: undefined,
+                gzen_categories: undefined
+            }));
+        } catch (error) {
+            console.error('Erro ao buscar recorrências:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Busca regra de recorrência por ID
+     * @param {string} recorrenciaId - ID da regra
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Regra encontrada ou null
+     */
+    static async findById(recorrenciaId, userId) {
+        try {
+            const { data: recorrencia, error } = await supabase
+                .from('gzen_recorrencias')
+                .select('*')
+                .eq('id', recorrenciaId)
+                .eq('user_id', userId)
+                .eq('ativo', true)
+                .single();
+
+            if (error) {
+                return null;
+            }
+
+            return recorrencia;
+        } catch (error) {
+            console.error('Erro ao buscar recorrência por ID:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Atualiza uma regra de recorrência (afeta apenas ocorrências ainda não geradas)
+     * @param {string} recorrenciaId - ID da regra
+     * @param {string} userId - ID do usuário
+     * @param {Object} updateData - Dados para atualizar
+     * @returns {Object} Regra atualizada ou erro
+     */
+    static async update(recorrenciaId, userId, updateData) {
+        try {
+            const recorrenciaAtual = await this.findById(recorrenciaId, userId);
+            if (!recorrenciaAtual) {
+                throw new Error('Recorrência não encontrada');
+            }
+
+            const dados = { ...updateData };
+
+            // Mudou o agendamento: recalcula a próxima data sem repetir ocorrências já geradas
+            if (CAMPOS_AGENDAMENTO.some(campo => updateData[campo] !== undefined)) {
+                const recorrenciaNova = { ...recorrenciaAtual, ...updateData };
+                const aposUltima = recorrenciaAtual.ultima_data_gerada
+                    ? adicionarDias(recorrenciaAtual.ultima_data_gerada, 1)
+                    : null;
+                const base = aposUltima && aposUltima > recorrenciaNova.data_inicio
+                    ? aposUltima
+                    : recorrenciaNova.data_inicio;
+
+                dados.proxima_data = this.calcularPrimeiraData(recorrenciaNova, base);
+            }
+
+            const { data: recorrencia, error } = await supabase
+                .from('gzen_recorrencias')
+                .update(dados)
+                .eq('id', recorrenciaId)
+                .eq('user_id', userId)
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { recorrencia, error: null };
+        } catch (error) {
+            console.error('Erro ao atualizar recorrência:', error);
+            return { recorrencia: null, error: error.message };
+        }
+    }
+
+    /**
+     * Encerra uma regra de recorrência e remove ocorrências futuras pendentes
+     * @param {string} recorrenciaId - ID da regra
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Resultado da operação
+     */
+    static async delete(recorrenciaId, userId) {
+        try {
+            const recorrencia = await this.findById(recorrenciaId, userId);
+            if (!recorrencia) {
+                throw new Error('Recorrência não encontrada');
+            }
+
+            const { error } = await supabase
+                .from('gzen_recorrencias')
+                .update({ ativo: false })
+                .eq('id', recorrenciaId)
+                .eq('user_id', userId);
+
+            if (error) {
+                throw error;
+            }
+
+            const { Modelo, tabela, campoData } = this.getDestino(recorrencia.tipo);
+
+            const { data: futuras, error: futurasError } = await supabase
+                .from(tabela)
+                .select('id')
+                .eq('recorrencia_id', recorrenciaId)
+                .eq('status', 'pendente')
+                .eq('ativo', true)
+                .gte(campoData, hoje());
+
+            if (futurasError) {
+                throw futurasError;
+            }
+
+            for (const ocorrencia of futuras) {
+                await Modelo.delete(ocorrencia.id, userId);
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao deletar recorrência:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Materializa uma ocorrência como receita ou despesa
+     * @param {Object} recorrencia - Regra de recorrência
+     * @param {string} data - Data da ocorrência
+     * @returns {Object} Transação criada ou erro
+     */
+    static async criarOcorrencia(recorrencia, data) {
+        const { Modelo, campoData, chave } = this.getDestino(recorrencia.tipo);
+
+        const dadosTransacao = {
+            account_id: recorrencia.account_id,
+            category_id: recorrencia.category_id,
+            nome: recorrencia.nome,
+            valor: recorrencia.valor,
+            observacoes: recorrencia.observacoes,
+            status: recorrencia.status_ocorrencia,
+            tags: recorrencia.tags || [],
+            recorrencia_id: recorrencia.id,
+            [campoData]: data
+        };
+
+        const resultado = await Modelo.create(recorrencia.user_id, dadosTransacao);
+
+        return { transacao: resultado[chave], error: resultado.error };
+    }
+
+    /**
+     * Gera as ocorrências pendentes de uma regra até a data informada.
+     * Cada ocorrência é reservada antes de ser criada, avançando proxima_data
+     * somente se ela ainda for a lida; assim duas execuções simultâneas
+     * (job e chamada manual) não geram a mesma ocorrência
+     * @param {Object} recorrencia - Regra de recorrência
+     * @param {string} ate - Data limite (YYYY-MM-DD)
+     * @returns {Array} Transações geradas
+     */
+    static async gerarOcorrencias(recorrencia, ate) {
+        const geradas = [];
+        let progresso = {
+            proxima_data: recorrencia.proxima_data,
+            ocorrencias_geradas: recorrencia.ocorrencias_geradas || 0,
+            ultima_data_gerada: recorrencia.ultima_data_gerada || null
+        };
+
+        while (
+            progresso.proxima_data <= ate
+            && this.podeGerar(recorrencia, progresso.proxima_data, progresso.ocorrencias_geradas)
+            && geradas.length < LIMITE_OCORRENCIAS_POR_EXECUCAO
+        ) {
+            const data = progresso.proxima_data;
+            const novoProgresso = {
+                proxima_data: this.calcularProximaData(recorrencia, data),
+                ocorrencias_geradas: progresso.ocorrencias_geradas + 1,
+                ultima_data_gerada: data
+            };
+
+            const reservada = await this.avancarProgresso(recorrencia.id, data, novoProgresso);
+            if (!reservada) {
+                // Outra execução já gerou esta ocorrência
+                break;
+            }
+
+            const { transacao, error } = await this.criarOcorrencia(recorrencia, data);
+
+            if (error) {
+                // Devolve a reserva para a ocorrência ser gerada na próxima execução
+                await this.avancarProgresso(recorrencia.id, novoProgresso.proxima_data, progresso);
+                throw new Error(error);
+            }
+
+            geradas.push(transacao);
+            progresso = novoProgresso;
+        }
+
+        return geradas;
+    }
+
+    /**
+     * Grava o progresso da regra se proxima_data ainda for a esperada
+     * @param {string} recorrenciaId - ID da regra
+     * @param {string} proximaDataAtual - proxima_data lida antes da gravação
+     * @param {Object} progresso - proxima_data, ocorrencias_geradas e ultima_data_gerada novas
+     * @returns {boolean} True se a gravação aconteceu
+     */
+    static async avancarProgresso(recorrenciaId, proximaDataAtual, progresso) {
+        const { data: atualizada, error } = await supabase
+            .from('gzen_recorrencias')
+            .update(progresso)
+            .eq('id', recorrenciaId)
+            .eq('proxima_data', proximaDataAtual)
+            .select('id')
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return Boolean(atualizada);
+    }
+
+    /**
+     * Gera ocorrências pendentes das regras ativas
+     * @param {string} userId - ID do usuário ou null para todos os usuários
+     * @param {string} ate - Data limite (YYYY-MM-DD)
+     * @returns {Object} Resumo da geração ou erro
+     */
+    static async gerarPendentes(userId, ate = hoje()) {
+        try {
+            let query = supabase
+                .from('gzen_recorrencias')
+                .select('*')
+                .eq('ativo', true)
+                .lte('proxima_data', ate);
+
+            if (userId) {
+                query = query.eq('user_id', userId);
+            }
+
+            const { data: recorrencias, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            const resultado = { receitas: [], despesas: [], falhas: [] };
+
+            for (const recorrencia of recorrencias) {
+                try {
+                    const geradas = await this.gerarOcorrencias(recorrencia, ate);
+                    const lista = recorrencia.tipo === 'receita' ? resultado.receitas : resultado.despesas;
+                    lista.push(...geradas);
+                } catch (recorrenciaError) {
+                    console.error(`Erro ao gerar ocorrências da recorrência ${recorrencia.id}:`, recorrenciaError);
+                    resultado.falhas.push({ recorrencia_id: recorrencia.id, erro: recorrenciaError.message });
+                }
+            }
+
+            return { resultado, error: null };
+        } catch (error) {
+            console.error('Erro ao gerar recorrências:', error);
+            return { resultado: null, error: error.message };
+        }
+    }
+
+    /**
+     * Atualiza uma ocorrência gerada, apenas ela ou ela e as futuras
+     * @param {string} recorrenciaId - ID da regra
+     * @param {string} transacaoId - ID da receita/despesa gerada
+     * @param {string} userId - ID do usuário
+     * @param {string} escopo - 'apenas_esta' ou 'esta_e_futuras'
+     * @param {Object} updateData - Dados para atualizar
+     * @returns {Object} Transações atualizadas ou erro
+     */
+    static async atualizarOcorrencia(recorrenciaId, transacaoId, userId, escopo, updateData) {
+        try {
+            const recorrencia = await this.findById(recorrenciaId, userId);
+            if (!recorrencia) {
+                throw new Error('Recorrência não encontrada');
+            }
+
+            const { Modelo, tabela, campoData, chave } = this.getDestino(recorrencia.tipo);
+
+            const ocorrencia = await Modelo.findById(transacaoId, userId);
+            if (!ocorrencia || ocorrencia.recorrencia_id !== recorrenciaId) {
+                throw new Error('Ocorrência não encontrada para esta recorrência');
+            }
+
+            const { data, ...dados } = updateData;
+            if (data) {
+                dados[campoData] = data;
+            }
+
+            if (escopo === 'apenas_esta') {
+                const resultado = await Modelo.update(transacaoId, userId, dados);
+
+                if (resultado.error) {
+                    throw new Error(resultado.error);
+                }
+
+                return { transacoes: [resultado[chave]], recorrencia, error: null };
+            }
+
+            // Esta e futuras: status continua valendo só para esta ocorrência
+            const camposModelo = {};
+            CAMPOS_MODELO.forEach(campo => {
+                if (dados[campo] !== undefined) {
+                    camposModelo[campo] = dados[campo];
+                }
+            });
+
+            const { data: futuras, error } = await supabase
+                .from(tabela)
+                .select('id')
+                .eq('recorrencia_id', recorrenciaId)
+                .eq('user_id', userId)
+                .eq('ativo', true)
+                .gte(campoData, ocorrencia[campoData]);
+
+            if (error) {
+                throw error;
+            }
+
+            const transacoes = [];
+            for (const futura of futuras) {
+                const dadosOcorrencia = futura.id === transacaoId ? dados : camposModelo;
+
+                if (Object.keys(dadosOcorrencia).length === 0) {
+                    continue;
+                }
+
+                const resultado = await Modelo.update(futura.id, userId, { ...dadosOcorrencia });
+
+                if (resultado.error) {
+                    throw new Error(resultado.error);
+                }
+
+                transacoes.push(resultado[chave]);
+            }
+
+            // Ocorrências ainda não geradas passam a usar os novos valores
+            let recorrenciaAtualizada = recorrencia;
+            if (Object.keys(camposModelo).length > 0) {
+                const { data: atualizada, error: updateError } = await supabase
+                    .from('gzen_recorrencias')
+                    .update(camposModelo)
+                    .eq('id', recorrenciaId)
+                    .select('*')
+                    .single();
+
+                if (updateError) {
+                    throw updateError;
+                }
+
+                recorrenciaAtualizada = atualizada;
+            }
+
+            return { transacoes, recorrencia: recorrenciaAtualizada, error: null };
+        } catch (error) {
+            console.error('Erro ao atualizar ocorrência:', error);
+            return { transacoes: [], recorrencia: null, error: error.message };
+        }
+    }
+}
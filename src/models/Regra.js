@@ -0,0 +1,447 @@
+// Regra.js
+import { supabase } from '../config/supabaseClient.js';
+import { normalizarDescricao } from '../utils/importUtils.js';
+import { regexSegura } from '../utils/financeValidators.js';
+
+// Transações recentes consultadas para sugerir categorias por nomes parecidos
+const LIMITE_HISTORICO_SUGESTAO = 500;
+
+// Similaridade mínima (palavras em comum) para uma transação contar como parecida
+const SIMILARIDADE_MINIMA = 0.5;
+
+// Transações lidas por consulta na aplicação retroativa
+const LOTE_APLICACAO = 500;
+
+// Caracteres do nome testados pela expressão regular da regra (o mesmo limite do nome da transação)
+const TAMANHO_MAXIMO_NOME_REGEX = 255;
+
+// Tabelas de cada tipo de transação
+const DESTINOS = {
+    receita: { tabela: 'gzen_receitas', tabelaTags: 'gzen_receita_tags', campoId: 'receita_id', campoData: 'data_receita' },
+    despesa: { tabela: 'gzen_despesas', tabelaTags: 'gzen_despesa_tags', campoId: 'despesa_id', campoData: 'data_despesa' }
+};
+
+/**
+ * Extrai as palavras relevantes de um nome (sem acento, sem números e com 3+ letras)
+ * @param {string} nome - Nome da transação
+ * @returns {Set} Palavras
+ */
+const extrairPalavras = (nome) => new Set(
+    normalizarDescricao(nome)
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .split(' ')
+        .filter(palavra => palavra.length > 2 && !/^\d+$/.test(palavra))
+);
+
+/**
+ * Similaridade de Jaccard entre dois conjuntos de palavras
+ * @param {Set} a - Palavras de um nome
+ * @param {Set} b - Palavras do outro nome
+ * @returns {number} Similaridade entre 0 e 1
+ */
+const similaridade = (a, b) => {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+
+    const comuns = [...a].filter(palavra => b.has(palavra)).length;
+    return comuns / (a.size + b.size - comuns);
+};
+
+export class Regra {
+    /**
+     * Cria uma regra de categorização
+     * @param {string} userId - ID do usuário
+     * @param {Object} regraData - Dados da regra
+     * @returns {Object} Regra criada ou erro
+     */
+    static async create(userId, regraData) {
+        try {
+            const { data: regra, error } = await supabase
+                .from('gzen_regras_categorizacao')
+                .insert([{ ...regraData, user_id: userId }])
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { regra, error: null };
+        } catch (error) {
+            console.error('Erro ao criar regra de categorização:', error);
+            return { regra: null, error: error.message };
+        }
+    }
+
+    /**
+     * Lista as regras ativas do usuário, da maior para a menor prioridade
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Regras
+     */
+    static async findByUserId(userId) {
+        const { data: regras, error } = await supabase
+            .from('gzen_regras_categorizacao')
+            .select('*, categoria:gzen_categories(id, nome, tipo)')
+            .eq('user_id', userId)
+            .eq('ativo', true)
+            .order('prioridade', { ascending: false })
+            .order('created_at');
+
+        if (error) {
+            throw error;
+        }
+
+        return regras || [];
+    }
+
+    /**
+     * Busca uma regra do usuário
+     * @param {string} regraId - ID da regra
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Regra ou null
+     */
+    static async findById(regraId, userId) {
+        const { data: regra, error } = await supabase
+            .from('gzen_regras_categorizacao')
+            .select('*, categoria:gzen_categories(id, nome, tipo)')
+            .eq('id', regraId)
+            .eq('user_id', userId)
+            .eq('ativo', true)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return regra;
+    }
+
+    /**
+     * Atualiza uma regra
+     * @param {string} regraId - ID da regra (já verificada)
+     * @param {Object} updateData - Dados para atualizar
+     * @returns {Object} Regra atualizada ou erro
+     */
+    static async update(regraId, updateData) {
+        try {
+            const { data: regra, error } = await supabase
+                .from('gzen_regras_categorizacao')
+                .update({ ...updateData, updated_at: new Date().toISOString() })
+                .eq('id', regraId)
+                .select('*')
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return { regra, error: null };
+        } catch (error) {
+            console.error('Erro ao atualizar regra de categorização:', error);
+            return { regra: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove uma regra (soft delete); transações já categorizadas não mudam
+     * @param {string} regraId - ID da regra (já verificada)
+     * @returns {Object} Resultado da operação
+     */
+    static async delete(regraId) {
+        try {
+            const { error } = await supabase
+                .from('gzen_regras_categorizacao')
+                .update({ ativo: false, updated_at: new Date().toISOString() })
+                .eq('id', regraId);
+
+            if (error) {
+                throw error;
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao remover regra de categorização:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Verifica se a transação atende a todas as condições da regra
+     * @param {Object} regra - Regra de categorização
+     * @param {string} tipo - 'receita' ou 'despesa'
+     * @param {Object} transacao - nome, valor e account_id
+     * @returns {boolean} True se a regra se aplica
+     */
+    static corresponde(regra, tipo, transacao) {
+        if (regra.tipo !== 'ambos' && regra.tipo !== tipo) {
+            return false;
+        }
+
+        if (regra.account_id && regra.account_id !== transacao.account_id) {
+            return false;
+        }
+
+        const valor = parseFloat(transacao.valor);
+        if ((regra.valor_min != null || regra.valor_max != null) && Number.isNaN(valor)) {
+            return false;
+        }
+        if (regra.valor_min != null && valor < parseFloat(regra.valor_min)) {
+            return false;
+        }
+        if (regra.valor_max != null && valor > parseFloat(regra.valor_max)) {
+            return false;
+        }
+
+        if (regra.nome_contem
+            && !normalizarDescricao(transacao.nome).includes(normalizarDescricao(regra.nome_contem))) {
+            return false;
+        }
+
+        if (regra.nome_regex) {
+            // Expressões gravadas antes das verificações atuais não chegam a ser testadas
+            if (!regexSegura(regra.nome_regex)) {
+                return false;
+            }
+
+            try {
+                return new RegExp(regra.nome_regex, 'i')
+                    .test((transacao.nome || '').slice(0, TAMANHO_MAXIMO_NOME_REGEX));
+            } catch (error) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Resolve o que as regras definem para a transação: a categoria da regra de maior
+     * prioridade que tenha categoria e as tags de todas as regras que se aplicam
+     * @param {Array} regras - Regras ordenadas por prioridade
+     * @param {string} tipo - 'receita' ou 'despesa'
+     * @param {Object} transacao - nome, valor e account_id
+     * @returns {Object} category_id (ou null), tags e IDs das regras aplicadas
+     */
+    static resolver(regras, tipo, transacao) {
+        const aplicaveis = regras.filter(regra => this.corresponde(regra, tipo, transacao));
+
+        return {
+            category_id: aplicaveis.find(regra => regra.category_id)?.category_id || null,
+            tags: [...new Set(aplicaveis.flatMap(regra => regra.tags || []))],
+            regras: aplicaveis.map(regra => regra.id)
+        };
+    }
+
+    /**
+     * Aplica as regras aos dados de uma nova transação; a categoria informada
+     * pelo usuário prevalece e as tags das regras se somam às informadas
+     * @param {Array} regras - Regras ordenadas por prioridade
+     * @param {string} tipo - 'receita' ou 'despesa'
+     * @param {Object} dados - Dados validados da transação
+     * @returns {Object} Dados com categoria e tags
+     */
+    static aplicar(regras, tipo, dados) {
+        const { category_id, tags } = this.resolver(regras, tipo, dados);
+
+        return {
+            ...dados,
+            category_id: dados.category_id || category_id || undefined,
+            tags: [...new Set([...(dados.tags || []), ...tags])]
+        };
+    }
+
+    /**
+     * Carrega as regras do usuário e aplica aos dados de uma nova transação
+     * @param {string} userId - ID do usuário
+     * @param {string} tipo - 'receita' ou 'despesa'
+     * @param {Object} dados - Dados validados da transação
+     * @returns {Object} Dados com categoria e tags
+     */
+    static async categorizar(userId, tipo, dados) {
+        return this.aplicar(await this.findByUserId(userId), tipo, dados);
+    }
+
+    /**
+     * Carrega as transações categorizadas mais recentes do usuário para as sugestões
+     * @param {string} userId - ID do usuário
+     * @param {string} tipo - 'receita' ou 'despesa'
+     * @returns {Array} Histórico { category_id, palavras }
+     */
+    static async findHistorico(userId, tipo) {
+        const { tabela, campoData } = DESTINOS[tipo];
+
+        const { data: transacoes, error } = await supabase
+            .from(tabela)
+            .select('nome, category_id')
+            .eq('user_id', userId)
+            .eq('ativo', true)
+            .not('category_id', 'is', null)
+            .order(campoData, { ascending: false })
+            .limit(LIMITE_HISTORICO_SUGESTAO);
+
+        if (error) {
+            throw error;
+        }
+
+        return transacoes.map(transacao => ({
+            category_id: transacao.category_id,
+            palavras: extrairPalavras(transacao.nome)
+        }));
+    }
+
+    /**
+     * Sugere a categoria mais usada nas transações com nome parecido
+     * @param {Array} historico - Histórico carregado por findHistorico
+     * @param {string} nome - Nome da transação
+     * @returns {Object} { category_id, confianca, ocorrencias } ou null sem transações parecidas
+     */
+    static sugerirDoHistorico(historico, nome) {
+        const palavras = extrairPalavras(nome);
+        const pontos = new Map();
+        let total = 0;
+
+        for (const transacao of historico) {
+            const pontuacao = similaridade(palavras, transacao.palavras);
+            if (pontuacao < SIMILARIDADE_MINIMA) {
+                continue;
+            }
+
+            const atual = pontos.get(transacao.category_id) || { pontuacao: 0, ocorrencias: 0 };
+            pontos.set(transacao.category_id, {
+                pontuacao: atual.pontuacao + pontuacao,
+                ocorrencias: atual.ocorrencias + 1
+            });
+            total += pontuacao;
+        }
+
+        if (total === 0) {
+            return null;
+        }
+
+        const [categoryId, melhor] = [...pontos.entries()]
+            .sort(([, a], [, b]) => b.pontuacao - a.pontuacao)[0];
+
+        return {
+            category_id: categoryId,
+            confianca: Math.round((melhor.pontuacao / total) * 100) / 100,
+            ocorrencias: melhor.ocorrencias
+        };
+    }
+
+    /**
+     * Sugere a categoria de uma transação pelo histórico do usuário
+     * @param {string} userId - ID do usuário
+     * @param {string} tipo - 'receita' ou 'despesa'
+     * @param {string} nome - Nome da transação
+     * @returns {Object} Sugestão ou null
+     */
+    static async sugerirCategoria(userId, tipo, nome) {
+        return this.sugerirDoHistorico(await this.findHistorico(userId, tipo), nome);
+    }
+
+    /**
+     * Aplica as regras às transações já lançadas pelo usuário: preenche a categoria
+     * (ou substitui, com sobrescrever_categoria) e adiciona as tags que faltam
+     * @param {string} userId - ID do usuário
+     * @param {Object} opcoes - tipo, data_inicio, data_fim, regra_ids e sobrescrever_categoria
+     * @returns {Object} Transações analisadas e alteradas ou erro
+     */
+    static async aplicarRetroativo(userId, opcoes = {}) {
+        try {
+            let regras = await this.findByUserId(userId);
+            if (opcoes.regra_ids?.length) {
+                regras = regras.filter(regra => opcoes.regra_ids.includes(regra.id));
+            }
+
+            const resultado = { analisadas: 0, atualizadas: [] };
+            if (regras.length === 0) {
+                return { resultado, error: null };
+            }
+
+            const tipos = opcoes.tipo ? [opcoes.tipo] : ['receita', 'despesa'];
+
+            for (const tipo of tipos) {
+                const { tabela, tabelaTags, campoId, campoData } = DESTINOS[tipo];
+
+                for (let offset = 0; ; offset += LOTE_APLICACAO) {
+                    let query = supabase
+                        .from(tabela)
+                        .select(`id, nome, valor, account_id, category_id, ${tabelaTags}(tag_id)`)
+                        .eq('user_id', userId)
+                        .eq('ativo', true);
+
+                    if (opcoes.data_inicio) {
+                        query = query.gte(campoData, opcoes.data_inicio);
+                    }
+                    if (opcoes.data_fim) {
+                        query = query.lte(campoData, opcoes.data_fim);
+                    }
+
+                    const { data: transacoes, error } = await query
+                        .order('id')
+                        .range(offset, offset + LOTE_APLICACAO - 1);
+
+                    if (error) {
+                        throw error;
+                    }
+
+                    for (const transacao of transacoes) {
+                        const { category_id, tags } = this.resolver(regras, tipo, transacao);
+                        const tagsAtuais = (transacao[tabelaTags] || []).map(item => item.tag_id);
+
+                        const novaCategoria = category_id
+                            && category_id !== transacao.category_id
+                            && (opcoes.sobrescrever_categoria || !transacao.category_id)
+                            ? category_id
+                            : null;
+                        const novasTags = tags.filter(tag => !tagsAtuais.includes(tag));
+
+                        if (novaCategoria) {
+                            const { error: updateError } = await supabase
+                                .from(tabela)
+                                .update({ category_id: novaCategoria })
+                                .eq('id', transacao.id);
+
+                            if (updateError) {
+                                throw updateError;
+                            }
+                        }
+
+                        if (novasTags.length > 0) {
+                            const { error: tagsError } = await supabase
+                                .from(tabelaTags)
+                                .insert(novasTags.map(tagId => ({ [campoId]: transacao.id, tag_id: tagId })));
+
+                            if (tagsError) {
+                                throw tagsError;
+                            }
+                        }
+
+                        if (novaCategoria || novasTags.length > 0) {
+                            resultado.atualizadas.push({
+                                tipo,
+                                id: transacao.id,
+                                nome: transacao.nome,
+                                category_id: novaCategoria || transacao.category_id,
+                                categoria_alterada: Boolean(novaCategoria),
+                                tags_adicionadas: novasTags
+                            });
+                        }
+                    }
+
+                    resultado.analisadas += transacoes.length;
+
+                    if (transacoes.length < LOTE_APLICACAO) {
+                        break;
+                    }
+                }
+            }
+
+            return { resultado, error: null };
+        } catch (error) {
+            console.error('Erro ao aplicar regras de categorização:', error);
+            return { resultado: null, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,40 @@
+// Regra.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'teste';
+
+const { Regra } = await import('./Regra.js');
+
+const regra = (campos) => ({ tipo: 'ambos', ...campos });
+
+describe('Regra.corresponde', () => {
+    it('aplica a expressão regular ao nome sem diferenciar maiúsculas', () => {
+        assert.equal(Regra.corresponde(regra({ nome_regex: '^uber' }), 'despesa', { nome: 'UBER *TRIP' }), true);
+        assert.equal(Regra.corresponde(regra({ nome_regex: '^uber' }), 'despesa', { nome: 'Pix Uber' }), false);
+    });
+
+    it('ignora expressão perigosa gravada antes da validação, sem travar', () => {
+        const inicio = Date.now();
+        const aplica = Regra.corresponde(regra({ nome_regex: 'a*a*a*a*b' }), 'despesa', { nome: 'a'.repeat(255) });
+
+        assert.equal(aplica, false);
+        assert.ok(Date.now() - inicio < 100);
+    });
+
+    it('testa só o início de nomes longos', () => {
+        const nome = 'a'.repeat(300) + 'fim';
+        assert.equal(Regra.corresponde(regra({ nome_regex: 'fim$' }), 'despesa', { nome }), false);
+        assert.equal(Regra.corresponde(regra({ nome_regex: '^a' }), 'despesa', { nome }), true);
+    });
+
+    it('respeita tipo, conta e faixa de valor', () => {
+        const condicoes = regra({ tipo: 'despesa', account_id: 'conta-1', valor_min: 10, valor_max: 20 });
+
+        assert.equal(Regra.corresponde(condicoes, 'despesa', { account_id: 'conta-1', valor: 15 }), true);
+        assert.equal(Regra.corresponde(condicoes, 'receita', { account_id: 'conta-1', valor: 15 }), false);
+        assert.equal(Regra.corresponde(condicoes, 'despesa', { account_id: 'conta-2', valor: 15 }), false);
+        assert.equal(Regra.corresponde(condicoes, 'despesa', { account_id: 'conta-1', valor: 25 }), false);
+    });
+});
@@ -0,0 +1,274 @@
+// Salario.js
+import { supabase } from '../config/supabaseClient.js';
+import { Receita } from './Receita.js';
+import { dataNoMes, formatarData, hoje, parseData } from '../utils/dateUtils.js';
+
+// Dia em que cai o salário (ou o restante dele) quando o perfil não informa
+const DIA_PAGAMENTO_PADRAO = 30;
+
+// Adiantamento padrão do pagamento quinzenal: 40% do salário no dia 15
+const ADIANTAMENTO_QUINZENAL = { dia: 15, percentual: 0.4 };
+
+// Dia da semana padrão do pagamento semanal (sexta-feira)
+const DIA_SEMANA_PADRAO = 5;
+
+// Salário mensal convertido em pagamento semanal (52 semanas por ano)
+const SEMANAS_POR_MES = 52 / 12;
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+/**
+ * Lê o mapa subsalario do perfil, descartando chaves fora do intervalo e valores não positivos
+ * @param {Object} subsalario - Mapa { chave: valor } do perfil
+ * @param {number} min - Menor chave aceita
+ * @param {number} max - Maior chave aceita
+ * @returns {Array} Pares [chave, valor] ordenados pela chave
+ */
+const lerSubsalario = (subsalario, min, max) => Object.entries(subsalario || {})
+    .map(([chave, valor]) => [Number(chave), parseFloat(valor)])
+    .filter(([chave, valor]) => Number.isInteger(chave) && chave >= min && chave <= max && valor > 0)
+    .sort(([a], [b]) => a - b);
+
+export class Salario {
+    /**
+     * Monta os pagamentos de salário de um mês.
+     * Mensal/quinzenal: subsalario é { "<dia do mês>": valor } com os adiantamentos;
+     * o restante do salário cai no dia 30 (ou no último dia do mês). Sem subsalario,
+     * o quinzenal adianta 40% no dia 15.
+     * Semanal: subsalario é { "<dia da semana 0-6>": valor por semana }; sem ele, o
+     * salário mensal é pago proporcionalmente toda sexta-feira.
+     * @param {Object} profile - Perfil (salario, metodo_pagamento, subsalario)
+     * @param {number} ano - Ano
+     * @param {number} mes - Mês (1-12)
+     * @returns {Array} Pagamentos { data, valor, parcela_salario, total_parcelas_salario }
+     */
+    static calcularParcelasDoMes(profile, ano, mes) {
+        const salario = parseFloat(profile?.salario) || 0;
+        if (salario <= 0) {
+            return [];
+        }
+
+        const pagamentos = new Map();
+        const adicionar = (data, valor) => {
+            pagamentos.set(data, (pagamentos.get(data) || 0) + valor);
+        };
+
+        if (profile.metodo_pagamento === 'semanal') {
+            let dias = lerSubsalario(profile.subsalario, 0, 6);
+            if (dias.length === 0) {
+                dias = [[DIA_SEMANA_PADRAO, salario / SEMANAS_POR_MES]];
+            }
+
+            const ultimoDia = dataNoMes(ano, mes, 31).getUTCDate();
+            for (let dia = 1; dia <= ultimoDia; dia++) {
+                const data = dataNoMes(ano, mes, dia);
+                const semanal = dias.find(([diaSemana]) => diaSemana === data.getUTCDay());
+                if (semanal) {
+                    adicionar(formatarData(data), semanal[1]);
+                }
+            }
+        } else {
+            let adiantamentos = lerSubsalario(profile.subsalario, 1, 31);
+            if (adiantamentos.length === 0 && profile.metodo_pagamento === 'quinzenal') {
+                adiantamentos = [[ADIANTAMENTO_QUINZENAL.dia, salario * ADIANTAMENTO_QUINZENAL.percentual]];
+            }
+
+            adiantamentos.forEach(([dia, valor]) => adicionar(formatarData(dataNoMes(ano, mes, dia)), valor));
+
+            const restante = salario - adiantamentos.reduce((soma, [, valor]) => soma + valor, 0);
+            if (restante > 0.005) {
+                adicionar(formatarData(dataNoMes(ano, mes, DIA_PAGAMENTO_PADRAO)), restante);
+            }
+        }
+
+        const datas = [...pagamentos.keys()].sort();
+
+        return datas.map((data, index) => ({
+            data,
+            valor: arredondar(pagamentos.get(data)),
+            parcela_salario: index + 1,
+            total_parcelas_salario: datas.length
+        }));
+    }
+
+    /**
+     * Monta os pagamentos de salário esperados em um período
+     * @param {Object} profile - Perfil (salario, metodo_pagamento, subsalario)
+     * @param {string} inicio - Data inicial (YYYY-MM-DD)
+     * @param {string} fim - Data final (YYYY-MM-DD)
+     * @returns {Array} Pagamentos { data, competencia, valor, parcela_salario, total_parcelas_salario }
+     */
+    static calcularAgenda(profile, inicio, fim) {
+        const agenda = [];
+        const dataInicio = parseData(inicio);
+        const dataFim = parseData(fim);
+
+        let ano = dataInicio.getUTCFullYear();
+        let mes = dataInicio.getUTCMonth() + 1;
+
+        while (ano < dataFim.getUTCFullYear()
+            || (ano === dataFim.getUTCFullYear() && mes <= dataFim.getUTCMonth() + 1)) {
+            const competencia = `${ano}-${mes.toString().padStart(2, '0')}`;
+
+            this.calcularParcelasDoMes(profile, ano, mes)
+                .filter(pagamento => pagamento.data >= inicio && pagamento.data <= fim)
+                .forEach(pagamento => agenda.push({ ...pagamento, competencia }));
+
+            mes += 1;
+            if (mes > 12) {
+                mes = 1;
+                ano += 1;
+            }
+        }
+
+        return agenda;
+    }
+
+    /**
+     * Gera as receitas de salário previstas de uma competência, como pendentes,
+     * para os perfis com salário e conta de salário definidos
+     * @param {string} userId - ID do usuário ou null para todos os usuários
+     * @param {string} competencia - Mês (YYYY-MM; padrão: mês atual)
+     * @returns {Object} Resumo da geração ou erro
+     */
+    static async gerarEsperadas(userId, competencia = hoje().substring(0, 7)) {
+        try {
+            let query = supabase
+                .from('gzen_profiles')
+                .select('user_id, salario, metodo_pagamento, subsalario, conta_salario_id, category_salario_id')
+                .gt('salario', 0)
+                .not('conta_salario_id', 'is', null);
+
+            if (userId) {
+                query = query.eq('user_id', userId);
+            }
+
+            const { data: profiles, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            const resultado = { receitas: [], falhas: [] };
+
+            for (const profile of profiles) {
+                try {
+                    resultado.receitas.push(...await this.gerarDoPerfil(profile, competencia));
+                } catch (perfilError) {
+                    console.error(`Erro ao gerar salário do usuário ${profile.user_id}:`, perfilError);
+                    resultado.falhas.push({ user_id: profile.user_id, erro: perfilError.message });
+                }
+            }
+
+            return { resultado, error: null };
+        } catch (error) {
+            console.error('Erro ao gerar salários:', error);
+            return { resultado: null, error: error.message };
+        }
+    }
+
+    /**
+     * Gera as parcelas de salário do perfil que ainda não foram lançadas na competência
+     * (parcelas removidas ou canceladas não voltam a ser geradas)
+     * @param {Object} profile - Perfil com conta de salário
+     * @param {string} competencia - Mês (YYYY-MM)
+     * @returns {Array} Receitas geradas
+     */
+    static async gerarDoPerfil(profile, competencia) {
+        const [ano, mes] = competencia.split('-').map(Number);
+        const inicioMes = `${competencia}-01`;
+        const fimMes = formatarData(dataNoMes(ano, mes, 31));
+
+        // Também conta o salário lançado à mão no mês (sem competência)
+        const { data: existentes, error } = await supabase
+            .from('gzen_receitas')
+            .select('parcela_salario')
+            .eq('user_id', profile.user_id)
+            .eq('eh_salario', true)
+            .or(
+                `competencia_salario.eq.${competencia},` +
+                `and(competencia_salario.is.null,data_receita.gte.${inicioMes},data_receita.lte.${fimMes})`
+            );
+
+        if (error) {
+            throw error;
+        }
+
+        const geradas = new Set(existentes.map(receita => receita.parcela_salario || 1));
+        const receitas = [];
+
+        for (const parcela of this.calcularParcelasDoMes(profile, ano, mes)) {
+            if (geradas.has(parcela.parcela_salario)) {
+                continue;
+            }
+
+            const sufixo = parcela.total_parcelas_salario > 1
+                ? ` (${parcela.parcela_salario}/${parcela.total_parcelas_salario})`
+                : '';
+
+            const { receita, error: receitaError } = await Receita.create(profile.user_id, {
+                account_id: profile.conta_salario_id,
+                category_id: profile.category_salario_id || undefined,
+                nome: `Salário ${competencia}${sufixo}`,
+                valor: parcela.valor,
+                data_receita: parcela.data,
+                eh_salario: true,
+                parcela_salario: parcela.parcela_salario,
+                total_parcelas_salario: parcela.total_parcelas_salario,
+                competencia_salario: competencia,
+                status: 'pendente',
+                tags: []
+            });
+
+            if (receitaError) {
+                throw new Error(receitaError);
+            }
+
+            receitas.push(receita);
+        }
+
+        return receitas;
+    }
+
+    /**
+     * Compara o salário esperado pelo perfil com as receitas de salário do mês
+     * @param {Object} profile - Perfil (salario, metodo_pagamento, subsalario)
+     * @param {number} ano - Ano
+     * @param {number} mes - Mês (1-12)
+     * @param {Array} receitas - Receitas de salário do mês (valor, status, parcela_salario)
+     * @returns {Object} Esperado, recebido, pendente, diferença e situação de cada parcela
+     */
+    static compararMes(profile, ano, mes, receitas) {
+        const somar = (lista, status) => arredondar(lista
+            .filter(receita => receita.status === status)
+            .reduce((soma, receita) => soma + parseFloat(receita.valor), 0));
+
+        const previstas = this.calcularParcelasDoMes(profile, ano, mes);
+
+        const parcelas = previstas.map(prevista => {
+            const daParcela = receitas.filter(receita => (receita.parcela_salario || 1) === prevista.parcela_salario);
+            const recebido = somar(daParcela, 'confirmada');
+            const pendente = somar(daParcela, 'pendente');
+
+            return {
+                parcela_salario: prevista.parcela_salario,
+                data_prevista: prevista.data,
+                valor_esperado: prevista.valor,
+                valor_recebido: recebido,
+                valor_pendente: pendente,
+                status: recebido > 0 ? 'recebida' : (pendente > 0 ? 'pendente' : 'nao_lancada')
+            };
+        });
+
+        const esperado = arredondar(previstas.reduce((soma, prevista) => soma + prevista.valor, 0));
+        const recebido = somar(receitas, 'confirmada');
+
+        return {
+            esperado,
+            recebido,
+            pendente: somar(receitas, 'pendente'),
+            diferenca: arredondar(recebido - esperado),
+            parcelas
+        };
+    }
+}
@@ -0,0 +1,243 @@
+// Sessao.js
+import crypto from 'crypto';
+import { supabase } from '../config/supabaseClient.js';
+import {
+    ACCESS_TOKEN_EXPIRACAO,
+    REFRESH_TOKEN_DIAS,
+    gerarAccessToken,
+    gerarRefreshToken,
+    hashToken,
+    lerRefreshToken
+} from '../utils/tokenUtils.js';
+
+// Campos expostos na listagem de sessões (nunca o hash do token)
+const CAMPOS_PUBLICOS = 'id, user_agent, ip, created_at, ultimo_uso_em, expira_em';
+
+const expiracaoRefresh = () => new Date(Date.now() + REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000).toISOString();
+
+export class Sessao {
+    /**
+     * Abre uma sessão para o dispositivo e emite o par de tokens
+     * @param {string} userId - ID do usuário
+     * @param {Object} dispositivo - user_agent e ip da requisição
+     * @returns {Object} Tokens emitidos ou erro
+     */
+    static async criar(userId, dispositivo = {}) {
+        try {
+            const id = crypto.randomUUID();
+            const refresh = gerarRefreshToken(id);
+
+            const { error } = await supabase
+                .from('gzen_sessoes')
+                .insert([{
+                    id,
+                    user_id: userId,
+                    refresh_token_hash: refresh.hash,
+                    user_agent: dispositivo.user_agent || null,
+                    ip: dispositivo.ip || null,
+                    expira_em: expiracaoRefresh(),
+                    ultimo_uso_em: new Date().toISOString()
+                }]);
+
+            if (error) {
+                throw error;
+            }
+
+            return {
+                tokens: {
+                    token: gerarAccessToken(userId, id),
+                    refresh_token: refresh.token,
+                    expires_in: ACCESS_TOKEN_EXPIRACAO
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao criar sessão:', error);
+            return { tokens: null, error: error.message };
+        }
+    }
+
+    /**
+     * Troca um refresh token por um novo par de tokens (rotação).
+     * Um refresh token já usado indica vazamento, então a sessão é revogada.
+     * @param {string} refreshToken - Refresh token recebido
+     * @param {Object} dispositivo - user_agent e ip da requisição
+     * @returns {Object} Novos tokens ou erro
+     */
+    static async renovar(refreshToken, dispositivo = {}) {
+        try {
+            const lido = lerRefreshToken(refreshToken);
+            if (!lido) {
+                return { tokens: null, error: 'Refresh token inválido' };
+            }
+
+            const { data: sessao, error } = await supabase
+                .from('gzen_sessoes')
+                .select('*')
+                .eq('id', lido.sessaoId)
+                .maybeSingle();
+
+            if (error) {
+                throw error;
+            }
+
+            if (!sessao || sessao.revogada_em || new Date(sessao.expira_em) <= new Date()) {
+                return { tokens: null, error: 'Sessão expirada ou encerrada' };
+            }
+
+            const hashRecebido = hashToken(lido.segredo);
+            if (hashRecebido !== sessao.refresh_token_hash) {
+                await this.revogar(sessao.id, sessao.user_id);
+                return { tokens: null, error: 'Refresh token reutilizado; sessão encerrada' };
+            }
+
+            const refresh = gerarRefreshToken(sessao.id);
+
+            // Só troca se o hash ainda for o lido, evitando duas renovações simultâneas
+            const { data: atualizadas, error: updateError } = await supabase
+                .from('gzen_sessoes')
+                .update({
+                    refresh_token_hash: refresh.hash,
+                    user_agent: dispositivo.user_agent || sessao.user_agent,
+                    ip: dispositivo.ip || sessao.ip,
+                    expira_em: expiracaoRefresh(),
+                    ultimo_uso_em: new Date().toISOString()
+                })
+                .eq('id', sessao.id)
+                .eq('refresh_token_hash', hashRecebido)
+                .is('revogada_em', null)
+                .select('id');
+
+            if (updateError) {
+                throw updateError;
+            }
+
+            if (atualizadas.length === 0) {
+                return { tokens: null, error: 'Refresh token inválido' };
+            }
+
+            return {
+                tokens: {
+                    token: gerarAccessToken(sessao.user_id, sessao.id),
+                    refresh_token: refresh.token,
+                    expires_in: ACCESS_TOKEN_EXPIRACAO
+                },
+                error: null
+            };
+        } catch (error) {
+            console.error('Erro ao renovar sessão:', error);
+            // A resposta é um 401 ao cliente: não expõe o erro do banco
+            return { tokens: null, error: 'Refresh token inválido' };
+        }
+    }
+
+    /**
+     * Verifica se a sessão do access token ainda está ativa
+     * @param {string} id - ID da sessão
+     * @param {string} userId - ID do usuário
+     * @returns {boolean} True se a sessão não foi revogada nem expirou
+     */
+    static async isAtiva(id, userId) {
+        const { data: sessao, error } = await supabase
+            .from('gzen_sessoes')
+            .select('id, expira_em')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .is('revogada_em', null)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return Boolean(sessao) && new Date(sessao.expira_em) > new Date();
+    }
+
+    /**
+     * Lista as sessões ativas do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Array} Sessões ativas
+     */
+    static async findAtivasByUserId(userId) {
+        try {
+            const { data: sessoes, error } = await supabase
+                .from('gzen_sessoes')
+                .select(CAMPOS_PUBLICOS)
+                .eq('user_id', userId)
+                .is('revogada_em', null)
+                .gt('expira_em', new Date().toISOString())
+                .order('ultimo_uso_em', { ascending: false });
+
+            if (error) {
+                throw error;
+            }
+
+            return sessoes;
+        } catch (error) {
+            console.error('Erro ao buscar sessões:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Revoga uma sessão do usuário
+     * @param {string} id - ID da sessão
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Sucesso ou erro
+     */
+    static async revogar(id, userId) {
+        try {
+            const { data: sessoes, error } = await supabase
+                .from('gzen_sessoes')
+                .update({ revogada_em: new Date().toISOString() })
+                .eq('id', id)
+                .eq('user_id', userId)
+                .is('revogada_em', null)
+                .select('id');
+
+            if (error) {
+                throw error;
+            }
+
+            if (sessoes.length === 0) {
+                return { success: false, error: 'Sessão não encontrada' };
+            }
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao revogar sessão:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Revoga todas as sessões do usuário
+     * @param {string} userId - ID do usuário
+     * @param {string} excetoId - ID de uma sessão a manter (opcional)
+     * @returns {Object} Quantidade revogada ou erro
+     */
+    static async revogarTodas(userId, excetoId = null) {
+        try {
+            let query = supabase
+                .from('gzen_sessoes')
+                .update({ revogada_em: new Date().toISOString() })
+                .eq('user_id', userId)
+                .is('revogada_em', null);
+
+            if (excetoId) {
+                query = query.neq('id', excetoId);
+            }
+
+            const { data: sessoes, error } = await query.select('id');
+
+            if (error) {
+                throw error;
+            }
+
+            return { revogadas: sessoes.length, error: null };
+        } catch (error) {
+            console.error('Erro ao revogar sessões:', error);
+            return { revogadas: 0, error: error.message };
+        }
+    }
+}
@@ -0,0 +1,153 @@
+// Sessao.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY ||= 'teste';
+process.env.JWT_SECRET ||= 'teste';
+
+const { supabase } = await import('../config/supabaseClient.js');
+const { gerarRefreshToken, hashToken, lerRefreshToken } = await import('../utils/tokenUtils.js');
+const { Sessao } = await import('./Sessao.js');
+
+const SESSAO_ID = '3f1c2a4e-8b7d-4c6e-9a1f-2b3c4d5e6f70';
+const USER = 'usuario-1';
+
+/**
+ * Simula o query builder do Supabase: registra as chamadas e resolve com o
+ * próximo resultado da fila
+ */
+const simularBanco = (resultados) => {
+    const consultas = [];
+
+    mock.method(supabase, 'from', (tabela) => {
+        const consulta = { tabela, chamadas: [] };
+        consultas.push(consulta);
+        const resultado = resultados.shift();
+
+        const builder = new Proxy({}, {
+            get: (alvo, metodo) => {
+                if (metodo === 'then') {
+                    return (resolver, rejeitar) => Promise.resolve(resultado).then(resolver, rejeitar);
+                }
+                return (...args) => {
+                    consulta.chamadas.push([metodo, ...args]);
+                    return builder;
+                };
+            }
+        });
+
+        return builder;
+    });
+
+    return consultas;
+};
+
+const sessaoAtiva = (hash) => ({
+    id: SESSAO_ID,
+    user_id: USER,
+    refresh_token_hash: hash,
+    revogada_em: null,
+    expira_em: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+});
+
+describe('lerRefreshToken', () => {
+    it('aceita "<uuid>.<segredo>"', () => {
+        assert.deepEqual(lerRefreshToken(`${SESSAO_ID}.segredo`), { sessaoId: SESSAO_ID, segredo: 'segredo' });
+    });
+
+    it('recusa tokens cuja sessão não é um UUID', () => {
+        assert.equal(lerRefreshToken('abc.segredo'), null);
+        assert.equal(lerRefreshToken("1' or 1=1.segredo"), null);
+        assert.equal(lerRefreshToken(`${SESSAO_ID}.a.b`), null);
+        assert.equal(lerRefreshToken(`${SESSAO_ID}.`), null);
+        assert.equal(lerRefreshToken(undefined), null);
+    });
+});
+
+describe('Sessao.renovar', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('sessão que não é UUID é recusada sem consultar o banco', async () => {
+        const consultas = simularBanco([]);
+
+        const { tokens, error } = await Sessao.renovar('nao-e-uuid.segredo');
+
+        assert.equal(tokens, null);
+        assert.equal(error, 'Refresh token inválido');
+        assert.equal(consultas.length, 0);
+    });
+
+    it('erro do banco não é repassado ao cliente', async () => {
+        mock.method(console, 'error', () => {});
+        simularBanco([{ data: null, error: { message: 'invalid input syntax for type uuid' } }]);
+
+        const { error } = await Sessao.renovar(`${SESSAO_ID}.segredo`);
+
+        assert.equal(error, 'Refresh token inválido');
+    });
+
+    it('rotaciona: emite um novo refresh token e só troca o hash lido', async () => {
+        const atual = gerarRefreshToken(SESSAO_ID);
+        const consultas = simularBanco([
+            { data: sessaoAtiva(atual.hash), error: null },
+            { data: [{ id: SESSAO_ID }], error: null }
+        ]);
+
+        const { tokens, error } = await Sessao.renovar(atual.token);
+
+        assert.equal(error, null);
+        assert.ok(tokens.token);
+        assert.notEqual(tokens.refresh_token, atual.token);
+        assert.equal(lerRefreshToken(tokens.refresh_token).sessaoId, SESSAO_ID);
+
+        const [, atualizacao] = consultas;
+        const update = atualizacao.chamadas.find(([metodo]) => metodo === 'update')[1];
+        assert.equal(update.refresh_token_hash, hashToken(lerRefreshToken(tokens.refresh_token).segredo));
+        assert.ok(atualizacao.chamadas.some(([metodo, campo, valor]) =>
+            metodo === 'eq' && campo === 'refresh_token_hash' && valor === atual.hash));
+    });
+
+    it('refresh token já usado revoga a sessão', async () => {
+        const usado = gerarRefreshToken(SESSAO_ID);
+        const vigente = gerarRefreshToken(SESSAO_ID);
+        const consultas = simularBanco([
+            { data: sessaoAtiva(vigente.hash), error: null },
+            { data: [{ id: SESSAO_ID }], error: null }
+        ]);
+
+        const { tokens, error } = await Sessao.renovar(usado.token);
+
+        assert.equal(tokens, null);
+        assert.equal(error, 'Refresh token reutilizado; sessão encerrada');
+
+        const [, revogacao] = consultas;
+        const update = revogacao.chamadas.find(([metodo]) => metodo === 'update')[1];
+        assert.ok(update.revogada_em);
+        assert.ok(revogacao.chamadas.some(([metodo, campo, valor]) =>
+            metodo === 'eq' && campo === 'id' && valor === SESSAO_ID));
+    });
+
+    it('renovação concorrente que perde a corrida não recebe tokens', async () => {
+        const atual = gerarRefreshToken(SESSAO_ID);
+        simularBanco([
+            { data: sessaoAtiva(atual.hash), error: null },
+            { data: [], error: null }
+        ]);
+
+        const { tokens, error } = await Sessao.renovar(atual.token);
+
+        assert.equal(tokens, null);
+        assert.equal(error, 'Refresh token inválido');
+    });
+
+    it('sessão revogada não é renovada', async () => {
+        const atual = gerarRefreshToken(SESSAO_ID);
+        simularBanco([{ data: { ...sessaoAtiva(atual.hash), revogada_em: new Date().toISOString() }, error: null }]);
+
+        const { tokens, error } = await Sessao.renovar(atual.token);
+
+        assert.equal(tokens, null);
+        assert.equal(error, 'Sessão expirada ou encerrada');
+    });
+});
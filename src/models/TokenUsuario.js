@@ -0,0 +1,76 @@
+// TokenUsuario.js
+import crypto from 'crypto';
+import { supabase } from '../config/supabaseClient.js';
+import { hashToken } from '../utils/tokenUtils.js';
+
+export class TokenUsuario {
+    /**
+     * Emite um token de uso único para o usuário, invalidando os anteriores do mesmo tipo
+     * @param {string} userId - ID do usuário
+     * @param {string} tipo - Finalidade do token (ex.: 'redefinicao_senha')
+     * @param {number} validadeMinutos - Minutos até expirar
+     * @returns {string} Token em texto (apenas o hash é armazenado)
+     */
+    static async criar(userId, tipo, validadeMinutos) {
+        await this.invalidar(userId, tipo);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        const { error } = await supabase
+            .from('gzen_tokens_usuario')
+            .insert([{
+                user_id: userId,
+                tipo,
+                token_hash: hashToken(token),
+                expira_em: new Date(Date.now() + validadeMinutos * 60 * 1000).toISOString()
+            }]);
+
+        if (error) {
+            throw error;
+        }
+
+        return token;
+    }
+
+    /**
+     * Consome um token válido (não usado e não expirado), marcando-o como usado
+     * @param {string} token - Token recebido
+     * @param {string} tipo - Finalidade esperada
+     * @returns {string} ID do usuário dono do token ou null se inválido
+     */
+    static async consumir(token, tipo) {
+        // O filtro por usado_em na atualização garante o uso único mesmo com requisições simultâneas
+        const { data: tokens, error } = await supabase
+            .from('gzen_tokens_usuario')
+            .update({ usado_em: new Date().toISOString() })
+            .eq('token_hash', hashToken(token))
+            .eq('tipo', tipo)
+            .is('usado_em', null)
+            .gt('expira_em', new Date().toISOString())
+            .select('user_id');
+
+        if (error) {
+            throw error;
+        }
+
+        return tokens.length > 0 ? tokens[0].user_id : null;
+    }
+
+    /**
+     * Invalida os tokens pendentes do usuário para a finalidade
+     * @param {string} userId - ID do usuário
+     * @param {string} tipo - Finalidade do token
+     */
+    static async invalidar(userId, tipo) {
+        const { error } = await supabase
+            .from('gzen_tokens_usuario')
+            .update({ usado_em: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('tipo', tipo)
+            .is('usado_em', null);
+
+        if (error) {
+            throw error;
+        }
+    }
+}
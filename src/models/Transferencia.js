@@ -0,0 +1,269 @@
+// Transferencia.js
+import { supabase } from '../config/supabaseClient.js';
+import { Movimentacao } from './Movimentacao.js';
+import { Cotacao } from './Cotacao.js';
+
+export class Transferencia {
+    /**
+     * Cria uma nova transferência
+     * @param {string} userId - ID do usuário
+     * @param {Object} transferenciaData - Dados da transferência
+     * @returns {Object} Transferência criada ou erro
+     */
+    static async create(userId, transferenciaData) {
+        try {
+            // Converte data para formato correto (São Paulo timezone)
+            const dataTransferencia = new Date(transferenciaData.data_transferencia + 'T00:00:00-03:00');
+
+            const dados = {
+                ...transferenciaData,
+                user_id: userId,
+                data_transferencia: dataTransferencia.toISOString().split('T')[0]
+            };
+
+            dados.valor_destino = await this.definirValorDestino(userId, dados);
+
+            // Cria a transferência e movimenta os saldos na mesma transação
+            const transferencia = await Movimentacao.inserir(
+                'gzen_transferencias',
+                userId,
+                dados,
+                this.calcularMovimentos(dados)
+            );
+
+            return { transferencia, error: null };
+        } catch (error) {
+            console.error('Erro ao criar transferência:', error);
+            return { transferencia: null, error: error.message };
+        }
+    }
+
+    /**
+     * Busca transferências por usuário com filtros
+     * @param {string} userId - ID do usuário
+     * @param {Object} filters - Filtros de busca
+     * @returns {Array} Lista de transferências
+     */
+    static async findByUserId(userId, filters = {}) {
+        try {
+            let query = supabase
+                .from('gzen_transferencias')
+                .select(`
+                    *,
+                    conta_origem:gzen_accounts!conta_origem_id(nome, tipo_conta),
+                    conta_destino:gzen_accounts!conta_destino_id(nome, tipo_conta)
+                `)
+                .eq('user_id', userId)
+                .eq('ativo', true);
+
+            // Aplica filtros
+            if (filters.data_inicio) {
+                query = query.gte('data_transferencia', filters.data_inicio);
+            }
+            if (filters.data_fim) {
+                query = query.lte('data_transferencia', filters.data_fim);
+            }
+            if (filters.account_id) {
+                query = query.or(`conta_origem_id.eq.${filters.account_id},conta_destino_id.eq.${filters.account_id}`);
+            }
+            if (filters.status) {
+                query = query.eq('status', filters.status);
+            }
+
+            // Ordenação e paginação
+            const offset = (filters.pagina - 1) * filters.limite;
+            query = query
+                .order('data_transferencia', { ascending: false })
+                .range(offset, offset + filters.limite - 1);
+
+            const { data: transferencias, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            return transferencias;
+        } catch (error) {
+            console.error('Erro ao buscar transferências:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Busca transferência por ID
+     * @param {string} transferenciaId - ID da transferência
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Transferência encontrada ou null
+     */
+    static async findById(transferenciaId, userId) {
+        try {
+            const { data: transferencia, error } = await supabase
+                .from('gzen_transferencias')
+                .select(`
+                    *,
+                    conta_origem:gzen_accounts!conta_origem_id(nome, tipo_conta),
+                    conta_destino:gzen_accounts!conta_destino_id(nome, tipo_conta)
+                `)
+                .eq('id', transferenciaId)
+                .eq('user_id', userId)
+                .eq('ativo', true)
+                .single();
+
+            if (error) {
+                return null;
+            }
+
+            return transferencia;
+        } catch (error) {
+            console.error('Erro ao buscar transferência por ID:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Atualiza uma transferência
+     * @param {string} transferenciaId - ID da transferência
+     * @param {string} userId - ID do usuário
+     * @param {Object} updateData - Dados para atualizar
+     * @returns {Object} Transferência atualizada ou erro
+     */
+    static async update(transferenciaId, userId, updateData) {
+        try {
+            // Busca transferência atual para comparações
+            const transferenciaAtual = await this.findById(transferenciaId, userId);
+            if (!transferenciaAtual) {
+                throw new Error('Transferência não encontrada');
+            }
+
+            // Converte data se fornecida
+            if (updateData.data_transferencia) {
+                const dataTransferencia = new Date(updateData.data_transferencia + 'T00:00:00-03:00');
+                updateData.data_transferencia = dataTransferencia.toISOString().split('T')[0];
+            }
+
+            const camposCambio = ['conta_origem_id', 'conta_destino_id', 'valor', 'valor_destino', 'data_transferencia'];
+            if (camposCambio.some(campo => updateData[campo] !== undefined)) {
+                updateData.valor_destino = await this.definirValorDestino(userId, {
+                    ...transferenciaAtual,
+                    // Valor de destino antigo não vale para novo valor ou novas contas
+                    valor_destino: undefined,
+                    ...updateData
+                });
+            }
+
+            // Desfaz a movimentação antiga e aplica a nova junto com a atualização
+            const movimentos = Movimentacao.combinar(
+                Movimentacao.inverter(this.calcularMovimentos(transferenciaAtual)),
+                this.calcularMovimentos({ ...transferenciaAtual, ...updateData })
+            );
+
+            const transferencia = await Movimentacao.atualizar(
+                'gzen_transferencias',
+                transferenciaId,
+                userId,
+                updateData,
+                movimentos
+            );
+
+            return { transferencia, error: null };
+        } catch (error) {
+            console.error('Erro ao atualizar transferência:', error);
+            return { transferencia: null, error: error.message };
+        }
+    }
+
+    /**
+     * Remove uma transferência (soft delete) estornando os saldos
+     * @param {string} transferenciaId - ID da transferência
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Resultado da operação
+     */
+    static async delete(transferenciaId, userId) {
+        try {
+            const transferencia = await this.findById(transferenciaId, userId);
+            if (!transferencia) {
+                throw new Error('Transferência não encontrada');
+            }
+
+            // Soft delete estornando os saldos se a transferência estava confirmada
+            await Movimentacao.atualizar(
+                'gzen_transferencias',
+                transferenciaId,
+                userId,
+                { ativo: false },
+                Movimentacao.inverter(this.calcularMovimentos(transferencia))
+            );
+
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Erro ao deletar transferência:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Calcula a movimentação entre as contas: débito na origem e crédito no destino
+     * (transferências não alteram os totais do orçamento)
+     * @param {Object} transferencia - Dados da transferência
+     * @returns {Object} Conjunto de movimentos
+     */
+    static calcularMovimentos(transferencia) {
+        if (transferencia.status !== 'confirmada' || transferencia.ativo === false) {
+            return Movimentacao.criar();
+        }
+
+        const valor = parseFloat(transferencia.valor);
+        const valorDestino = transferencia.valor_destino != null ? parseFloat(transferencia.valor_destino) : valor;
+        const origem = {
+            tipo: 'transferencia',
+            id: transferencia.id,
+            data: transferencia.data_transferencia,
+            descricao: transferencia.descricao
+        };
+
+        return Movimentacao.criar({
+            saldos: [
+                Movimentacao.saldo(transferencia.conta_origem_id, -valor, origem),
+                Movimentacao.saldo(transferencia.conta_destino_id, valorDestino, origem)
+            ]
+        });
+    }
+
+    /**
+     * Define o valor creditado no destino quando as contas têm moedas diferentes:
+     * o informado pelo usuário ou o convertido pela cotação da data
+     * @param {string} userId - ID do usuário
+     * @param {Object} transferencia - Dados da transferência
+     * @returns {number} Valor no destino ou null se as moedas são iguais
+     */
+    static async definirValorDestino(userId, transferencia) {
+        const { data: contas, error } = await supabase
+            .from('gzen_accounts')
+            .select('id, moeda')
+            .in('id', [transferencia.conta_origem_id, transferencia.conta_destino_id]);
+
+        if (error) {
+            throw error;
+        }
+
+        const moedaOrigem = contas.find(conta => conta.id === transferencia.conta_origem_id)?.moeda;
+        const moedaDestino = contas.find(conta => conta.id === transferencia.conta_destino_id)?.moeda;
+
+        if (moedaOrigem === moedaDestino) {
+            return null;
+        }
+
+        if (transferencia.valor_destino) {
+            return transferencia.valor_destino;
+        }
+
+        const { converter } = await Cotacao.criarConversor(userId, moedaDestino, [moedaOrigem]);
+        const convertido = converter(transferencia.valor, moedaOrigem, transferencia.data_transferencia);
+
+        if (convertido === null) {
+            throw new Error(`Informe o valor de destino ou cadastre uma cotação de ${moedaOrigem} para ${moedaDestino}`);
+        }
+
+        return convertido;
+    }
+}
@@ -13,8 +13,7 @@ export class User {
             const { nome, email, senha } = userData;
             
             // Criptografa a senha
-            const saltRounds = 12;
-            const hashedPassword = await bcrypt.hash(senha, saltRounds);
+            const hashedPassword = await this.hashPassword(senha);
             
             // Insere o usuário na tabela gzen_users
             const { data: user, error } = await supabase
@@ -24,7 +23,7 @@ export class User {
                     email: email.toLowerCase(),
                     senha: hashedPassword
                 }])
-                .select('id, nome, email, created_at')
+                .select('id, nome, email, email_verificado_em, created_at')
                 .single();
             
             if (error) {
@@ -69,7 +68,7 @@ export class User {
         try {
             const { data: user, error } = await supabase
                 .from('gzen_users')
-                .select('id, nome, email, created_at, updated_at')
+                .select('id, nome, email, email_verificado_em, exclusao_agendada_para, created_at, updated_at')
                 .eq('id', id)
                 .single();
             
@@ -83,6 +82,70 @@ export class User {
         }
     }
     
+    /**
+     * Atualiza a senha do usuário
+     * @param {string} id - ID do usuário
+     * @param {string} senha - Nova senha em texto plano
+     * @returns {Object} Sucesso ou erro
+     */
+    static async updatePassword(id, senha) {
+        try {
+            const hashedPassword = await this.hashPassword(senha);
+            
+            const { error } = await supabase
+                .from('gzen_users')
+                .update({
+                    senha: hashedPassword,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', id);
+            
+            if (error) {
+                throw error;
+            }
+            
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Marca o e-mail do usuário como verificado
+     * @param {string} id - ID do usuário
+     * @returns {Object} Sucesso ou erro
+     */
+    static async marcarEmailVerificado(id) {
+        try {
+            const { error } = await supabase
+                .from('gzen_users')
+                .update({
+                    email_verificado_em: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', id)
+                .is('email_verificado_em', null);
+            
+            if (error) {
+                throw error;
+            }
+            
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Criptografa uma senha
+     * @param {string} plainPassword - Senha em texto plano
+     * @returns {string} Senha criptografada
+     */
+    static async hashPassword(plainPassword) {
+        const saltRounds = 12;
+        return await bcrypt.hash(plainPassword, saltRounds);
+    }
+    
     /**
      * Verifica se a senha está correta
      * @param {string} plainPassword - Senha em texto plano
@@ -1,6 +1,10 @@
 import express from 'express';
 import { AccountController } from '../controllers/accountController.js';
-import { authenticateToken } from '../middleware/authMiddleware.js';
+import { FaturaController } from '../controllers/faturaController.js';
+import { ExtratoController } from '../controllers/extratoController.js';
+import { ImportacaoController } from '../controllers/importacaoController.js';
+import { EmprestimoController } from '../controllers/emprestimoController.js';
+import { authenticateToken, exigirEmailVerificado } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -16,4 +20,20 @@ router.put('/:id', AccountController.update);                  // Atualizar cont
 router.delete('/:id', AccountController.delete);               // Remover conta (soft delete)
 router.delete('/:id/permanent', AccountController.permanentDelete); // Remover permanentemente
 
+// Rotas de faturas de cartão de crédito
+router.get('/:id/faturas', FaturaController.list);                          // Listar faturas do cartão
+router.get('/:id/faturas/:competencia', FaturaController.getByCompetencia); // Detalhar fatura (YYYY-MM)
+
+// Rotas de extrato e reconciliação de saldo
+router.get('/:id/extrato', ExtratoController.getExtrato);                   // Extrato com saldo acumulado
+router.post('/:id/reconciliar', ExtratoController.reconciliar);             // Reconciliar saldo com o extrato
+router.get('/:id/reconciliacao', ExtratoController.conferir);              // Conferir saldo sem alterar
+
+// Rotas de empréstimos e financiamentos
+router.get('/:id/emprestimo', EmprestimoController.getTabela);                       // Tabela de amortização e saldo devedor
+router.post('/:id/emprestimo/amortizacoes', EmprestimoController.amortizar);         // Amortização extraordinária
+
+// Importação de extrato bancário
+router.post('/:id/importar', exigirEmailVerificado('importacao'), ImportacaoController.importar); // Importar CSV/OFX (prévia ou confirmação)
+
 export default router;
\ No newline at end of file
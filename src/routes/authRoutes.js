@@ -12,6 +12,41 @@ router.post('/register', AuthController.register);
 // Rota para login
 router.post('/login', AuthController.login);
 
+// Segunda etapa do login quando o 2FA está ativo
+router.post('/login/2fa', AuthController.login2fa);
+
+// Rota para renovar o access token com o refresh token
+router.post('/refresh', AuthController.refresh);
+
+// Rotas de recuperação de senha
+router.post('/esqueci-senha', AuthController.esqueciSenha);
+router.post('/redefinir-senha', AuthController.redefinirSenha);
+
+// Rotas de verificação de e-mail
+router.get('/verificar-email/:token', AuthController.verificarEmail);
+router.post('/verificar-email/reenviar', authenticateToken, AuthController.reenviarVerificacao);
+
+// Rota para alterar a senha (protegida)
+router.put('/senha', authenticateToken, AuthController.alterarSenha);
+
+// Rotas de autenticação em dois fatores (protegidas)
+router.get('/2fa', authenticateToken, AuthController.getStatus2fa);
+router.post('/2fa/cadastro', authenticateToken, AuthController.iniciar2fa);
+router.post('/2fa/confirmar', authenticateToken, AuthController.confirmar2fa);
+router.post('/2fa/codigos-recuperacao', authenticateToken, AuthController.regerarCodigosRecuperacao);
+router.post('/2fa/desativar', authenticateToken, AuthController.desativar2fa);
+
+// Rotas de sessão (protegidas)
+router.post('/logout', authenticateToken, AuthController.logout);
+router.post('/logout-all', authenticateToken, AuthController.logoutAll);
+router.get('/sessoes', authenticateToken, AuthController.getSessoes);
+router.delete('/sessoes/:id', authenticateToken, AuthController.revogarSessao);
+
+// Rotas de dados pessoais e exclusão de conta - LGPD (protegidas)
+router.get('/meus-dados', authenticateToken, AuthController.meusDados);
+router.delete('/conta', authenticateToken, AuthController.excluirConta);
+router.post('/conta/cancelar-exclusao', authenticateToken, AuthController.cancelarExclusaoConta);
+
 // Rota para obter perfil (protegida)
 router.get('/profile', authenticateToken, AuthController.getProfile);
 
@@ -2,9 +2,20 @@
 import express from 'express';
 import { ReceitaController } from '../controllers/receitaController.js';
 import { DespesaController } from '../controllers/despesaController.js';
+import { TransferenciaController } from '../controllers/transferenciaController.js';
+import { RecorrenciaController } from '../controllers/recorrenciaController.js';
 import { OrcamentoController } from '../controllers/orcamentoController.js';
 import { FinanceDataController } from '../controllers/financeDataController.js';
+import { ExportacaoController } from '../controllers/exportacaoController.js';
+import { DivisaoController } from '../controllers/divisaoController.js';
+import { CotacaoController } from '../controllers/cotacaoController.js';
+import { InvestimentoController } from '../controllers/investimentoController.js';
+import { MetaController } from '../controllers/metaController.js';
+import { PrevisaoController } from '../controllers/previsaoController.js';
+import { SalarioController } from '../controllers/salarioController.js';
+import { RegraController } from '../controllers/regraController.js';
 import { authenticateToken } from '../middleware/authMiddleware.js';
+import { acessoGrupo } from '../middleware/grupoMiddleware.js';
 
 const router = express.Router();
 
@@ -14,7 +25,7 @@ router.use(authenticateToken);
 // === ROTAS DE RECEITAS ===
 router.post('/receitas', ReceitaController.create);
 router.get('/receitas', ReceitaController.list);
-router.get('/receitas/resumo', ReceitaController.getResumoMensal);
+router.get('/receitas/resumo', acessoGrupo('viewer'), ReceitaController.getResumoMensal);
 router.get('/receitas/:id', ReceitaController.getById);
 router.put('/receitas/:id', ReceitaController.update);
 router.patch('/receitas/:id/tags', ReceitaController.updateTags);
@@ -23,20 +34,46 @@ router.delete('/receitas/:id', ReceitaController.delete);
 // === ROTAS DE DESPESAS ===
 router.post('/despesas', DespesaController.create);
 router.get('/despesas', DespesaController.list);
-router.get('/despesas/resumo', DespesaController.getResumoMensal);
+router.get('/despesas/resumo', acessoGrupo('viewer'), DespesaController.getResumoMensal);
 router.get('/despesas/:id', DespesaController.getById);
 router.put('/despesas/:id', DespesaController.update);
 router.patch('/despesas/:id/tags', DespesaController.updateTags);
 router.delete('/despesas/:id', DespesaController.delete);
 
+// === ROTAS DE DIVISÃO DE DESPESAS ===
+router.get('/despesas/:id/divisao', DivisaoController.getByDespesa);
+router.put('/despesas/:id/divisao', DivisaoController.definir);
+router.delete('/despesas/:id/divisao', DivisaoController.remover);
+router.get('/divisoes/saldos', DivisaoController.getSaldos);
+router.post('/divisoes/acertar', DivisaoController.acertar);
+
+// === ROTAS DE TRANSFERÊNCIAS ===
+router.post('/transferencias', TransferenciaController.create);
+router.get('/transferencias', TransferenciaController.list);
+router.get('/transferencias/:id', TransferenciaController.getById);
+router.put('/transferencias/:id', TransferenciaController.update);
+router.delete('/transferencias/:id', TransferenciaController.delete);
+
+// === ROTAS DE RECORRÊNCIAS ===
+router.post('/recorrencias', RecorrenciaController.create);
+router.get('/recorrencias', RecorrenciaController.list);
+router.post('/recorrencias/gerar', RecorrenciaController.gerar);
+router.get('/recorrencias/:id', RecorrenciaController.getById);
+router.put('/recorrencias/:id', RecorrenciaController.update);
+router.delete('/recorrencias/:id', RecorrenciaController.delete);
+router.put('/recorrencias/:id/ocorrencias/:ocorrenciaId', RecorrenciaController.updateOcorrencia);
+
 // === ROTAS DE ORÇAMENTO ===
-router.get('/orcamento', OrcamentoController.getByPeriod);
-router.put('/orcamento', OrcamentoController.update);
-router.post('/orcamento/recalcular', OrcamentoController.recalcular);
-router.get('/orcamento/historico', OrcamentoController.getHistorico);
-router.get('/orcamento/resumo-anual', OrcamentoController.getResumoAnual);
-router.get('/orcamento/estatisticas', OrcamentoController.getEstatisticas);
-router.get('/dashboard', OrcamentoController.getDashboard);
+// ?grupo_id=<id> consulta/altera o orçamento do grupo em vez do pessoal
+router.get('/orcamento', acessoGrupo('viewer'), OrcamentoController.getByPeriod);
+router.put('/orcamento', acessoGrupo('editor'), OrcamentoController.update);
+router.post('/orcamento/recalcular', acessoGrupo('editor'), OrcamentoController.recalcular);
+router.put('/orcamento/categorias', acessoGrupo('editor'), OrcamentoController.definirLimiteCategoria);
+router.delete('/orcamento/categorias/:categoryId', acessoGrupo('editor'), OrcamentoController.removerLimiteCategoria);
+router.get('/orcamento/historico', acessoGrupo('viewer'), OrcamentoController.getHistorico);
+router.get('/orcamento/resumo-anual', acessoGrupo('viewer'), OrcamentoController.getResumoAnual);
+router.get('/orcamento/estatisticas', acessoGrupo('viewer'), OrcamentoController.getEstatisticas);
+router.get('/dashboard', acessoGrupo('viewer'), OrcamentoController.getDashboard);
 
 // === ROTAS DE DADOS AUXILIARES ===
 router.get('/categorias', FinanceDataController.getCategories);
@@ -44,6 +81,57 @@ router.post('/categorias', FinanceDataController.createCategory);
 router.get('/tags', FinanceDataController.getTags);
 router.post('/tags', FinanceDataController.createTag);
 router.get('/contas', FinanceDataController.getUserAccounts);
-router.get('/categorias/estatisticas', FinanceDataController.getCategoryStats);
+router.get('/categorias/estatisticas', acessoGrupo('viewer'), FinanceDataController.getCategoryStats);
+
+// === ROTAS DE COTAÇÕES ===
+// Conversão das contas em outras moedas para a moeda base do perfil
+router.get('/cotacoes', CotacaoController.list);
+router.put('/cotacoes', CotacaoController.salvar);
+router.post('/cotacoes/importar', CotacaoController.importar);
+router.delete('/cotacoes/:id', CotacaoController.delete);
+
+// === ROTAS DE INVESTIMENTOS ===
+// Ativos das contas de investimento; operações movimentam o caixa da conta
+router.get('/investimentos/carteira', acessoGrupo('viewer'), InvestimentoController.getCarteira);
+router.post('/investimentos/ativos', InvestimentoController.createAtivo);
+router.get('/investimentos/ativos/:id', InvestimentoController.getAtivo);
+router.put('/investimentos/ativos/:id', InvestimentoController.updateAtivo);
+router.delete('/investimentos/ativos/:id', InvestimentoController.deleteAtivo);
+router.get('/investimentos/ativos/:id/precos', InvestimentoController.getPrecos);
+router.put('/investimentos/ativos/:id/precos', InvestimentoController.salvarPrecos);
+router.post('/investimentos/precos/importar', InvestimentoController.importarPrecos);
+router.post('/investimentos/operacoes', InvestimentoController.registrarOperacao);
+router.delete('/investimentos/operacoes/:id', InvestimentoController.removerOperacao);
+
+// === ROTAS DE METAS ===
+// Metas de economia com aportes (transferências ou receitas marcadas) e projeção
+router.get('/metas', acessoGrupo('viewer'), MetaController.list);
+router.post('/metas', acessoGrupo('editor'), MetaController.create);
+router.get('/metas/:id', MetaController.getById);
+router.put('/metas/:id', MetaController.update);
+router.delete('/metas/:id', MetaController.delete);
+router.post('/metas/:id/aportes', MetaController.registrarAporte);
+router.delete('/metas/:id/aportes/:aporteId', MetaController.removerAporte);
+
+// === ROTAS DE REGRAS DE CATEGORIZAÇÃO ===
+// Regras aplicadas ao criar e importar transações, reaplicáveis às existentes
+router.post('/regras', RegraController.create);
+router.get('/regras', RegraController.list);
+router.post('/regras/aplicar', RegraController.aplicar);
+router.get('/regras/sugestao', RegraController.sugerir);
+router.get('/regras/:id', RegraController.getById);
+router.put('/regras/:id', RegraController.update);
+router.delete('/regras/:id', RegraController.delete);
+
+// === ROTAS DE SALÁRIO ===
+// Receitas de salário previstas pelo perfil (pendentes até serem confirmadas)
+router.post('/salarios/gerar', SalarioController.gerar);
+
+// === ROTAS DE PREVISÃO ===
+// Saldos projetados com pendentes, recorrências, faturas, salário e parcelas de empréstimo
+router.get('/previsao', acessoGrupo('viewer'), PrevisaoController.getPrevisao);
+
+// === ROTAS DE EXPORTAÇÃO ===
+router.get('/exportar', acessoGrupo('viewer'), ExportacaoController.exportar);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+// grupoRoutes.js
+import express from 'express';
+import { GrupoController } from '../controllers/grupoController.js';
+import { authenticateToken, exigirEmailVerificado } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Aplica middleware de autenticação em todas as rotas
+router.use(authenticateToken);
+
+// Grupos (finanças compartilhadas da casa)
+router.get('/', GrupoController.list);                                        // Listar grupos do usuário
+router.post('/', GrupoController.create);                                     // Criar grupo (usuário vira owner)
+router.post('/convites/aceitar', exigirEmailVerificado('compartilhamento'), GrupoController.aceitarConvite);
+router.get('/:id', GrupoController.getById);                                  // Detalhes e membros
+router.put('/:id', GrupoController.update);                                   // Renomear (owner)
+router.delete('/:id', GrupoController.delete);                                // Remover (owner)
+
+// Convites
+router.post('/:id/convites', exigirEmailVerificado('compartilhamento'), GrupoController.convidar);
+router.get('/:id/convites', GrupoController.listConvites);                    // Convites pendentes (owner)
+router.delete('/:id/convites/:conviteId', GrupoController.cancelarConvite);   // Cancelar convite (owner)
+
+// Membros
+router.put('/:id/membros/:userId', GrupoController.alterarPapel);             // Alterar papel / transferir (owner)
+router.delete('/:id/membros/:userId', GrupoController.removerMembro);         // Remover membro ou sair do grupo
+
+export default router;
@@ -0,0 +1,20 @@
+// notificacaoRoutes.js
+import express from 'express';
+import { NotificacaoController } from '../controllers/notificacaoController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Aplica middleware de autenticação em todas as rotas
+router.use(authenticateToken);
+
+// Configuração dos limiares de alerta
+router.get('/configuracoes', NotificacaoController.getConfiguracao);      // Buscar limiares
+router.put('/configuracoes', NotificacaoController.updateConfiguracao);   // Atualizar limiares
+
+// Notificações
+router.get('/', NotificacaoController.list);                              // Listar (filtro ?lida=true|false)
+router.patch('/lidas', NotificacaoController.marcarTodas);                // Marcar todas como lidas
+router.patch('/:id', NotificacaoController.marcar);                       // Marcar como lida/não lida
+
+export default router;
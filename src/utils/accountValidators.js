@@ -6,7 +6,13 @@ const baseAccountSchema = z.object({
         .min(2, 'Nome deve ter pelo menos 2 caracteres')
         .max(255, 'Nome não pode exceder 255 caracteres'),
     saldo_atual: z.number().default(0), // Remove validação de negativo aqui
-    ativo: z.boolean().default(true)
+    ativo: z.boolean().default(true),
+    // Moeda da conta (ISO 4217); não pode ser alterada depois de criada
+    moeda: z.string()
+        .regex(/^[A-Z]{3}$/, 'Moeda deve ser um código ISO de 3 letras (ex.: BRL, USD)')
+        .default('BRL'),
+    // Conta compartilhada da casa (exige papel owner/editor no grupo)
+    grupo_id: z.string().uuid('ID do grupo inválido').optional()
 });
 
 // Validador para conta corrente
@@ -58,6 +64,49 @@ export const dinheiroVivoSchema = baseAccountSchema.extend({
         .default('Dinheiro em espécie')
 });
 
+// Validador para conta de investimento (saldo_atual é o caixa disponível na corretora)
+export const investimentoSchema = baseAccountSchema.extend({
+    tipo_conta: z.literal('investimento'),
+    saldo_atual: z.number().min(0, 'Saldo não pode ser negativo').default(0),
+    corretora: z.string()
+        .min(2, 'Corretora deve ter pelo menos 2 caracteres')
+        .max(255, 'Corretora não pode exceder 255 caracteres')
+});
+
+// Validador para empréstimo/financiamento: o saldo (dívida) vem da tabela de amortização
+export const emprestimoSchema = baseAccountSchema.omit({ saldo_atual: true }).extend({
+    tipo_conta: z.literal('emprestimo'),
+    instituicao: z.string()
+        .min(2, 'Instituição deve ter pelo menos 2 caracteres')
+        .max(255, 'Instituição não pode exceder 255 caracteres'),
+    principal: z.number()
+        .positive('Valor financiado deve ser positivo')
+        .max(999999999.99, 'Valor muito alto'),
+    taxa_juros: z.number()
+        .min(0, 'Taxa de juros não pode ser negativa')
+        .max(1000, 'Taxa de juros muito alta'),
+    taxa_periodo: z.enum(['mensal', 'anual']).default('anual'),
+    prazo_meses: z.number()
+        .int('Prazo deve ser um número inteiro de meses')
+        .min(1, 'Prazo deve ser de pelo menos 1 mês')
+        .max(600, 'Prazo não pode exceder 600 meses'),
+    sistema: z.enum(['sac', 'price']),
+    data_primeira_parcela: z.string()
+        .regex(/^\d{4}-\d{2}-\d{2}$/, 'Data deve estar no formato AAAA-MM-DD')
+        .refine((date) => !isNaN(Date.parse(date)), 'Data inválida'),
+    // Conta que paga as parcelas (conta corrente ou dinheiro vivo)
+    conta_pagamento_id: z.string().uuid('ID da conta de pagamento inválido'),
+    category_id: z.string().uuid('ID da categoria inválido').optional(),
+    // Parcelas pagas antes do cadastro no app (não geram despesas)
+    parcelas_pagas: z.number()
+        .int('Parcelas pagas deve ser um número inteiro')
+        .min(0, 'Parcelas pagas não pode ser negativo')
+        .default(0)
+}).refine(
+    (dados) => dados.parcelas_pagas < dados.prazo_meses,
+    { message: 'Parcelas pagas deve ser menor que o prazo', path: ['parcelas_pagas'] }
+);
+
 // Validador para atualização (todos os campos opcionais)
 export const updateAccountSchema = z.object({
     nome: z.string()
@@ -101,5 +150,17 @@ export const updateAccountSchema = z.object({
     // Campo específico de dinheiro vivo
     descricao: z.string()
         .max(255, 'Descrição não pode exceder 255 caracteres')
-        .optional()
+        .optional(),
+    // Campo específico de conta de investimento
+    corretora: z.string()
+        .min(2, 'Corretora deve ter pelo menos 2 caracteres')
+        .max(255, 'Corretora não pode exceder 255 caracteres')
+        .optional(),
+    // Campos específicos de empréstimo (condições do contrato não mudam; use amortizações)
+    instituicao: z.string()
+        .min(2, 'Instituição deve ter pelo menos 2 caracteres')
+        .max(255, 'Instituição não pode exceder 255 caracteres')
+        .optional(),
+    conta_pagamento_id: z.string().uuid('ID da conta de pagamento inválido').optional(),
+    category_id: z.string().uuid('ID da categoria inválido').nullable().optional()
 });
\ No newline at end of file
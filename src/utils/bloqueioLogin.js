@@ -0,0 +1,87 @@
+// bloqueioLogin.js
+// Bloqueio progressivo por conta após falhas seguidas de senha ou de código 2FA:
+// a partir de FALHAS_ANTES_BLOQUEIO, cada nova falha bloqueia a conta pelo dobro
+// do tempo anterior (1 min, 2 min, 4 min...) até BLOQUEIO_MAXIMO_MS.
+// No login por senha o bloqueio vale por e-mail e IP (chaveLogin), para que
+// terceiros não bloqueiem a conta de ninguém; as falhas do e-mail vindas de
+// qualquer IP só atrasam a resposta (atrasoFalhas), sem bloquear.
+import { getStore } from '../config/rateLimitStore.js';
+
+const FALHAS_ANTES_BLOQUEIO = 5;
+const BLOQUEIO_INICIAL_MS = 60 * 1000;
+const BLOQUEIO_MAXIMO_MS = 60 * 60 * 1000;
+const JANELA_FALHAS_MS = 24 * 60 * 60 * 1000;
+const ATRASO_INICIAL_MS = 500;
+const ATRASO_MAXIMO_MS = 8 * 1000;
+
+/**
+ * Chaves do login por senha: a do bloqueio (e-mail + IP) e a do atraso (só e-mail)
+ * @param {string} email - E-mail informado
+ * @param {string} ip - IP da requisição
+ * @returns {Object} { bloqueio, atraso }
+ */
+export const chaveLogin = (email, ip) => {
+    const conta = `login:${String(email).toLowerCase()}`;
+    return { bloqueio: `${conta}:${ip || 'desconhecido'}`, atraso: conta };
+};
+
+/**
+ * Verifica se a conta está bloqueada
+ * @param {string} conta - Identificador da conta (e-mail ou ID)
+ * @returns {number} Segundos restantes de bloqueio ou 0
+ */
+export const segundosBloqueio = async (conta) => {
+    const bloqueio = await getStore().consultar(`bloqueio:${conta}`);
+    return bloqueio ? Math.max(Math.ceil((bloqueio.expira_em - Date.now()) / 1000), 1) : 0;
+};
+
+/**
+ * Registra uma falha de autenticação e bloqueia a conta quando necessário
+ * @param {string} conta - Identificador da conta (e-mail ou ID)
+ * @returns {number} Segundos de bloqueio aplicados ou 0
+ */
+export const registrarFalha = async (conta) => {
+    const { total } = await getStore().incrementar(`falhas:${conta}`, JANELA_FALHAS_MS);
+
+    if (total < FALHAS_ANTES_BLOQUEIO) {
+        return 0;
+    }
+
+    const duracao = Math.min(BLOQUEIO_INICIAL_MS * 2 ** (total - FALHAS_ANTES_BLOQUEIO), BLOQUEIO_MAXIMO_MS);
+    await getStore().incrementar(`bloqueio:${conta}`, duracao);
+
+    return Math.ceil(duracao / 1000);
+};
+
+/**
+ * Limpa as falhas da conta após uma autenticação bem-sucedida
+ * @param {string} conta - Identificador da conta (e-mail ou ID)
+ */
+export const limparFalhas = async (conta) => {
+    await getStore().resetar(`falhas:${conta}`);
+    await getStore().resetar(`bloqueio:${conta}`);
+};
+
+/**
+ * Registra uma falha que só atrasa as próximas tentativas (sem bloquear)
+ * @param {string} conta - Identificador da conta (e-mail)
+ */
+export const registrarFalhaAtraso = async (conta) => {
+    await getStore().incrementar(`falhas:${conta}`, JANELA_FALHAS_MS);
+};
+
+/**
+ * Calcula o atraso a aplicar antes de conferir a senha: a partir de
+ * FALHAS_ANTES_BLOQUEIO falhas, dobra a cada falha até ATRASO_MAXIMO_MS
+ * @param {string} conta - Identificador da conta (e-mail)
+ * @returns {number} Atraso em milissegundos ou 0
+ */
+export const atrasoFalhas = async (conta) => {
+    const falhas = await getStore().consultar(`falhas:${conta}`);
+
+    if (!falhas || falhas.total < FALHAS_ANTES_BLOQUEIO) {
+        return 0;
+    }
+
+    return Math.min(ATRASO_INICIAL_MS * 2 ** (falhas.total - FALHAS_ANTES_BLOQUEIO), ATRASO_MAXIMO_MS);
+};
@@ -0,0 +1,64 @@
+// dateUtils.js
+// Datas de transações são tratadas como strings YYYY-MM-DD, calculadas em UTC
+
+/**
+ * Formata uma data no padrão YYYY-MM-DD
+ * @param {Date} date - Data
+ * @returns {string} Data formatada
+ */
+export const formatarData = (date) => date.toISOString().split('T')[0];
+
+// Fuso de São Paulo (-03:00, sem horário de verão), o mesmo usado ao gravar datas de transações
+const OFFSET_SAO_PAULO_MS = -3 * 60 * 60 * 1000;
+
+/**
+ * Retorna a data de hoje em São Paulo no padrão YYYY-MM-DD
+ * @returns {string} Data de hoje
+ */
+export const hoje = () => formatarData(new Date(Date.now() + OFFSET_SAO_PAULO_MS));
+
+/**
+ * Converte uma string YYYY-MM-DD em Date (UTC)
+ * @param {string} data - Data no formato YYYY-MM-DD
+ * @returns {Date} Data em UTC
+ */
+export const parseData = (data) => {
+    const [ano, mes, dia] = data.split('-').map(Number);
+    return new Date(Date.UTC(ano, mes - 1, dia));
+};
+
+/**
+ * Monta uma data dentro do mês informado, limitando o dia ao último dia do mês
+ * @param {number} ano - Ano
+ * @param {number} mes - Mês (1-12, aceita overflow)
+ * @param {number} dia - Dia do mês
+ * @returns {Date} Data em UTC
+ */
+export const dataNoMes = (ano, mes, dia) => {
+    const ultimoDia = new Date(Date.UTC(ano, mes, 0)).getUTCDate();
+    return new Date(Date.UTC(ano, mes - 1, Math.min(dia, ultimoDia)));
+};
+
+/**
+ * Soma meses a uma data, limitando ao último dia do mês de destino
+ * @param {string} data - Data base (YYYY-MM-DD)
+ * @param {number} meses - Quantidade de meses
+ * @param {number} dia - Dia desejado no mês de destino (padrão: dia da data base)
+ * @returns {string} Nova data (YYYY-MM-DD)
+ */
+export const adicionarMeses = (data, meses, dia = null) => {
+    const [ano, mes, diaBase] = data.split('-').map(Number);
+    return formatarData(dataNoMes(ano, mes + meses, dia || diaBase));
+};
+
+/**
+ * Soma dias a uma data
+ * @param {string} data - Data base (YYYY-MM-DD)
+ * @param {number} dias - Quantidade de dias
+ * @returns {string} Nova data (YYYY-MM-DD)
+ */
+export const adicionarDias = (data, dias) => {
+    const date = parseData(data);
+    date.setUTCDate(date.getUTCDate() + dias);
+    return formatarData(date);
+};
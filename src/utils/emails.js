@@ -0,0 +1,56 @@
+// emails.js
+// Conteúdo dos e-mails transacionais enviados pelo mailer
+
+const urlApp = () => process.env.APP_URL || 'http://localhost:5173';
+const urlApi = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Monta o e-mail com o link de redefinição de senha
+ * @param {Object} user - Usuário (nome, email)
+ * @param {string} token - Token de redefinição
+ * @param {number} minutos - Validade do link em minutos
+ * @returns {Object} Mensagem para enviarEmail
+ */
+export const emailRedefinicaoSenha = (user, token, minutos) => ({
+    para: user.email,
+    assunto: 'Redefinição de senha - Grana Zen',
+    texto: `Olá, ${user.nome}!\n\n` +
+        'Recebemos um pedido para redefinir sua senha. Acesse o link abaixo ' +
+        `(válido por ${minutos} minutos):\n\n${urlApp()}/redefinir-senha?token=${token}\n\n` +
+        'Se não foi você, ignore este e-mail; sua senha continua a mesma.'
+});
+
+/**
+ * Monta o e-mail de confirmação do endereço cadastrado
+ * @param {Object} user - Usuário (nome, email)
+ * @param {string} token - Token de verificação
+ * @param {number} horas - Validade do link em horas
+ * @returns {Object} Mensagem para enviarEmail
+ */
+export const emailVerificacao = (user, token, horas) => ({
+    para: user.email,
+    assunto: 'Confirme seu e-mail - Grana Zen',
+    texto: `Olá, ${user.nome}!\n\n` +
+        `Para confirmar seu e-mail, acesse o link abaixo (válido por ${horas} horas):\n\n` +
+        `${urlApi()}/api/auth/verificar-email/${token}\n\n` +
+        'Se você não criou uma conta no Grana Zen, ignore este e-mail.'
+});
+
+/**
+ * Monta o e-mail de convite para um grupo (finanças compartilhadas)
+ * @param {string} email - E-mail convidado
+ * @param {Object} grupo - Grupo (nome)
+ * @param {Object} convidadoPor - Usuário que convidou (nome)
+ * @param {string} token - Token do convite
+ * @param {number} dias - Validade do convite em dias
+ * @returns {Object} Mensagem para enviarEmail
+ */
+export const emailConviteGrupo = (email, grupo, convidadoPor, token, dias) => ({
+    para: email,
+    assunto: `Convite para o grupo ${grupo.nome} - Grana Zen`,
+    texto: 'Olá!\n\n' +
+        `${convidadoPor.nome} convidou você para compartilhar as finanças do grupo "${grupo.nome}" ` +
+        `no Grana Zen. Para aceitar, entre com este e-mail e acesse o link abaixo (válido por ${dias} dias):\n\n` +
+        `${urlApp()}/grupos/convite?token=${token}\n\n` +
+        'Se você não esperava este convite, ignore este e-mail.'
+});
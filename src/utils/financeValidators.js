@@ -16,14 +16,15 @@ export const receitaSchema = z.object({
     parcela_salario: z.number()
         .int('Parcela deve ser um número inteiro')
         .min(1, 'Parcela deve ser pelo menos 1')
-        .max(4, 'Parcela não pode exceder 4')
+        .max(5, 'Parcela não pode exceder 5')
         .optional(),
     total_parcelas_salario: z.number()
         .int('Total de parcelas deve ser um número inteiro')
         .min(1, 'Total de parcelas deve ser pelo menos 1')
-        .max(4, 'Total de parcelas não pode exceder 4')
+        .max(5, 'Total de parcelas não pode exceder 5')
         .optional(),
     observacoes: z.string().max(1000, 'Observações não podem exceder 1000 caracteres').optional(),
+    id_externo: z.string().max(255, 'ID externo não pode exceder 255 caracteres').optional(),
     status: z.enum(['pendente', 'confirmada', 'cancelada']).default('confirmada'),
     tags: z.array(z.string().uuid('Tag deve ser um UUID válido')).default([])
 });
@@ -42,16 +43,47 @@ export const despesaSchema = z.object({
         .refine((date) => !isNaN(Date.parse(date)), 'Data inválida'),
     eh_pagamento_fatura: z.boolean().default(false),
     cartao_origem_id: z.string().uuid('ID do cartão deve ser um UUID válido').optional(),
+    fatura_id: z.string().uuid('ID da fatura deve ser um UUID válido').optional(),
+    parcelas: z.number()
+        .int('Parcelas deve ser um número inteiro')
+        .min(2, 'Compra parcelada deve ter pelo menos 2 parcelas')
+        .max(48, 'Parcelas não podem exceder 48')
+        .optional(),
     observacoes: z.string().max(1000, 'Observações não podem exceder 1000 caracteres').optional(),
+    id_externo: z.string().max(255, 'ID externo não pode exceder 255 caracteres').optional(),
     status: z.enum(['pendente', 'confirmada', 'cancelada']).default('confirmada'),
     tags: z.array(z.string().uuid('Tag deve ser um UUID válido')).default([])
 });
 
+// Validador para transferência entre contas
+export const transferenciaSchema = z.object({
+    conta_origem_id: z.string().uuid('ID da conta de origem deve ser um UUID válido'),
+    conta_destino_id: z.string().uuid('ID da conta de destino deve ser um UUID válido'),
+    descricao: z.string()
+        .max(255, 'Descrição não pode exceder 255 caracteres')
+        .optional(),
+    valor: z.number()
+        .positive('Valor deve ser positivo')
+        .max(999999999.99, 'Valor muito alto'),
+    // Valor creditado no destino quando as contas têm moedas diferentes (sem ele, usa a cotação)
+    valor_destino: z.number()
+        .positive('Valor de destino deve ser positivo')
+        .max(999999999.99, 'Valor muito alto')
+        .optional(),
+    data_transferencia: z.string()
+        .refine((date) => !isNaN(Date.parse(date)), 'Data inválida'),
+    observacoes: z.string().max(1000, 'Observações não podem exceder 1000 caracteres').optional(),
+    status: z.enum(['pendente', 'confirmada', 'cancelada']).default('confirmada')
+});
+
 // Validador para atualização de receita
 export const updateReceitaSchema = receitaSchema.partial().omit(['tags']);
 
 // Validador para atualização de despesa
-export const updateDespesaSchema = despesaSchema.partial().omit(['tags']);
+export const updateDespesaSchema = despesaSchema.partial().omit({ tags: true, parcelas: true });
+
+// Validador para atualização de transferência
+export const updateTransferenciaSchema = transferenciaSchema.partial();
 
 // Validador para orçamento
 export const orcamentoSchema = z.object({
@@ -61,6 +93,127 @@ export const orcamentoSchema = z.object({
     observacoes: z.string().max(1000, 'Observações não podem exceder 1000 caracteres').optional()
 });
 
+// Validador para limite de gastos por categoria no mês
+export const orcamentoCategoriaSchema = z.object({
+    mes: z.number().int().min(1).max(12),
+    ano: z.number().int().min(2020).max(2050),
+    category_id: z.string().uuid('ID da categoria inválido'),
+    limite: z.number().positive('Limite deve ser positivo'),
+    acumular_saldo: z.boolean().default(false)
+});
+
+// Validador para datas no formato YYYY-MM-DD
+const dataIsoSchema = z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Data deve estar no formato AAAA-MM-DD')
+    .refine((date) => !isNaN(Date.parse(date)), 'Data inválida');
+
+// Validador para regra de recorrência
+export const recorrenciaSchema = z.object({
+    tipo: z.enum(['receita', 'despesa']),
+    account_id: z.string().uuid('ID da conta deve ser um UUID válido'),
+    category_id: z.string().uuid('ID da categoria deve ser um UUID válido').optional(),
+    nome: z.string()
+        .min(2, 'Nome deve ter pelo menos 2 caracteres')
+        .max(255, 'Nome não pode exceder 255 caracteres'),
+    valor: z.number()
+        .positive('Valor deve ser positivo')
+        .max(999999999.99, 'Valor muito alto'),
+    observacoes: z.string().max(1000, 'Observações não podem exceder 1000 caracteres').optional(),
+    tags: z.array(z.string().uuid('Tag deve ser um UUID válido')).default([]),
+    status_ocorrencia: z.enum(['pendente', 'confirmada']).default('pendente'),
+    frequencia: z.enum(['semanal', 'mensal']),
+    intervalo: z.number()
+        .int('Intervalo deve ser um número inteiro')
+        .min(1, 'Intervalo deve ser pelo menos 1')
+        .max(12, 'Intervalo não pode exceder 12')
+        .default(1),
+    dia_mes: z.number()
+        .int()
+        .min(1, 'Dia do mês deve ser entre 1 e 31')
+        .max(31, 'Dia do mês deve ser entre 1 e 31')
+        .optional(),
+    dia_semana: z.number()
+        .int()
+        .min(0, 'Dia da semana deve ser entre 0 (domingo) e 6 (sábado)')
+        .max(6, 'Dia da semana deve ser entre 0 (domingo) e 6 (sábado)')
+        .optional(),
+    data_inicio: dataIsoSchema,
+    data_fim: dataIsoSchema.optional(),
+    total_ocorrencias: z.number()
+        .int('Total de ocorrências deve ser um número inteiro')
+        .min(1, 'Total de ocorrências deve ser pelo menos 1')
+        .optional()
+});
+
+// Validador para atualização de regra de recorrência
+export const updateRecorrenciaSchema = recorrenciaSchema.partial().omit({ tipo: true });
+
+// Validador para edição de ocorrência gerada por recorrência
+export const ocorrenciaSchema = z.object({
+    escopo: z.enum(['apenas_esta', 'esta_e_futuras']),
+    account_id: z.string().uuid('ID da conta deve ser um UUID válido').optional(),
+    category_id: z.string().uuid('ID da categoria deve ser um UUID válido').optional(),
+    nome: z.string()
+        .min(2, 'Nome deve ter pelo menos 2 caracteres')
+        .max(255, 'Nome não pode exceder 255 caracteres')
+        .optional(),
+    valor: z.number()
+        .positive('Valor deve ser positivo')
+        .max(999999999.99, 'Valor muito alto')
+        .optional(),
+    data: dataIsoSchema.optional(),
+    observacoes: z.string().max(1000, 'Observações não podem exceder 1000 caracteres').optional(),
+    status: z.enum(['pendente', 'confirmada', 'cancelada']).optional()
+});
+
+// Validador para geração de ocorrências sob demanda
+export const gerarRecorrenciasSchema = z.object({
+    ate: dataIsoSchema.optional()
+});
+
+// Validador para competência de fatura (YYYY-MM)
+export const competenciaSchema = z.string()
+    .regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Competência deve estar no formato AAAA-MM');
+
+// Validador para mapeamento de colunas de extrato CSV (nome do cabeçalho ou índice)
+const colunaCsvSchema = z.union([z.string().min(1), z.number().int().min(0)]);
+
+// Validador para importação de extrato bancário
+export const importacaoSchema = z.object({
+    formato: z.enum(['csv', 'ofx']),
+    conteudo: z.string()
+        .min(1, 'Conteúdo do arquivo é obrigatório')
+        .max(5 * 1024 * 1024, 'Arquivo não pode exceder 5MB'),
+    mapeamento: z.object({
+        data: colunaCsvSchema,
+        descricao: colunaCsvSchema,
+        valor: colunaCsvSchema.optional(),
+        credito: colunaCsvSchema.optional(),
+        debito: colunaCsvSchema.optional(),
+        id_externo: colunaCsvSchema.optional(),
+        separador: z.string().length(1).optional(),
+        possui_cabecalho: z.boolean().default(true),
+        formato_data: z.enum(['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD']).default('DD/MM/YYYY')
+    }).refine(
+        (mapeamento) => mapeamento.valor !== undefined || (mapeamento.credito !== undefined && mapeamento.debito !== undefined),
+        'Informe a coluna de valor ou as colunas de crédito e débito'
+    ).optional(),
+    category_receita_id: z.string().uuid('ID da categoria deve ser um UUID válido').optional(),
+    category_despesa_id: z.string().uuid('ID da categoria deve ser um UUID válido').optional(),
+    status: z.enum(['pendente', 'confirmada']).default('confirmada'),
+    importar_duplicadas: z.boolean().default(false),
+    confirmar: z.boolean().default(false)
+}).refine(
+    (dados) => dados.formato !== 'csv' || dados.mapeamento,
+    { message: 'Mapeamento de colunas é obrigatório para CSV', path: ['mapeamento'] }
+);
+
+// Validador para filtros do extrato da conta
+export const extratoFiltersSchema = z.object({
+    data_inicio: dataIsoSchema.optional(),
+    data_fim: dataIsoSchema.optional()
+});
+
 // Validador para filtros de busca
 export const financeFiltersSchema = z.object({
     data_inicio: z.string()
@@ -71,8 +224,394 @@ export const financeFiltersSchema = z.object({
         .optional(),
     category_id: z.string().uuid().optional(),
     account_id: z.string().uuid().optional(),
+    grupo_id: z.string().uuid().optional(),
     status: z.enum(['pendente', 'confirmada', 'cancelada']).optional(),
     tags: z.array(z.string().uuid()).default([]),
     limite: z.number().int().min(1).max(100).default(50),
     pagina: z.number().int().min(1).default(1)
-});
\ No newline at end of file
+});
+// Validador para exportação (mesmos filtros da listagem, sem paginação)
+export const exportacaoFiltersSchema = financeFiltersSchema
+    .omit({ limite: true, pagina: true, tags: true })
+    .extend({
+        formato: z.enum(['csv', 'ofx', 'xlsx']),
+        secao: z.enum(['transacoes', 'contas', 'orcamentos']).default('transacoes'),
+        // Na query string as tags chegam como "id1,id2" ou repetidas
+        tags: z.preprocess(
+            (tags) => tags === undefined ? [] : [].concat(tags).flatMap(tag => String(tag).split(',')),
+            z.array(z.string().uuid())
+        )
+    });
+
+// Validador para divisão de despesa entre participantes (quem pagou fica com o restante)
+export const divisaoSchema = z.object({
+    metodo: z.enum(['igual', 'percentual', 'valor']),
+    participantes: z.array(
+        z.object({
+            user_id: z.string().uuid('ID do usuário inválido').optional(),
+            email: z.string().email('Email inválido').optional(),
+            nome: z.string()
+                .min(1, 'Nome do participante é obrigatório')
+                .max(100, 'Nome não pode exceder 100 caracteres')
+                .optional(),
+            percentual: z.number()
+                .positive('Percentual deve ser positivo')
+                .max(100, 'Percentual não pode exceder 100')
+                .optional(),
+            valor: z.number()
+                .positive('Valor deve ser positivo')
+                .max(999999999.99, 'Valor muito alto')
+                .optional()
+        }).refine(
+            (participante) => participante.user_id || participante.email || participante.nome,
+            'Informe user_id, email ou nome do participante'
+        )
+    )
+        .min(1, 'Informe pelo menos um participante')
+        .max(50, 'Máximo de 50 participantes')
+}).superRefine((dados, ctx) => {
+    if (dados.metodo === 'percentual') {
+        if (dados.participantes.some(participante => participante.percentual === undefined)) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Informe o percentual de cada participante', path: ['participantes'] });
+        } else if (dados.participantes.reduce((soma, participante) => soma + participante.percentual, 0) > 100) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'A soma dos percentuais não pode exceder 100', path: ['participantes'] });
+        }
+    }
+
+    if (dados.metodo === 'valor' && dados.participantes.some(participante => participante.valor === undefined)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Informe o valor de cada participante', path: ['participantes'] });
+    }
+});
+
+// Validador para acerto de divisões: recebe o valor na conta como receita ou,
+// com conta_origem_id, como transferência entre contas
+export const acertoDivisaoSchema = z.object({
+    participante_user_id: z.string().uuid('ID do participante inválido').optional(),
+    participante_nome: z.string().min(1).max(100).optional(),
+    divisao_ids: z.array(z.string().uuid('ID da divisão inválido')).min(1).optional(),
+    account_id: z.string().uuid('ID da conta deve ser um UUID válido'),
+    conta_origem_id: z.string().uuid('ID da conta de origem deve ser um UUID válido').optional(),
+    category_id: z.string().uuid('ID da categoria deve ser um UUID válido').optional(),
+    data: dataIsoSchema.optional()
+}).refine(
+    (dados) => dados.participante_user_id || dados.participante_nome || dados.divisao_ids,
+    { message: 'Informe o participante ou as divisões a acertar', path: ['participante_user_id'] }
+);
+
+// Validador para código de moeda ISO 4217 (aceita minúsculas)
+const moedaSchema = z.string()
+    .transform((moeda) => moeda.toUpperCase())
+    .pipe(z.string().regex(/^[A-Z]{3}$/, 'Moeda deve ser um código ISO de 3 letras (ex.: BRL, USD)'));
+
+// Validador para cadastro manual de cotações (1 moeda_origem = taxa moeda_destino)
+export const cotacoesSchema = z.object({
+    cotacoes: z.array(
+        z.object({
+            moeda_origem: moedaSchema,
+            moeda_destino: moedaSchema,
+            data: dataIsoSchema,
+            taxa: z.number().positive('Taxa deve ser positiva')
+        }).refine(
+            (cotacao) => cotacao.moeda_origem !== cotacao.moeda_destino,
+            { message: 'Moedas de origem e destino devem ser diferentes', path: ['moeda_destino'] }
+        )
+    )
+        .min(1, 'Informe pelo menos uma cotação')
+        .max(500, 'Máximo de 500 cotações por vez')
+});
+
+// Validador para importação de cotações por arquivo CSV
+export const importacaoCotacoesSchema = z.object({
+    conteudo: z.string()
+        .min(1, 'Conteúdo do arquivo é obrigatório')
+        .max(5 * 1024 * 1024, 'Arquivo não pode exceder 5MB'),
+    formato_data: z.enum(['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD']).default('YYYY-MM-DD')
+});
+
+// Validador para filtros da listagem de cotações
+export const cotacoesFiltersSchema = z.object({
+    moeda_origem: moedaSchema.optional(),
+    moeda_destino: moedaSchema.optional(),
+    data_inicio: dataIsoSchema.optional(),
+    data_fim: dataIsoSchema.optional()
+});
+
+// Validador para ativo de uma conta de investimento
+export const ativoSchema = z.object({
+    account_id: z.string().uuid('ID da conta deve ser um UUID válido'),
+    tipo: z.enum(['cdb', 'tesouro', 'acao', 'fii', 'outro']),
+    codigo: z.string()
+        .min(1, 'Código é obrigatório')
+        .max(50, 'Código não pode exceder 50 caracteres'),
+    nome: z.string().max(255, 'Nome não pode exceder 255 caracteres').optional(),
+    // Renda fixa: indexador (CDI, IPCA, prefixado...) e vencimento do título
+    indexador: z.string().max(50, 'Indexador não pode exceder 50 caracteres').optional(),
+    vencimento: dataIsoSchema.optional()
+});
+
+// Validador para atualização de ativo (a conta não pode ser trocada)
+export const updateAtivoSchema = ativoSchema.omit({ account_id: true }).partial();
+
+// Validador para compra, venda ou provento; proventos informam só o valor recebido
+export const operacaoInvestimentoSchema = z.object({
+    ativo_id: z.string().uuid('ID do ativo deve ser um UUID válido'),
+    tipo: z.enum(['compra', 'venda', 'provento']),
+    data: dataIsoSchema,
+    quantidade: z.number().positive('Quantidade deve ser positiva').optional(),
+    preco_unitario: z.number().min(0, 'Preço não pode ser negativo').optional(),
+    valor: z.number().positive('Valor deve ser positivo').optional(),
+    taxas: z.number().min(0, 'Taxas não podem ser negativas').default(0),
+    observacoes: z.string().max(500, 'Observações não podem exceder 500 caracteres').optional()
+}).superRefine((dados, ctx) => {
+    if (dados.tipo === 'provento') {
+        if (dados.valor === undefined) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Informe o valor do provento', path: ['valor'] });
+        }
+        return;
+    }
+
+    if (dados.quantidade === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Informe a quantidade', path: ['quantidade'] });
+    }
+    if (dados.preco_unitario === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Informe o preço unitário', path: ['preco_unitario'] });
+    }
+});
+
+// Validador para cadastro manual de preços de um ativo
+export const precosAtivoSchema = z.object({
+    precos: z.array(
+        z.object({
+            data: dataIsoSchema,
+            preco: z.number().min(0, 'Preço não pode ser negativo')
+        })
+    )
+        .min(1, 'Informe pelo menos um preço')
+        .max(500, 'Máximo de 500 preços por vez')
+});
+
+// Validador para importação de preços por arquivo CSV (codigo, data, preco)
+export const importacaoPrecosSchema = importacaoCotacoesSchema;
+
+// Validador para filtros da carteira
+export const carteiraFiltersSchema = z.object({
+    account_id: z.string().uuid('ID da conta deve ser um UUID válido').optional()
+});
+
+// Validador para amortização extraordinária de empréstimo: 'prazo' mantém a
+// parcela e reduz o prazo; 'parcela' mantém o prazo e reduz as parcelas
+export const amortizacaoEmprestimoSchema = z.object({
+    valor: z.number()
+        .positive('Valor deve ser positivo')
+        .max(999999999.99, 'Valor muito alto'),
+    data: dataIsoSchema,
+    modo: z.enum(['prazo', 'parcela']).default('prazo'),
+    // Sem conta de origem, usa a conta de pagamento do empréstimo
+    conta_origem_id: z.string().uuid('ID da conta de origem deve ser um UUID válido').optional()
+});
+
+// Campos de uma meta de economia
+const metaBaseSchema = z.object({
+    nome: z.string()
+        .min(2, 'Nome deve ter pelo menos 2 caracteres')
+        .max(255, 'Nome não pode exceder 255 caracteres'),
+    descricao: z.string().max(1000, 'Descrição não pode exceder 1000 caracteres').optional(),
+    valor_alvo: z.number()
+        .positive('Valor alvo deve ser positivo')
+        .max(999999999.99, 'Valor muito alto'),
+    // Quanto já estava guardado ao criar a meta
+    valor_inicial: z.number().min(0, 'Valor inicial não pode ser negativo').default(0),
+    data_inicio: dataIsoSchema.optional(),
+    data_limite: dataIsoSchema,
+    // Conta que recebe os aportes por transferência
+    account_id: z.string().uuid('ID da conta deve ser um UUID válido').nullable().optional(),
+    // Receitas com esta tag contam como aporte
+    tag_id: z.string().uuid('ID da tag deve ser um UUID válido').nullable().optional()
+});
+
+// Validador para meta de economia
+export const metaSchema = metaBaseSchema.refine(
+    (meta) => !meta.data_inicio || meta.data_limite >= meta.data_inicio,
+    { message: 'Prazo não pode ser anterior ao início da meta', path: ['data_limite'] }
+);
+
+// Validador para atualização de meta
+export const updateMetaSchema = metaBaseSchema.partial().extend({
+    valor_inicial: z.number().min(0, 'Valor inicial não pode ser negativo').optional()
+});
+
+// Validador para aporte em meta: nova transferência para a conta da meta ou
+// vínculo de uma transferência existente
+export const aporteMetaSchema = z.object({
+    transferencia_id: z.string().uuid('ID da transferência deve ser um UUID válido').optional(),
+    conta_origem_id: z.string().uuid('ID da conta de origem deve ser um UUID válido').optional(),
+    valor: z.number()
+        .positive('Valor deve ser positivo')
+        .max(999999999.99, 'Valor muito alto')
+        .optional(),
+    data: dataIsoSchema.optional(),
+    descricao: z.string().max(255, 'Descrição não pode exceder 255 caracteres').optional()
+}).refine(
+    (aporte) => aporte.transferencia_id || (aporte.conta_origem_id && aporte.valor),
+    { message: 'Informe a transferência ou a conta de origem e o valor do aporte', path: ['valor'] }
+);
+
+// Validador para filtros da previsão de fluxo de caixa
+export const previsaoFiltersSchema = z.object({
+    meses: z.coerce.number()
+        .int('Meses deve ser um número inteiro')
+        .min(1, 'A previsão deve ter pelo menos 1 mês')
+        .max(12, 'A previsão não pode exceder 12 meses')
+        .default(3),
+    granularidade: z.enum(['diaria', 'mensal']).default('diaria')
+});
+
+// Validador para geração das receitas de salário previstas no perfil
+export const gerarSalariosSchema = z.object({
+    competencia: competenciaSchema.optional()
+});
+
+// Maior repetição {n,m} tratada como limitada pela verificação de expressões regulares
+const REPETICAO_LIMITADA_MAXIMA = 10;
+
+/**
+ * Confere se a expressão regular não tem construções de backtracking catastrófico:
+ * mais de um quantificador sem limite (*, +, {n,} ou {n,m} longo), como a*a*b ou
+ * .*.*x; grupo repetido que contenha outro quantificador ou alternativas, como
+ * (a+)+ ou (a|aa)*; e referências a grupos (\\1, \\k<nome>)
+ * @param {string} regex - Expressão regular
+ * @returns {boolean} True se a expressão é segura
+ */
+export const regexSegura = (regex) => {
+    // Cada grupo aberto guarda se já contém quantificador ou alternativa
+    const grupos = [{ arriscado: false }];
+    let ultimoGrupo = null;
+    let semLimite = 0;
+
+    for (let i = 0; i < regex.length; i++) {
+        const caractere = regex[i];
+        const atual = grupos[grupos.length - 1];
+        const fechouGrupo = ultimoGrupo;
+        ultimoGrupo = null;
+
+        const repeticao = caractere === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(regex.slice(i)) : null;
+
+        if (caractere === '\\') {
+            if (/[1-9k]/.test(regex[i + 1] || '')) {
+                return false;
+            }
+            i += 1;
+        } else if (caractere === '[') {
+            // Classe de caracteres: pula até o ] que a fecha
+            i += 1;
+            while (i < regex.length && regex[i] !== ']') {
+                i += regex[i] === '\\' ? 2 : 1;
+            }
+        } else if (caractere === '(') {
+            // Pula o prefixo de grupos especiais: (?:, (?=, (?!, (?<=, (?<! e (?<nome>
+            const prefixo = /^\(\?(?:[:=!]|<[=!]|<[^>]*>)/.exec(regex.slice(i));
+            if (prefixo) {
+                i += prefixo[0].length - 1;
+            }
+            grupos.push({ arriscado: false });
+        } else if (caractere === ')' && grupos.length > 1) {
+            ultimoGrupo = grupos.pop();
+            grupos[grupos.length - 1].arriscado ||= ultimoGrupo.arriscado;
+        } else if (caractere === '|') {
+            atual.arriscado = true;
+        } else if (caractere === '*' || caractere === '+' || caractere === '?' || repeticao) {
+            // Só ? (zero ou uma vez) pode vir depois de um grupo arriscado
+            if (fechouGrupo?.arriscado && caractere !== '?') {
+                return false;
+            }
+            atual.arriscado = true;
+
+            const longa = repeticao && repeticao[2]
+                && (repeticao[3] === '' || Number(repeticao[3]) > REPETICAO_LIMITADA_MAXIMA);
+            if (caractere === '*' || caractere === '+' || longa) {
+                semLimite += 1;
+                if (semLimite > 1) {
+                    return false;
+                }
+            }
+        }
+    }
+
+    return true;
+};
+
+const regraBaseSchema = z.object({
+    nome: z.string()
+        .min(2, 'Nome deve ter pelo menos 2 caracteres')
+        .max(255, 'Nome não pode exceder 255 caracteres'),
+    tipo: z.enum(['receita', 'despesa', 'ambos']).default('ambos'),
+    // Entre as regras que se aplicam, a de maior prioridade define a categoria
+    prioridade: z.number()
+        .int('Prioridade deve ser um número inteiro')
+        .min(0, 'Prioridade não pode ser negativa')
+        .max(1000, 'Prioridade não pode exceder 1000')
+        .default(0),
+    nome_contem: z.string().trim()
+        .min(1, 'Trecho do nome não pode ser vazio')
+        .max(255, 'Trecho do nome não pode exceder 255 caracteres')
+        .nullable()
+        .optional(),
+    nome_regex: z.string()
+        .max(200, 'Expressão regular não pode exceder 200 caracteres')
+        .refine((regex) => {
+            try {
+                new RegExp(regex, 'i');
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }, 'Expressão regular inválida')
+        .refine(regexSegura, 'Expressão regular pode ter só um quantificador sem limite (*, +, {n,}), não pode repetir grupos com quantificadores ou alternativas nem usar referências a grupos')
+        .nullable()
+        .optional(),
+    account_id: z.string().uuid('ID da conta deve ser um UUID válido').nullable().optional(),
+    valor_min: z.number().min(0, 'Valor mínimo não pode ser negativo').nullable().optional(),
+    valor_max: z.number().positive('Valor máximo deve ser positivo').nullable().optional(),
+    category_id: z.string().uuid('ID da categoria deve ser um UUID válido').nullable().optional(),
+    tags: z.array(z.string().uuid('Tag deve ser um UUID válido')).default([])
+});
+
+// Validador para regra de categorização automática
+export const regraSchema = regraBaseSchema
+    .refine(
+        (regra) => regra.nome_contem || regra.nome_regex || regra.account_id
+            || regra.valor_min != null || regra.valor_max != null,
+        { message: 'Informe ao menos uma condição (nome, conta ou faixa de valor)', path: ['nome_contem'] }
+    )
+    .refine(
+        (regra) => regra.category_id || regra.tags.length > 0,
+        { message: 'A regra deve definir uma categoria ou tags', path: ['category_id'] }
+    )
+    .refine(
+        (regra) => regra.valor_min == null || regra.valor_max == null || regra.valor_max >= regra.valor_min,
+        { message: 'Valor máximo não pode ser menor que o mínimo', path: ['valor_max'] }
+    )
+    .refine(
+        (regra) => !regra.category_id || regra.tipo !== 'ambos',
+        { message: 'Regras que definem categoria devem ser de receita ou de despesa', path: ['tipo'] }
+    );
+
+// Validador para atualização de regra (as condições são conferidas com a regra completa)
+export const updateRegraSchema = regraBaseSchema.partial();
+
+// Validador para aplicação retroativa das regras
+export const aplicarRegrasSchema = z.object({
+    tipo: z.enum(['receita', 'despesa']).optional(),
+    data_inicio: dataIsoSchema.optional(),
+    data_fim: dataIsoSchema.optional(),
+    regra_ids: z.array(z.string().uuid('ID da regra deve ser um UUID válido')).optional(),
+    sobrescrever_categoria: z.boolean().default(false)
+});
+
+// Validador para sugestão de categoria pelo histórico
+export const sugestaoCategoriaSchema = z.object({
+    nome: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(255, 'Nome não pode exceder 255 caracteres'),
+    tipo: z.enum(['receita', 'despesa']).default('despesa'),
+    valor: z.coerce.number().positive('Valor deve ser positivo').optional(),
+    account_id: z.string().uuid('ID da conta deve ser um UUID válido').optional()
+});
@@ -0,0 +1,83 @@
+// financeValidators.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { regexSegura, regraSchema } from './financeValidators.js';
+
+// Expressões com backtracking catastrófico conhecidas
+const PERIGOSAS = [
+    'a*a*a*a*b',
+    '.*.*.*.*x',
+    '\\d*\\d*\\d*\\d*z',
+    'a+a+b',
+    '.*x.{2,}',
+    '\\w{1,100}\\w{1,100}x',
+    '(a+)+$',
+    '(a|aa)*',
+    '(\\d+)*x',
+    '((ab)+c)+',
+    '(a+){2,5}',
+    '(.*a){3}',
+    '(a?)+b',
+    '(a)\\1',
+    '(?<n>a)\\k<n>'
+];
+
+const SEGURAS = [
+    '^uber',
+    'uber|99|ifood',
+    '(uber|99) ?trip',
+    'pix.*mercado',
+    '^\\d{2}/\\d{2} compra',
+    '(a+)?b',
+    '[(a+)]+',
+    '\\(a\\)+',
+    '(?:ab)+',
+    'a{2,}'
+];
+
+const regra = (nomeRegex) => ({
+    nome: 'Regra',
+    tipo: 'despesa',
+    nome_regex: nomeRegex,
+    category_id: '00000000-0000-4000-8000-000000000000'
+});
+
+describe('regexSegura', () => {
+    for (const regex of PERIGOSAS) {
+        it(`rejeita ${regex}`, () => {
+            assert.equal(regexSegura(regex), false);
+        });
+    }
+
+    for (const regex of SEGURAS) {
+        it(`aceita ${regex}`, () => {
+            assert.equal(regexSegura(regex), true);
+        });
+    }
+
+    it('testa as expressões aceitas em tempo curto mesmo no pior caso', () => {
+        const nomes = ['a'.repeat(255), '1'.repeat(255), 'ab'.repeat(127)];
+        for (const regex of SEGURAS) {
+            const inicio = process.hrtime.bigint();
+            nomes.forEach(nome => new RegExp(regex, 'i').test(nome + '!'));
+            const ms = Number(process.hrtime.bigint() - inicio) / 1e6;
+            assert.ok(ms < 100, `${regex} levou ${ms}ms`);
+        }
+    });
+});
+
+describe('regraSchema.nome_regex', () => {
+    it('recusa expressão perigosa', () => {
+        const resultado = regraSchema.safeParse(regra('a*a*a*a*b'));
+        assert.equal(resultado.success, false);
+        assert.deepEqual(resultado.error.errors[0].path, ['nome_regex']);
+    });
+
+    it('recusa expressão inválida', () => {
+        assert.equal(regraSchema.safeParse(regra('(abc')).success, false);
+    });
+
+    it('aceita expressão segura', () => {
+        assert.equal(regraSchema.safeParse(regra('^pix .*mercado')).success, true);
+    });
+});
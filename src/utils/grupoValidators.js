@@ -0,0 +1,24 @@
+import { z } from 'zod';
+
+// Validador para criação/renomeação de grupo
+export const grupoSchema = z.object({
+    nome: z.string()
+        .min(2, 'Nome deve ter pelo menos 2 caracteres')
+        .max(100, 'Nome não pode exceder 100 caracteres')
+});
+
+// Validador para convite por e-mail (o owner é quem cria o grupo)
+export const conviteGrupoSchema = z.object({
+    email: z.string().email('Email inválido'),
+    papel: z.enum(['editor', 'viewer']).default('editor')
+});
+
+// Validador para aceitar convite
+export const aceitarConviteSchema = z.object({
+    token: z.string().min(1, 'Token é obrigatório')
+});
+
+// Validador para alterar o papel de um membro ('owner' transfere a administração)
+export const papelMembroSchema = z.object({
+    papel: z.enum(['owner', 'editor', 'viewer'])
+});
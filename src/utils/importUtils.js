@@ -0,0 +1,329 @@
+// importUtils.js
+// Leitura de extratos bancários (CSV e OFX) em transações normalizadas:
+// { linha, data: 'YYYY-MM-DD', descricao, valor (negativo = saída), id_externo }
+
+/**
+ * Converte texto monetário em número (aceita "1.234,56", "1234.56", "R$ -10,00")
+ * @param {string} texto - Valor em texto
+ * @returns {number} Valor numérico ou NaN
+ */
+export const parseValor = (texto) => {
+    if (texto === undefined || texto === null) {
+        return NaN;
+    }
+
+    let limpo = String(texto).replace(/R\$|\s/g, '');
+    const negativo = /^\(.*\)$/.test(limpo) || limpo.startsWith('-') || limpo.endsWith('-');
+    limpo = limpo.replace(/[()+-]/g, '');
+
+    // O separador que aparece por último é o decimal
+    const ultimaVirgula = limpo.lastIndexOf(',');
+    const ultimoPonto = limpo.lastIndexOf('.');
+    if (ultimaVirgula > ultimoPonto) {
+        limpo = limpo.replace(/\./g, '').replace(',', '.');
+    } else {
+        limpo = limpo.replace(/,/g, '');
+    }
+
+    if (limpo === '') {
+        return NaN;
+    }
+
+    const valor = Number(limpo);
+    return negativo ? -valor : valor;
+};
+
+/**
+ * Converte data em texto para YYYY-MM-DD
+ * @param {string} texto - Data em texto
+ * @param {string} formato - 'DD/MM/YYYY', 'MM/DD/YYYY' ou 'YYYY-MM-DD'
+ * @returns {string} Data formatada ou null se inválida
+ */
+export const parseDataTexto = (texto, formato = 'DD/MM/YYYY') => {
+    const partes = String(texto || '').trim().split(/[/.-]/).map(parte => parte.trim());
+    if (partes.length !== 3) {
+        return null;
+    }
+
+    let [ano, mes, dia] = [];
+    if (formato === 'YYYY-MM-DD') {
+        [ano, mes, dia] = partes;
+    } else if (formato === 'MM/DD/YYYY') {
+        [mes, dia, ano] = partes;
+    } else {
+        [dia, mes, ano] = partes;
+    }
+
+    if (ano.length === 2) {
+        ano = `20${ano}`;
+    }
+
+    const data = `${ano.padStart(4, '0')}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')}`;
+    const convertida = new Date(`${data}T00:00:00Z`);
+
+    if (isNaN(convertida.getTime()) || convertida.toISOString().split('T')[0] !== data) {
+        return null;
+    }
+
+    return data;
+};
+
+/**
+ * Quebra uma linha CSV respeitando campos entre aspas
+ * @param {string} linha - Linha do arquivo
+ * @param {string} separador - Separador de campos
+ * @returns {Array} Campos da linha
+ */
+const dividirLinhaCsv = (linha, separador) => {
+    const campos = [];
+    let atual = '';
+    let entreAspas = false;
+
+    for (let i = 0; i < linha.length; i++) {
+        const caractere = linha[i];
+
+        if (caractere === '"') {
+            if (entreAspas && linha[i + 1] === '"') {
+                atual += '"';
+                i++;
+            } else {
+                entreAspas = !entreAspas;
+            }
+        } else if (caractere === separador && !entreAspas) {
+            campos.push(atual.trim());
+            atual = '';
+        } else {
+            atual += caractere;
+        }
+    }
+
+    campos.push(atual.trim());
+    return campos;
+};
+
+/**
+ * Lê um extrato CSV usando o mapeamento de colunas informado
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @param {Object} mapeamento - Colunas (nome do cabeçalho ou índice) e opções de leitura
+ * @returns {Array} Transações lidas (com erro por linha quando não for possível ler)
+ */
+export const parseCsv = (conteudo, mapeamento) => {
+    const linhas = conteudo
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .map((texto, indice) => ({ texto, numero: indice + 1 }))
+        .filter(linha => linha.texto.trim() !== '');
+
+    if (linhas.length === 0) {
+        return [];
+    }
+
+    // Sem separador informado, usa ';' se aparecer na primeira linha (padrão dos bancos brasileiros)
+    const separador = mapeamento.separador || (linhas[0].texto.includes(';') ? ';' : ',');
+    const possuiCabecalho = mapeamento.possui_cabecalho !== false;
+
+    const cabecalho = possuiCabecalho
+        ? dividirLinhaCsv(linhas.shift().texto, separador).map(coluna => coluna.toLowerCase())
+        : [];
+
+    const indiceDe = (coluna) => {
+        if (coluna === undefined || coluna === null) {
+            return -1;
+        }
+        return typeof coluna === 'number' ? coluna : cabecalho.indexOf(String(coluna).toLowerCase());
+    };
+
+    const indices = {
+        data: indiceDe(mapeamento.data),
+        descricao: indiceDe(mapeamento.descricao),
+        valor: indiceDe(mapeamento.valor),
+        credito: indiceDe(mapeamento.credito),
+        debito: indiceDe(mapeamento.debito),
+        id_externo: indiceDe(mapeamento.id_externo)
+    };
+
+    return linhas.map(({ texto, numero }) => {
+        const campos = dividirLinhaCsv(texto, separador);
+        const data = parseDataTexto(campos[indices.data], mapeamento.formato_data);
+
+        let valor;
+        if (indices.valor >= 0) {
+            valor = parseValor(campos[indices.valor]);
+        } else {
+            const credito = parseValor(campos[indices.credito]);
+            const debito = parseValor(campos[indices.debito]);
+            valor = (isNaN(credito) ? 0 : Math.abs(credito)) - (isNaN(debito) ? 0 : Math.abs(debito));
+        }
+
+        const erros = [];
+        if (!data) {
+            erros.push('Data inválida');
+        }
+        if (isNaN(valor) || valor === 0) {
+            erros.push('Valor inválido');
+        }
+
+        return {
+            linha: numero,
+            data,
+            descricao: campos[indices.descricao] || '',
+            valor,
+            id_externo: indices.id_externo >= 0 ? campos[indices.id_externo] || null : null,
+            erros
+        };
+    });
+};
+
+/**
+ * Lê um extrato OFX (SGML ou XML)
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @returns {Array} Transações lidas
+ */
+export const parseOfx = (conteudo) => {
+    const blocos = conteudo.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+    const campo = (bloco, tag) => {
+        const encontrado = bloco.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+        return encontrado ? encontrado[1].trim() : null;
+    };
+
+    return blocos.map((bloco, indice) => {
+        const dataPostada = campo(bloco, 'DTPOSTED');
+        const data = dataPostada
+            ? parseDataTexto(
+                `${dataPostada.substring(0, 4)}-${dataPostada.substring(4, 6)}-${dataPostada.substring(6, 8)}`,
+                'YYYY-MM-DD'
+            )
+            : null;
+        const valor = parseValor(campo(bloco, 'TRNAMT'));
+
+        const erros = [];
+        if (!data) {
+            erros.push('Data inválida');
+        }
+        if (isNaN(valor) || valor === 0) {
+            erros.push('Valor inválido');
+        }
+
+        return {
+            linha: indice + 1,
+            data,
+            descricao: campo(bloco, 'MEMO') || campo(bloco, 'NAME') || '',
+            valor,
+            id_externo: campo(bloco, 'FITID'),
+            erros
+        };
+    });
+};
+
+/**
+ * Lê um CSV com cabeçalho, exigindo as colunas informadas (em qualquer ordem; separador ';' ou ',')
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @param {Array} colunas - Nomes das colunas obrigatórias
+ * @returns {Array} Linhas com número e campos por nome de coluna
+ */
+const lerCsvComCabecalho = (conteudo, colunas) => {
+    const linhas = conteudo
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .map((texto, indice) => ({ texto, numero: indice + 1 }))
+        .filter(linha => linha.texto.trim() !== '');
+
+    if (linhas.length === 0) {
+        return [];
+    }
+
+    const separador = linhas[0].texto.includes(';') ? ';' : ',';
+    const cabecalho = dividirLinhaCsv(linhas.shift().texto, separador).map(coluna => coluna.toLowerCase());
+
+    if (colunas.some(coluna => !cabecalho.includes(coluna))) {
+        throw new Error(`O arquivo deve ter as colunas ${colunas.join(', ')}`);
+    }
+
+    return linhas.map(({ texto, numero }) => {
+        const valores = dividirLinhaCsv(texto, separador);
+        return {
+            numero,
+            campos: Object.fromEntries(colunas.map(coluna => [coluna, valores[cabecalho.indexOf(coluna)] || '']))
+        };
+    });
+};
+
+/**
+ * Lê um arquivo CSV de cotações com cabeçalho moeda_origem, moeda_destino, data e taxa
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @param {string} formatoData - Formato das datas no arquivo
+ * @returns {Array} Cotações lidas (com erro por linha quando não for possível ler)
+ */
+export const parseCotacoesCsv = (conteudo, formatoData = 'YYYY-MM-DD') =>
+    lerCsvComCabecalho(conteudo, ['moeda_origem', 'moeda_destino', 'data', 'taxa']).map(({ numero, campos }) => {
+        const moedaOrigem = campos.moeda_origem.toUpperCase();
+        const moedaDestino = campos.moeda_destino.toUpperCase();
+        const data = parseDataTexto(campos.data, formatoData);
+        const taxa = parseValor(campos.taxa);
+
+        const erros = [];
+        if (!/^[A-Z]{3}$/.test(moedaOrigem) || !/^[A-Z]{3}$/.test(moedaDestino)) {
+            erros.push('Moeda inválida');
+        } else if (moedaOrigem === moedaDestino) {
+            erros.push('Moedas de origem e destino devem ser diferentes');
+        }
+        if (!data) {
+            erros.push('Data inválida');
+        }
+        if (isNaN(taxa) || taxa <= 0) {
+            erros.push('Taxa inválida');
+        }
+
+        return {
+            linha: numero,
+            moeda_origem: moedaOrigem,
+            moeda_destino: moedaDestino,
+            data,
+            taxa,
+            erros
+        };
+    });
+
+/**
+ * Lê um arquivo CSV de preços de ativos com cabeçalho codigo, data e preco
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @param {string} formatoData - Formato das datas no arquivo
+ * @returns {Array} Preços lidos (com erro por linha quando não for possível ler)
+ */
+export const parsePrecosCsv = (conteudo, formatoData = 'YYYY-MM-DD') =>
+    lerCsvComCabecalho(conteudo, ['codigo', 'data', 'preco']).map(({ numero, campos }) => {
+        const data = parseDataTexto(campos.data, formatoData);
+        const preco = parseValor(campos.preco);
+
+        const erros = [];
+        if (!campos.codigo) {
+            erros.push('Código inválido');
+        }
+        if (!data) {
+            erros.push('Data inválida');
+        }
+        if (isNaN(preco) || preco < 0) {
+            erros.push('Preço inválido');
+        }
+
+        return {
+            linha: numero,
+            codigo: campos.codigo.toUpperCase(),
+            data,
+            preco,
+            erros
+        };
+    });
+
+/**
+ * Normaliza descrições para comparação (sem acentos, caixa ou espaços extras)
+ * @param {string} texto - Descrição
+ * @returns {string} Descrição normalizada
+ */
+export const normalizarDescricao = (texto) => String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
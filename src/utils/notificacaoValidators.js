@@ -0,0 +1,28 @@
+import { z } from 'zod';
+
+// Validador para filtros da listagem de notificações (query string)
+export const notificacaoFiltersSchema = z.object({
+    lida: z.enum(['true', 'false'])
+        .transform((valor) => valor === 'true')
+        .optional(),
+    limite: z.coerce.number().int().min(1).max(100).default(50)
+});
+
+// Validador para marcar notificação como lida/não lida
+export const marcarNotificacaoSchema = z.object({
+    lida: z.boolean().default(true)
+});
+
+// Validador para configuração dos limiares de alerta
+export const alertasConfigSchema = z.object({
+    percentuais_categoria: z.array(
+        z.number().int().min(1, 'Percentual deve ser maior que zero').max(200, 'Percentual não pode exceder 200')
+    ).max(10, 'Máximo de 10 percentuais').optional(),
+    limite_gastos_mensal: z.number().positive('Limite mensal deve ser positivo').nullable().optional(),
+    saldo_minimo: z.number().nullable().optional(),
+    percentual_limite_cartao: z.number()
+        .min(1, 'Percentual deve ser maior que zero')
+        .max(100, 'Percentual não pode exceder 100')
+        .nullable()
+        .optional()
+});
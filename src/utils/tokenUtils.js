@@ -0,0 +1,79 @@
+// tokenUtils.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Access tokens são curtos; a sessão é mantida pelo refresh token
+export const ACCESS_TOKEN_EXPIRACAO = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+export const REFRESH_TOKEN_DIAS = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS || '30', 10);
+
+/**
+ * Gera o access token (JWT) vinculado a uma sessão
+ * @param {string} userId - ID do usuário
+ * @param {string} sessaoId - ID da sessão
+ * @returns {string} Token assinado
+ */
+export const gerarAccessToken = (userId, sessaoId) => jwt.sign(
+    { userId, sessaoId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRACAO }
+);
+
+/**
+ * Calcula o hash de um segredo para armazenamento (o valor original nunca é salvo)
+ * @param {string} segredo - Segredo em texto
+ * @returns {string} Hash SHA-256 em hexadecimal
+ */
+export const hashToken = (segredo) => crypto.createHash('sha256').update(segredo).digest('hex');
+
+/**
+ * Gera um refresh token opaco no formato "<sessaoId>.<segredo>"
+ * @param {string} sessaoId - ID da sessão
+ * @returns {Object} Token para o cliente e hash para o banco
+ */
+export const gerarRefreshToken = (sessaoId) => {
+    const segredo = crypto.randomBytes(48).toString('base64url');
+    return { token: `${sessaoId}.${segredo}`, hash: hashToken(segredo) };
+};
+
+// O ID da sessão é um UUID; qualquer outro valor nem chega ao banco
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Separa um refresh token em sessão e segredo
+ * @param {string} token - Refresh token recebido
+ * @returns {Object} { sessaoId, segredo } ou null se o formato for inválido
+ */
+export const lerRefreshToken = (token) => {
+    const [sessaoId, segredo, ...resto] = String(token || '').split('.');
+    if (!UUID_REGEX.test(sessaoId) || !segredo || resto.length > 0) {
+        return null;
+    }
+    return { sessaoId, segredo };
+};
+
+// Desafio de login em duas etapas: vale só para /login/2fa e por poucos minutos
+const AUDIENCIA_DESAFIO_2FA = 'login-2fa';
+
+/**
+ * Gera o token de desafio entregue após a senha quando o 2FA está ativo
+ * @param {string} userId - ID do usuário
+ * @returns {string} Token assinado
+ */
+export const gerarDesafio2fa = (userId) => jwt.sign(
+    { userId },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', audience: AUDIENCIA_DESAFIO_2FA }
+);
+
+/**
+ * Valida o token de desafio do 2FA
+ * @param {string} token - Token de desafio
+ * @returns {string} ID do usuário ou null se inválido/expirado
+ */
+export const verificarDesafio2fa = (token) => {
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCIA_DESAFIO_2FA }).userId;
+    } catch (error) {
+        return null;
+    }
+};
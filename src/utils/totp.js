@@ -0,0 +1,154 @@
+// totp.js
+// TOTP (RFC 6238) com HMAC-SHA1, 6 dígitos e passo de 30 segundos,
+// compatível com Google Authenticator, Authy, 1Password etc.
+import crypto from 'crypto';
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PASSO_SEGUNDOS = 30;
+const DIGITOS = 6;
+
+/**
+ * Codifica bytes em base32 (sem padding), formato usado pelos apps autenticadores
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Texto em base32
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let texto = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        texto += ALFABETO_BASE32[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return texto;
+};
+
+/**
+ * Decodifica texto base32 em bytes
+ * @param {string} texto - Texto em base32
+ * @returns {Buffer} Bytes
+ */
+const base32Decode = (texto) => {
+    let bits = '';
+    for (const caractere of texto.replace(/=+$/, '').toUpperCase()) {
+        const indice = ALFABETO_BASE32.indexOf(caractere);
+        if (indice < 0) {
+            throw new Error('Segredo TOTP inválido');
+        }
+        bits += indice.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Gera um segredo TOTP aleatório (160 bits)
+ * @returns {string} Segredo em base32
+ */
+export const gerarSegredo = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula o código TOTP de um passo de tempo
+ * @param {string} segredo - Segredo em base32
+ * @param {number} passo - Número do passo (segundos desde a época / 30)
+ * @returns {string} Código com 6 dígitos
+ */
+export const gerarCodigo = (segredo, passo) => {
+    const contador = Buffer.alloc(8);
+    contador.writeBigUInt64BE(BigInt(passo));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(segredo)).update(contador).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binario % 10 ** DIGITOS).padStart(DIGITOS, '0');
+};
+
+/**
+ * Passo de tempo atual
+ * @returns {number} Passo atual
+ */
+export const passoAtual = () => Math.floor(Date.now() / 1000 / PASSO_SEGUNDOS);
+
+/**
+ * Verifica um código aceitando um passo de tolerância para relógios dessincronizados
+ * @param {string} segredo - Segredo em base32
+ * @param {string} codigo - Código informado
+ * @param {number} ultimoPassoUsado - Último passo aceito (impede reutilizar o mesmo código)
+ * @returns {number} Passo correspondente ao código ou null se inválido
+ */
+export const verificarCodigo = (segredo, codigo, ultimoPassoUsado = null) => {
+    if (!new RegExp(`^\\d{${DIGITOS}}$`).test(String(codigo))) {
+        return null;
+    }
+
+    const atual = passoAtual();
+
+    for (const passo of [atual - 1, atual, atual + 1]) {
+        if (ultimoPassoUsado !== null && passo <= ultimoPassoUsado) {
+            continue;
+        }
+
+        const esperado = gerarCodigo(segredo, passo);
+        if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(String(codigo)))) {
+            return passo;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Monta a URI otpauth:// para o QR code do app autenticador
+ * @param {string} segredo - Segredo em base32
+ * @param {string} conta - Identificação da conta (e-mail)
+ * @returns {string} URI otpauth
+ */
+export const gerarOtpauthUri = (segredo, conta) => {
+    const emissor = process.env.TOTP_EMISSOR || 'Grana Zen';
+    const rotulo = encodeURIComponent(`${emissor}:${conta}`);
+    const parametros = new URLSearchParams({
+        secret: segredo,
+        issuer: emissor,
+        algorithm: 'SHA1',
+        digits: String(DIGITOS),
+        period: String(PASSO_SEGUNDOS)
+    });
+    return `otpauth://totp/${rotulo}?${parametros.toString()}`;
+};
+
+// O segredo é guardado cifrado (AES-256-GCM) para não vazar junto com o banco
+const chaveCifra = () => crypto
+    .createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+/**
+ * Cifra o segredo para armazenamento
+ * @param {string} segredo - Segredo em base32
+ * @returns {string} "iv.tag.conteudo" em base64url
+ */
+export const cifrarSegredo = (segredo) => {
+    const iv = crypto.randomBytes(12);
+    const cifra = crypto.createCipheriv('aes-256-gcm', chaveCifra(), iv);
+    const conteudo = Buffer.concat([cifra.update(segredo, 'utf8'), cifra.final()]);
+    return [iv, cifra.getAuthTag(), conteudo].map(parte => parte.toString('base64url')).join('.');
+};
+
+/**
+ * Decifra o segredo armazenado
+ * @param {string} armazenado - Valor gerado por cifrarSegredo
+ * @returns {string} Segredo em base32
+ */
+export const decifrarSegredo = (armazenado) => {
+    const [iv, tag, conteudo] = armazenado.split('.').map(parte => Buffer.from(parte, 'base64url'));
+    const decifra = crypto.createDecipheriv('aes-256-gcm', chaveCifra(), iv);
+    decifra.setAuthTag(tag);
+    return Buffer.concat([decifra.update(conteudo), decifra.final()]).toString('utf8');
+};
@@ -1,5 +1,10 @@
 import { z } from 'zod';
 
+// Regras de senha compartilhadas entre cadastro, redefinição e alteração
+const senhaSchema = z.string()
+    .min(6, 'Senha deve ter pelo menos 6 caracteres')
+    .max(100, 'Senha não pode exceder 100 caracteres');
+
 // Validador para registro de usuário
 export const registerSchema = z.object({
     nome: z.string()
@@ -8,9 +13,7 @@ export const registerSchema = z.object({
     email: z.string()
         .email('Email inválido')
         .max(255, 'Email não pode exceder 255 caracteres'),
-    senha: z.string()
-        .min(6, 'Senha deve ter pelo menos 6 caracteres')
-        .max(100, 'Senha não pode exceder 100 caracteres')
+    senha: senhaSchema
 });
 
 // Validador para login
@@ -19,6 +22,60 @@ export const loginSchema = z.object({
     senha: z.string().min(1, 'Senha é obrigatória')
 });
 
+// Validador para renovação de sessão
+export const refreshTokenSchema = z.object({
+    refresh_token: z.string().min(1, 'Refresh token é obrigatório')
+});
+
+// Validador para solicitar redefinição de senha
+export const esqueciSenhaSchema = z.object({
+    email: z.string().email('Email inválido')
+});
+
+// Validador para redefinir a senha com o token recebido por e-mail
+export const redefinirSenhaSchema = z.object({
+    token: z.string().min(1, 'Token é obrigatório'),
+    senha: senhaSchema
+});
+
+// Validador para alteração de senha pelo usuário autenticado
+export const alterarSenhaSchema = z.object({
+    senha_atual: z.string().min(1, 'Senha atual é obrigatória'),
+    nova_senha: senhaSchema
+}).refine(data => data.senha_atual !== data.nova_senha, {
+    message: 'A nova senha deve ser diferente da atual',
+    path: ['nova_senha']
+});
+
+// Validador para o código de 2FA (app autenticador ou código de recuperação)
+export const codigo2faSchema = z.object({
+    codigo: z.string()
+        .trim()
+        .min(6, 'Código inválido')
+        .max(20, 'Código inválido')
+});
+
+// Validador para a segunda etapa do login
+export const login2faSchema = codigo2faSchema.extend({
+    desafio_token: z.string().min(1, 'Desafio é obrigatório')
+});
+
+// Validador para desativar o 2FA
+export const desativar2faSchema = codigo2faSchema.extend({
+    senha: z.string().min(1, 'Senha é obrigatória')
+});
+
+// Validador para exportação dos dados pessoais
+export const meusDadosSchema = z.object({
+    formato: z.enum(['json', 'zip']).default('json')
+});
+
+// Validador para exclusão da conta (código 2FA obrigatório se estiver ativo)
+export const excluirContaSchema = z.object({
+    senha: z.string().min(1, 'Senha é obrigatória'),
+    codigo: z.string().trim().min(6, 'Código inválido').max(20, 'Código inválido').optional()
+});
+
 // Validador para atualização de perfil
 export const updateProfileSchema = z.object({
     nome: z.string()
@@ -28,6 +85,14 @@ export const updateProfileSchema = z.object({
     avatar_url: z.string().url('URL do avatar inválida').optional(),
     salario: z.number().min(0, 'Salário não pode ser negativo').optional(),
     metodo_pagamento: z.enum(['mensal', 'quinzenal', 'semanal']).optional(),
+    // Mensal/quinzenal: { "<dia do mês>": adiantamento }; semanal: { "<dia da semana 0-6>": valor por semana }
     subsalario: z.record(z.number()).optional(),
+    // Conta e categoria das receitas de salário geradas a partir do perfil
+    conta_salario_id: z.string().uuid('ID da conta deve ser um UUID válido').nullable().optional(),
+    category_salario_id: z.string().uuid('ID da categoria deve ser um UUID válido').nullable().optional(),
+    // Moeda em que orçamento, estatísticas e dashboard são apresentados
+    moeda_base: z.string()
+        .regex(/^[A-Z]{3}$/, 'Moeda deve ser um código ISO de 3 letras (ex.: BRL, USD)')
+        .optional(),
     active: z.boolean().optional()
 });
\ No newline at end of file
@@ -0,0 +1,27 @@
+-- Faturas de cartão de crédito
+--
+-- Cada cartão (gzen_accounts com gzen_cartao_credito) tem uma fatura por
+-- competência (mês do vencimento). Compras no cartão e pagamentos de fatura
+-- ficam vinculados pela coluna gzen_despesas.fatura_id; valor_total e
+-- valor_pago são recalculados a partir dessas despesas.
+
+CREATE TABLE IF NOT EXISTS gzen_faturas (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    account_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    competencia text NOT NULL CHECK (competencia ~ '^\d{4}-(0[1-9]|1[0-2])$'),
+    data_fechamento date NOT NULL,
+    data_vencimento date NOT NULL,
+    valor_total numeric(15, 2) NOT NULL DEFAULT 0,
+    valor_pago numeric(15, 2) NOT NULL DEFAULT 0,
+    status text NOT NULL DEFAULT 'aberta' CHECK (status IN ('aberta', 'fechada', 'paga')),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (account_id, competencia)
+);
+
+CREATE INDEX IF NOT EXISTS gzen_faturas_user_idx ON gzen_faturas (user_id);
+
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS fatura_id uuid REFERENCES gzen_faturas(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS gzen_despesas_fatura_idx ON gzen_despesas (fatura_id) WHERE fatura_id IS NOT NULL;
@@ -0,0 +1,14 @@
+-- Compras parceladas no cartão de crédito
+--
+-- A primeira parcela é a despesa pai; as demais apontam para ela em
+-- despesa_pai_id e são lançadas nos meses seguintes.
+
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS parcela_atual integer CHECK (parcela_atual >= 1);
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS total_parcelas integer CHECK (total_parcelas >= 1);
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS despesa_pai_id uuid REFERENCES gzen_despesas(id) ON DELETE SET NULL;
+
+ALTER TABLE gzen_despesas DROP CONSTRAINT IF EXISTS gzen_despesas_parcela_check;
+ALTER TABLE gzen_despesas ADD CONSTRAINT gzen_despesas_parcela_check
+    CHECK (parcela_atual IS NULL OR (total_parcelas IS NOT NULL AND parcela_atual <= total_parcelas));
+
+CREATE INDEX IF NOT EXISTS gzen_despesas_pai_idx ON gzen_despesas (despesa_pai_id) WHERE despesa_pai_id IS NOT NULL;
@@ -0,0 +1,24 @@
+-- Transferências entre contas do usuário
+--
+-- Uma transferência debita conta_origem_id e credita conta_destino_id; só
+-- movimenta saldos quando confirmada. Remoções são lógicas (ativo = false).
+
+CREATE TABLE IF NOT EXISTS gzen_transferencias (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    conta_origem_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    conta_destino_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    descricao text,
+    valor numeric(15, 2) NOT NULL CHECK (valor > 0),
+    data_transferencia date NOT NULL,
+    observacoes text,
+    status text NOT NULL DEFAULT 'confirmada' CHECK (status IN ('pendente', 'confirmada', 'cancelada')),
+    ativo boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (conta_origem_id <> conta_destino_id)
+);
+
+CREATE INDEX IF NOT EXISTS gzen_transferencias_user_idx ON gzen_transferencias (user_id, data_transferencia);
+CREATE INDEX IF NOT EXISTS gzen_transferencias_origem_idx ON gzen_transferencias (conta_origem_id);
+CREATE INDEX IF NOT EXISTS gzen_transferencias_destino_idx ON gzen_transferencias (conta_destino_id);
@@ -0,0 +1,42 @@
+-- Regras de recorrência de receitas e despesas
+--
+-- Cada regra gera suas ocorrências como receitas/despesas comuns, ligadas à
+-- regra por recorrencia_id. proxima_data é a próxima ocorrência a gerar; a
+-- geração avança proxima_data com uma atualização condicional (somente se
+-- ainda for a lida) antes de criar a transação, para que execuções
+-- simultâneas não gerem a mesma ocorrência duas vezes.
+
+CREATE TABLE IF NOT EXISTS gzen_recorrencias (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    tipo text NOT NULL CHECK (tipo IN ('receita', 'despesa')),
+    account_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    category_id uuid REFERENCES gzen_categories(id) ON DELETE SET NULL,
+    nome text NOT NULL,
+    valor numeric(15, 2) NOT NULL CHECK (valor > 0),
+    observacoes text,
+    tags uuid[] NOT NULL DEFAULT '{}',
+    status_ocorrencia text NOT NULL DEFAULT 'pendente' CHECK (status_ocorrencia IN ('pendente', 'confirmada')),
+    frequencia text NOT NULL CHECK (frequencia IN ('semanal', 'mensal')),
+    intervalo integer NOT NULL DEFAULT 1 CHECK (intervalo BETWEEN 1 AND 12),
+    dia_mes integer CHECK (dia_mes BETWEEN 1 AND 31),
+    dia_semana integer CHECK (dia_semana BETWEEN 0 AND 6),
+    data_inicio date NOT NULL,
+    data_fim date,
+    total_ocorrencias integer CHECK (total_ocorrencias >= 1),
+    proxima_data date NOT NULL,
+    ocorrencias_geradas integer NOT NULL DEFAULT 0,
+    ultima_data_gerada date,
+    ativo boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS gzen_recorrencias_user_idx ON gzen_recorrencias (user_id);
+CREATE INDEX IF NOT EXISTS gzen_recorrencias_proxima_idx ON gzen_recorrencias (proxima_data) WHERE ativo;
+
+ALTER TABLE gzen_receitas ADD COLUMN IF NOT EXISTS recorrencia_id uuid REFERENCES gzen_recorrencias(id) ON DELETE SET NULL;
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS recorrencia_id uuid REFERENCES gzen_recorrencias(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS gzen_receitas_recorrencia_idx ON gzen_receitas (recorrencia_id) WHERE recorrencia_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS gzen_despesas_recorrencia_idx ON gzen_despesas (recorrencia_id) WHERE recorrencia_id IS NOT NULL;
@@ -0,0 +1,145 @@
+-- Movimentações atômicas de saldo, limite e orçamento
+--
+-- As funções abaixo substituem o padrão ler-calcular-gravar feito pela API
+-- em gzen_accounts.saldo_atual, gzen_cartao_credito.limite_disponivel e nos
+-- totais de gzen_orcamento. Cada chamada roda em uma única transação: ou a
+-- gravação da transação e todos os ajustes são aplicados, ou nada é.
+--
+-- Formato de p_movimentos:
+-- {
+--   "saldos":     [{ "account_id": uuid, "valor": numeric }],
+--   "limites":    [{ "account_id": uuid, "valor": numeric }],
+--   "orcamentos": [{ "user_id": uuid, "mes": int, "ano": int, "receita": numeric, "despesa": numeric }]
+-- }
+
+CREATE OR REPLACE FUNCTION gzen_aplicar_movimentos(p_movimentos jsonb)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item jsonb;
+BEGIN
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'saldos', '[]'::jsonb))
+    LOOP
+        UPDATE gzen_accounts
+           SET saldo_atual = saldo_atual + (v_item->>'valor')::numeric
+         WHERE id = (v_item->>'account_id')::uuid;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Conta % não encontrada', v_item->>'account_id';
+        END IF;
+    END LOOP;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'limites', '[]'::jsonb))
+    LOOP
+        UPDATE gzen_cartao_credito
+           SET limite_disponivel = LEAST(
+                   GREATEST(limite_disponivel + (v_item->>'valor')::numeric, 0),
+                   limite_total
+               )
+         WHERE account_id = (v_item->>'account_id')::uuid;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cartão % não encontrado', v_item->>'account_id';
+        END IF;
+    END LOOP;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'orcamentos', '[]'::jsonb))
+    LOOP
+        INSERT INTO gzen_orcamento AS o (user_id, mes, ano, receita_total, despesa_total, saldo_atual, meta_economia)
+        VALUES (
+            (v_item->>'user_id')::uuid,
+            (v_item->>'mes')::int,
+            (v_item->>'ano')::int,
+            COALESCE((v_item->>'receita')::numeric, 0),
+            COALESCE((v_item->>'despesa')::numeric, 0),
+            COALESCE((v_item->>'receita')::numeric, 0) - COALESCE((v_item->>'despesa')::numeric, 0),
+            0
+        )
+        ON CONFLICT (user_id, mes, ano) DO UPDATE
+           SET receita_total = o.receita_total + EXCLUDED.receita_total,
+               despesa_total = o.despesa_total + EXCLUDED.despesa_total,
+               saldo_atual = (o.receita_total + EXCLUDED.receita_total)
+                           - (o.despesa_total + EXCLUDED.despesa_total);
+    END LOOP;
+END;
+$$;
+
+-- Insere uma receita, despesa ou transferência e aplica os movimentos na mesma transação
+CREATE OR REPLACE FUNCTION gzen_inserir_com_movimentos(p_tabela text, p_dados jsonb, p_movimentos jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_colunas text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(quote_ident(chave), ', ')
+      INTO v_colunas
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    EXECUTE format(
+        'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_record(NULL::%1$I, $1) RETURNING to_jsonb(%1$I.*)',
+        p_tabela, v_colunas
+    ) INTO v_registro USING p_dados;
+
+    PERFORM gzen_aplicar_movimentos(p_movimentos);
+
+    RETURN v_registro;
+END;
+$$;
+
+-- Atualiza (ou faz soft delete de) um registro do usuário e aplica os movimentos na mesma transação
+CREATE OR REPLACE FUNCTION gzen_atualizar_com_movimentos(
+    p_tabela text,
+    p_id uuid,
+    p_user_id uuid,
+    p_dados jsonb,
+    p_movimentos jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_atribuicoes text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(format('%1$I = novo.%1$I', chave), ', ')
+      INTO v_atribuicoes
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    IF v_atribuicoes IS NULL THEN
+        EXECUTE format(
+            'SELECT to_jsonb(alvo.*) FROM %1$I AS alvo WHERE alvo.id = $1 AND alvo.user_id = $2',
+            p_tabela
+        ) INTO v_registro USING p_id, p_user_id;
+    ELSE
+        EXECUTE format(
+            'UPDATE %1$I AS alvo SET %2$s FROM jsonb_populate_record(NULL::%1$I, $1) AS novo '
+            'WHERE alvo.id = $2 AND alvo.user_id = $3 RETURNING to_jsonb(alvo.*)',
+            p_tabela, v_atribuicoes
+        ) INTO v_registro USING p_dados, p_id, p_user_id;
+    END IF;
+
+    IF v_registro IS NULL THEN
+        RAISE EXCEPTION 'Registro % não encontrado', p_id;
+    END IF;
+
+    PERFORM gzen_aplicar_movimentos(p_movimentos);
+
+    RETURN v_registro;
+END;
+$$;
+
+-- Apenas o backend (service role) pode chamar as funções
+REVOKE EXECUTE ON FUNCTION gzen_aplicar_movimentos(jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_inserir_com_movimentos(text, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_atualizar_com_movimentos(text, uuid, uuid, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,301 @@
+-- Livro-razão (extrato) de movimentações de saldo
+--
+-- Toda alteração de gzen_accounts.saldo_atual passa a gerar um lançamento em
+-- gzen_lancamentos, que é apenas acrescentado (nunca alterado). Estornos de
+-- edições e remoções entram como novos lançamentos com estorno = true. Assim
+-- o saldo de uma conta é sempre a soma dos seus lançamentos.
+--
+-- Cada item de "saldos" em p_movimentos passa a aceitar os campos de origem:
+--   { "account_id", "valor", "origem_tipo", "origem_id", "estorno", "data", "descricao" }
+
+CREATE TABLE IF NOT EXISTS gzen_lancamentos (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    account_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    valor numeric(14, 2) NOT NULL,
+    origem_tipo text NOT NULL CHECK (origem_tipo IN (
+        'saldo_inicial', 'receita', 'despesa', 'pagamento_fatura', 'transferencia', 'ajuste'
+    )),
+    origem_id uuid,
+    estorno boolean NOT NULL DEFAULT false,
+    descricao text,
+    data date NOT NULL DEFAULT CURRENT_DATE,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS gzen_lancamentos_conta_data_idx
+    ON gzen_lancamentos (account_id, data, created_at);
+
+CREATE INDEX IF NOT EXISTS gzen_lancamentos_origem_idx
+    ON gzen_lancamentos (origem_id);
+
+CREATE OR REPLACE FUNCTION gzen_aplicar_movimentos(p_movimentos jsonb)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item jsonb;
+    v_user_id uuid;
+BEGIN
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'saldos', '[]'::jsonb))
+    LOOP
+        UPDATE gzen_accounts
+           SET saldo_atual = saldo_atual + (v_item->>'valor')::numeric
+         WHERE id = (v_item->>'account_id')::uuid
+        RETURNING user_id INTO v_user_id;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Conta % não encontrada', v_item->>'account_id';
+        END IF;
+
+        INSERT INTO gzen_lancamentos (user_id, account_id, valor, origem_tipo, origem_id, estorno, descricao, data)
+        VALUES (
+            v_user_id,
+            (v_item->>'account_id')::uuid,
+            (v_item->>'valor')::numeric,
+            COALESCE(v_item->>'origem_tipo', 'ajuste'),
+            (v_item->>'origem_id')::uuid,
+            COALESCE((v_item->>'estorno')::boolean, false),
+            v_item->>'descricao',
+            COALESCE((v_item->>'data')::date, CURRENT_DATE)
+        );
+    END LOOP;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'limites', '[]'::jsonb))
+    LOOP
+        UPDATE gzen_cartao_credito
+           SET limite_disponivel = LEAST(
+                   GREATEST(limite_disponivel + (v_item->>'valor')::numeric, 0),
+                   limite_total
+               )
+         WHERE account_id = (v_item->>'account_id')::uuid;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cartão % não encontrado', v_item->>'account_id';
+        END IF;
+    END LOOP;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'orcamentos', '[]'::jsonb))
+    LOOP
+        INSERT INTO gzen_orcamento AS o (user_id, mes, ano, receita_total, despesa_total, saldo_atual, meta_economia)
+        VALUES (
+            (v_item->>'user_id')::uuid,
+            (v_item->>'mes')::int,
+            (v_item->>'ano')::int,
+            COALESCE((v_item->>'receita')::numeric, 0),
+            COALESCE((v_item->>'despesa')::numeric, 0),
+            COALESCE((v_item->>'receita')::numeric, 0) - COALESCE((v_item->>'despesa')::numeric, 0),
+            0
+        )
+        ON CONFLICT (user_id, mes, ano) DO UPDATE
+           SET receita_total = o.receita_total + EXCLUDED.receita_total,
+               despesa_total = o.despesa_total + EXCLUDED.despesa_total,
+               saldo_atual = (o.receita_total + EXCLUDED.receita_total)
+                           - (o.despesa_total + EXCLUDED.despesa_total);
+    END LOOP;
+END;
+$$;
+
+-- Preenche a origem dos lançamentos com o registro que os gerou
+CREATE OR REPLACE FUNCTION gzen_definir_origem(p_movimentos jsonb, p_origem_id uuid)
+RETURNS jsonb
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT jsonb_set(
+        COALESCE(p_movimentos, '{}'::jsonb),
+        '{saldos}',
+        COALESCE((
+            SELECT jsonb_agg(
+                CASE WHEN item->>'origem_id' IS NULL
+                     THEN item || jsonb_build_object('origem_id', p_origem_id)
+                     ELSE item
+                END
+            )
+            FROM jsonb_array_elements(COALESCE(p_movimentos->'saldos', '[]'::jsonb)) AS item
+        ), '[]'::jsonb)
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_inserir_com_movimentos(p_tabela text, p_dados jsonb, p_movimentos jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_colunas text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(quote_ident(chave), ', ')
+      INTO v_colunas
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    EXECUTE format(
+        'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_record(NULL::%1$I, $1) RETURNING to_jsonb(%1$I.*)',
+        p_tabela, v_colunas
+    ) INTO v_registro USING p_dados;
+
+    PERFORM gzen_aplicar_movimentos(gzen_definir_origem(p_movimentos, (v_registro->>'id')::uuid));
+
+    RETURN v_registro;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_atualizar_com_movimentos(
+    p_tabela text,
+    p_id uuid,
+    p_user_id uuid,
+    p_dados jsonb,
+    p_movimentos jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_atribuicoes text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(format('%1$I = novo.%1$I', chave), ', ')
+      INTO v_atribuicoes
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    IF v_atribuicoes IS NULL THEN
+        EXECUTE format(
+            'SELECT to_jsonb(alvo.*) FROM %1$I AS alvo WHERE alvo.id = $1 AND alvo.user_id = $2',
+            p_tabela
+        ) INTO v_registro USING p_id, p_user_id;
+    ELSE
+        EXECUTE format(
+            'UPDATE %1$I AS alvo SET %2$s FROM jsonb_populate_record(NULL::%1$I, $1) AS novo '
+            'WHERE alvo.id = $2 AND alvo.user_id = $3 RETURNING to_jsonb(alvo.*)',
+            p_tabela, v_atribuicoes
+        ) INTO v_registro USING p_dados, p_id, p_user_id;
+    END IF;
+
+    IF v_registro IS NULL THEN
+        RAISE EXCEPTION 'Registro % não encontrado', p_id;
+    END IF;
+
+    PERFORM gzen_aplicar_movimentos(gzen_definir_origem(p_movimentos, p_id));
+
+    RETURN v_registro;
+END;
+$$;
+
+-- Ajuste manual: define o saldo da conta e lança a diferença no extrato
+CREATE OR REPLACE FUNCTION gzen_ajustar_saldo(p_account_id uuid, p_user_id uuid, p_saldo numeric, p_descricao text)
+RETURNS numeric
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_saldo_atual numeric;
+    v_diferenca numeric;
+BEGIN
+    SELECT saldo_atual
+      INTO v_saldo_atual
+      FROM gzen_accounts
+     WHERE id = p_account_id AND user_id = p_user_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Conta % não encontrada', p_account_id;
+    END IF;
+
+    v_diferenca := p_saldo - v_saldo_atual;
+
+    IF v_diferenca <> 0 THEN
+        PERFORM gzen_aplicar_movimentos(jsonb_build_object('saldos', jsonb_build_array(jsonb_build_object(
+            'account_id', p_account_id,
+            'valor', v_diferenca,
+            'origem_tipo', 'ajuste',
+            'descricao', p_descricao
+        ))));
+    END IF;
+
+    RETURN v_diferenca;
+END;
+$$;
+
+-- Reconciliação: redefine o saldo da conta como a soma dos lançamentos
+CREATE OR REPLACE FUNCTION gzen_reconciliar_saldo(p_account_id uuid, p_user_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_saldo_registrado numeric;
+    v_saldo_extrato numeric;
+BEGIN
+    SELECT saldo_atual
+      INTO v_saldo_registrado
+      FROM gzen_accounts
+     WHERE id = p_account_id AND user_id = p_user_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Conta % não encontrada', p_account_id;
+    END IF;
+
+    SELECT COALESCE(SUM(valor), 0)
+      INTO v_saldo_extrato
+      FROM gzen_lancamentos
+     WHERE account_id = p_account_id;
+
+    UPDATE gzen_accounts
+       SET saldo_atual = v_saldo_extrato
+     WHERE id = p_account_id;
+
+    RETURN jsonb_build_object(
+        'saldo_registrado', v_saldo_registrado,
+        'saldo_extrato', v_saldo_extrato
+    );
+END;
+$$;
+
+-- Carga inicial: um lançamento por transação confirmada já existente e um
+-- saldo inicial com o que sobrar, para que a soma bata com o saldo atual
+INSERT INTO gzen_lancamentos (user_id, account_id, valor, origem_tipo, origem_id, descricao, data)
+SELECT r.user_id, r.account_id, r.valor, 'receita', r.id, r.nome, r.data_receita
+  FROM gzen_receitas r
+ WHERE r.status = 'confirmada' AND r.ativo = true
+UNION ALL
+SELECT d.user_id, d.account_id, -d.valor,
+       CASE WHEN d.eh_pagamento_fatura AND d.cartao_origem_id IS NOT NULL THEN 'pagamento_fatura' ELSE 'despesa' END,
+       d.id, d.nome, d.data_despesa
+  FROM gzen_despesas d
+ WHERE d.status = 'confirmada' AND d.ativo = true
+UNION ALL
+SELECT d.user_id, d.cartao_origem_id, d.valor, 'pagamento_fatura', d.id, d.nome, d.data_despesa
+  FROM gzen_despesas d
+ WHERE d.status = 'confirmada' AND d.ativo = true
+   AND d.eh_pagamento_fatura AND d.cartao_origem_id IS NOT NULL
+UNION ALL
+SELECT t.user_id, t.conta_origem_id, -t.valor, 'transferencia', t.id, t.descricao, t.data_transferencia
+  FROM gzen_transferencias t
+ WHERE t.status = 'confirmada' AND t.ativo = true
+UNION ALL
+SELECT t.user_id, t.conta_destino_id, t.valor, 'transferencia', t.id, t.descricao, t.data_transferencia
+  FROM gzen_transferencias t
+ WHERE t.status = 'confirmada' AND t.ativo = true;
+
+INSERT INTO gzen_lancamentos (user_id, account_id, valor, origem_tipo, descricao, data)
+SELECT a.user_id,
+       a.id,
+       a.saldo_atual - COALESCE((SELECT SUM(l.valor) FROM gzen_lancamentos l WHERE l.account_id = a.id), 0),
+       'saldo_inicial',
+       'Saldo inicial',
+       a.created_at::date
+  FROM gzen_accounts a;
+
+REVOKE EXECUTE ON FUNCTION gzen_aplicar_movimentos(jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_definir_origem(jsonb, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_inserir_com_movimentos(text, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_atualizar_com_movimentos(text, uuid, uuid, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_ajustar_saldo(uuid, uuid, numeric, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_reconciliar_saldo(uuid, uuid) FROM PUBLIC, anon, authenticated;
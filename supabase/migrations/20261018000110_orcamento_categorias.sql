@@ -0,0 +1,17 @@
+-- Limites de gastos por categoria no orçamento mensal
+--
+-- Um limite por categoria de despesa em cada mês. Com acumular_saldo, o
+-- valor não gasto no mês passa para o mês seguinte.
+
+CREATE TABLE IF NOT EXISTS gzen_orcamento_categorias (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    category_id uuid NOT NULL REFERENCES gzen_categories(id) ON DELETE CASCADE,
+    mes integer NOT NULL CHECK (mes BETWEEN 1 AND 12),
+    ano integer NOT NULL CHECK (ano BETWEEN 2020 AND 2050),
+    limite numeric(15, 2) NOT NULL CHECK (limite > 0),
+    acumular_saldo boolean NOT NULL DEFAULT false,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (user_id, category_id, mes, ano)
+);
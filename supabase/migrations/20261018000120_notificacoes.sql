@@ -0,0 +1,33 @@
+-- Notificações e alertas de orçamento
+--
+-- Alertas (limite de categoria, limite mensal, saldo mínimo e limite do
+-- cartão) viram notificações do usuário. chave identifica o alerta disparado
+-- (ex.: limite_categoria:<categoria>:<ano>-<mes>:<percentual>) e impede
+-- notificar o mesmo alerta duas vezes.
+
+CREATE TABLE IF NOT EXISTS gzen_notificacoes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    tipo text NOT NULL,
+    titulo text NOT NULL,
+    mensagem text NOT NULL,
+    dados jsonb NOT NULL DEFAULT '{}'::jsonb,
+    chave text NOT NULL,
+    lida boolean NOT NULL DEFAULT false,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (user_id, chave)
+);
+
+CREATE INDEX IF NOT EXISTS gzen_notificacoes_user_idx ON gzen_notificacoes (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS gzen_notificacoes_nao_lidas_idx ON gzen_notificacoes (user_id) WHERE NOT lida;
+
+-- Limiares de alerta por usuário (sem linha, valem os padrões da API)
+CREATE TABLE IF NOT EXISTS gzen_alertas_config (
+    user_id uuid PRIMARY KEY REFERENCES gzen_users(id) ON DELETE CASCADE,
+    percentuais_categoria integer[] NOT NULL DEFAULT '{50,80,100}',
+    limite_gastos_mensal numeric(15, 2) CHECK (limite_gastos_mensal > 0),
+    saldo_minimo numeric(15, 2),
+    percentual_limite_cartao numeric(5, 2) CHECK (percentual_limite_cartao BETWEEN 1 AND 100),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,18 @@
+-- Sessões de login (refresh tokens)
+--
+-- Cada login abre uma sessão com refresh token rotativo; só o hash do token
+-- é guardado. Sessões são encerradas preenchendo revogada_em.
+
+CREATE TABLE IF NOT EXISTS gzen_sessoes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    refresh_token_hash text NOT NULL,
+    user_agent text,
+    ip text,
+    expira_em timestamptz NOT NULL,
+    ultimo_uso_em timestamptz NOT NULL DEFAULT now(),
+    revogada_em timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS gzen_sessoes_user_idx ON gzen_sessoes (user_id) WHERE revogada_em IS NULL;
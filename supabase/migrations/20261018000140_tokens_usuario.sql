@@ -0,0 +1,20 @@
+-- Tokens de uso único enviados por e-mail (ex.: redefinição de senha)
+--
+-- Só o hash do token é guardado. Um token vale até expira_em e deixa de valer
+-- ao ser usado (usado_em) ou quando outro do mesmo tipo é emitido.
+
+CREATE TABLE IF NOT EXISTS gzen_tokens_usuario (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    tipo text NOT NULL,
+    token_hash text NOT NULL UNIQUE,
+    expira_em timestamptz NOT NULL,
+    usado_em timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE gzen_tokens_usuario DROP CONSTRAINT IF EXISTS gzen_tokens_usuario_tipo_check;
+ALTER TABLE gzen_tokens_usuario ADD CONSTRAINT gzen_tokens_usuario_tipo_check
+    CHECK (tipo IN ('redefinicao_senha'));
+
+CREATE INDEX IF NOT EXISTS gzen_tokens_usuario_user_idx ON gzen_tokens_usuario (user_id, tipo) WHERE usado_em IS NULL;
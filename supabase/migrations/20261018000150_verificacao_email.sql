@@ -0,0 +1,18 @@
+-- Verificação de e-mail
+--
+-- email_verificado_em fica nulo até o usuário confirmar o e-mail pelo link
+-- enviado (token 'verificacao_email' em gzen_tokens_usuario).
+--
+-- Usuários cadastrados antes da verificação existir não receberam o link e
+-- já usam a conta normalmente: são marcados como verificados na data do
+-- cadastro, para não perderem acesso às ações que exigem e-mail verificado.
+
+ALTER TABLE gzen_users ADD COLUMN IF NOT EXISTS email_verificado_em timestamptz;
+
+UPDATE gzen_users
+   SET email_verificado_em = created_at
+ WHERE email_verificado_em IS NULL;
+
+ALTER TABLE gzen_tokens_usuario DROP CONSTRAINT IF EXISTS gzen_tokens_usuario_tipo_check;
+ALTER TABLE gzen_tokens_usuario ADD CONSTRAINT gzen_tokens_usuario_tipo_check
+    CHECK (tipo IN ('redefinicao_senha', 'verificacao_email'));
@@ -0,0 +1,20 @@
+-- Autenticação em dois fatores (TOTP)
+--
+-- totp_segredo guarda o segredo cifrado pela API; a 2FA só vale depois de
+-- confirmada (totp_ativado_em). totp_ultimo_passo é o último passo de tempo
+-- aceito, para que o mesmo código não seja usado duas vezes.
+--
+-- Códigos de recuperação são de uso único e guardados apenas como hash.
+
+ALTER TABLE gzen_users ADD COLUMN IF NOT EXISTS totp_segredo text;
+ALTER TABLE gzen_users ADD COLUMN IF NOT EXISTS totp_ativado_em timestamptz;
+ALTER TABLE gzen_users ADD COLUMN IF NOT EXISTS totp_ultimo_passo bigint;
+
+CREATE TABLE IF NOT EXISTS gzen_codigos_recuperacao (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    codigo_hash text NOT NULL,
+    usado_em timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (user_id, codigo_hash)
+);
@@ -0,0 +1,9 @@
+-- Exclusão de conta (LGPD)
+--
+-- exclusao_agendada_para guarda quando a conta será removida definitivamente;
+-- até lá o usuário pode cancelar o pedido. Nulo quando não há exclusão pedida.
+
+ALTER TABLE gzen_users ADD COLUMN IF NOT EXISTS exclusao_agendada_para timestamptz;
+
+CREATE INDEX IF NOT EXISTS gzen_users_exclusao_idx ON gzen_users (exclusao_agendada_para)
+    WHERE exclusao_agendada_para IS NOT NULL;
@@ -0,0 +1,289 @@
+-- Grupos (finanças compartilhadas da casa)
+--
+-- Contas podem pertencer a um grupo (gzen_accounts.grupo_id). Receitas, despesas
+-- e faturas herdam o grupo da conta, e o orçamento mensal dessas transações é
+-- acumulado em uma linha de gzen_orcamento do grupo (grupo_id preenchido).
+-- user_id continua sendo quem criou o registro (atribuição por membro).
+--
+-- Papéis: owner (administra o grupo), editor (cria e altera), viewer (só leitura).
+
+CREATE TABLE IF NOT EXISTS gzen_grupos (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    nome text NOT NULL,
+    owner_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS gzen_grupo_membros (
+    grupo_id uuid NOT NULL REFERENCES gzen_grupos(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    papel text NOT NULL CHECK (papel IN ('owner', 'editor', 'viewer')),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (grupo_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS gzen_grupo_membros_user_idx ON gzen_grupo_membros (user_id);
+
+CREATE TABLE IF NOT EXISTS gzen_grupo_convites (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    grupo_id uuid NOT NULL REFERENCES gzen_grupos(id) ON DELETE CASCADE,
+    email text NOT NULL,
+    papel text NOT NULL CHECK (papel IN ('editor', 'viewer')),
+    token_hash text NOT NULL UNIQUE,
+    convidado_por uuid REFERENCES gzen_users(id) ON DELETE SET NULL,
+    expira_em timestamptz NOT NULL,
+    aceito_em timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE gzen_accounts ADD COLUMN IF NOT EXISTS grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE SET NULL;
+ALTER TABLE gzen_receitas ADD COLUMN IF NOT EXISTS grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE SET NULL;
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE SET NULL;
+ALTER TABLE gzen_faturas ADD COLUMN IF NOT EXISTS grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE SET NULL;
+ALTER TABLE gzen_orcamento ADD COLUMN IF NOT EXISTS grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS gzen_accounts_grupo_idx ON gzen_accounts (grupo_id) WHERE grupo_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS gzen_receitas_grupo_idx ON gzen_receitas (grupo_id) WHERE grupo_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS gzen_despesas_grupo_idx ON gzen_despesas (grupo_id) WHERE grupo_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS gzen_faturas_grupo_idx ON gzen_faturas (grupo_id) WHERE grupo_id IS NOT NULL;
+
+-- Um orçamento por mês para o usuário (pessoal) e outro por mês para cada grupo
+ALTER TABLE gzen_orcamento DROP CONSTRAINT IF EXISTS gzen_orcamento_user_id_mes_ano_key;
+CREATE UNIQUE INDEX IF NOT EXISTS gzen_orcamento_pessoal_key
+    ON gzen_orcamento (user_id, mes, ano) WHERE grupo_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS gzen_orcamento_grupo_key
+    ON gzen_orcamento (grupo_id, mes, ano) WHERE grupo_id IS NOT NULL;
+
+-- Dono do registro ou editor/owner do grupo ao qual ele pertence
+CREATE OR REPLACE FUNCTION gzen_pode_editar(p_user_id uuid, p_dono_id uuid, p_grupo_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT p_dono_id = p_user_id
+        OR EXISTS (
+            SELECT 1
+              FROM gzen_grupo_membros
+             WHERE grupo_id = p_grupo_id
+               AND user_id = p_user_id
+               AND papel IN ('owner', 'editor')
+        );
+$$;
+
+-- Itens de "orcamentos" aceitam grupo_id: o valor vai para o orçamento do grupo
+CREATE OR REPLACE FUNCTION gzen_aplicar_movimentos(p_movimentos jsonb)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item jsonb;
+    v_user_id uuid;
+    v_grupo_id uuid;
+BEGIN
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'saldos', '[]'::jsonb))
+    LOOP
+        UPDATE gzen_accounts
+           SET saldo_atual = saldo_atual + (v_item->>'valor')::numeric
+         WHERE id = (v_item->>'account_id')::uuid
+        RETURNING user_id INTO v_user_id;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Conta % não encontrada', v_item->>'account_id';
+        END IF;
+
+        INSERT INTO gzen_lancamentos (user_id, account_id, valor, origem_tipo, origem_id, estorno, descricao, data)
+        VALUES (
+            v_user_id,
+            (v_item->>'account_id')::uuid,
+            (v_item->>'valor')::numeric,
+            COALESCE(v_item->>'origem_tipo', 'ajuste'),
+            (v_item->>'origem_id')::uuid,
+            COALESCE((v_item->>'estorno')::boolean, false),
+            v_item->>'descricao',
+            COALESCE((v_item->>'data')::date, CURRENT_DATE)
+        );
+    END LOOP;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'limites', '[]'::jsonb))
+    LOOP
+        UPDATE gzen_cartao_credito
+           SET limite_disponivel = LEAST(
+                   GREATEST(limite_disponivel + (v_item->>'valor')::numeric, 0),
+                   limite_total
+               )
+         WHERE account_id = (v_item->>'account_id')::uuid;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cartão % não encontrado', v_item->>'account_id';
+        END IF;
+    END LOOP;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'orcamentos', '[]'::jsonb))
+    LOOP
+        v_grupo_id := (v_item->>'grupo_id')::uuid;
+
+        IF v_grupo_id IS NULL THEN
+            INSERT INTO gzen_orcamento AS o (user_id, mes, ano, receita_total, despesa_total, saldo_atual, meta_economia)
+            VALUES (
+                (v_item->>'user_id')::uuid,
+                (v_item->>'mes')::int,
+                (v_item->>'ano')::int,
+                COALESCE((v_item->>'receita')::numeric, 0),
+                COALESCE((v_item->>'despesa')::numeric, 0),
+                COALESCE((v_item->>'receita')::numeric, 0) - COALESCE((v_item->>'despesa')::numeric, 0),
+                0
+            )
+            ON CONFLICT (user_id, mes, ano) WHERE grupo_id IS NULL DO UPDATE
+               SET receita_total = o.receita_total + EXCLUDED.receita_total,
+                   despesa_total = o.despesa_total + EXCLUDED.despesa_total,
+                   saldo_atual = (o.receita_total + EXCLUDED.receita_total)
+                               - (o.despesa_total + EXCLUDED.despesa_total);
+        ELSE
+            INSERT INTO gzen_orcamento AS o (user_id, grupo_id, mes, ano, receita_total, despesa_total, saldo_atual, meta_economia)
+            SELECT
+                g.owner_id,
+                g.id,
+                (v_item->>'mes')::int,
+                (v_item->>'ano')::int,
+                COALESCE((v_item->>'receita')::numeric, 0),
+                COALESCE((v_item->>'despesa')::numeric, 0),
+                COALESCE((v_item->>'receita')::numeric, 0) - COALESCE((v_item->>'despesa')::numeric, 0),
+                0
+              FROM gzen_grupos AS g
+             WHERE g.id = v_grupo_id
+            ON CONFLICT (grupo_id, mes, ano) WHERE grupo_id IS NOT NULL DO UPDATE
+               SET receita_total = o.receita_total + EXCLUDED.receita_total,
+                   despesa_total = o.despesa_total + EXCLUDED.despesa_total,
+                   saldo_atual = (o.receita_total + EXCLUDED.receita_total)
+                               - (o.despesa_total + EXCLUDED.despesa_total);
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'Grupo % não encontrado', v_grupo_id;
+            END IF;
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- Atualizações passam a valer também para editores do grupo do registro
+CREATE OR REPLACE FUNCTION gzen_atualizar_com_movimentos(
+    p_tabela text,
+    p_id uuid,
+    p_user_id uuid,
+    p_dados jsonb,
+    p_movimentos jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_atribuicoes text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(format('%1$I = novo.%1$I', chave), ', ')
+      INTO v_atribuicoes
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    -- gzen_transferencias não tem grupo_id; to_jsonb devolve NULL nesse caso
+    IF v_atribuicoes IS NULL THEN
+        EXECUTE format(
+            'SELECT to_jsonb(alvo.*) FROM %1$I AS alvo WHERE alvo.id = $1 '
+            'AND gzen_pode_editar($2, alvo.user_id, (to_jsonb(alvo.*)->>''grupo_id'')::uuid)',
+            p_tabela
+        ) INTO v_registro USING p_id, p_user_id;
+    ELSE
+        EXECUTE format(
+            'UPDATE %1$I AS alvo SET %2$s FROM jsonb_populate_record(NULL::%1$I, $1) AS novo '
+            'WHERE alvo.id = $2 AND gzen_pode_editar($3, alvo.user_id, (to_jsonb(alvo.*)->>''grupo_id'')::uuid) '
+            'RETURNING to_jsonb(alvo.*)',
+            p_tabela, v_atribuicoes
+        ) INTO v_registro USING p_dados, p_id, p_user_id;
+    END IF;
+
+    IF v_registro IS NULL THEN
+        RAISE EXCEPTION 'Registro % não encontrado', p_id;
+    END IF;
+
+    PERFORM gzen_aplicar_movimentos(gzen_definir_origem(p_movimentos, p_id));
+
+    RETURN v_registro;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_ajustar_saldo(p_account_id uuid, p_user_id uuid, p_saldo numeric, p_descricao text)
+RETURNS numeric
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_saldo_atual numeric;
+    v_diferenca numeric;
+BEGIN
+    SELECT saldo_atual
+      INTO v_saldo_atual
+      FROM gzen_accounts
+     WHERE id = p_account_id AND gzen_pode_editar(p_user_id, user_id, grupo_id)
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Conta % não encontrada', p_account_id;
+    END IF;
+
+    v_diferenca := p_saldo - v_saldo_atual;
+
+    IF v_diferenca <> 0 THEN
+        PERFORM gzen_aplicar_movimentos(jsonb_build_object('saldos', jsonb_build_array(jsonb_build_object(
+            'account_id', p_account_id,
+            'valor', v_diferenca,
+            'origem_tipo', 'ajuste',
+            'descricao', p_descricao
+        ))));
+    END IF;
+
+    RETURN v_diferenca;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_reconciliar_saldo(p_account_id uuid, p_user_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_saldo_registrado numeric;
+    v_saldo_extrato numeric;
+BEGIN
+    SELECT saldo_atual
+      INTO v_saldo_registrado
+      FROM gzen_accounts
+     WHERE id = p_account_id AND gzen_pode_editar(p_user_id, user_id, grupo_id)
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Conta % não encontrada', p_account_id;
+    END IF;
+
+    SELECT COALESCE(SUM(valor), 0)
+      INTO v_saldo_extrato
+      FROM gzen_lancamentos
+     WHERE account_id = p_account_id;
+
+    UPDATE gzen_accounts
+       SET saldo_atual = v_saldo_extrato
+     WHERE id = p_account_id;
+
+    RETURN jsonb_build_object(
+        'saldo_registrado', v_saldo_registrado,
+        'saldo_extrato', v_saldo_extrato
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION gzen_pode_editar(uuid, uuid, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_aplicar_movimentos(jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_atualizar_com_movimentos(text, uuid, uuid, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_ajustar_saldo(uuid, uuid, numeric, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_reconciliar_saldo(uuid, uuid) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,33 @@
+-- Divisão de despesas entre participantes
+--
+-- Cada linha é a parte de um participante em uma despesa, devida a quem
+-- registrou a despesa (user_id, o credor). A parte do próprio credor não é
+-- gravada: é o valor da despesa menos a soma das partes.
+--
+-- O participante pode ser um usuário cadastrado (participante_user_id) ou
+-- apenas um contato com nome. participante_nome guarda sempre o nome exibido.
+-- O acerto registra a receita ou transferência criada ao receber o valor.
+
+CREATE TABLE IF NOT EXISTS gzen_despesa_divisoes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    despesa_id uuid NOT NULL REFERENCES gzen_despesas(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    metodo text NOT NULL CHECK (metodo IN ('igual', 'percentual', 'valor')),
+    participante_user_id uuid REFERENCES gzen_users(id) ON DELETE SET NULL,
+    participante_nome text NOT NULL,
+    percentual numeric(5, 2),
+    valor numeric(14, 2) NOT NULL CHECK (valor >= 0),
+    acertado_em timestamptz,
+    acerto_tipo text CHECK (acerto_tipo IN ('receita', 'transferencia')),
+    acerto_id uuid,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS gzen_despesa_divisoes_despesa_idx
+    ON gzen_despesa_divisoes (despesa_id);
+
+CREATE INDEX IF NOT EXISTS gzen_despesa_divisoes_credor_idx
+    ON gzen_despesa_divisoes (user_id) WHERE acertado_em IS NULL;
+
+CREATE INDEX IF NOT EXISTS gzen_despesa_divisoes_participante_idx
+    ON gzen_despesa_divisoes (participante_user_id) WHERE acertado_em IS NULL;
@@ -0,0 +1,37 @@
+-- Contas em várias moedas
+--
+-- Cada conta tem uma moeda (ISO 4217); receitas e despesas herdam a moeda da
+-- conta. valor_convertido guarda o valor na moeda base do orçamento (a do perfil
+-- do usuário ou, em contas de grupo, a do owner) pela cotação da data da
+-- transação; nulo quando a transação já está na moeda base.
+-- Transferências entre contas de moedas diferentes creditam valor_destino.
+
+ALTER TABLE gzen_profiles ADD COLUMN IF NOT EXISTS moeda_base char(3) NOT NULL DEFAULT 'BRL';
+
+ALTER TABLE gzen_accounts ADD COLUMN IF NOT EXISTS moeda char(3) NOT NULL DEFAULT 'BRL';
+
+ALTER TABLE gzen_receitas ADD COLUMN IF NOT EXISTS moeda char(3) NOT NULL DEFAULT 'BRL';
+ALTER TABLE gzen_receitas ADD COLUMN IF NOT EXISTS valor_convertido numeric(15, 2);
+
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS moeda char(3) NOT NULL DEFAULT 'BRL';
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS valor_convertido numeric(15, 2);
+
+ALTER TABLE gzen_transferencias ADD COLUMN IF NOT EXISTS valor_destino numeric(15, 2);
+
+-- Cotações do usuário: 1 moeda_origem = taxa moeda_destino na data
+CREATE TABLE IF NOT EXISTS gzen_cotacoes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    moeda_origem char(3) NOT NULL,
+    moeda_destino char(3) NOT NULL,
+    data date NOT NULL,
+    taxa numeric(20, 8) NOT NULL CHECK (taxa > 0),
+    fonte text NOT NULL DEFAULT 'manual' CHECK (fonte IN ('manual', 'arquivo')),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (moeda_origem <> moeda_destino),
+    UNIQUE (user_id, moeda_origem, moeda_destino, data)
+);
+
+CREATE INDEX IF NOT EXISTS gzen_cotacoes_par_idx
+    ON gzen_cotacoes (user_id, moeda_origem, moeda_destino, data DESC);
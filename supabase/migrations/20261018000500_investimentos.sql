@@ -0,0 +1,153 @@
+-- Contas de investimento e carteira
+--
+-- Uma conta 'investimento' representa a corretora: saldo_atual é o caixa
+-- disponível na conta. Os ativos (CDB, Tesouro, ações, FIIs) ficam em
+-- gzen_ativos e a posição de cada um é calculada a partir das operações:
+--   compra   - debita o caixa (quantidade x preço + taxas)
+--   venda    - credita o caixa (quantidade x preço - taxas)
+--   provento - credita o caixa (dividendos, JCP, rendimentos)
+-- Preços de mercado são informados manualmente ou importados em gzen_ativo_precos.
+
+ALTER TABLE gzen_accounts DROP CONSTRAINT IF EXISTS gzen_accounts_tipo_conta_check;
+ALTER TABLE gzen_accounts ADD CONSTRAINT gzen_accounts_tipo_conta_check
+    CHECK (tipo_conta IN ('conta_corrente', 'cartao_credito', 'dinheiro_vivo', 'investimento'));
+
+CREATE TABLE IF NOT EXISTS gzen_investimento (
+    account_id uuid PRIMARY KEY REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    corretora text NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS gzen_ativos (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE SET NULL,
+    tipo text NOT NULL CHECK (tipo IN ('cdb', 'tesouro', 'acao', 'fii', 'outro')),
+    codigo text NOT NULL,
+    nome text,
+    indexador text,
+    vencimento date,
+    ativo boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS gzen_ativos_conta_codigo_key
+    ON gzen_ativos (account_id, upper(codigo)) WHERE ativo;
+
+CREATE TABLE IF NOT EXISTS gzen_investimento_operacoes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    ativo_id uuid NOT NULL REFERENCES gzen_ativos(id) ON DELETE CASCADE,
+    account_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE SET NULL,
+    tipo text NOT NULL CHECK (tipo IN ('compra', 'venda', 'provento')),
+    data date NOT NULL,
+    quantidade numeric(20, 8),
+    preco_unitario numeric(20, 8),
+    taxas numeric(14, 2) NOT NULL DEFAULT 0,
+    valor_total numeric(14, 2) NOT NULL CHECK (valor_total >= 0),
+    observacoes text,
+    ativo boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (tipo = 'provento' OR (quantidade > 0 AND preco_unitario >= 0))
+);
+
+CREATE INDEX IF NOT EXISTS gzen_investimento_operacoes_ativo_idx
+    ON gzen_investimento_operacoes (ativo_id, data, created_at) WHERE ativo;
+
+CREATE TABLE IF NOT EXISTS gzen_ativo_precos (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    ativo_id uuid NOT NULL REFERENCES gzen_ativos(id) ON DELETE CASCADE,
+    data date NOT NULL,
+    preco numeric(20, 8) NOT NULL CHECK (preco >= 0),
+    fonte text NOT NULL DEFAULT 'manual' CHECK (fonte IN ('manual', 'arquivo')),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (ativo_id, data)
+);
+
+-- Operações de investimento movimentam o caixa da conta e aparecem no extrato
+ALTER TABLE gzen_lancamentos DROP CONSTRAINT IF EXISTS gzen_lancamentos_origem_tipo_check;
+ALTER TABLE gzen_lancamentos ADD CONSTRAINT gzen_lancamentos_origem_tipo_check
+    CHECK (origem_tipo IN (
+        'saldo_inicial', 'receita', 'despesa', 'pagamento_fatura', 'transferencia', 'ajuste', 'investimento'
+    ));
+
+CREATE OR REPLACE FUNCTION gzen_inserir_com_movimentos(p_tabela text, p_dados jsonb, p_movimentos jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_colunas text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias', 'gzen_investimento_operacoes') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(quote_ident(chave), ', ')
+      INTO v_colunas
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    EXECUTE format(
+        'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_record(NULL::%1$I, $1) RETURNING to_jsonb(%1$I.*)',
+        p_tabela, v_colunas
+    ) INTO v_registro USING p_dados;
+
+    PERFORM gzen_aplicar_movimentos(gzen_definir_origem(p_movimentos, (v_registro->>'id')::uuid));
+
+    RETURN v_registro;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_atualizar_com_movimentos(
+    p_tabela text,
+    p_id uuid,
+    p_user_id uuid,
+    p_dados jsonb,
+    p_movimentos jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_atribuicoes text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias', 'gzen_investimento_operacoes') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(format('%1$I = novo.%1$I', chave), ', ')
+      INTO v_atribuicoes
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    -- gzen_transferencias não tem grupo_id; to_jsonb devolve NULL nesse caso
+    IF v_atribuicoes IS NULL THEN
+        EXECUTE format(
+            'SELECT to_jsonb(alvo.*) FROM %1$I AS alvo WHERE alvo.id = $1 '
+            'AND gzen_pode_editar($2, alvo.user_id, (to_jsonb(alvo.*)->>''grupo_id'')::uuid)',
+            p_tabela
+        ) INTO v_registro USING p_id, p_user_id;
+    ELSE
+        EXECUTE format(
+            'UPDATE %1$I AS alvo SET %2$s FROM jsonb_populate_record(NULL::%1$I, $1) AS novo '
+            'WHERE alvo.id = $2 AND gzen_pode_editar($3, alvo.user_id, (to_jsonb(alvo.*)->>''grupo_id'')::uuid) '
+            'RETURNING to_jsonb(alvo.*)',
+            p_tabela, v_atribuicoes
+        ) INTO v_registro USING p_dados, p_id, p_user_id;
+    END IF;
+
+    IF v_registro IS NULL THEN
+        RAISE EXCEPTION 'Registro % não encontrado', p_id;
+    END IF;
+
+    PERFORM gzen_aplicar_movimentos(gzen_definir_origem(p_movimentos, p_id));
+
+    RETURN v_registro;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION gzen_inserir_com_movimentos(text, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_atualizar_com_movimentos(text, uuid, uuid, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,76 @@
+-- Empréstimos e financiamentos
+--
+-- Uma conta 'emprestimo' representa a dívida: saldo_atual é o saldo devedor
+-- negativo. A tabela de amortização (SAC ou Price) fica em
+-- gzen_emprestimo_parcelas. Cada parcela vencida vira uma despesa na conta de
+-- pagamento; a despesa debita a parcela inteira da conta de pagamento e abate
+-- a parcela de amortização da dívida (origem 'pagamento_emprestimo').
+-- Amortizações extraordinárias são transferências para a conta do empréstimo
+-- e recalculam as parcelas pendentes.
+
+ALTER TABLE gzen_accounts DROP CONSTRAINT IF EXISTS gzen_accounts_tipo_conta_check;
+ALTER TABLE gzen_accounts ADD CONSTRAINT gzen_accounts_tipo_conta_check
+    CHECK (tipo_conta IN ('conta_corrente', 'cartao_credito', 'dinheiro_vivo', 'investimento', 'emprestimo'));
+
+CREATE TABLE IF NOT EXISTS gzen_emprestimo (
+    account_id uuid PRIMARY KEY REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    instituicao text NOT NULL,
+    principal numeric(14, 2) NOT NULL CHECK (principal > 0),
+    taxa_juros numeric(9, 6) NOT NULL CHECK (taxa_juros >= 0),
+    taxa_periodo text NOT NULL DEFAULT 'anual' CHECK (taxa_periodo IN ('mensal', 'anual')),
+    prazo_meses integer NOT NULL CHECK (prazo_meses > 0),
+    sistema text NOT NULL CHECK (sistema IN ('sac', 'price')),
+    data_primeira_parcela date NOT NULL,
+    conta_pagamento_id uuid NOT NULL REFERENCES gzen_accounts(id),
+    category_id uuid REFERENCES gzen_categories(id) ON DELETE SET NULL,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS gzen_emprestimo_parcelas (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    numero integer NOT NULL CHECK (numero > 0),
+    vencimento date NOT NULL,
+    amortizacao numeric(14, 2) NOT NULL,
+    juros numeric(14, 2) NOT NULL,
+    valor_parcela numeric(14, 2) NOT NULL,
+    saldo_devedor numeric(14, 2) NOT NULL,
+    -- 'quitada_antes' marca parcelas pagas fora do app antes do cadastro
+    status text NOT NULL DEFAULT 'pendente' CHECK (status IN ('pendente', 'paga', 'quitada_antes')),
+    despesa_id uuid REFERENCES gzen_despesas(id) ON DELETE SET NULL,
+    UNIQUE (account_id, numero)
+);
+
+CREATE INDEX IF NOT EXISTS gzen_emprestimo_parcelas_pendentes_idx
+    ON gzen_emprestimo_parcelas (vencimento) WHERE status = 'pendente';
+
+CREATE TABLE IF NOT EXISTS gzen_emprestimo_amortizacoes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id uuid NOT NULL REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    data date NOT NULL,
+    valor numeric(14, 2) NOT NULL CHECK (valor > 0),
+    modo text NOT NULL CHECK (modo IN ('prazo', 'parcela')),
+    saldo_anterior numeric(14, 2) NOT NULL,
+    saldo_posterior numeric(14, 2) NOT NULL,
+    transferencia_id uuid REFERENCES gzen_transferencias(id) ON DELETE SET NULL,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Despesas de parcela: conta do empréstimo e parte da parcela que abate a dívida
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS emprestimo_id uuid REFERENCES gzen_accounts(id) ON DELETE SET NULL;
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS amortizacao numeric(14, 2);
+ALTER TABLE gzen_despesas ADD COLUMN IF NOT EXISTS emprestimo_parcela integer;
+
+-- Uma despesa ativa por parcela, mesmo se o vínculo em
+-- gzen_emprestimo_parcelas.despesa_id falhar; despesas removidas liberam a parcela
+CREATE UNIQUE INDEX IF NOT EXISTS gzen_despesas_emprestimo_parcela_idx
+    ON gzen_despesas (emprestimo_id, emprestimo_parcela)
+    WHERE emprestimo_parcela IS NOT NULL AND ativo;
+
+ALTER TABLE gzen_lancamentos DROP CONSTRAINT IF EXISTS gzen_lancamentos_origem_tipo_check;
+ALTER TABLE gzen_lancamentos ADD CONSTRAINT gzen_lancamentos_origem_tipo_check
+    CHECK (origem_tipo IN (
+        'saldo_inicial', 'receita', 'despesa', 'pagamento_fatura', 'transferencia', 'ajuste', 'investimento',
+        'pagamento_emprestimo'
+    ));
@@ -0,0 +1,37 @@
+-- Metas de economia
+--
+-- Uma meta tem valor alvo e prazo; o acumulado é calculado a partir de:
+--   valor_inicial - o que já estava guardado ao criar a meta
+--   aportes       - transferências para a conta vinculada (gzen_meta_aportes)
+--   receitas      - receitas marcadas com a tag da meta a partir de data_inicio
+-- Valores na moeda base do orçamento (do usuário ou do owner do grupo).
+
+CREATE TABLE IF NOT EXISTS gzen_metas (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE CASCADE,
+    nome text NOT NULL,
+    descricao text,
+    valor_alvo numeric(14, 2) NOT NULL CHECK (valor_alvo > 0),
+    valor_inicial numeric(14, 2) NOT NULL DEFAULT 0 CHECK (valor_inicial >= 0),
+    data_inicio date NOT NULL DEFAULT CURRENT_DATE,
+    data_limite date NOT NULL,
+    account_id uuid REFERENCES gzen_accounts(id) ON DELETE SET NULL,
+    tag_id uuid REFERENCES gzen_tags(id) ON DELETE SET NULL,
+    ativo boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (data_limite >= data_inicio)
+);
+
+CREATE INDEX IF NOT EXISTS gzen_metas_user_idx ON gzen_metas (user_id) WHERE ativo;
+CREATE INDEX IF NOT EXISTS gzen_metas_grupo_idx ON gzen_metas (grupo_id) WHERE ativo;
+
+CREATE TABLE IF NOT EXISTS gzen_meta_aportes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    meta_id uuid NOT NULL REFERENCES gzen_metas(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    transferencia_id uuid NOT NULL REFERENCES gzen_transferencias(id) ON DELETE CASCADE,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (transferencia_id)
+);
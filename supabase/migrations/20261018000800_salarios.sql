@@ -0,0 +1,16 @@
+-- Salário previsto a partir do perfil
+--
+-- O perfil informa salario, metodo_pagamento e subsalario; com a conta de
+-- salário definida, cada competência (mês) gera as receitas de salário
+-- esperadas como 'pendente' até serem confirmadas. competencia_salario
+-- identifica a parcela gerada e impede gerar a mesma parcela duas vezes.
+
+ALTER TABLE gzen_profiles ADD COLUMN IF NOT EXISTS conta_salario_id uuid REFERENCES gzen_accounts(id) ON DELETE SET NULL;
+ALTER TABLE gzen_profiles ADD COLUMN IF NOT EXISTS category_salario_id uuid REFERENCES gzen_categories(id) ON DELETE SET NULL;
+
+ALTER TABLE gzen_receitas ADD COLUMN IF NOT EXISTS competencia_salario text
+    CHECK (competencia_salario ~ '^\d{4}-(0[1-9]|1[0-2])$');
+
+CREATE UNIQUE INDEX IF NOT EXISTS gzen_receitas_salario_competencia_idx
+    ON gzen_receitas (user_id, competencia_salario, parcela_salario)
+    WHERE competencia_salario IS NOT NULL;
@@ -0,0 +1,28 @@
+-- Regras de categorização automática
+--
+-- Cada regra do usuário combina condições sobre o nome (trecho ou expressão
+-- regular), a conta e a faixa de valor; as que casam definem a categoria
+-- (a de maior prioridade) e somam suas tags às da transação. As regras valem
+-- ao criar e ao importar transações e podem ser reaplicadas às existentes.
+
+CREATE TABLE IF NOT EXISTS gzen_regras_categorizacao (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES gzen_users(id) ON DELETE CASCADE,
+    nome text NOT NULL,
+    tipo text NOT NULL DEFAULT 'ambos' CHECK (tipo IN ('receita', 'despesa', 'ambos')),
+    prioridade integer NOT NULL DEFAULT 0,
+    nome_contem text,
+    nome_regex text,
+    account_id uuid REFERENCES gzen_accounts(id) ON DELETE CASCADE,
+    valor_min numeric(14, 2),
+    valor_max numeric(14, 2),
+    category_id uuid REFERENCES gzen_categories(id) ON DELETE SET NULL,
+    tags uuid[] NOT NULL DEFAULT '{}',
+    ativo boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (valor_min IS NULL OR valor_max IS NULL OR valor_max >= valor_min)
+);
+
+CREATE INDEX IF NOT EXISTS gzen_regras_categorizacao_user_idx
+    ON gzen_regras_categorizacao (user_id, prioridade DESC) WHERE ativo;
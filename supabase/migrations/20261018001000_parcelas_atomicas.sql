@@ -0,0 +1,44 @@
+-- Inserção atômica de compras parceladas
+--
+-- Todas as parcelas de uma compra, com os ajustes de saldo, limite e orçamento
+-- de cada uma, são gravadas na mesma transação: se uma parcela falhar, nenhuma
+-- é criada. As parcelas seguintes recebem despesa_pai_id da primeira.
+--
+-- Formato de p_parcelas: [{ "dados": jsonb, "movimentos": jsonb }], na ordem das parcelas
+
+CREATE OR REPLACE FUNCTION gzen_inserir_parcelas(p_parcelas jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item jsonb;
+    v_dados jsonb;
+    v_registro jsonb;
+    v_pai_id uuid;
+    v_registros jsonb := '[]'::jsonb;
+BEGIN
+    IF jsonb_array_length(p_parcelas) = 0 THEN
+        RAISE EXCEPTION 'Nenhuma parcela informada';
+    END IF;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_parcelas) LOOP
+        v_dados := v_item->'dados';
+
+        IF v_pai_id IS NOT NULL THEN
+            v_dados := v_dados || jsonb_build_object('despesa_pai_id', v_pai_id);
+        END IF;
+
+        v_registro := gzen_inserir_com_movimentos('gzen_despesas', v_dados, v_item->'movimentos');
+
+        IF v_pai_id IS NULL THEN
+            v_pai_id := (v_registro->>'id')::uuid;
+        END IF;
+
+        v_registros := v_registros || jsonb_build_array(v_registro);
+    END LOOP;
+
+    RETURN v_registros;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION gzen_inserir_parcelas(jsonb) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,38 @@
+-- Reconciliação de saldo sem gravação
+--
+-- gzen_reconciliar_saldo passa a apenas ler o saldo registrado da conta e a
+-- soma do extrato. A API compara esses valores com o saldo calculado a partir
+-- das transações de origem e informa a diferença; o saldo só muda por ajuste
+-- manual (gzen_ajustar_saldo), que fica registrado no extrato.
+
+CREATE OR REPLACE FUNCTION gzen_reconciliar_saldo(p_account_id uuid, p_user_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_saldo_registrado numeric;
+    v_saldo_extrato numeric;
+BEGIN
+    SELECT saldo_atual
+      INTO v_saldo_registrado
+      FROM gzen_accounts
+     WHERE id = p_account_id AND gzen_pode_editar(p_user_id, user_id, grupo_id);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Conta % não encontrada', p_account_id;
+    END IF;
+
+    SELECT COALESCE(SUM(valor), 0)
+      INTO v_saldo_extrato
+      FROM gzen_lancamentos
+     WHERE account_id = p_account_id;
+
+    RETURN jsonb_build_object(
+        'saldo_registrado', v_saldo_registrado,
+        'saldo_extrato', v_saldo_extrato
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION gzen_reconciliar_saldo(uuid, uuid) FROM PUBLIC, anon, authenticated;
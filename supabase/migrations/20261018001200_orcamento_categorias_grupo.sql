@@ -0,0 +1,13 @@
+-- Limites de categoria no orçamento de grupos
+--
+-- Como em gzen_orcamento, o limite com grupo_id preenchido é do grupo (user_id
+-- é quem o definiu) e vale para as despesas das contas do grupo. A chave
+-- única passa a ser por usuário nos limites pessoais e por grupo nos demais.
+
+ALTER TABLE gzen_orcamento_categorias ADD COLUMN IF NOT EXISTS grupo_id uuid REFERENCES gzen_grupos(id) ON DELETE CASCADE;
+
+ALTER TABLE gzen_orcamento_categorias DROP CONSTRAINT IF EXISTS gzen_orcamento_categorias_user_id_category_id_mes_ano_key;
+CREATE UNIQUE INDEX IF NOT EXISTS gzen_orcamento_categorias_pessoal_key
+    ON gzen_orcamento_categorias (user_id, category_id, mes, ano) WHERE grupo_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS gzen_orcamento_categorias_grupo_key
+    ON gzen_orcamento_categorias (grupo_id, category_id, mes, ano) WHERE grupo_id IS NOT NULL;
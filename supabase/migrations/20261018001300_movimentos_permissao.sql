@@ -0,0 +1,296 @@
+-- Permissão nas movimentações de saldo, limite e orçamento
+--
+-- As funções de movimentação passam a receber o usuário que age (p_user_id)
+-- e conferem, dentro da própria transação, que ele pode lançar em cada conta
+-- de "saldos" e "limites", em cada orçamento de "orcamentos" e na conta do
+-- registro gravado. Assim, uma verificação esquecida na API não altera o
+-- saldo de contas de outros usuários.
+
+-- Conta existente em que o usuário pode lançar
+CREATE OR REPLACE FUNCTION gzen_conta_editavel(p_user_id uuid, p_account_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+          FROM gzen_accounts
+         WHERE id = p_account_id
+           AND gzen_pode_editar(p_user_id, user_id, grupo_id)
+    );
+$$;
+
+DROP FUNCTION IF EXISTS gzen_aplicar_movimentos(jsonb);
+DROP FUNCTION IF EXISTS gzen_inserir_com_movimentos(text, jsonb, jsonb);
+DROP FUNCTION IF EXISTS gzen_inserir_parcelas(jsonb);
+
+CREATE OR REPLACE FUNCTION gzen_aplicar_movimentos(p_user_id uuid, p_movimentos jsonb)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item jsonb;
+    v_user_id uuid;
+    v_grupo_id uuid;
+BEGIN
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'saldos', '[]'::jsonb))
+    LOOP
+        IF NOT gzen_conta_editavel(p_user_id, (v_item->>'account_id')::uuid) THEN
+            RAISE EXCEPTION 'Conta % não encontrada', v_item->>'account_id';
+        END IF;
+
+        UPDATE gzen_accounts
+           SET saldo_atual = saldo_atual + (v_item->>'valor')::numeric
+         WHERE id = (v_item->>'account_id')::uuid
+        RETURNING user_id INTO v_user_id;
+
+        INSERT INTO gzen_lancamentos (user_id, account_id, valor, origem_tipo, origem_id, estorno, descricao, data)
+        VALUES (
+            v_user_id,
+            (v_item->>'account_id')::uuid,
+            (v_item->>'valor')::numeric,
+            COALESCE(v_item->>'origem_tipo', 'ajuste'),
+            (v_item->>'origem_id')::uuid,
+            COALESCE((v_item->>'estorno')::boolean, false),
+            v_item->>'descricao',
+            COALESCE((v_item->>'data')::date, CURRENT_DATE)
+        );
+    END LOOP;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'limites', '[]'::jsonb))
+    LOOP
+        IF NOT gzen_conta_editavel(p_user_id, (v_item->>'account_id')::uuid) THEN
+            RAISE EXCEPTION 'Cartão % não encontrado', v_item->>'account_id';
+        END IF;
+
+        UPDATE gzen_cartao_credito
+           SET limite_disponivel = LEAST(
+                   GREATEST(limite_disponivel + (v_item->>'valor')::numeric, 0),
+                   limite_total
+               )
+         WHERE account_id = (v_item->>'account_id')::uuid;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cartão % não encontrado', v_item->>'account_id';
+        END IF;
+    END LOOP;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_movimentos->'orcamentos', '[]'::jsonb))
+    LOOP
+        v_grupo_id := (v_item->>'grupo_id')::uuid;
+
+        IF NOT gzen_pode_editar(p_user_id, (v_item->>'user_id')::uuid, v_grupo_id) THEN
+            RAISE EXCEPTION 'Orçamento sem permissão para o usuário %', p_user_id;
+        END IF;
+
+        IF v_grupo_id IS NULL THEN
+            INSERT INTO gzen_orcamento AS o (user_id, mes, ano, receita_total, despesa_total, saldo_atual, meta_economia)
+            VALUES (
+                (v_item->>'user_id')::uuid,
+                (v_item->>'mes')::int,
+                (v_item->>'ano')::int,
+                COALESCE((v_item->>'receita')::numeric, 0),
+                COALESCE((v_item->>'despesa')::numeric, 0),
+                COALESCE((v_item->>'receita')::numeric, 0) - COALESCE((v_item->>'despesa')::numeric, 0),
+                0
+            )
+            ON CONFLICT (user_id, mes, ano) WHERE grupo_id IS NULL DO UPDATE
+               SET receita_total = o.receita_total + EXCLUDED.receita_total,
+                   despesa_total = o.despesa_total + EXCLUDED.despesa_total,
+                   saldo_atual = (o.receita_total + EXCLUDED.receita_total)
+                               - (o.despesa_total + EXCLUDED.despesa_total);
+        ELSE
+            INSERT INTO gzen_orcamento AS o (user_id, grupo_id, mes, ano, receita_total, despesa_total, saldo_atual, meta_economia)
+            SELECT
+                g.owner_id,
+                g.id,
+                (v_item->>'mes')::int,
+                (v_item->>'ano')::int,
+                COALESCE((v_item->>'receita')::numeric, 0),
+                COALESCE((v_item->>'despesa')::numeric, 0),
+                COALESCE((v_item->>'receita')::numeric, 0) - COALESCE((v_item->>'despesa')::numeric, 0),
+                0
+              FROM gzen_grupos AS g
+             WHERE g.id = v_grupo_id
+            ON CONFLICT (grupo_id, mes, ano) WHERE grupo_id IS NOT NULL DO UPDATE
+               SET receita_total = o.receita_total + EXCLUDED.receita_total,
+                   despesa_total = o.despesa_total + EXCLUDED.despesa_total,
+                   saldo_atual = (o.receita_total + EXCLUDED.receita_total)
+                               - (o.despesa_total + EXCLUDED.despesa_total);
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'Grupo % não encontrado', v_grupo_id;
+            END IF;
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- O registro gravado precisa ser do usuário (ou de grupo em que ele lança) e estar
+-- em conta em que ele pode lançar; gzen_transferencias usa conta_origem_id/conta_destino_id,
+-- conferidas pelos movimentos de saldo
+CREATE OR REPLACE FUNCTION gzen_conferir_registro(p_user_id uuid, p_registro jsonb)
+RETURNS void
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    IF NOT gzen_pode_editar(p_user_id, (p_registro->>'user_id')::uuid, (p_registro->>'grupo_id')::uuid)
+       OR (p_registro->>'account_id' IS NOT NULL
+           AND NOT gzen_conta_editavel(p_user_id, (p_registro->>'account_id')::uuid)) THEN
+        RAISE EXCEPTION 'Registro % sem permissão para o usuário %', p_registro->>'id', p_user_id;
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_inserir_com_movimentos(p_tabela text, p_user_id uuid, p_dados jsonb, p_movimentos jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_colunas text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias', 'gzen_investimento_operacoes') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(quote_ident(chave), ', ')
+      INTO v_colunas
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    EXECUTE format(
+        'INSERT INTO %1$I (%2$s) SELECT %2$s FROM jsonb_populate_record(NULL::%1$I, $1) RETURNING to_jsonb(%1$I.*)',
+        p_tabela, v_colunas
+    ) INTO v_registro USING p_dados;
+
+    PERFORM gzen_conferir_registro(p_user_id, v_registro);
+    PERFORM gzen_aplicar_movimentos(p_user_id, gzen_definir_origem(p_movimentos, (v_registro->>'id')::uuid));
+
+    RETURN v_registro;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_atualizar_com_movimentos(
+    p_tabela text,
+    p_id uuid,
+    p_user_id uuid,
+    p_dados jsonb,
+    p_movimentos jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_atribuicoes text;
+    v_registro jsonb;
+BEGIN
+    IF p_tabela NOT IN ('gzen_receitas', 'gzen_despesas', 'gzen_transferencias', 'gzen_investimento_operacoes') THEN
+        RAISE EXCEPTION 'Tabela % não suportada', p_tabela;
+    END IF;
+
+    SELECT string_agg(format('%1$I = novo.%1$I', chave), ', ')
+      INTO v_atribuicoes
+      FROM jsonb_object_keys(p_dados) AS chave;
+
+    -- gzen_transferencias não tem grupo_id; to_jsonb devolve NULL nesse caso
+    IF v_atribuicoes IS NULL THEN
+        EXECUTE format(
+            'SELECT to_jsonb(alvo.*) FROM %1$I AS alvo WHERE alvo.id = $1 '
+            'AND gzen_pode_editar($2, alvo.user_id, (to_jsonb(alvo.*)->>''grupo_id'')::uuid)',
+            p_tabela
+        ) INTO v_registro USING p_id, p_user_id;
+    ELSE
+        EXECUTE format(
+            'UPDATE %1$I AS alvo SET %2$s FROM jsonb_populate_record(NULL::%1$I, $1) AS novo '
+            'WHERE alvo.id = $2 AND gzen_pode_editar($3, alvo.user_id, (to_jsonb(alvo.*)->>''grupo_id'')::uuid) '
+            'RETURNING to_jsonb(alvo.*)',
+            p_tabela, v_atribuicoes
+        ) INTO v_registro USING p_dados, p_id, p_user_id;
+    END IF;
+
+    IF v_registro IS NULL THEN
+        RAISE EXCEPTION 'Registro % não encontrado', p_id;
+    END IF;
+
+    PERFORM gzen_conferir_registro(p_user_id, v_registro);
+    PERFORM gzen_aplicar_movimentos(p_user_id, gzen_definir_origem(p_movimentos, p_id));
+
+    RETURN v_registro;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_inserir_parcelas(p_user_id uuid, p_parcelas jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_item jsonb;
+    v_dados jsonb;
+    v_registro jsonb;
+    v_pai_id uuid;
+    v_registros jsonb := '[]'::jsonb;
+BEGIN
+    IF jsonb_array_length(p_parcelas) = 0 THEN
+        RAISE EXCEPTION 'Nenhuma parcela informada';
+    END IF;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_parcelas) LOOP
+        v_dados := v_item->'dados';
+
+        IF v_pai_id IS NOT NULL THEN
+            v_dados := v_dados || jsonb_build_object('despesa_pai_id', v_pai_id);
+        END IF;
+
+        v_registro := gzen_inserir_com_movimentos('gzen_despesas', p_user_id, v_dados, v_item->'movimentos');
+
+        IF v_pai_id IS NULL THEN
+            v_pai_id := (v_registro->>'id')::uuid;
+        END IF;
+
+        v_registros := v_registros || jsonb_build_array(v_registro);
+    END LOOP;
+
+    RETURN v_registros;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_ajustar_saldo(p_account_id uuid, p_user_id uuid, p_saldo numeric, p_descricao text)
+RETURNS numeric
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_saldo_atual numeric;
+    v_diferenca numeric;
+BEGIN
+    SELECT saldo_atual
+      INTO v_saldo_atual
+      FROM gzen_accounts
+     WHERE id = p_account_id AND gzen_pode_editar(p_user_id, user_id, grupo_id)
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Conta % não encontrada', p_account_id;
+    END IF;
+
+    v_diferenca := p_saldo - v_saldo_atual;
+
+    IF v_diferenca <> 0 THEN
+        PERFORM gzen_aplicar_movimentos(p_user_id, jsonb_build_object('saldos', jsonb_build_array(jsonb_build_object(
+            'account_id', p_account_id,
+            'valor', v_diferenca,
+            'origem_tipo', 'ajuste',
+            'descricao', p_descricao
+        ))));
+    END IF;
+
+    RETURN v_diferenca;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION gzen_conta_editavel(uuid, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_conferir_registro(uuid, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_aplicar_movimentos(uuid, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_inserir_com_movimentos(text, uuid, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_atualizar_com_movimentos(text, uuid, uuid, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_inserir_parcelas(uuid, jsonb) FROM PUBLIC, anon, authenticated;
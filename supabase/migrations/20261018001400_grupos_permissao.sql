@@ -0,0 +1,24 @@
+-- Permissão em registros de grupo pelo papel atual
+--
+-- Registros com grupo_id preenchido passam a ser alterados só por owners e
+-- editores atuais do grupo, mesmo por quem os criou: membros removidos ou
+-- rebaixados a viewer perdem o acesso. user_id só vale para registros pessoais.
+
+CREATE OR REPLACE FUNCTION gzen_pode_editar(p_user_id uuid, p_dono_id uuid, p_grupo_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT CASE
+        WHEN p_grupo_id IS NULL THEN COALESCE(p_dono_id = p_user_id, false)
+        ELSE EXISTS (
+            SELECT 1
+              FROM gzen_grupo_membros
+             WHERE grupo_id = p_grupo_id
+               AND user_id = p_user_id
+               AND papel IN ('owner', 'editor')
+        )
+    END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION gzen_pode_editar(uuid, uuid, uuid) FROM PUBLIC, anon, authenticated;
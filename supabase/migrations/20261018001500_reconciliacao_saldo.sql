@@ -0,0 +1,73 @@
+-- Reconciliação de saldo pelo extrato e conferência sem gravação
+--
+-- gzen_reconciliar_saldo volta a recalcular gzen_accounts.saldo_atual como a
+-- soma dos lançamentos do extrato e devolve o saldo antes e depois. A
+-- conferência só de leitura (saldo registrado x extrato) passa para
+-- gzen_conferir_saldo.
+
+CREATE OR REPLACE FUNCTION gzen_conferir_saldo(p_account_id uuid, p_user_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_saldo_registrado numeric;
+    v_saldo_extrato numeric;
+BEGIN
+    SELECT saldo_atual
+      INTO v_saldo_registrado
+      FROM gzen_accounts
+     WHERE id = p_account_id AND gzen_pode_editar(p_user_id, user_id, grupo_id);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Conta % não encontrada', p_account_id;
+    END IF;
+
+    SELECT COALESCE(SUM(valor), 0)
+      INTO v_saldo_extrato
+      FROM gzen_lancamentos
+     WHERE account_id = p_account_id;
+
+    RETURN jsonb_build_object(
+        'saldo_registrado', v_saldo_registrado,
+        'saldo_extrato', v_saldo_extrato
+    );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION gzen_reconciliar_saldo(p_account_id uuid, p_user_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_saldo_anterior numeric;
+    v_saldo_extrato numeric;
+BEGIN
+    SELECT saldo_atual
+      INTO v_saldo_anterior
+      FROM gzen_accounts
+     WHERE id = p_account_id AND gzen_pode_editar(p_user_id, user_id, grupo_id)
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Conta % não encontrada', p_account_id;
+    END IF;
+
+    SELECT COALESCE(SUM(valor), 0)
+      INTO v_saldo_extrato
+      FROM gzen_lancamentos
+     WHERE account_id = p_account_id;
+
+    UPDATE gzen_accounts
+       SET saldo_atual = v_saldo_extrato
+     WHERE id = p_account_id;
+
+    RETURN jsonb_build_object(
+        'saldo_anterior', v_saldo_anterior,
+        'saldo_atual', v_saldo_extrato
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION gzen_conferir_saldo(uuid, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION gzen_reconciliar_saldo(uuid, uuid) FROM PUBLIC, anon, authenticated;